@@ -19,29 +19,58 @@ import {
   DialogActions,
   TextField,
   Snackbar,
-  Alert
+  Alert,
+  DialogContentText
 } from '@mui/material';
 import {
   Save as SaveIcon,
   AccountTree as AccountTreeIcon,
   Timeline as TimelineIcon,
+  TableChart as TableChartIcon,
   Lightbulb as LightbulbIcon,
   Settings as SettingsIcon,
+  CompareArrows as CompareArrowsIcon,
+  ViewTimeline as ViewTimelineIcon,
   HelpOutline as HelpOutlineIcon
 } from '@mui/icons-material';
 
 // コンポーネントのインポート
 import ProcessChart from './components/ProcessChart';
+import ProcessSheet from './components/ProcessSheet';
 import Dashboard from './components/Dashboard';
 import ImprovementManager from './components/ImprovementManager';
 import CSVImportExport from './components/CSVImportExport';
 import Settings from './components/Settings';
+import CalendarSettings from './components/CalendarSettings';
+import VolumeDriverSettings from './components/VolumeDriverSettings';
+import CostSettings from './components/CostSettings';
+import ScenarioManager from './components/ScenarioManager';
+import RoadmapPanel from './components/RoadmapPanel';
 import { ProjectProvider } from './contexts/ProjectContext';
 
 // サービスのインポート
-import { TimeCalculationService } from './services/timeCalculation';
+import { ImprovementService } from './services/improvementService';
+import { WorkloadEngine } from './services/workloadEngine';
 import DatabaseService from './services/databaseService';
 import ElectronMenuService from './services/electronMenuService';
+import { ProcessSheetService } from './services/processSheet';
+import { VolumeDriverService } from './services/volumeDriver';
+import { CostService } from './services/cost';
+import { ValueStreamService } from './services/valueStream';
+import { ParetoService } from './services/pareto';
+import { HeatmapService } from './services/heatmap';
+import { ScenarioService } from './services/scenario';
+import { RoadmapService } from './services/roadmap';
+import ProjectModel from './models/ProjectModel';
+import EdgeModel from './models/EdgeModel';
+import StepModel from './models/StepModel';
+import SwimlaneModel from './models/SwimlaneModel';
+import CalendarModel from './models/CalendarModel';
+import CostModel from './models/CostModel';
+import DemandModel from './models/DemandModel';
+import ScenarioModel from './models/ScenarioModel';
+import svgUtils from './utils/svgUtils';
+import hierarchyUtils from './utils/hierarchyUtils';
 
 // ダークモード対応テーマ
 const theme = createTheme({
@@ -61,8 +90,18 @@ const App = () => {
   // ステート
   const [tabIndex, setTabIndex] = useState(0);
   const [processSteps, setProcessSteps] = useState([]);
+  const [processEdges, setProcessEdges] = useState([]);
+  const [swimlanes, setSwimlanes] = useState(() => SwimlaneModel.create());
+  const [calendar, setCalendar] = useState(() => CalendarModel.create());
+  const [volumeDrivers, setVolumeDrivers] = useState([]);
+  const [costSettings, setCostSettings] = useState(() => CostModel.create());
+  const [customerDemand, setCustomerDemand] = useState(() => DemandModel.create());
+  const [abcShares, setAbcShares] = useState(() => ParetoService.resolveShares());
+  const [heatmapMetric, setHeatmapMetric] = useState(null); // プロセスチャートのヒートマップの指標（表示設定のため保存しない）
   const [workloadData, setWorkloadData] = useState(null);
   const [improvementResults, setImprovementResults] = useState(null);
+  const [scenarios, setScenarios] = useState([]); // 改善後（To-Be）などのシナリオ
+  const [roadmap, setRoadmap] = useState(() => RoadmapService.resolveSettings()); // 実施ロードマップの設定
   const [currentProject, setCurrentProject] = useState({
     id: 'new',
     name: '新規プロジェクト',
@@ -72,42 +111,219 @@ const App = () => {
     modified: new Date().toISOString()
   });
   const [newProjectDialogOpen, setNewProjectDialogOpen] = useState(false);
+  const [hierarchyExportFormat, setHierarchyExportFormat] = useState(null);
   const [newProjectName, setNewProjectName] = useState('');
   const [newProjectDescription, setNewProjectDescription] = useState('');
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [isModified, setIsModified] = useState(false);
 
-  // プロセスステップが更新されたら工数を計算
+  // プロセスステップまたは接続が更新されたら工数を計算
   useEffect(() => {
     if (processSteps.length > 0) {
-      const calculatedWorkload = TimeCalculationService.calculateAnnualWorkload(processSteps);
+      const calculatedWorkload = WorkloadEngine.calculate(
+        { steps: processSteps, edges: processEdges },
+        { calendar, volumeDrivers }
+      );
       setWorkloadData(calculatedWorkload);
       setIsModified(true);
     }
-  }, [processSteps]);
+  }, [processSteps, processEdges, calendar, volumeDrivers]);
   
   // タブの切り替え
   const handleTabChange = (event, newValue) => {
     setTabIndex(newValue);
   };
   
-  // プロセスステップの更新
-  const handleProcessStepsChange = (updatedSteps) => {
+  // プロセスステップ（と接続）の更新
+  const handleProcessStepsChange = (updatedSteps, updatedEdges) => {
     setProcessSteps(updatedSteps);
+    if (updatedEdges !== undefined) {
+      setProcessEdges(updatedEdges);
+    }
+    setIsModified(true);
+  };
+  
+  // スイムレーン設定の更新
+  const handleSwimlanesChange = (updatedSwimlanes) => {
+    setSwimlanes(updatedSwimlanes);
+    setIsModified(true);
+  };
+  
+  // 営業カレンダーの更新
+  const handleCalendarChange = (updatedCalendar) => {
+    setCalendar(updatedCalendar);
+    setIsModified(true);
+  };
+  
+  // ボリュームドライバーの更新
+  const handleVolumeDriversChange = (updatedDrivers) => {
+    setVolumeDrivers(updatedDrivers);
+    setIsModified(true);
+  };
+  
+  // 人件費の設定の更新
+  const handleCostSettingsChange = (updatedCostSettings) => {
+    setCostSettings(updatedCostSettings);
+    setIsModified(true);
+  };
+  
+  // 顧客需要の更新
+  const handleCustomerDemandChange = (updatedDemand) => {
+    setCustomerDemand(updatedDemand);
     setIsModified(true);
   };
   
-  // 改善施策の適用
-  const handleApplyImprovements = (improvements) => {
-    // 効果計算
-    const effect = TimeCalculationService.calculateImprovementEffect(workloadData, improvements);
-    setImprovementResults(effect);
+  // ABC分析の区分の更新
+  const handleAbcSharesChange = (updatedShares) => {
+    setAbcShares(updatedShares);
     setIsModified(true);
+  };
+  
+  // バリューストリーム指標（レポート・エクスポートに共通で載せる）
+  const calculateValueStreamMetrics = () => ValueStreamService.calculate(
+    { steps: processSteps, edges: processEdges },
+    { calendar, volumeDrivers },
+    customerDemand
+  );
+  
+  // プロセスチャートのヒートマップ（画面に表示していないときのエクスポート用）
+  const buildHeatmapOverlay = () => HeatmapService.buildOverlay(
+    heatmapMetric,
+    processSteps,
+    processEdges,
+    { calendar, volumeDrivers },
+    costSettings
+  );
+  
+  // 改善施策の適用（options.interactionRule: 同じステップへの施策の合成方法）
+  const handleApplyImprovements = (improvements, options = {}) => {
+    const { interactionRule = 'multiplicative' } = options;
+    
+    // 効果計算（ECRSの施策はプロセスの構造に反映し、改善後のプロセスを toBe に持つ）
+    const effect = ImprovementService.calculateImprovementEffect(workloadData, improvements, {
+      calendar,
+      volumeDrivers,
+      steps: processSteps,
+      edges: processEdges,
+      interactionRule
+    });
+    setImprovementResults({
+      ...effect,
+      // 改善前後の比較（待ち行列シミュレーションなど）に使うため施策と合成方法も保持する
+      improvements: improvements.map(({ targetStep, ...improvement }) => improvement),
+      interactionRule
+    });
+
+    // 同じ施策の組み合わせのシナリオがあれば、現状のプロセスに反映し直して最新にする
+    const existing = ScenarioService.findByImprovements(scenarios, improvements);
+    if (existing) {
+      const { steps, edges, description, improvements: applied } = ScenarioService.createFromImprovements(
+        existing.name,
+        processSteps,
+        processEdges,
+        improvements,
+        { calendar, volumeDrivers },
+        { interactionRule }
+      );
+      setScenarios(scenarios.map(item => (
+        item.id === existing.id ? ScenarioModel.update(item, { steps, edges, description, improvements: applied }) : item
+      )));
+      setIsModified(true);
+      showSnackbar(`シナリオ「${existing.name}」を更新しました`, 'success');
+    }
     
     // 改善後のダッシュボードに切り替え
-    setTabIndex(1);
+    setTabIndex(2);
+  };
+
+  // 適用中の改善施策を反映したプロセスをシナリオとして保存
+  const handleSaveImprovementScenario = () => {
+    const improvements = improvementResults?.improvements || [];
+    if (improvements.length === 0) return;
+
+    const existing = ScenarioService.findByImprovements(scenarios, improvements);
+    if (existing) {
+      showSnackbar(`同じ施策のシナリオ「${existing.name}」が既にあります`, 'info');
+      return;
+    }
+
+    const scenario = ScenarioService.createFromImprovements(
+      ScenarioModel.getDefaultName(scenarios),
+      processSteps,
+      processEdges,
+      improvements,
+      { calendar, volumeDrivers },
+      { interactionRule: improvementResults.interactionRule }
+    );
+    setScenarios([...scenarios, scenario]);
+    setIsModified(true);
+    showSnackbar(`シナリオ「${scenario.name}」を追加しました`, 'success');
+  };
+
+  // 現状のプロセスをそのままシナリオとして保存
+  const handleSnapshotScenario = () => {
+    const scenario = ScenarioModel.create({
+      name: ScenarioModel.getDefaultName(scenarios),
+      description: '現状のプロセスの複製',
+      steps: processSteps,
+      edges: processEdges
+    });
+    setScenarios([...scenarios, scenario]);
+    setIsModified(true);
+  };
+
+  // シナリオ名の変更
+  const handleRenameScenario = (scenarioId, name) => {
+    const scenario = scenarios.find(item => item.id === scenarioId);
+    if (!scenario) return;
+
+    const validation = ScenarioModel.validate({ ...scenario, name }, scenarios);
+    if (!validation.valid) {
+      showSnackbar(validation.errors.name, 'error');
+      return;
+    }
+    setScenarios(scenarios.map(item => (item.id === scenarioId ? ScenarioModel.update(item, { name: name.trim() }) : item)));
+    setIsModified(true);
+  };
+
+  // シナリオの削除
+  const handleDeleteScenario = (scenarioId) => {
+    const scenario = scenarios.find(item => item.id === scenarioId);
+    if (!scenario || !window.confirm(`シナリオ「${scenario.name}」を削除しますか？`)) return;
+
+    setScenarios(scenarios.filter(item => item.id !== scenarioId));
+    setIsModified(true);
+  };
+
+  // シナリオを新しい現状にする（それまでの現状はシナリオとして残す）
+  const handlePromoteScenario = (scenarioId) => {
+    const scenario = scenarios.find(item => item.id === scenarioId);
+    if (!scenario || !window.confirm(`シナリオ「${scenario.name}」を現状のプロセスにしますか？\n現在のプロセスはシナリオとして残ります。`)) return;
+
+    const result = ScenarioService.promote(scenarioId, { steps: processSteps, edges: processEdges }, scenarios);
+    if (!result) return;
+
+    setProcessSteps(result.steps);
+    setProcessEdges(result.edges);
+    setScenarios(result.scenarios);
+    // 改善効果は以前の現状に対するものなので破棄する
+    setImprovementResults(null);
+    setIsModified(true);
+    showSnackbar(`「${scenario.name}」を現状にしました（以前の現状は「${result.previous.name}」）`, 'success');
   };
   
+  // 実施ロードマップの設定の変更
+  const handleRoadmapChange = (updatedRoadmap) => {
+    setRoadmap(updatedRoadmap);
+    setIsModified(true);
+  };
+
+  // ロードマップで変更した施策の状態・担当者・実施期間・前提を改善効果に反映する
+  const handleRoadmapImprovementsChange = (improvements) => {
+    setImprovementResults({ ...improvementResults, improvements });
+    setIsModified(true);
+  };
+
   // スナックバー表示
   const showSnackbar = (message, severity = 'info') => {
     setSnackbar({
@@ -130,8 +346,19 @@ const App = () => {
         name: currentProject.name,
         description: currentProject.description,
         processSteps,
+        edges: processEdges.map(edge => EdgeModel.serialize(edge)),
+        swimlanes,
+        calendar,
+        volumeDrivers,
+        costSettings,
+        customerDemand,
+        abcShares,
+        roadmap,
         workloadData,
+        // プロジェクト間で比較できるよう、保存時点の指標も記録する
+        valueStreamMetrics: ValueStreamService.toSummaryRows(calculateValueStreamMetrics()),
         improvementResults,
+        scenarios: scenarios.map(scenario => ScenarioModel.serialize(scenario)),
         created: currentProject.created,
         modified: new Date().toISOString()
       };
@@ -193,8 +420,17 @@ const App = () => {
     
     // データリセット
     setProcessSteps([]);
+    setProcessEdges([]);
+    setSwimlanes(SwimlaneModel.create());
+    setCalendar(CalendarModel.create());
+    setVolumeDrivers([]);
+    setCostSettings(CostModel.create());
+    setCustomerDemand(DemandModel.create());
+    setAbcShares(ParetoService.resolveShares());
+    setRoadmap(RoadmapService.resolveSettings());
     setWorkloadData(null);
     setImprovementResults(null);
+    setScenarios([]);
     setIsModified(false);
     
     // ダイアログを閉じる
@@ -218,20 +454,32 @@ const App = () => {
         }
       }
       
+      // 旧形式のファイルの補完（エッジの復元・作成日の年度など）は ProjectModel.deserialize に任せる
+      const project = ProjectModel.deserialize({ ...projectData });
+      
       // プロジェクトデータを設定
       setCurrentProject({
-        id: projectData.id || 'loaded',
-        name: projectData.name || 'Loaded Project',
-        description: projectData.description || '',
+        id: project.id,
+        name: project.name || 'Loaded Project',
+        description: project.description || '',
         filePath: filePath,
-        created: projectData.created || new Date().toISOString(),
-        modified: projectData.modified || new Date().toISOString()
+        created: project.created,
+        modified: project.modified
       });
       
       // プロセスデータを設定
-      setProcessSteps(projectData.processSteps || []);
-      setWorkloadData(projectData.workloadData || null);
-      setImprovementResults(projectData.improvementResults || null);
+      setProcessSteps(project.processSteps);
+      setProcessEdges(project.edges);
+      setSwimlanes(project.swimlanes);
+      setCalendar(project.calendar);
+      setVolumeDrivers(project.volumeDrivers);
+      setCostSettings(project.costSettings);
+      setCustomerDemand(project.customerDemand);
+      setAbcShares(ParetoService.resolveShares(project.abcShares || {}));
+      setRoadmap(RoadmapService.resolveSettings(project.roadmap || {}));
+      setWorkloadData(project.workloadData || null);
+      setImprovementResults(project.improvementResults || null);
+      setScenarios(project.scenarios);
       setIsModified(false);
       
       showSnackbar(`プロジェクト「${projectData.name}」を開きました`, 'success');
@@ -249,7 +497,7 @@ const App = () => {
       if (result.success && result.data) {
         // CSVImportExportコンポーネントに処理を委譲するため、
         // 一時的にタブを切り替える
-        setTabIndex(3); // 設定タブ
+        setTabIndex(6); // 設定タブ
         
         // 少し遅延させてインポートイベントを発火
         setTimeout(() => {
@@ -296,13 +544,18 @@ const App = () => {
           default: typeText = step.type;
         }
         
+        // 複合記号は「加工を主とした数量検査」のように出力
+        if (StepModel.isComposite(step)) {
+          typeText = StepModel.getCompositeName(step);
+        }
+        
         return [
           step.data.label,
           typeText,
           step.data.time,
           step.data.timeUnit,
           step.data.frequency,
-          step.data.frequencyUnit,
+          StepModel.formatFrequencyUnit(step, volumeDrivers),
           step.data.responsible,
           step.data.tools
         ].map(value => {
@@ -333,6 +586,154 @@ const App = () => {
     }
   };
   
+  // 工程分析表のExcelエクスポート処理
+  const handleExportProcessSheetExcel = async () => {
+    if (!processSteps || processSteps.length === 0) {
+      showSnackbar('エクスポートするデータがありません', 'warning');
+      return;
+    }
+    
+    try {
+      const rows = ProcessSheetService.buildRows(processSteps, processEdges, { calendar });
+      const totals = ProcessSheetService.calculateTotals(rows);
+      const filename = `${currentProject.name.replace(/\s+/g, '_')}_工程分析表.xlsx`;
+      
+      const result = await DatabaseService.exportExcel({
+        data: {
+          sheets: [
+            ProcessSheetService.toExcelSheet(rows, totals),
+            // ボリュームドライバーは入力セルとして出力し、連動する年間工数は数式で再計算できるようにする
+            ...VolumeDriverService.toExcelSheets(processSteps, processEdges, { calendar, volumeDrivers }),
+            // 年間工数を担当者ごとの時間単価で金額に換算する
+            CostService.toExcelSheet(
+              WorkloadEngine.calculate({ steps: processSteps, edges: processEdges }, { calendar, volumeDrivers }),
+              costSettings
+            ),
+            ValueStreamService.toExcelSheet(calculateValueStreamMetrics())
+          ]
+        },
+        defaultFilename: filename
+      });
+      
+      if (result.success) {
+        showSnackbar('工程分析表をExcelファイルにエクスポートしました', 'success');
+      } else {
+        showSnackbar(`エクスポートに失敗しました: ${result.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Excelエクスポートエラー:', error);
+      showSnackbar(`Excelエクスポートエラー: ${error.message}`, 'error');
+    }
+  };
+  
+  // 実施ロードマップのExcelエクスポート処理
+  const handleExportRoadmapExcel = async (schedule) => {
+    if (!schedule || schedule.tasks.length === 0) {
+      showSnackbar('エクスポートする施策がありません', 'warning');
+      return;
+    }
+    
+    try {
+      const filename = `${currentProject.name.replace(/\s+/g, '_')}_ロードマップ.xlsx`;
+      const result = await DatabaseService.exportExcel({
+        data: { sheets: RoadmapService.toExcelSheets(schedule) },
+        defaultFilename: filename
+      });
+      
+      if (result.success) {
+        showSnackbar('ロードマップをExcelファイルにエクスポートしました', 'success');
+      } else {
+        showSnackbar(`エクスポートに失敗しました: ${result.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Excelエクスポートエラー:', error);
+      showSnackbar(`Excelエクスポートエラー: ${error.message}`, 'error');
+    }
+  };
+  
+  // 工程分析表のPDFエクスポート処理
+  const handleExportProcessSheetPdf = async () => {
+    if (!processSteps || processSteps.length === 0) {
+      showSnackbar('エクスポートするデータがありません', 'warning');
+      return;
+    }
+    
+    try {
+      const rows = ProcessSheetService.buildRows(processSteps, processEdges, { calendar });
+      const totals = ProcessSheetService.calculateTotals(rows);
+      const html = ProcessSheetService.generateHtml(rows, totals, {
+        title: `工程分析表 - ${currentProject.name}`,
+        metrics: ValueStreamService.toSummaryRows(calculateValueStreamMetrics())
+      });
+      
+      const result = await DatabaseService.exportPdf({
+        html,
+        defaultFilename: `${currentProject.name.replace(/\s+/g, '_')}_工程分析表.pdf`
+      });
+      
+      if (result.success) {
+        showSnackbar('工程分析表をPDFファイルにエクスポートしました', 'success');
+      } else {
+        showSnackbar(`エクスポートに失敗しました: ${result.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('PDFエクスポートエラー:', error);
+      showSnackbar(`PDFエクスポートエラー: ${error.message}`, 'error');
+    }
+  };
+  
+  // 年間工数のサンキー図のSVGエクスポート処理
+  const handleExportSankeySvg = async (svgData) => {
+    try {
+      const result = await DatabaseService.exportImage({
+        svgData,
+        type: 'svg',
+        filename: `${currentProject.name.replace(/\s+/g, '_')}_工数サンキー図`
+      });
+      
+      if (result.success) {
+        showSnackbar('サンキー図をSVGとしてエクスポートしました', 'success');
+      } else {
+        showSnackbar(`エクスポートに失敗しました: ${result.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('SVGエクスポートエラー:', error);
+      showSnackbar(`SVGエクスポートエラー: ${error.message}`, 'error');
+    }
+  };
+  
+  // 子プロセスを含むチャートのエクスポート（展開して1枚、または階層ごとのページ）
+  const exportHierarchy = async (format, mode) => {
+    setHierarchyExportFormat(null);
+    
+    try {
+      const options = { swimlanes, overlay: buildHeatmapOverlay() };
+      const svgData = mode === 'flatten'
+        ? svgUtils.generateFlattenedChartSvg(processSteps, processEdges, options)
+        : svgUtils.composePages(svgUtils.generateProcessChartPages(processSteps, processEdges, options));
+      
+      let imageData = svgData;
+      if (format === 'png') {
+        const size = svgData.match(/width="([\d.]+)" height="([\d.]+)"/);
+        imageData = await svgUtils.convertSvgToPng(svgData, {
+          width: size ? parseFloat(size[1]) : 800,
+          height: size ? parseFloat(size[2]) : 600
+        });
+      }
+      
+      const result = await DatabaseService.exportImage({ svgData: imageData, type: format });
+      
+      if (result.success) {
+        showSnackbar(`プロセスチャートを${format.toUpperCase()}としてエクスポートしました`, 'success');
+      } else {
+        showSnackbar(`エクスポートに失敗しました: ${result.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('階層エクスポートエラー:', error);
+      showSnackbar(`エクスポートエラー: ${error.message}`, 'error');
+    }
+  };
+  
   // SVGエクスポート処理
   const handleExportSvg = async () => {
     if (!processSteps || processSteps.length === 0) {
@@ -340,7 +741,26 @@ const App = () => {
       return;
     }
     
+    // 子プロセスがある場合は出力方法を選択する
+    if (hierarchyUtils.hasHierarchy(processSteps)) {
+      setHierarchyExportFormat('svg');
+      return;
+    }
+    
     try {
+      // プロセスチャートが表示されていない場合は、保存されたステップと接続からSVGを生成する
+      if (tabIndex !== 0) {
+        const svgData = svgUtils.generateProcessChartSvg(processSteps, processEdges, { swimlanes, overlay: buildHeatmapOverlay() });
+        const result = await DatabaseService.exportImage({ svgData, type: 'svg' });
+        
+        if (result.success) {
+          showSnackbar('プロセスチャートをSVGとしてエクスポートしました', 'success');
+        } else {
+          showSnackbar(`エクスポートに失敗しました: ${result.message}`, 'error');
+        }
+        return;
+      }
+      
       // カスタムイベントでエクスポート要求
       window.dispatchEvent(new Event('export-svg-requested'));
       
@@ -379,6 +799,12 @@ const App = () => {
       return;
     }
     
+    // 子プロセスがある場合は出力方法を選択する
+    if (hierarchyUtils.hasHierarchy(processSteps)) {
+      setHierarchyExportFormat('png');
+      return;
+    }
+    
     try {
       // カスタムイベントでエクスポート要求
       window.dispatchEvent(new Event('export-png-requested'));
@@ -417,12 +843,14 @@ const App = () => {
     onSaveProject: () => saveProject(false),
     onSaveProjectAs: () => saveProject(true),
     onExportCsv: handleExportCsv,
+    onExportExcel: handleExportProcessSheetExcel,
+    onExportPdf: handleExportProcessSheetPdf,
     onExportSvg: handleExportSvg,
     onExportPng: handleExportPng,
     onImportCsv: handleImportCsv,
     onViewProcessChart: () => setTabIndex(0),
-    onViewWorkload: () => setTabIndex(1),
-    onViewImprovement: () => setTabIndex(2),
+    onViewWorkload: () => setTabIndex(2),
+    onViewImprovement: () => setTabIndex(3),
     onProjectOpened: handleProjectOpened
   };
   
@@ -436,6 +864,11 @@ const App = () => {
     return cleanup;
   }, [menuHandlers]);
 
+  // ステップの担当者（分担する担当者を含む）。勤務・単価の設定で候補として使う
+  const responsibles = [...new Set(
+    processSteps.flatMap(step => StepModel.getAssignees(step).map(assignee => assignee.responsible)).filter(Boolean)
+  )];
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
@@ -479,8 +912,11 @@ const App = () => {
             sx={{ backgroundColor: '#f5f5f5', color: 'text.primary' }}
           >
             <Tab icon={<AccountTreeIcon />} label="プロセスチャート" />
+            <Tab icon={<TableChartIcon />} label="工程分析表" />
             <Tab icon={<TimelineIcon />} label="工数分析" />
             <Tab icon={<LightbulbIcon />} label="改善提案" />
+            <Tab icon={<CompareArrowsIcon />} label="シナリオ" />
+            <Tab icon={<ViewTimelineIcon />} label="ロードマップ" />
             <Tab icon={<SettingsIcon />} label="設定" />
           </Tabs>
         </AppBar>
@@ -492,27 +928,93 @@ const App = () => {
             {tabIndex === 0 && (
               <ProcessChart 
                 initialNodes={processSteps}
+                initialEdges={processEdges}
                 onChange={handleProcessStepsChange}
+                swimlanes={swimlanes}
+                onSwimlanesChange={handleSwimlanesChange}
+                calendar={calendar}
+                volumeDrivers={volumeDrivers}
+                costSettings={costSettings}
+                heatmapMetric={heatmapMetric}
+                onHeatmapMetricChange={setHeatmapMetric}
               />
             )}
             
             {tabIndex === 1 && (
+              <ProcessSheet
+                processSteps={processSteps}
+                processEdges={processEdges}
+                calendar={calendar}
+                onExportExcel={handleExportProcessSheetExcel}
+                onExportPdf={handleExportProcessSheetPdf}
+              />
+            )}
+            
+            {tabIndex === 2 && (
               <Dashboard 
                 workloadData={improvementResults?.after || workloadData}
                 originalWorkload={workloadData}
                 improvementResults={improvementResults}
+                processSteps={processSteps}
+                processEdges={processEdges}
+                improvements={improvementResults?.improvements}
+                interactionRule={improvementResults?.interactionRule}
+                calendar={calendar}
+                volumeDrivers={volumeDrivers}
+                costSettings={costSettings}
+                customerDemand={customerDemand}
+                onCustomerDemandChange={handleCustomerDemandChange}
+                abcShares={abcShares}
+                onAbcSharesChange={handleAbcSharesChange}
+                onExportSankeySvg={handleExportSankeySvg}
               />
             )}
             
-            {tabIndex === 2 && (
+            {tabIndex === 3 && (
               <ImprovementManager 
                 processSteps={processSteps}
+                processEdges={processEdges}
                 currentWorkload={workloadData}
                 onApplyImprovements={handleApplyImprovements}
+                calendar={calendar}
+                volumeDrivers={volumeDrivers}
+                costSettings={costSettings}
+                abcShares={abcShares}
               />
             )}
             
-            {tabIndex === 3 && (
+            {tabIndex === 4 && (
+              <ScenarioManager
+                processSteps={processSteps}
+                processEdges={processEdges}
+                scenarios={scenarios}
+                calendar={calendar}
+                volumeDrivers={volumeDrivers}
+                costSettings={costSettings}
+                customerDemand={customerDemand}
+                appliedImprovements={improvementResults?.improvements}
+                onSnapshot={handleSnapshotScenario}
+                onSaveImprovements={handleSaveImprovementScenario}
+                onRename={handleRenameScenario}
+                onDelete={handleDeleteScenario}
+                onPromote={handlePromoteScenario}
+              />
+            )}
+            
+            {tabIndex === 5 && (
+              <RoadmapPanel
+                improvements={improvementResults?.improvements}
+                attribution={improvementResults?.attribution}
+                workload={improvementResults?.before}
+                settings={roadmap}
+                costSettings={costSettings}
+                onSettingsChange={handleRoadmapChange}
+                onImprovementsChange={handleRoadmapImprovementsChange}
+                onExportExcel={handleExportRoadmapExcel}
+              />
+            )}
+            
+            {tabIndex === 6 && (
               <Box>
                 <Typography variant="h4" gutterBottom>
                   設定
@@ -520,9 +1022,28 @@ const App = () => {
                 
                 <CSVImportExport 
                   processSteps={processSteps}
+                  volumeDrivers={volumeDrivers}
                   onImport={handleProcessStepsChange}
                 />
                 
+                <CalendarSettings
+                  calendar={calendar}
+                  responsibles={responsibles}
+                  onChange={handleCalendarChange}
+                />
+                
+                <VolumeDriverSettings
+                  volumeDrivers={volumeDrivers}
+                  calendar={calendar}
+                  onChange={handleVolumeDriversChange}
+                />
+                
+                <CostSettings
+                  costSettings={costSettings}
+                  responsibles={responsibles}
+                  onChange={handleCostSettingsChange}
+                />
+                
                 <Settings 
                   currentProject={currentProject}
                   onProjectChange={(project) => {
@@ -567,6 +1088,25 @@ const App = () => {
           </DialogActions>
         </Dialog>
         
+        {/* 子プロセスを含むチャートのエクスポート方法 */}
+        <Dialog open={Boolean(hierarchyExportFormat)} onClose={() => setHierarchyExportFormat(null)}>
+          <DialogTitle>子プロセスのエクスポート</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              このチャートには子プロセスが含まれています。出力方法を選択してください。
+            </DialogContentText>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setHierarchyExportFormat(null)}>キャンセル</Button>
+            <Button onClick={() => exportHierarchy(hierarchyExportFormat, 'pages')}>
+              階層ごとにページを分ける
+            </Button>
+            <Button onClick={() => exportHierarchy(hierarchyExportFormat, 'flatten')} variant="contained">
+              展開して1枚にまとめる
+            </Button>
+          </DialogActions>
+        </Dialog>
+        
         {/* スナックバー通知 */}
         <Snackbar
           open={snackbar.open}
@@ -25,9 +25,12 @@ import {
   Download as DownloadIcon,
   Check as CheckIcon
 } from '@mui/icons-material';
+import EdgeModel from '../models/EdgeModel';
+import StepModel from '../models/StepModel';
+import * as XLSX from 'xlsx';
 
 // CSVインポート/エクスポートコンポーネント
-const CSVImportExport = ({ processSteps, onImport }) => {
+const CSVImportExport = ({ processSteps, volumeDrivers = [], onImport }) => {
   const [importedData, setImportedData] = useState([]);
   const [previewData, setPreviewData] = useState([]);
   const [importError, setImportError] = useState(null);
@@ -51,14 +54,32 @@ const CSVImportExport = ({ processSteps, onImport }) => {
   ];
   
   // 頻度単位のオプション
-  const frequencyUnitOptions = [
-    { value: '日', label: '日' },
-    { value: '週', label: '週' },
-    { value: '月', label: '月' },
-    { value: '年', label: '年' }
-  ];
+  const frequencyUnitOptions = StepModel.getFrequencyUnits();
+
+  // 読み込んだ表（ヘッダー行とデータ行）をインポートデータとして設定する
+  const applyTable = (headers, rows) => {
+    const data = rows
+      .filter(values => values.some(value => String(value ?? '').trim() !== ''))
+      .map(values => {
+        const rowData = {};
+        headers.forEach((header, index) => {
+          rowData[header] = String(values[index] ?? '').trim();
+        });
+        return rowData;
+      });
+    
+    // 自動マッピングの推定
+    const suggestedMappings = suggestMappings(headers);
+    setMappings(suggestedMappings);
+    
+    // インポートデータを設定
+    setImportedData(data);
+    setPreviewData(data.slice(0, 5)); // 先頭5件をプレビュー表示
+    setImportError(null);
+    setImportSuccess(false);
+  };
 
-  // CSVファイルのインポート
+  // CSV・Excelファイルのインポート
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
     
@@ -67,8 +88,9 @@ const CSVImportExport = ({ processSteps, onImport }) => {
     }
     
     // フォーマットチェック
-    if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-      setImportError('CSVファイル形式でアップロードしてください');
+    const isExcel = /\.xlsx?$/i.test(file.name);
+    if (!isExcel && file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
+      setImportError('CSVファイルまたはExcelファイル（.xlsx, .xls）を選択してください');
       return;
     }
     
@@ -76,9 +98,19 @@ const CSVImportExport = ({ processSteps, onImport }) => {
     
     reader.onload = (e) => {
       try {
+        if (isExcel) {
+          // 先頭のシートを読み込む（1行目をヘッダーとする）
+          const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+          const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+          const sheetRows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+          const headers = (sheetRows[0] || []).map(header => String(header).trim());
+          applyTable(headers, sheetRows.slice(1));
+          return;
+        }
+        
         // CSVパース処理
         const content = e.target.result;
-        const rows = content.split('\n');
+        const rows = content.split(/\r?\n/);
         
         // ヘッダー行を取得
         const headers = rows[0].split(',').map(header => header.trim());
@@ -94,27 +126,14 @@ const CSVImportExport = ({ processSteps, onImport }) => {
             continue;
           }
           
-          const rowData = {};
-          headers.forEach((header, index) => {
-            rowData[header] = values[index];
-          });
-          
-          data.push(rowData);
+          data.push(values);
         }
         
-        // 自動マッピングの推定
-        const suggestedMappings = suggestMappings(headers);
-        setMappings(suggestedMappings);
-        
-        // インポートデータを設定
-        setImportedData(data);
-        setPreviewData(data.slice(0, 5)); // 先頭5件をプレビュー表示
-        setImportError(null);
-        setImportSuccess(false);
+        applyTable(headers, data);
         
       } catch (error) {
-        console.error('CSV解析エラー:', error);
-        setImportError('CSVファイルの解析に失敗しました。ファイル形式を確認してください。');
+        console.error('ファイル解析エラー:', error);
+        setImportError('ファイルの解析に失敗しました。ファイル形式を確認してください。');
         setImportedData([]);
         setPreviewData([]);
       }
@@ -126,7 +145,11 @@ const CSVImportExport = ({ processSteps, onImport }) => {
       setPreviewData([]);
     };
     
-    reader.readAsText(file);
+    if (isExcel) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
   };
   
   // CSV行の解析（引用符で囲まれたカンマを考慮）
@@ -226,11 +249,18 @@ const CSVImportExport = ({ processSteps, onImport }) => {
           stepType = 'process';
         }
         
+        // 「加工を主とした数量検査」のような複合記号名は主・副の記号に分ける
+        const composite = StepModel.parseCompositeName(row[mappings.type]);
+        if (composite) {
+          stepType = composite.type;
+        }
+        
         // 他のフィールド取得
         const timeValue = parseFloat(row[mappings.time]) || 0;
         const timeUnitValue = row[mappings.timeUnit] || '分';
         const frequencyValue = parseFloat(row[mappings.frequency]) || 1;
-        const frequencyUnitValue = row[mappings.frequencyUnit] || '日';
+        // 「四半期」「月初3営業日」「受注ごと」などの表記も頻度単位として解釈する
+        const frequencyData = StepModel.resolveImportedFrequency(row[mappings.frequencyUnit], volumeDrivers);
         
         // Position の計算（ステップ間で適切な間隔を設ける）
         const position = {
@@ -248,31 +278,23 @@ const CSVImportExport = ({ processSteps, onImport }) => {
             time: timeValue,
             timeUnit: timeUnitValue,
             frequency: frequencyValue,
-            frequencyUnit: frequencyUnitValue,
+            ...frequencyData,
             responsible: row[mappings.responsible] || '',
-            tools: row[mappings.tools] || ''
+            tools: row[mappings.tools] || '',
+            ...(composite ? {
+              secondaryType: composite.secondaryType,
+              checkType: composite.checkType || undefined,
+              secondaryCheckType: composite.secondaryCheckType || undefined
+            } : {})
           }
         };
       });
       
       // エッジの作成（連続するステップを接続）
-      const convertedEdges = [];
-      for (let i = 0; i < convertedSteps.length - 1; i++) {
-        convertedEdges.push({
-          id: `edge-${i + 1}-${i + 2}`,
-          source: convertedSteps[i].id,
-          target: convertedSteps[i + 1].id
-        });
-      }
-      
-      // ステップとエッジを結合
-      const importedProcessData = {
-        nodes: convertedSteps,
-        edges: convertedEdges
-      };
+      const convertedEdges = EdgeModel.createSequential(convertedSteps);
       
       // 親コンポーネントに通知
-      onImport(convertedSteps);
+      onImport(convertedSteps, convertedEdges);
       
       // 成功メッセージ
       setImportSuccess(true);
@@ -312,13 +334,18 @@ const CSVImportExport = ({ processSteps, onImport }) => {
           default: typeText = step.type;
         }
         
+        // 複合記号は「加工を主とした数量検査」のように出力
+        if (StepModel.isComposite(step)) {
+          typeText = StepModel.getCompositeName(step);
+        }
+        
         return [
           step.data.label,
           typeText,
           step.data.time,
           step.data.timeUnit,
           step.data.frequency,
-          step.data.frequencyUnit,
+          StepModel.formatFrequencyUnit(step, volumeDrivers),
           step.data.responsible,
           step.data.tools
         ].map(value => {
@@ -366,7 +393,7 @@ const CSVImportExport = ({ processSteps, onImport }) => {
           
           <Box sx={{ mb: 2 }}>
             <input
-              accept=".csv"
+              accept=".csv,.xlsx,.xls"
               id="csv-file-input"
               type="file"
               style={{ display: 'none' }}
@@ -379,7 +406,7 @@ const CSVImportExport = ({ processSteps, onImport }) => {
                 startIcon={<UploadIcon />}
                 fullWidth
               >
-                CSVファイルを選択
+                CSV・Excelファイルを選択
               </Button>
             </label>
           </Box>
@@ -536,6 +563,10 @@ const CSVImportExport = ({ processSteps, onImport }) => {
                       }
                     </Select>
                   </FormControl>
+                  <Typography variant="caption" color="text.secondary">
+                    {frequencyUnitOptions.map(option => option.value).join('・')}
+                    のほか、「月初3営業日」「受注ごと」（ボリュームドライバー名＋ごと）も読み込めます
+                  </Typography>
                 </Grid>
                 
                 <Grid item xs={12} sm={6}>
@@ -0,0 +1,414 @@
+// src/components/CalendarSettings.jsx
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Radio,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import CalendarModel from '../models/CalendarModel';
+import holidayUtils from '../utils/holidayUtils';
+
+// 曜日の並び（月曜始まり）
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+// 勤務割合の選択肢
+const PART_TIME_RATIOS = [1, 0.9, 0.8, 0.75, 0.7, 0.6, 0.5, 0.4, 0.3, 0.25, 0.2, 0.1];
+
+const formatNumber = (value) => (Math.round(value * 10) / 10).toLocaleString();
+
+// 営業カレンダー（年度・祝日・休業日・勤務シフト・担当者ごとの勤務）の設定
+const CalendarSettings = ({ calendar, responsibles = [], onChange }) => {
+  const [newClosedDate, setNewClosedDate] = useState('');
+
+  const update = (changes) => {
+    onChange(CalendarModel.create({ ...calendar, ...changes }));
+  };
+
+  const updateShift = (shiftId, changes) => {
+    update({ shifts: calendar.shifts.map(shift => (shift.id === shiftId ? { ...shift, ...changes } : shift)) });
+  };
+
+  const updateRole = (index, changes) => {
+    update({ roles: calendar.roles.map((role, i) => (i === index ? { ...role, ...changes } : role)) });
+  };
+
+  const toggleWeeklyClosedDay = (day) => {
+    const weeklyClosedDays = calendar.weeklyClosedDays.includes(day)
+      ? calendar.weeklyClosedDays.filter(value => value !== day)
+      : [...calendar.weeklyClosedDays, day].sort();
+    update({ weeklyClosedDays });
+  };
+
+  const handleAddClosedDate = () => {
+    if (!newClosedDate || calendar.closedDates.includes(newClosedDate)) return;
+    update({ closedDates: [...calendar.closedDates, newClosedDate].sort() });
+    setNewClosedDate('');
+  };
+
+  const handleAddRole = () => {
+    const configured = calendar.roles.map(role => role.responsible.trim());
+    const responsible = responsibles.find(name => !configured.includes(name)) || '';
+    update({ roles: [...calendar.roles, { responsible }] });
+  };
+
+  // 年度内の祝日（営業日数の確認用）
+  const holidaysInYear = useMemo(() => {
+    const { start, end } = CalendarModel.getFiscalYearRange(calendar);
+    const startKey = holidayUtils.toKey(start);
+    const endKey = holidayUtils.toKey(end);
+    return [calendar.fiscalYear, calendar.fiscalYear + 1]
+      .flatMap(year => Object.entries(holidayUtils.getJapaneseHolidays(year)))
+      .filter(([key]) => key >= startKey && key < endKey)
+      .sort(([a], [b]) => a.localeCompare(b));
+  }, [calendar]);
+
+  // 既定と担当者ごとの換算値
+  const summaries = useMemo(() => {
+    const names = ['', ...calendar.roles.map(role => role.responsible.trim()).filter(Boolean)];
+    return [...new Set(names)].map(name => ({
+      name,
+      options: CalendarModel.getCalculationOptions(calendar, name),
+      availableHours: CalendarModel.getAvailableHoursPerYear(calendar, name)
+    }));
+  }, [calendar]);
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h5" gutterBottom>
+        営業カレンダー
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        頻度（日・週・月）の年間回数への換算と1日の労働時間は、このカレンダーから求めます。
+      </Typography>
+
+      <Grid container spacing={3}>
+        {/* 年度と休日 */}
+        <Grid item xs={12} md={6}>
+          <Typography variant="h6" gutterBottom>
+            年度と休日
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              label="年度"
+              type="number"
+              size="small"
+              value={calendar.fiscalYear}
+              onChange={(e) => update({ fiscalYear: parseInt(e.target.value, 10) || calendar.fiscalYear })}
+              InputProps={{ inputProps: { min: 1980, max: 2099 } }}
+            />
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>期首月</InputLabel>
+              <Select
+                value={calendar.fiscalYearStartMonth}
+                label="期首月"
+                onChange={(e) => update({ fiscalYearStartMonth: e.target.value })}
+              >
+                {Array.from({ length: 12 }, (_, index) => (
+                  <MenuItem key={index + 1} value={index + 1}>{index + 1}月</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          <Typography variant="subtitle2">定休日</Typography>
+          <FormGroup row sx={{ mb: 1 }}>
+            {WEEKDAYS.map(day => (
+              <FormControlLabel
+                key={day}
+                control={
+                  <Checkbox
+                    checked={calendar.weeklyClosedDays.includes(day)}
+                    onChange={() => toggleWeeklyClosedDay(day)}
+                    size="small"
+                  />
+                }
+                label={CalendarModel.getWeekdayName(day)}
+              />
+            ))}
+          </FormGroup>
+
+          <FormControlLabel
+            control={
+              <Switch
+                checked={calendar.observeNationalHolidays}
+                onChange={(e) => update({ observeNationalHolidays: e.target.checked })}
+              />
+            }
+            label={`国民の祝日を休日にする（年度内 ${holidaysInYear.length}日）`}
+          />
+
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>会社独自の休業日</Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, my: 1 }}>
+            <TextField
+              type="date"
+              size="small"
+              value={newClosedDate}
+              onChange={(e) => setNewClosedDate(e.target.value)}
+            />
+            <Button startIcon={<AddIcon />} onClick={handleAddClosedDate} disabled={!newClosedDate}>
+              追加
+            </Button>
+          </Box>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {calendar.closedDates.map(date => (
+              <Chip
+                key={date}
+                label={date}
+                size="small"
+                onDelete={() => update({ closedDates: calendar.closedDates.filter(value => value !== date) })}
+              />
+            ))}
+          </Box>
+        </Grid>
+
+        {/* 換算結果 */}
+        <Grid item xs={12} md={6}>
+          <Typography variant="h6" gutterBottom>
+            換算結果
+          </Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>担当者</TableCell>
+                  <TableCell align="right">営業日数</TableCell>
+                  <TableCell align="right">週数</TableCell>
+                  <TableCell align="right">月数</TableCell>
+                  <TableCell align="right">実働時間/日</TableCell>
+                  <TableCell align="right">年間勤務時間</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {summaries.map(({ name, options, availableHours }) => (
+                  <TableRow key={name || 'default'}>
+                    <TableCell>{name || '既定'}</TableCell>
+                    <TableCell align="right">{options.businessDaysPerYear}</TableCell>
+                    <TableCell align="right">{options.businessWeeksPerYear}</TableCell>
+                    <TableCell align="right">{options.businessMonthsPerYear}</TableCell>
+                    <TableCell align="right">{formatNumber(options.hoursPerDay)}</TableCell>
+                    <TableCell align="right">{formatNumber(availableHours)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Grid>
+
+        {/* 勤務シフト */}
+        <Grid item xs={12} md={6}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="h6">勤務シフト</Typography>
+            <Button
+              startIcon={<AddIcon />}
+              onClick={() => update({ shifts: [...calendar.shifts, CalendarModel.createShift()] })}
+            >
+              追加
+            </Button>
+          </Box>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>既定</TableCell>
+                  <TableCell>名前</TableCell>
+                  <TableCell>開始</TableCell>
+                  <TableCell>終了</TableCell>
+                  <TableCell>休憩（分）</TableCell>
+                  <TableCell align="right">実働</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {calendar.shifts.map(shift => (
+                  <TableRow key={shift.id}>
+                    <TableCell padding="checkbox">
+                      <Radio
+                        size="small"
+                        checked={calendar.defaultShiftId === shift.id}
+                        onChange={() => update({ defaultShiftId: shift.id })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        variant="standard"
+                        value={shift.name}
+                        onChange={(e) => updateShift(shift.id, { name: e.target.value })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        type="time"
+                        size="small"
+                        variant="standard"
+                        value={shift.start}
+                        onChange={(e) => updateShift(shift.id, { start: e.target.value })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        type="time"
+                        size="small"
+                        variant="standard"
+                        value={shift.end}
+                        onChange={(e) => updateShift(shift.id, { end: e.target.value })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        type="number"
+                        size="small"
+                        variant="standard"
+                        value={shift.breakMinutes}
+                        onChange={(e) => updateShift(shift.id, { breakMinutes: parseInt(e.target.value, 10) || 0 })}
+                        InputProps={{ inputProps: { min: 0 } }}
+                      />
+                    </TableCell>
+                    <TableCell align="right">{formatNumber(CalendarModel.getShiftHours(shift))}時間</TableCell>
+                    <TableCell padding="checkbox">
+                      <IconButton
+                        size="small"
+                        disabled={calendar.shifts.length <= 1}
+                        onClick={() => update({
+                          shifts: calendar.shifts.filter(value => value.id !== shift.id),
+                          roles: calendar.roles.map(role => (role.shiftId === shift.id ? { ...role, shiftId: null } : role))
+                        })}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Grid>
+
+        {/* 担当者ごとの勤務 */}
+        <Grid item xs={12} md={6}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="h6">担当者ごとの勤務</Typography>
+            <Button startIcon={<AddIcon />} onClick={handleAddRole}>
+              追加
+            </Button>
+          </Box>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+            設定のない担当者は既定のシフト・定休日で計算します。
+          </Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>担当者</TableCell>
+                  <TableCell>シフト</TableCell>
+                  <TableCell>勤務割合</TableCell>
+                  <TableCell>休日</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {calendar.roles.map((role, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        variant="standard"
+                        value={role.responsible}
+                        onChange={(e) => updateRole(index, { responsible: e.target.value })}
+                        inputProps={{ list: 'calendar-responsibles' }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        variant="standard"
+                        value={role.shiftId || ''}
+                        displayEmpty
+                        onChange={(e) => updateRole(index, { shiftId: e.target.value || null })}
+                      >
+                        <MenuItem value="">既定</MenuItem>
+                        {calendar.shifts.map(shift => (
+                          <MenuItem key={shift.id} value={shift.id}>{shift.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        variant="standard"
+                        value={role.partTimeRatio}
+                        onChange={(e) => updateRole(index, { partTimeRatio: e.target.value })}
+                      >
+                        {PART_TIME_RATIOS.map(ratio => (
+                          <MenuItem key={ratio} value={ratio}>{Math.round(ratio * 100)}%</MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        variant="standard"
+                        multiple
+                        displayEmpty
+                        value={role.weeklyClosedDays || []}
+                        onChange={(e) => updateRole(index, {
+                          weeklyClosedDays: e.target.value.length > 0 ? e.target.value : null
+                        })}
+                        renderValue={(selected) => (selected.length > 0
+                          ? WEEKDAYS.filter(day => selected.includes(day)).map(day => CalendarModel.getWeekdayName(day)).join('・')
+                          : '会社と同じ')}
+                      >
+                        {WEEKDAYS.map(day => (
+                          <MenuItem key={day} value={day}>{CalendarModel.getWeekdayName(day)}</MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell padding="checkbox">
+                      <IconButton
+                        size="small"
+                        onClick={() => update({ roles: calendar.roles.filter((_, i) => i !== index) })}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <datalist id="calendar-responsibles">
+            {responsibles.map(name => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default CalendarSettings;
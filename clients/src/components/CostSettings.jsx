@@ -0,0 +1,167 @@
+// src/components/CostSettings.jsx
+import React from 'react';
+import {
+  Box,
+  Button,
+  Grid,
+  IconButton,
+  InputAdornment,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import CostModel from '../models/CostModel';
+import formatUtils from '../utils/formatUtils';
+
+// 人件費（時間単価・間接費係数）の設定
+const CostSettings = ({ costSettings, responsibles = [], onChange }) => {
+  const update = (changes) => {
+    onChange(CostModel.create({ ...costSettings, ...changes }));
+  };
+
+  const updateRole = (index, changes) => {
+    update({ roles: costSettings.roles.map((role, i) => (i === index ? { ...role, ...changes } : role)) });
+  };
+
+  const handleAddRole = () => {
+    const configured = costSettings.roles.map(role => role.responsible.trim());
+    const responsible = responsibles.find(name => !configured.includes(name)) || '';
+    update({ roles: [...costSettings.roles, { responsible }] });
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h5" gutterBottom>
+        人件費
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        年間工数に「時間単価 × 間接費係数」を掛けて年間コストを求めます。
+        間接費係数は社会保険料・福利厚生費・設備費などを含めた倍率です（1.0で給与のみ）。
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Typography variant="h6" gutterBottom>既定</Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="時間単価"
+              type="number"
+              size="small"
+              value={costSettings.hourlyRate}
+              onChange={(e) => update({ hourlyRate: e.target.value })}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">円</InputAdornment>,
+                inputProps: { min: 0, step: 100 }
+              }}
+            />
+            <TextField
+              label="間接費係数"
+              type="number"
+              size="small"
+              value={costSettings.overheadFactor}
+              onChange={(e) => update({ overheadFactor: e.target.value })}
+              InputProps={{ inputProps: { min: 1, step: 0.1 } }}
+              sx={{ width: 120 }}
+            />
+          </Box>
+          <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+            間接費込みの時間単価: {formatUtils.formatCurrency(CostModel.getLoadedRate(costSettings))}
+          </Typography>
+        </Grid>
+
+        {/* 担当者（役割）ごとの単価 */}
+        <Grid item xs={12} md={8}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="h6">担当者ごとの単価</Typography>
+            <Button startIcon={<AddIcon />} onClick={handleAddRole}>
+              追加
+            </Button>
+          </Box>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+            空欄の項目と設定のない担当者は既定の時間単価・間接費係数で計算します。
+          </Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>担当者（役割）</TableCell>
+                  <TableCell>時間単価（円）</TableCell>
+                  <TableCell>間接費係数</TableCell>
+                  <TableCell align="right">間接費込み</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {costSettings.roles.map((role, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        variant="standard"
+                        value={role.responsible}
+                        onChange={(e) => updateRole(index, { responsible: e.target.value })}
+                        inputProps={{ list: 'cost-responsibles' }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        type="number"
+                        size="small"
+                        variant="standard"
+                        value={role.hourlyRate ?? ''}
+                        placeholder={String(costSettings.hourlyRate)}
+                        onChange={(e) => updateRole(index, { hourlyRate: e.target.value })}
+                        InputProps={{ inputProps: { min: 0, step: 100 } }}
+                        sx={{ width: 100 }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        type="number"
+                        size="small"
+                        variant="standard"
+                        value={role.overheadFactor ?? ''}
+                        placeholder={String(costSettings.overheadFactor)}
+                        onChange={(e) => updateRole(index, { overheadFactor: e.target.value })}
+                        InputProps={{ inputProps: { min: 1, step: 0.1 } }}
+                        sx={{ width: 80 }}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatUtils.formatCurrency(CostModel.getLoadedRate(costSettings, role.responsible))}
+                    </TableCell>
+                    <TableCell padding="checkbox">
+                      <IconButton
+                        size="small"
+                        onClick={() => update({ roles: costSettings.roles.filter((_, i) => i !== index) })}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <datalist id="cost-responsibles">
+            {responsibles.map(name => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default CostSettings;
@@ -1,5 +1,5 @@
 // src/components/Dashboard.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Card,
   CardContent,
@@ -14,6 +14,10 @@ import {
   TableHead,
   TableRow,
   Paper,
+  Alert,
+  Box,
+  Button,
+  TextField,
 } from '@mui/material';
 import { Bar, Pie } from 'react-chartjs-2';
 import {
@@ -26,6 +30,17 @@ import {
   Legend,
   ArcElement,
 } from 'chart.js';
+import { SimulationService } from '../services/simulation';
+import { TimeCalculationService } from '../services/timeCalculation';
+import { CostService } from '../services/cost';
+import StepModel from '../models/StepModel';
+import formatUtils from '../utils/formatUtils';
+import QueueSimulationPanel from './QueueSimulationPanel';
+import DriverWhatIfPanel from './DriverWhatIfPanel';
+import WorkloadCapacityPanel from './WorkloadCapacityPanel';
+import ValueStreamPanel from './ValueStreamPanel';
+import ParetoPanel from './ParetoPanel';
+import SankeyPanel from './SankeyPanel';
 
 // Chart.jsの登録
 ChartJS.register(
@@ -38,12 +53,74 @@ ChartJS.register(
   ArcElement
 );
 
+// ボリュームドライバーを指定しない場合の既定値（再計算を避けるため同じ配列を使う）
+const NO_DRIVERS = [];
+
 // ダッシュボードコンポーネント
-const Dashboard = ({ workloadData }) => {
+const Dashboard = ({ workloadData, processSteps = [], processEdges = [], improvements, interactionRule, calendar = null, volumeDrivers = NO_DRIVERS, costSettings = null, customerDemand = null, onCustomerDemandChange, abcShares = null, onAbcSharesChange, onExportSankeySvg }) => {
   const [topTimeConsumingSteps, setTopTimeConsumingSteps] = useState([]);
   const [categoryData, setCategoryData] = useState({ labels: [], datasets: [] });
   const [stepBarData, setStepBarData] = useState({ labels: [], datasets: [] });
   
+  // 人件費（担当者ごとの時間単価 × 間接費係数）
+  const cost = useMemo(() => CostService.calculate(workloadData, costSettings), [workloadData, costSettings]);
+  const stepCostById = useMemo(
+    () => Object.fromEntries(cost.steps.map(step => [step.id, step.annualCost])),
+    [cost]
+  );
+  
+  // モンテカルロシミュレーション
+  const [simulationSettings, setSimulationSettings] = useState({ iterations: 1000, seed: 1 });
+  const [simulationResult, setSimulationResult] = useState(null);
+  const [simulationRunning, setSimulationRunning] = useState(false);
+  
+  // プロセスが変わったら前回のシミュレーション結果は破棄する
+  useEffect(() => {
+    setSimulationResult(null);
+  }, [processSteps, processEdges, calendar, volumeDrivers]);
+  
+  const handleRunSimulation = () => {
+    const iterations = Math.min(
+      SimulationService.MAX_ITERATIONS,
+      Math.max(1, parseInt(simulationSettings.iterations, 10) || 1000)
+    );
+    setSimulationSettings({ ...simulationSettings, iterations });
+    setSimulationRunning(true);
+    
+    // 計算中の表示を先に描画させる
+    setTimeout(() => {
+      try {
+        setSimulationResult(SimulationService.run(processSteps, processEdges, {
+          iterations,
+          seed: parseInt(simulationSettings.seed, 10) || 1,
+          calendar,
+          volumeDrivers
+        }));
+      } catch (error) {
+        console.error('シミュレーションエラー:', error);
+      } finally {
+        setSimulationRunning(false);
+      }
+    }, 0);
+  };
+  
+  // ヒストグラムの棒グラフデータ
+  const getHistogramData = (histogram, formatValue, color) => ({
+    labels: histogram.map(bin => formatValue((bin.from + bin.to) / 2)),
+    datasets: [
+      {
+        label: '回数',
+        data: histogram.map(bin => bin.count),
+        backgroundColor: color,
+        barPercentage: 1,
+        categoryPercentage: 1
+      }
+    ]
+  });
+  
+  const formatHours = (hours) => (Math.round(hours * 10) / 10).toLocaleString();
+  const formatLeadTime = (minutes) => TimeCalculationService.formatMinutes(Math.round(minutes));
+  
   useEffect(() => {
     if (workloadData && workloadData.stepDetails) {
       // 所要時間順にステップをソート
@@ -144,6 +221,15 @@ const Dashboard = ({ workloadData }) => {
         業務時間分析ダッシュボード
       </Typography>
       
+      {/* フロー（分岐確率・差戻し率）の警告 */}
+      {workloadData.flowWarnings && workloadData.flowWarnings.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {workloadData.flowWarnings.map((warning, index) => (
+            <div key={index}>{warning.message}</div>
+          ))}
+        </Alert>
+      )}
+      
       <Grid container spacing={3}>
         {/* サマリーカード */}
         <Grid item xs={12} md={4}>
@@ -158,6 +244,9 @@ const Dashboard = ({ workloadData }) => {
               <Typography variant="subtitle1" color="textSecondary">
                 {workloadData.totalHours.toLocaleString()} 時間
               </Typography>
+              <Typography variant="subtitle1" color="textSecondary">
+                年間人件費 {formatUtils.formatCurrency(cost.totalCost)}
+              </Typography>
               <Divider style={{ margin: '10px 0' }} />
               <Typography variant="subtitle2">
                 総ステップ数: {workloadData.stepDetails.length}
@@ -192,6 +281,7 @@ const Dashboard = ({ workloadData }) => {
                         <TableRow>
                           <TableCell>カテゴリ</TableCell>
                           <TableCell align="right">時間</TableCell>
+                          <TableCell align="right">金額</TableCell>
                           <TableCell align="right">割合</TableCell>
                         </TableRow>
                       </TableHead>
@@ -202,6 +292,61 @@ const Dashboard = ({ workloadData }) => {
                               {getCategoryIcon(category)} {getCategoryLabel(category)}
                             </TableCell>
                             <TableCell align="right">{hours.toLocaleString()}</TableCell>
+                            <TableCell align="right">{formatUtils.formatCurrency(cost.categoryCost[category] || 0)}</TableCell>
+                            <TableCell align="right">
+                              {Math.round((hours / workloadData.totalHours) * 100)}%
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                        {/* 複合記号は主となるカテゴリに含めたうえで内訳を表示 */}
+                        {Object.entries(workloadData.compositeSummary || {}).map(([name, hours]) => (
+                          <TableRow key={name}>
+                            <TableCell sx={{ pl: 4, color: 'text.secondary' }}>
+                              うち {name}
+                            </TableCell>
+                            <TableCell align="right" sx={{ color: 'text.secondary' }}>
+                              {hours.toLocaleString()}
+                            </TableCell>
+                            <TableCell />
+                            <TableCell align="right" sx={{ color: 'text.secondary' }}>
+                              {Math.round((hours / workloadData.totalHours) * 100)}%
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </Grid>
+              </Grid>
+            </CardContent>
+          </Card>
+        </Grid>
+        
+        {/* 価値区分別・担当者別工数 */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                価値区分別・担当者別工数
+              </Typography>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={6}>
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>価値区分</TableCell>
+                          <TableCell align="right">時間</TableCell>
+                          <TableCell align="right">金額</TableCell>
+                          <TableCell align="right">割合</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {Object.entries(workloadData.valueCategorySummary || {}).map(([valueType, hours]) => (
+                          <TableRow key={valueType}>
+                            <TableCell>{StepModel.getValueTypeName(valueType)}</TableCell>
+                            <TableCell align="right">{hours.toLocaleString()}</TableCell>
+                            <TableCell align="right">{formatUtils.formatCurrency(cost.valueCategoryCost[valueType] || 0)}</TableCell>
                             <TableCell align="right">
                               {Math.round((hours / workloadData.totalHours) * 100)}%
                             </TableCell>
@@ -211,11 +356,66 @@ const Dashboard = ({ workloadData }) => {
                     </Table>
                   </TableContainer>
                 </Grid>
+                <Grid item xs={12} md={6}>
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>担当者</TableCell>
+                          <TableCell align="right">ステップ数</TableCell>
+                          <TableCell align="right">時間</TableCell>
+                          <TableCell align="right">金額</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {Object.values(workloadData.personSummary || {})
+                          .sort((a, b) => b.annualMinutes - a.annualMinutes)
+                          .map(person => (
+                            <TableRow key={person.responsible}>
+                              <TableCell>{person.responsible || '未割当'}</TableCell>
+                              <TableCell align="right">{person.stepCount}</TableCell>
+                              <TableCell align="right">{person.annualHours.toLocaleString()}</TableCell>
+                              <TableCell align="right">{formatUtils.formatCurrency(cost.personCost[person.responsible] || 0)}</TableCell>
+                            </TableRow>
+                          ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </Grid>
               </Grid>
             </CardContent>
           </Card>
         </Grid>
         
+        {/* 担当者別の負荷（FTE換算・稼働率） */}
+        <Grid item xs={12}>
+          <WorkloadCapacityPanel workloadData={workloadData} calendar={calendar} />
+        </Grid>
+        
+        {/* バリューストリーム指標（タクトタイム・サイクルタイム・工程効率） */}
+        <Grid item xs={12}>
+          <ValueStreamPanel
+            processSteps={processSteps}
+            processEdges={processEdges}
+            calendar={calendar}
+            volumeDrivers={volumeDrivers}
+            customerDemand={customerDemand}
+            onCustomerDemandChange={onCustomerDemandChange}
+          />
+        </Grid>
+        
+        {/* 業務量の変動（ボリュームドライバー）によるWhat-if分析 */}
+        {volumeDrivers.length > 0 && (
+          <Grid item xs={12}>
+            <DriverWhatIfPanel
+              processSteps={processSteps}
+              processEdges={processEdges}
+              calendar={calendar}
+              volumeDrivers={volumeDrivers}
+            />
+          </Grid>
+        )}
+        
         {/* 工数の多いステップ */}
         <Grid item xs={12}>
           <Card>
@@ -266,6 +466,7 @@ const Dashboard = ({ workloadData }) => {
                       <TableCell align="right">1回あたり（分）</TableCell>
                       <TableCell align="right">年間回数</TableCell>
                       <TableCell align="right">年間時間</TableCell>
+                      <TableCell align="right">年間コスト</TableCell>
                       <TableCell>比率</TableCell>
                     </TableRow>
                   </TableHead>
@@ -275,10 +476,14 @@ const Dashboard = ({ workloadData }) => {
                         <TableCell>{step.label}</TableCell>
                         <TableCell>
                           {getCategoryIcon(step.type)} {getCategoryLabel(step.type)}
+                          {step.secondaryType && `（${getCategoryLabel(step.secondaryType)}を含む）`}
                         </TableCell>
                         <TableCell align="right">{step.minutesPerOccurrence}</TableCell>
-                        <TableCell align="right">{step.occurrencesPerYear.toLocaleString()}</TableCell>
+                        <TableCell align="right">
+                          {(Math.round(step.occurrencesPerYear * 10) / 10).toLocaleString()}
+                        </TableCell>
                         <TableCell align="right">{step.annualHours.toLocaleString()}</TableCell>
+                        <TableCell align="right">{formatUtils.formatCurrency(stepCostById[step.id] || 0)}</TableCell>
                         <TableCell>
                           <LinearProgress 
                             variant="determinate" 
@@ -295,6 +500,147 @@ const Dashboard = ({ workloadData }) => {
             </CardContent>
           </Card>
         </Grid>
+        
+        {/* パレート図・ABC分析 */}
+        <Grid item xs={12}>
+          <ParetoPanel
+            workloadData={workloadData}
+            abcShares={abcShares}
+            onAbcSharesChange={onAbcSharesChange}
+          />
+        </Grid>
+        
+        {/* 年間工数の流れ（サンキー図） */}
+        <Grid item xs={12}>
+          <SankeyPanel
+            workloadData={workloadData}
+            processSteps={processSteps}
+            processEdges={processEdges}
+            onExportSvg={onExportSankeySvg}
+          />
+        </Grid>
+        
+        {/* 所要時間のばらつき（モンテカルロシミュレーション） */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                所要時間のばらつき（モンテカルロシミュレーション）
+              </Typography>
+              {!SimulationService.hasEstimates(processSteps) ? (
+                <Typography color="textSecondary">
+                  最短・最長の所要時間を設定したステップがありません。プロセスチャートのステップ編集で設定してください。
+                </Typography>
+              ) : (
+                <>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                    <TextField
+                      label="試行回数"
+                      type="number"
+                      size="small"
+                      value={simulationSettings.iterations}
+                      onChange={(e) => setSimulationSettings({ ...simulationSettings, iterations: e.target.value })}
+                      helperText={`最大${SimulationService.MAX_ITERATIONS.toLocaleString()}回`}
+                      InputProps={{ inputProps: { min: 100, max: SimulationService.MAX_ITERATIONS, step: 100 } }}
+                    />
+                    <TextField
+                      label="乱数シード"
+                      type="number"
+                      size="small"
+                      value={simulationSettings.seed}
+                      onChange={(e) => setSimulationSettings({ ...simulationSettings, seed: e.target.value })}
+                    />
+                    <Button variant="contained" onClick={handleRunSimulation} disabled={simulationRunning}>
+                      {simulationRunning ? '計算中...' : '実行'}
+                    </Button>
+                  </Box>
+                  {simulationRunning && <LinearProgress sx={{ mb: 2 }} />}
+                  
+                  {simulationResult && (
+                    <Grid container spacing={2}>
+                      <Grid item xs={12}>
+                        <TableContainer component={Paper} variant="outlined">
+                          <Table size="small">
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>指標</TableCell>
+                                <TableCell align="right">平均</TableCell>
+                                {SimulationService.PERCENTILES.map(p => (
+                                  <TableCell key={p} align="right">P{p}</TableCell>
+                                ))}
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              <TableRow>
+                                <TableCell>年間工数（時間）</TableCell>
+                                <TableCell align="right">{formatHours(simulationResult.annualHours.summary.mean)}</TableCell>
+                                {SimulationService.PERCENTILES.map(p => (
+                                  <TableCell key={p} align="right">
+                                    {formatHours(simulationResult.annualHours.summary.percentiles[p])}
+                                  </TableCell>
+                                ))}
+                              </TableRow>
+                              <TableRow>
+                                <TableCell>リードタイム（1件あたり）</TableCell>
+                                <TableCell align="right">{formatLeadTime(simulationResult.leadTimeMinutes.summary.mean)}</TableCell>
+                                {SimulationService.PERCENTILES.map(p => (
+                                  <TableCell key={p} align="right">
+                                    {formatLeadTime(simulationResult.leadTimeMinutes.summary.percentiles[p])}
+                                  </TableCell>
+                                ))}
+                              </TableRow>
+                            </TableBody>
+                          </Table>
+                        </TableContainer>
+                        <Typography variant="caption" color="textSecondary">
+                          {simulationResult.iterations.toLocaleString()}回試行（シード {simulationResult.seed}）。P80 は80%の試行がこの値以下に収まることを表します。
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <Typography variant="subtitle2">年間工数の分布（時間）</Typography>
+                        <div style={{ height: '240px' }}>
+                          <Bar
+                            data={getHistogramData(simulationResult.annualHours.histogram, formatHours, 'rgba(54, 162, 235, 0.6)')}
+                            options={{
+                              responsive: true,
+                              maintainAspectRatio: false,
+                              plugins: { legend: { display: false } }
+                            }}
+                          />
+                        </div>
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <Typography variant="subtitle2">リードタイムの分布</Typography>
+                        <div style={{ height: '240px' }}>
+                          <Bar
+                            data={getHistogramData(simulationResult.leadTimeMinutes.histogram, formatLeadTime, 'rgba(255, 159, 64, 0.6)')}
+                            options={{
+                              responsive: true,
+                              maintainAspectRatio: false,
+                              plugins: { legend: { display: false } }
+                            }}
+                          />
+                        </div>
+                      </Grid>
+                    </Grid>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+        
+        {/* 待ち行列シミュレーション */}
+        <Grid item xs={12}>
+          <QueueSimulationPanel
+            processSteps={processSteps}
+            processEdges={processEdges}
+            improvements={improvements}
+            interactionRule={interactionRule}
+            calendar={calendar}
+            volumeDrivers={volumeDrivers}
+          />
+        </Grid>
       </Grid>
     </div>
   );
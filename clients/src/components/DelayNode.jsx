@@ -1,5 +1,6 @@
 import React from 'react';
 import { Handle, Position } from 'reactflow';
+import SecondarySymbol from './SecondarySymbol';
 
 const DelayNode = ({ data }) => {
   return (
@@ -21,6 +22,7 @@ const DelayNode = ({ data }) => {
         position: 'absolute',
         top: '10px'
       }} />
+      <SecondarySymbol type={data.secondaryType} size={36} color="#8d6e00" zIndex={0} />
       <div style={{
         position: 'absolute',
         width: '100%',
@@ -0,0 +1,116 @@
+// src/components/DriverWhatIfPanel.jsx
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Grid,
+  InputAdornment,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { VolumeDriverService } from '../services/volumeDriver';
+
+const formatNumber = (value) => (Math.round(value * 10) / 10).toLocaleString();
+const formatDiff = (value) => `${value > 0 ? '+' : ''}${formatNumber(value)}`;
+
+// ボリュームドライバーの件数を増減させた場合の年間工数（What-if分析）
+const DriverWhatIfPanel = ({ processSteps = [], processEdges = [], calendar = null, volumeDrivers = [] }) => {
+  // ドライバーIDと増減率（%）
+  const [growthRates, setGrowthRates] = useState({});
+
+  const comparison = useMemo(
+    () => VolumeDriverService.compare(
+      { steps: processSteps, edges: processEdges },
+      { calendar, volumeDrivers },
+      growthRates
+    ),
+    [processSteps, processEdges, calendar, volumeDrivers, growthRates]
+  );
+
+  const { base, scenario } = comparison;
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          業務量の変動による工数の変化（What-if分析）
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          ボリュームドライバーの件数を増減させたときの年間工数を求めます。
+          頻度単位「件」や頻度の式でドライバーを使っているステップが再計算されます（プロジェクトの設定は変更しません）。
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2, mb: 2 }}>
+          {volumeDrivers.map(driver => (
+            <TextField
+              key={driver.id}
+              label={`${driver.name || '（名称未設定）'}（${formatNumber(driver.value)}件/${driver.unit}）`}
+              type="number"
+              size="small"
+              value={growthRates[driver.id] ?? 0}
+              onChange={(e) => setGrowthRates({ ...growthRates, [driver.id]: e.target.value })}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                inputProps: { min: -100, step: 5 }
+              }}
+              sx={{ width: 220 }}
+            />
+          ))}
+          <Button onClick={() => setGrowthRates({})} disabled={Object.keys(growthRates).length === 0}>
+            リセット
+          </Button>
+        </Box>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={4}>
+            <Typography variant="subtitle2">年間工数</Typography>
+            <Typography variant="h5">
+              {formatNumber(base.totalHours)} → {formatNumber(scenario.totalHours)} 時間
+            </Typography>
+            <Typography variant="body2" color={comparison.diffHours > 0 ? 'error' : 'textSecondary'}>
+              {formatDiff(comparison.diffHours)} 時間（{formatDiff(comparison.diffPercent)}%）
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              人日: {formatNumber(base.totalDays)} → {formatNumber(scenario.totalDays)}
+            </Typography>
+          </Grid>
+          <Grid item xs={12} md={8}>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>担当者</TableCell>
+                    <TableCell align="right">現状（時間）</TableCell>
+                    <TableCell align="right">変動後（時間）</TableCell>
+                    <TableCell align="right">差</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {comparison.persons.map(person => (
+                    <TableRow key={person.responsible}>
+                      <TableCell>{person.responsible || '未割当'}</TableCell>
+                      <TableCell align="right">{formatNumber(person.baseHours)}</TableCell>
+                      <TableCell align="right">{formatNumber(person.scenarioHours)}</TableCell>
+                      <TableCell align="right">{formatDiff(person.diffHours)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DriverWhatIfPanel;
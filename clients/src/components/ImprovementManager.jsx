@@ -19,6 +19,8 @@ import {
   Select,
   MenuItem,
   Slider,
+  Switch,
+  FormControlLabel,
   Table,
   TableBody,
   TableCell,
@@ -43,6 +45,12 @@ import {
 } from '@mui/icons-material';
 
 import { ImprovementService } from '../services/improvementService';
+import { WorkloadEngine } from '../services/workloadEngine';
+import { ParetoService } from '../services/pareto';
+import { EcrsService } from '../services/ecrs';
+import ImprovementModel from '../models/ImprovementModel';
+import ToBePreviewPanel from './ToBePreviewPanel';
+import PortfolioOptimizerPanel from './PortfolioOptimizerPanel';
 
 // 難易度のオプション
 const difficultyOptions = [
@@ -58,8 +66,11 @@ const costOptions = [
   { value: 'high', label: '高', color: 'error' }
 ];
 
+// ボリュームドライバーを指定しない場合の既定値（再計算を避けるため同じ配列を使う）
+const NO_DRIVERS = [];
+
 // 改善施策管理コンポーネント
-const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements }) => {
+const ImprovementManager = ({ processSteps, processEdges, currentWorkload, onApplyImprovements, calendar = null, volumeDrivers = NO_DRIVERS, costSettings = null, abcShares = null }) => {
   // ステート
   const [improvementTargets, setImprovementTargets] = useState([]);
   const [suggestedImprovements, setSuggestedImprovements] = useState([]);
@@ -68,20 +79,32 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
   const [dialogOpen, setDialogOpen] = useState(false);
   const [currentImprovement, setCurrentImprovement] = useState(null);
   const [tabValue, setTabValue] = useState(0);
+  const [interactionRule, setInteractionRule] = useState('multiplicative'); // 同じステップへの施策の効果の合成方法
   
   // 分析設定
   const [analysisSettings, setAnalysisSettings] = useState({
     timeThreshold: 30,
     waitThreshold: 60,
-    frequencyThreshold: 50
+    frequencyThreshold: 50,
+    onlyClassA: false // パレート分析でAに区分されたステップのみを対象にする
   });
   
+  // 年間工数（WorkloadEngine の結果はダッシュボードと共有される）
+  const workload = WorkloadEngine.calculate({ steps: processSteps || [], edges: processEdges }, { calendar, volumeDrivers });
+  const workloadByStepId = ImprovementService.indexStepDetails(workload);
+  const abcClassByStepId = Object.fromEntries(
+    ParetoService.analyze(workload, abcShares || {}).items.map(item => [item.id, item.abcClass])
+  );
+  
+  // 効果予測の条件（ECRSの施策はプロセスの構造に反映した改善前後の差から求める）
+  const predictionOptions = { calendar, volumeDrivers, workload, steps: processSteps || [], edges: processEdges || [] };
+  
   // 初期化 - プロセスステップが変更されたら分析を実行
   useEffect(() => {
     if (processSteps && processSteps.length > 0) {
       analyzeProcess();
     }
-  }, [processSteps, analysisSettings]);
+  }, [processSteps, processEdges, analysisSettings, calendar, volumeDrivers, abcShares]);
   
   // 改善施策データベースの読み込み
   useEffect(() => {
@@ -98,9 +121,17 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
   // プロセスの分析を実行
   const analyzeProcess = () => {
     // 改善対象ステップの特定
+    const { onlyClassA, ...thresholds } = analysisSettings;
     const targets = ImprovementService.analyzeProcessForImprovements(
       processSteps,
-      analysisSettings
+      {
+        ...thresholds,
+        calendar,
+        volumeDrivers,
+        workload,
+        abcClasses: onlyClassA ? ['A'] : null,
+        abcShares: abcShares || {}
+      }
     );
     setImprovementTargets(targets);
     
@@ -162,6 +193,9 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
       targetStepType: '',
       keywords: [],
       timeReductionPercent: 30,
+      ecrs: 'simplify',
+      relatedStepId: null,
+      rearrangeMode: 'parallel',
       implementationDifficulty: 'medium',
       estimatedCost: 'medium'
     });
@@ -175,6 +209,11 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
       alert('タイトルと説明は必須です');
       return;
     }
+    const { errors } = ImprovementModel.validate({ ...currentImprovement, timeReductionPercent: currentImprovement.timeReductionPercent || 0 });
+    if (errors.ecrs || errors.relatedStepId) {
+      alert(errors.ecrs || errors.relatedStepId);
+      return;
+    }
     
     // キーワードを配列に変換
     let keywords = currentImprovement.keywords;
@@ -222,7 +261,7 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
     });
     
     // 親コンポーネントに選択した改善施策を渡す
-    onApplyImprovements(improvementsWithSteps);
+    onApplyImprovements(improvementsWithSteps, { interactionRule });
   };
   
   // タブの切り替え
@@ -230,6 +269,18 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
     setTabValue(newValue);
   };
   
+  // 選択した施策をまとめて反映した効果（排除したステップへの施策を二重に数えず、施策ごとの削減時間も求める）
+  const selectedEffect = tabValue === 2 && selectedImprovements.length > 0
+    ? EcrsService.calculateEffect(processSteps, processEdges, selectedImprovements, { calendar, volumeDrivers }, { interactionRule })
+    : null;
+  const getSelectionKey = (improvementId, stepId) => `${improvementId}:${stepId}`;
+  const attributedByKey = new Map(
+    (selectedEffect?.attribution || []).map(item => [getSelectionKey(item.improvementId, item.stepId), item])
+  );
+  const conflictingKeys = new Set(
+    (selectedEffect?.conflicts || []).flatMap(conflict => conflict.improvementIds.map(id => getSelectionKey(id, conflict.stepId)))
+  );
+  
   // 難易度やコストのラベルと色を取得
   const getLabelAndColor = (value, options) => {
     const option = options.find(opt => opt.value === value) || options[1]; // デフォルトは'medium'
@@ -248,6 +299,7 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
           <Tab label="提案された改善施策" />
           <Tab label="選択済み改善施策" />
           <Tab label="改善施策データベース" />
+          <Tab label="組み合わせの最適化" />
         </Tabs>
       </Box>
       
@@ -306,6 +358,23 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                       valueLabelDisplay="auto"
                     />
                   </Box>
+                  <Box sx={{ mb: 2 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={analysisSettings.onlyClassA}
+                          onChange={(e) => setAnalysisSettings({
+                            ...analysisSettings,
+                            onlyClassA: e.target.checked
+                          })}
+                        />
+                      }
+                      label="Aランクのステップのみ対象にする"
+                    />
+                    <Typography variant="caption" color="textSecondary" display="block">
+                      ダッシュボードのパレート図で年間工数の上位（累積{ParetoService.resolveShares(abcShares || {}).a}%まで）に区分されたステップに絞り込みます
+                    </Typography>
+                  </Box>
                   <Button 
                     variant="contained" 
                     color="primary" 
@@ -346,22 +415,16 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                             <TableCell align="right">所要時間</TableCell>
                             <TableCell align="right">頻度</TableCell>
                             <TableCell align="right">年間工数(時間)</TableCell>
+                            <TableCell>ABC</TableCell>
                             <TableCell>対応</TableCell>
                           </TableRow>
                         </TableHead>
                         <TableBody>
                           {improvementTargets.map((step) => {
-                            // 年間工数を計算
-                            let annualFrequency = 0;
-                            switch (step.data.frequencyUnit) {
-                              case '日': annualFrequency = step.data.frequency * 250; break;
-                              case '週': annualFrequency = step.data.frequency * 52; break;
-                              case '月': annualFrequency = step.data.frequency * 12; break;
-                              case '年': annualFrequency = step.data.frequency; break;
-                              default: annualFrequency = 0;
-                            }
-                            
-                            const annualHours = (step.data.time * annualFrequency) / 60;
+                            // 年間工数（ダッシュボードと同じ計算結果）
+                            const detail = workloadByStepId[step.id] || WorkloadEngine.calculateStep(step, { calendar, volumeDrivers });
+                            const annualFrequency = detail.occurrencesPerYear;
+                            const annualHours = detail.annualHours;
                             
                             // ステップタイプの日本語表記
                             const typeLabels = {
@@ -380,12 +443,13 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                                 <TableCell align="right">
                                   {step.data.frequency}回/{step.data.frequencyUnit}
                                   <Typography variant="caption" display="block">
-                                    (年間 {annualFrequency.toLocaleString()}回)
+                                    (年間 {annualFrequency.toLocaleString(undefined, { maximumFractionDigits: 1 })}回)
                                   </Typography>
                                 </TableCell>
                                 <TableCell align="right">
                                   {annualHours.toLocaleString(undefined, { maximumFractionDigits: 1 })}
                                 </TableCell>
+                                <TableCell>{abcClassByStepId[step.id] || '—'}</TableCell>
                                 <TableCell>
                                   <Button 
                                     variant="outlined" 
@@ -425,12 +489,13 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
               
               // 改善効果の計算
               const effect = targetStep 
-                ? ImprovementService.predictImprovementEffect(targetStep, improvement)
+                ? ImprovementService.predictImprovementEffect(targetStep, improvement, predictionOptions)
                 : { annualHours: 0 };
               
               // 難易度とコストのラベルと色
               const difficulty = getLabelAndColor(improvement.implementationDifficulty, difficultyOptions);
               const cost = getLabelAndColor(improvement.estimatedCost, costOptions);
+              const ecrsInfo = ImprovementModel.getEcrsInfo(ImprovementModel.getEcrs(improvement));
               
               // 既に選択されているかチェック
               const isSelected = selectedImprovements.some(
@@ -460,6 +525,13 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                         color="secondary"
                         sx={{ mb: 1 }}
                       />
+                      <Chip 
+                        label={ecrsInfo.label}
+                        size="small"
+                        color={ecrsInfo.color}
+                        variant="outlined"
+                        sx={{ mb: 1, ml: 1 }}
+                      />
                       
                       <Typography variant="body2" sx={{ mb: 2 }}>
                         {improvement.description}
@@ -470,7 +542,7 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                           期待される効果:
                         </Typography>
                         <Typography>
-                          削減率: {improvement.timeReductionPercent}%
+                          削減率: {ImprovementModel.getReductionPercent(improvement)}%
                         </Typography>
                         <Typography>
                           年間削減時間: {effect.annualHours.toLocaleString(undefined, { maximumFractionDigits: 1 })}時間
@@ -586,20 +658,7 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                         予想削減時間（年間）
                       </Typography>
                       <Typography variant="h3" color="primary">
-                        {(() => {
-                          // 削減時間の計算
-                          let totalHoursSaved = 0;
-                          
-                          selectedImprovements.forEach(improvement => {
-                            const targetStep = processSteps.find(step => step.id === improvement.targetStepId);
-                            if (targetStep) {
-                              const effect = ImprovementService.predictImprovementEffect(targetStep, improvement);
-                              totalHoursSaved += effect.annualHours;
-                            }
-                          });
-                          
-                          return totalHoursSaved.toLocaleString(undefined, { maximumFractionDigits: 1 });
-                        })()}
+                        {selectedEffect.savings.hours.toLocaleString(undefined, { maximumFractionDigits: 1 })}
                       </Typography>
                       <Typography variant="body2" color="textSecondary">
                         時間
@@ -609,14 +668,46 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                 </Grid>
               </Grid>
               
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                <FormControl size="small" sx={{ minWidth: 200 }}>
+                  <InputLabel>同じステップへの施策の合成</InputLabel>
+                  <Select
+                    value={interactionRule}
+                    label="同じステップへの施策の合成"
+                    onChange={(e) => setInteractionRule(e.target.value)}
+                  >
+                    {ImprovementModel.getInteractionRules().map(rule => (
+                      <MenuItem key={rule} value={rule}>{ImprovementModel.getInteractionRuleInfo(rule).text}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Typography variant="body2" color="textSecondary">
+                  {ImprovementModel.getInteractionRuleInfo(interactionRule).description}。
+                  配分された削減時間は、まとめて反映した効果を施策ごとに振り分けたものです。
+                </Typography>
+              </Box>
+              
+              {selectedEffect.conflicts.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  同時に実施できない施策があります。
+                  {selectedEffect.conflicts.map(conflict => (
+                    <Typography key={`${conflict.stepId}-${conflict.improvementIds.join('-')}`} variant="body2">
+                      ・{conflict.message}
+                    </Typography>
+                  ))}
+                </Alert>
+              )}
+              
               <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
                 <Table>
                   <TableHead>
                     <TableRow>
                       <TableCell>改善施策</TableCell>
+                      <TableCell>ECRS</TableCell>
                       <TableCell>対象ステップ</TableCell>
                       <TableCell align="right">削減率</TableCell>
-                      <TableCell align="right">年間削減時間</TableCell>
+                      <TableCell align="right">単独の削減時間</TableCell>
+                      <TableCell align="right">配分された削減時間</TableCell>
                       <TableCell>難易度</TableCell>
                       <TableCell>操作</TableCell>
                     </TableRow>
@@ -625,19 +716,32 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                     {selectedImprovements.map((improvement, index) => {
                       const targetStep = processSteps.find(step => step.id === improvement.targetStepId);
                       const effect = targetStep 
-                        ? ImprovementService.predictImprovementEffect(targetStep, improvement)
+                        ? ImprovementService.predictImprovementEffect(targetStep, improvement, predictionOptions)
                         : { annualHours: 0 };
                         
                       const difficulty = getLabelAndColor(improvement.implementationDifficulty, difficultyOptions);
+                      const key = getSelectionKey(improvement.id, improvement.targetStepId);
+                      const attributed = attributedByKey.get(key);
                         
                       return (
                         <TableRow key={`selected-${improvement.id}-${index}`}>
-                          <TableCell>{improvement.title}</TableCell>
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                              {conflictingKeys.has(key) && <WarningIcon color="warning" fontSize="small" />}
+                              {improvement.title}
+                            </Box>
+                          </TableCell>
+                          <TableCell>{ImprovementModel.getEcrsInfo(ImprovementModel.getEcrs(improvement)).text}</TableCell>
                           <TableCell>{improvement.targetStepLabel}</TableCell>
-                          <TableCell align="right">{improvement.timeReductionPercent}%</TableCell>
+                          <TableCell align="right">{ImprovementModel.getReductionPercent(improvement)}%</TableCell>
                           <TableCell align="right">
                             {effect.annualHours.toLocaleString(undefined, { maximumFractionDigits: 1 })}時間
                           </TableCell>
+                          <TableCell align="right">
+                            {attributed
+                              ? `${attributed.hours.toLocaleString(undefined, { maximumFractionDigits: 1 })}時間（${attributed.percent}%）`
+                              : '—'}
+                          </TableCell>
                           <TableCell>
                             <Chip 
                               label={difficulty.label}
@@ -661,6 +765,15 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                 </Table>
               </TableContainer>
               
+              <ToBePreviewPanel
+                processSteps={processSteps}
+                processEdges={processEdges}
+                improvements={selectedImprovements}
+                interactionRule={interactionRule}
+                calendar={calendar}
+                volumeDrivers={volumeDrivers}
+              />
+              
               <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
                 <Button
                   variant="contained"
@@ -677,6 +790,23 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
         </>
       )}
       
+      {/* 組み合わせの最適化タブ（提案された施策から予算・工数・期間の範囲で最適な組み合わせを選ぶ） */}
+      {tabValue === 4 && (
+        <PortfolioOptimizerPanel
+          processSteps={processSteps}
+          processEdges={processEdges}
+          candidates={suggestedImprovements}
+          calendar={calendar}
+          volumeDrivers={volumeDrivers}
+          costSettings={costSettings}
+          interactionRule={interactionRule}
+          onSelect={(improvements) => {
+            setSelectedImprovements(improvements);
+            setTabValue(2);
+          }}
+        />
+      )}
+      
       {/* 改善施策データベースタブ */}
       {tabValue === 3 && (
         <>
@@ -713,6 +843,7 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                     <TableCell>タイトル</TableCell>
                     <TableCell>説明</TableCell>
                     <TableCell>対象タイプ</TableCell>
+                    <TableCell>ECRS</TableCell>
                     <TableCell>キーワード</TableCell>
                     <TableCell align="right">削減率</TableCell>
                     <TableCell>難易度/コスト</TableCell>
@@ -744,6 +875,7 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
                         <TableCell>
                           {typeLabels[improvement.targetStepType] || improvement.targetStepType || '任意'}
                         </TableCell>
+                        <TableCell>{ImprovementModel.getEcrsInfo(ImprovementModel.getEcrs(improvement)).text}</TableCell>
                         <TableCell>
                           {improvement.keywords && improvement.keywords.map((keyword, idx) => (
                             <Chip 
@@ -857,6 +989,73 @@ const ImprovementManager = ({ processSteps, currentWorkload, onApplyImprovements
               />
             </Grid>
             
+            <Grid item xs={12} sm={4}>
+              <FormControl fullWidth>
+                <InputLabel>ECRS</InputLabel>
+                <Select
+                  value={ImprovementModel.getEcrs(currentImprovement)}
+                  label="ECRS"
+                  onChange={(e) => setCurrentImprovement({
+                    ...currentImprovement,
+                    ecrs: e.target.value
+                  })}
+                >
+                  {ImprovementModel.getEcrsTypes().map(ecrs => (
+                    <MenuItem key={ecrs} value={ecrs}>{ImprovementModel.getEcrsInfo(ecrs).label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            
+            {currentImprovement?.ecrs === 'rearrange' && (
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth>
+                  <InputLabel>入れ替え方</InputLabel>
+                  <Select
+                    value={currentImprovement.rearrangeMode || 'parallel'}
+                    label="入れ替え方"
+                    onChange={(e) => setCurrentImprovement({
+                      ...currentImprovement,
+                      rearrangeMode: e.target.value
+                    })}
+                  >
+                    <MenuItem value="parallel">前のステップと並行に実施</MenuItem>
+                    <MenuItem value="after">指定したステップの後に移動</MenuItem>
+                  </Select>
+                </FormControl>
+              </Grid>
+            )}
+            
+            {(currentImprovement?.ecrs === 'combine' ||
+              (currentImprovement?.ecrs === 'rearrange' && currentImprovement.rearrangeMode === 'after')) && (
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth>
+                  <InputLabel>{currentImprovement.ecrs === 'combine' ? '結合先のステップ' : '移動先のステップ'}</InputLabel>
+                  <Select
+                    value={currentImprovement.relatedStepId || ''}
+                    label={currentImprovement.ecrs === 'combine' ? '結合先のステップ' : '移動先のステップ'}
+                    onChange={(e) => setCurrentImprovement({
+                      ...currentImprovement,
+                      relatedStepId: e.target.value || null
+                    })}
+                  >
+                    {currentImprovement.ecrs === 'combine' && <MenuItem value="">次のステップ（自動）</MenuItem>}
+                    {(processSteps || [])
+                      .filter(step => step.id !== currentImprovement.targetStepId)
+                      .map(step => (
+                        <MenuItem key={step.id} value={step.id}>{step.data.label}</MenuItem>
+                      ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            )}
+            
+            <Grid item xs={12}>
+              <Typography variant="caption" color="textSecondary">
+                {ImprovementModel.getEcrsInfo(ImprovementModel.getEcrs(currentImprovement)).description}
+              </Typography>
+            </Grid>
+            
             <Grid item xs={12}>
               <Typography gutterBottom>
                 時間削減率: {currentImprovement?.timeReductionPercent || 0}%
@@ -1,6 +1,7 @@
 // src/components/nodes/InspectionNode.jsx
 import React from 'react';
 import { Handle, Position } from 'reactflow';
+import SecondarySymbol from './SecondarySymbol';
 
 // 検査（四角形）ノード
 const InspectionNode = ({ data }) => {
@@ -16,8 +17,11 @@ const InspectionNode = ({ data }) => {
         flexDirection: 'column',
         justifyContent: 'center',
         alignItems: 'center',
-        padding: '5px'
+        padding: '5px',
+        position: 'relative',
+        zIndex: 0
       }}>
+        <SecondarySymbol type={data.secondaryType} />
         <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '5px' }}>{data.label}</div>
         <div style={{ fontSize: '12px' }}>{data.time}{data.timeUnit}</div>
         <div style={{ fontSize: '12px' }}>担当: {data.responsible}</div>
@@ -0,0 +1,186 @@
+// src/components/ParetoPanel.jsx
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  InputAdornment,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Chart } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  BarController,
+  LineController,
+  LineElement,
+  PointElement
+} from 'chart.js';
+import { ParetoService } from '../services/pareto';
+import StepModel from '../models/StepModel';
+
+// 累積比率の折れ線に必要な要素を登録
+ChartJS.register(BarController, LineController, LineElement, PointElement);
+
+// ABC区分の色
+const CLASS_COLORS = {
+  A: { chip: 'error', bar: 'rgba(255, 99, 132, 0.6)' },
+  B: { chip: 'warning', bar: 'rgba(255, 206, 86, 0.6)' },
+  C: { chip: 'default', bar: 'rgba(201, 203, 207, 0.6)' }
+};
+
+// 年間工数のパレート図とABC分析
+const ParetoPanel = ({ workloadData, abcShares = null, onAbcSharesChange }) => {
+  const pareto = useMemo(() => ParetoService.analyze(workloadData, abcShares || {}), [workloadData, abcShares]);
+  const { items, classSummary, shares } = pareto;
+
+  const updateShares = (changes) => {
+    if (onAbcSharesChange) {
+      onAbcSharesChange(ParetoService.resolveShares({ ...shares, ...changes }));
+    }
+  };
+
+  const chartData = {
+    labels: items.map(item => item.label),
+    datasets: [
+      {
+        type: 'bar',
+        label: '年間工数（時間）',
+        data: items.map(item => item.annualHours),
+        backgroundColor: items.map(item => CLASS_COLORS[item.abcClass].bar),
+        yAxisID: 'y',
+        order: 2
+      },
+      {
+        type: 'line',
+        label: '累積比率（%）',
+        data: items.map(item => item.cumulativeShare),
+        borderColor: 'rgba(54, 162, 235, 1)',
+        backgroundColor: 'rgba(54, 162, 235, 1)',
+        yAxisID: 'y1',
+        order: 1
+      }
+    ]
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          パレート図・ABC分析
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          年間工数の多い順にステップを並べ、累積比率でA・B・Cに区分します。
+          Aに区分されたステップに改善を集中すると、少ない施策で大きな効果が見込めます。
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2, mb: 2 }}>
+          <TextField
+            label="A（累積比率）"
+            type="number"
+            size="small"
+            value={shares.a}
+            onChange={(e) => updateShares({ a: e.target.value })}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">%</InputAdornment>,
+              inputProps: { min: 1, max: 100, step: 5 }
+            }}
+            sx={{ width: 140 }}
+          />
+          <TextField
+            label="B"
+            type="number"
+            size="small"
+            value={shares.b}
+            onChange={(e) => updateShares({ b: e.target.value })}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">%</InputAdornment>,
+              inputProps: { min: 0, max: 100 - shares.a, step: 5 }
+            }}
+            sx={{ width: 120 }}
+          />
+          <Typography variant="body2">C: 残り {shares.c}%</Typography>
+          {ParetoService.ABC_CLASSES.map(abcClass => (
+            <Chip
+              key={abcClass}
+              color={CLASS_COLORS[abcClass].chip}
+              label={`${abcClass}: ${classSummary[abcClass].count}件・${classSummary[abcClass].annualHours.toLocaleString()}時間（${classSummary[abcClass].share}%）`}
+            />
+          ))}
+        </Box>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={7}>
+            <div style={{ height: '320px' }}>
+              <Chart
+                type="bar"
+                data={chartData}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  scales: {
+                    y: {
+                      beginAtZero: true,
+                      title: { display: true, text: '時間' }
+                    },
+                    y1: {
+                      position: 'right',
+                      min: 0,
+                      max: 100,
+                      grid: { drawOnChartArea: false },
+                      title: { display: true, text: '累積比率（%）' }
+                    }
+                  }
+                }}
+              />
+            </div>
+          </Grid>
+          <Grid item xs={12} md={5}>
+            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 320 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>順位</TableCell>
+                    <TableCell>ステップ名</TableCell>
+                    <TableCell align="right">時間</TableCell>
+                    <TableCell align="right">累積</TableCell>
+                    <TableCell>区分</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {items.map(item => (
+                    <TableRow key={item.id}>
+                      <TableCell>{item.rank}</TableCell>
+                      <TableCell>
+                        {item.label}
+                        <Typography variant="caption" color="textSecondary" display="block">
+                          {StepModel.getTypeName(item.type)}
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">{item.annualHours.toLocaleString()}</TableCell>
+                      <TableCell align="right">{item.cumulativeShare}%</TableCell>
+                      <TableCell>
+                        <Chip size="small" color={CLASS_COLORS[item.abcClass].chip} label={item.abcClass} />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ParetoPanel;
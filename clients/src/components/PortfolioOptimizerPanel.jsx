@@ -0,0 +1,265 @@
+// src/components/PortfolioOptimizerPanel.jsx
+import React, { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  FormControl,
+  Grid,
+  InputAdornment,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { CheckCircle as CheckCircleIcon } from '@mui/icons-material';
+import { Scatter } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  ScatterController,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { PortfolioService } from '../services/portfolio';
+import appConfig from '../config/appConfig';
+
+// 効率的フロンティアの散布図に必要な要素を登録
+ChartJS.register(ScatterController, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const NO_DRIVERS = [];
+
+const formatYen = (value) => `${Math.round(value).toLocaleString()}円`;
+
+// 空欄は制限なし
+const parseLimit = (value) => {
+  const parsed = parseFloat(value);
+  return value === '' || isNaN(parsed) ? null : Math.max(0, parsed);
+};
+
+// 予算・実施工数・実施期間の制約の下で、年間削減額が最大になる施策の組み合わせを提案するパネル
+const PortfolioOptimizerPanel = ({
+  processSteps = [],
+  processEdges = [],
+  candidates = [],
+  calendar = null,
+  volumeDrivers = NO_DRIVERS,
+  costSettings = null,
+  interactionRule = 'multiplicative',
+  onSelect
+}) => {
+  const [constraints, setConstraints] = useState({ budget: '', maxEffortHours: '', maxDurationDaysPerMeasure: '' });
+
+  const estimated = useMemo(() => PortfolioService.estimateCandidates(candidates, {
+    steps: processSteps,
+    edges: processEdges,
+    costSettings,
+    calendar,
+    volumeDrivers
+  }), [candidates, processSteps, processEdges, costSettings, calendar, volumeDrivers]);
+
+  const result = useMemo(() => PortfolioService.optimize(estimated, {
+    budget: parseLimit(constraints.budget),
+    maxEffortHours: parseLimit(constraints.maxEffortHours),
+    maxDurationDaysPerMeasure: parseLimit(constraints.maxDurationDaysPerMeasure)
+  }, { interactionRule }), [estimated, constraints, interactionRule]);
+
+  const decisionByKey = Object.fromEntries(result.decisions.map(decision => [decision.key, decision]));
+  const sortedCandidates = [...estimated].sort((a, b) =>
+    Number(decisionByKey[b.key].selected) - Number(decisionByKey[a.key].selected) || b.annualSavings - a.annualSavings
+  );
+
+  const chartData = {
+    datasets: [
+      {
+        label: '効率的フロンティア',
+        data: result.frontier.map(point => ({ x: point.cost / 10000, y: point.annualSavings / 10000 })),
+        showLine: true,
+        borderColor: 'rgba(54, 162, 235, 1)',
+        backgroundColor: result.frontier.map(point => (point.selected ? 'rgba(76, 175, 80, 1)' : 'rgba(54, 162, 235, 1)')),
+        pointRadius: result.frontier.map(point => (point.selected ? 7 : 3))
+      },
+      {
+        label: '候補の施策（単独）',
+        data: estimated.map(candidate => ({ x: candidate.cost / 10000, y: candidate.annualSavings / 10000 })),
+        backgroundColor: 'rgba(201, 203, 207, 0.8)',
+        pointRadius: 3
+      }
+    ]
+  };
+
+  const updateConstraint = (key, value) => setConstraints({ ...constraints, [key]: value });
+
+  if (estimated.length === 0) {
+    return (
+      <Alert severity="info" sx={{ mb: 3 }}>
+        候補の施策がありません。改善ポイントタブで分析を実行してください。
+      </Alert>
+    );
+  }
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          施策の組み合わせの最適化
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          提案された施策から、予算・実施工数・実施期間の範囲で年間削減額が最大になる組み合わせを求めます。
+          費用は予想コスト、実施工数は実装難易度、実施期間は実施期間（未指定は実装難易度）からの目安です。空欄は制限なしとします。
+          実施期間の上限は施策ごとに判定します（施策は並行して実施する前提です）。
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+          <TextField
+            label="予算"
+            type="number"
+            size="small"
+            value={constraints.budget}
+            onChange={(e) => updateConstraint('budget', e.target.value)}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">円</InputAdornment>,
+              inputProps: { min: 0, step: 100000 }
+            }}
+            sx={{ width: 200 }}
+          />
+          <TextField
+            label="実施工数の上限"
+            type="number"
+            size="small"
+            value={constraints.maxEffortHours}
+            onChange={(e) => updateConstraint('maxEffortHours', e.target.value)}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">人時</InputAdornment>,
+              inputProps: { min: 0, step: 10 }
+            }}
+            sx={{ width: 180 }}
+          />
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel>施策ごとの実施期間の上限</InputLabel>
+            <Select
+              value={constraints.maxDurationDaysPerMeasure}
+              label="施策ごとの実施期間の上限"
+              onChange={(e) => updateConstraint('maxDurationDaysPerMeasure', e.target.value)}
+            >
+              <MenuItem value="">制限なし</MenuItem>
+              {appConfig.improvementDefaults.implementationPeriods.map(period => (
+                <MenuItem key={period.value} value={String(period.days)}>{period.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={6} md={3}>
+            <Typography variant="subtitle2">採用する施策</Typography>
+            <Typography variant="h5">{result.selected.length}件</Typography>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Typography variant="subtitle2">年間削減額</Typography>
+            <Typography variant="h5" color="primary">{formatYen(result.totals.annualSavings)}</Typography>
+            <Typography variant="caption">{result.totals.annualHours.toLocaleString()}時間</Typography>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Typography variant="subtitle2">費用</Typography>
+            <Typography variant="h5">{formatYen(result.totals.cost)}</Typography>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Typography variant="subtitle2">実施工数・最長の実施期間</Typography>
+            <Typography variant="h5">{result.totals.effortHours.toLocaleString()}人時</Typography>
+            <Typography variant="caption">{result.totals.durationDays}日</Typography>
+          </Grid>
+        </Grid>
+
+        <div style={{ height: '300px', marginBottom: '16px' }}>
+          <Scatter
+            data={chartData}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              scales: {
+                x: { beginAtZero: true, title: { display: true, text: '費用（万円）' } },
+                y: { beginAtZero: true, title: { display: true, text: '年間削減額（万円）' } }
+              },
+              plugins: {
+                tooltip: {
+                  callbacks: {
+                    label: (context) => `費用 ${context.parsed.x.toLocaleString()}万円・年間削減 ${context.parsed.y.toLocaleString(undefined, { maximumFractionDigits: 1 })}万円`
+                  }
+                }
+              }
+            }}
+          />
+        </div>
+
+        <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>判定</TableCell>
+                <TableCell>改善施策</TableCell>
+                <TableCell>対象ステップ</TableCell>
+                <TableCell align="right">年間削減額（単独）</TableCell>
+                <TableCell align="right">費用</TableCell>
+                <TableCell align="right">実施工数</TableCell>
+                <TableCell align="right">実施期間</TableCell>
+                <TableCell>理由</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sortedCandidates.map(candidate => {
+                const decision = decisionByKey[candidate.key];
+                return (
+                  <TableRow key={candidate.key}>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={decision.selected ? '採用' : '見送り'}
+                        color={decision.selected ? 'success' : 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>{candidate.improvement.title}</TableCell>
+                    <TableCell>{candidate.stepLabel}</TableCell>
+                    <TableCell align="right">{formatYen(candidate.annualSavings)}</TableCell>
+                    <TableCell align="right">{formatYen(candidate.cost)}</TableCell>
+                    <TableCell align="right">{candidate.effortHours}人時</TableCell>
+                    <TableCell align="right">{candidate.durationDays}日</TableCell>
+                    <TableCell>
+                      <Typography variant="caption">{decision.reason}</Typography>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+          <Button
+            variant="contained"
+            startIcon={<CheckCircleIcon />}
+            disabled={result.selected.length === 0 || !onSelect}
+            onClick={() => onSelect(result.selected.map(candidate => candidate.improvement))}
+          >
+            この組み合わせを選択
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PortfolioOptimizerPanel;
@@ -1,12 +1,13 @@
 // src/components/ProcessChart.jsx
-import React, { useState, useCallback, useRef, useEffect } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import ReactFlow, {
   Controls,
   Background,
   applyEdgeChanges,
   applyNodeChanges,
   addEdge,
-  MiniMap
+  MiniMap,
+  Panel
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import { 
@@ -23,11 +24,18 @@ import {
   DialogActions, 
   TextField,
   FormControl,
+  FormHelperText,
+  InputAdornment,
   InputLabel,
   Select,
   Grid,
   Tooltip,
-  Divider
+  Divider,
+  FormControlLabel,
+  Switch,
+  Alert,
+  Breadcrumbs,
+  Link
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -42,7 +50,12 @@ import {
   Save as SaveIcon,
   CenterFocusStrong as CenterIcon,
   Fullscreen as FullscreenIcon,
-  Palette as PaletteIcon
+  Palette as PaletteIcon,
+  ViewStream as SwimlaneIcon,
+  AccountTree as SubProcessIcon,
+  AutoAwesomeMosaic as AutoLayoutIcon,
+  Timeline as CriticalPathIcon,
+  HourglassBottom as BottleneckIcon
 } from '@mui/icons-material';
 import { toPng, toSvg } from 'html-to-image';
 
@@ -52,9 +65,20 @@ import InspectionNode from './InspectionNode';
 import TransportNode from './TransportNode';
 import DelayNode from './DelayNode';
 import StorageNode from './StorageNode';
+import SwimlaneNode from './SwimlaneNode';
 
 // サービスとヘルパー
 import { TimeCalculationService } from '../services/timeCalculation';
+import { WorkloadEngine } from '../services/workloadEngine';
+import { FlowAnalysisService } from '../services/flowAnalysis';
+import { LeadTimeService } from '../services/leadTime';
+import { QueueSimulationService } from '../services/queueSimulation';
+import { HeatmapService } from '../services/heatmap';
+import SwimlaneModel from '../models/SwimlaneModel';
+import StepModel from '../models/StepModel';
+import layoutUtils from '../utils/layoutUtils';
+import historyUtils from '../utils/historyUtils';
+import formulaUtils from '../utils/formulaUtils';
 
 // ノードタイプの登録
 const nodeTypes = {
@@ -63,16 +87,104 @@ const nodeTypes = {
   transport: TransportNode,   // 搬送（ひし形）
   delay: DelayNode,           // 停滞（三角形）
   storage: StorageNode,       // 保管（特殊四角形）
+  swimlane: SwimlaneNode,     // スイムレーン（背景）
+};
+
+// 未指定時に毎回新しい配列が生成されないよう共有する
+const EMPTY_NODES = [];
+const EMPTY_EDGES = [];
+const EMPTY_DRIVERS = [];
+
+// 季節変動を入力しない場合の月別係数（1月〜12月）
+const DEFAULT_MONTHLY_MULTIPLIERS = Array(12).fill(1);
+
+/**
+ * 編集フォームの入力からステップの頻度の発生条件と季節変動を求める
+ * 頻度単位に関係しない条件は保存しない
+ * @param {Object} form - ノード編集フォームの値
+ * @returns {Object} - { volumeDriverId, frequencyFormula, activeBusinessDays, activeHoursPerDay, monthlyMultipliers }
+ */
+const getFrequencyData = (form) => ({
+  volumeDriverId: form.frequencyUnit === '件' ? (form.volumeDriverId || null) : null,
+  frequencyFormula: form.frequencyUnit === '件' ? '' : form.frequencyFormula.trim(),
+  activeBusinessDays: ['日', '時間'].includes(form.frequencyUnit)
+    ? (parseInt(form.activeBusinessDays, 10) || null)
+    : null,
+  activeHoursPerDay: form.frequencyUnit === '時間' ? (parseFloat(form.activeHoursPerDay) || null) : null,
+  monthlyMultipliers: StepModel.normalizeMonthlyMultipliers(form.monthlyMultipliers)
+});
+
+/**
+ * ノード編集フォームの値から担当者と工数の分担を求める
+ * 分担する場合は、割合が入力された行のみを残し、先頭の担当者をステップの担当者とする
+ * @param {Object} form - ノード編集フォームの値
+ * @returns {Object} - { responsible, assignees }（分担しない場合 assignees は null）
+ */
+const getAssigneeData = (form) => {
+  const assignees = form.assignees
+    .map(assignee => ({ responsible: assignee.responsible.trim(), percent: parseFloat(assignee.percent) || 0 }))
+    .filter(assignee => assignee.percent > 0);
+  if (assignees.length === 0) {
+    return { responsible: form.responsible, assignees: null };
+  }
+  return { responsible: assignees[0].responsible, assignees };
+};
+
+/**
+ * 表示中の階層の内容を親階層へ順に書き戻し、最上位のステップとエッジを求める
+ * @param {Array} levelStack - 親階層の一覧 [{ stepId, label, nodes, edges }]
+ * @param {Array} nodes - 表示中の階層のステップ
+ * @param {Array} edges - 表示中の階層のエッジ
+ * @param {number} toLevel - 書き戻し先の階層（0が最上位）
+ * @returns {Object} - { nodes, edges }
+ */
+const composeLevels = (levelStack, nodes, edges, toLevel = 0) => {
+  let childNodes = nodes;
+  let childEdges = edges;
+
+  for (let i = levelStack.length - 1; i >= toLevel; i--) {
+    const level = levelStack[i];
+    const parentNode = level.nodes.find(node => node.id === level.stepId);
+    const current = parentNode?.data?.subProcess;
+
+    // 子階層に変更がなければ親階層をそのまま使う
+    const unchanged = !parentNode ||
+      ((current?.steps || EMPTY_NODES) === childNodes && (current?.edges || EMPTY_EDGES) === childEdges) ||
+      (!current && childNodes.length === 0 && childEdges.length === 0);
+
+    if (unchanged) {
+      childNodes = level.nodes;
+    } else {
+      const subProcess = { steps: childNodes, edges: childEdges };
+      const rolledUpMinutes = TimeCalculationService.calculateSubProcessMinutes(subProcess);
+      const updatedParent = StepModel.withSubProcess(parentNode, subProcess, rolledUpMinutes);
+      childNodes = level.nodes.map(node => (node.id === level.stepId ? updatedParent : node));
+    }
+    childEdges = level.edges;
+  }
+
+  return { nodes: childNodes, edges: childEdges };
 };
 
 /**
  * プロセスチャートコンポーネント
  * JMA方式の工程分析記号を使用したプロセスチャートを作成・編集するコンポーネント
  */
-const ProcessChart = ({ initialNodes = [], onChange }) => {
+const ProcessChart = ({
+  initialNodes = EMPTY_NODES,
+  initialEdges = EMPTY_EDGES,
+  onChange,
+  swimlanes = null,
+  onSwimlanesChange,
+  calendar = null,
+  volumeDrivers = EMPTY_DRIVERS,
+  costSettings = null,
+  heatmapMetric = null,
+  onHeatmapMetricChange
+}) => {
   // フローチャートの状態
   const [nodes, setNodes] = useState(initialNodes || []);
-  const [edges, setEdges] = useState([]);
+  const [edges, setEdges] = useState(initialEdges || []);
   const [selectedNode, setSelectedNode] = useState(null);
   const [selectedEdge, setSelectedEdge] = useState(null);
 
@@ -91,45 +203,117 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
     frequencyUnit: '日',
     responsible: '',
     tools: '',
+    distance: '',
+    quantity: '',
+    secondaryType: '',
+    checkType: 'quality',
+    secondaryCheckType: 'quantity',
+    parallelSplit: false,
+    timeMin: '',
+    timeMax: '',
+    timeDistribution: 'triangular',
+    servers: '',
+    volumeDriverId: '',
+    frequencyFormula: '',
+    activeBusinessDays: '',
+    activeHoursPerDay: '',
+    monthlyMultipliers: DEFAULT_MONTHLY_MULTIPLIERS,
+    assignees: [],
     notes: ''
   });
 
+  // エッジ（分岐確率・差戻し）編集ダイアログの状態
+  const [edgeDialogOpen, setEdgeDialogOpen] = useState(false);
+  const [edgeForm, setEdgeForm] = useState({
+    probability: '',
+    loopBack: false
+  });
+
   // 履歴管理（Undo/Redo用）
-  const [history, setHistory] = useState([]);
-  const [historyIndex, setHistoryIndex] = useState(-1);
-  const isHistoryAction = useRef(false);
+  const [history, setHistory] = useState(() => historyUtils.create({ nodes: EMPTY_NODES, edges: EMPTY_EDGES }));
+
+  // 編集後の状態を履歴に追加する
+  const recordHistory = useCallback((nextNodes, nextEdges) => {
+    setHistory(current => historyUtils.push(current, { nodes: nextNodes, edges: nextEdges }));
+  }, []);
+
+  // 直近に親へ通知した状態（親から戻ってきた同じデータで再初期化しないため）
+  const lastEmitted = useRef({ nodes: null, edges: null });
+
+  // 子プロセスの階層（表示中の階層より上の階層）
+  const [levelStack, setLevelStack] = useState([]);
 
   // FlowチャートのDOM参照
   const reactFlowWrapper = useRef(null);
   const [reactFlowInstance, setReactFlowInstance] = useState(null);
 
   // ハイライト設定
-  const [showHighlights, setShowHighlights] = useState(false);
-  const [timeThreshold, setTimeThreshold] = useState(30); // 分単位
+  const [showCriticalPath, setShowCriticalPath] = useState(false);
+  
+  // 計算に使うステップ（位置・選択状態を除く）。ドラッグや選択ではステップの内容が変わらないため、
+  // 前回と同じ配列を返して、ヒートマップ・リードタイム・待ち行列シミュレーションを計算し直さない
+  const flowStepsRef = useRef([]);
+  const flowSteps = useMemo(() => {
+    const previous = flowStepsRef.current;
+    const unchanged = previous.length === nodes.length && nodes.every((node, index) => (
+      previous[index].id === node.id && previous[index].type === node.type && previous[index].data === node.data
+    ));
+    if (!unchanged) {
+      flowStepsRef.current = nodes.map(({ id, type, data }) => ({ id, type, data }));
+    }
+    return flowStepsRef.current;
+  }, [nodes]);
+
+  // ヒートマップ（選んだ指標でステップを色分け。エクスポートにも含める）
+  const heatmap = useMemo(
+    () => HeatmapService.buildOverlay(heatmapMetric, flowSteps, edges, { calendar, volumeDrivers }, costSettings),
+    [heatmapMetric, flowSteps, edges, calendar, volumeDrivers, costSettings]
+  );
+
+  // リードタイムとクリティカルパス
+  const leadTime = useMemo(
+    () => LeadTimeService.calculateLeadTime(flowSteps, edges, { calendar }),
+    [flowSteps, edges, calendar]
+  );
+  
+  // 待ち行列シミュレーションによるボトルネック表示（既定の条件：5営業日・シード1）
+  const [showBottlenecks, setShowBottlenecks] = useState(false);
+  const queueResult = useMemo(
+    () => (showBottlenecks ? QueueSimulationService.run(flowSteps, edges, { calendar, volumeDrivers }) : null),
+    [showBottlenecks, flowSteps, edges, calendar, volumeDrivers]
+  );
 
-  // 初期化
+  // スイムレーン設定
+  const swimlaneConfig = useMemo(() => SwimlaneModel.create(swimlanes || {}), [swimlanes]);
+  const [laneDialogOpen, setLaneDialogOpen] = useState(false);
+  const [laneNamesText, setLaneNamesText] = useState('');
+
+  // 自動整列の方向（'LR': 左から右、'TB': 上から下）
+  const [layoutDirection, setLayoutDirection] = useState('LR');
+
+  // 初期化（プロジェクトの読み込みなど、外部からデータが差し替えられた場合）
   useEffect(() => {
-    if (initialNodes && initialNodes.length > 0) {
-      setNodes(initialNodes);
-      
-      // 初期エッジの作成
-      const initialEdges = [];
-      for (let i = 0; i < initialNodes.length - 1; i++) {
-        initialEdges.push({
-          id: `edge-${initialNodes[i].id}-${initialNodes[i+1].id}`,
-          source: initialNodes[i].id,
-          target: initialNodes[i+1].id,
-          type: 'smoothstep'
-        });
-      }
-      setEdges(initialEdges);
-      
-      // 履歴に初期状態を追加
-      setHistory([{ nodes: [...initialNodes], edges: [...initialEdges] }]);
-      setHistoryIndex(0);
+    if (
+      initialNodes === lastEmitted.current.nodes &&
+      initialEdges === lastEmitted.current.edges
+    ) {
+      return;
     }
+
+    const nextNodes = initialNodes || [];
+    const nextEdges = initialEdges || [];
+    lastEmitted.current = { nodes: nextNodes, edges: nextEdges };
+
+    setLevelStack([]);
+    setNodes(nextNodes);
+    setEdges(nextEdges);
     
-    // イベントリスナーを設定
+    // 履歴に初期状態を追加
+    setHistory(historyUtils.create({ nodes: nextNodes, edges: nextEdges }));
+  }, [initialNodes, initialEdges]);
+
+  // エクスポート要求のイベントリスナーを設定
+  useEffect(() => {
     window.addEventListener('export-svg-requested', handleExportSvg);
     window.addEventListener('export-png-requested', handleExportPng);
     
@@ -138,64 +322,80 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
       window.removeEventListener('export-svg-requested', handleExportSvg);
       window.removeEventListener('export-png-requested', handleExportPng);
     };
-  }, [initialNodes]);
+  }, []);
 
   // ノードまたはエッジが変更されたときにonChangeコールバックを呼び出す
+  // 子プロセスを表示中の場合は最上位まで書き戻した内容を通知する
+  useEffect(() => {
+    const root = composeLevels(levelStack, nodes, edges);
+    if (
+      root.nodes === lastEmitted.current.nodes &&
+      root.edges === lastEmitted.current.edges
+    ) {
+      return;
+    }
+
+    lastEmitted.current = root;
+    if (onChange) {
+      onChange(root.nodes, root.edges);
+    }
+  }, [nodes, edges, levelStack, onChange]);
+
+  // スイムレーンモードでは、担当者に対応するレーンを補完してノードをレーン内に配置する
   useEffect(() => {
-    if (onChange && nodes.length > 0) {
-      onChange(nodes);
+    if (!swimlaneConfig.enabled || nodes.some(node => node.dragging)) {
+      return;
     }
-  }, [nodes, edges, onChange]);
+
+    const syncedConfig = SwimlaneModel.syncLanes(swimlaneConfig, nodes);
+    if (syncedConfig !== swimlaneConfig && onSwimlanesChange) {
+      onSwimlanesChange(syncedConfig);
+    }
+
+    const alignedNodes = SwimlaneModel.alignSteps(syncedConfig, nodes);
+    if (alignedNodes !== nodes) {
+      setNodes(alignedNodes);
+    }
+  }, [nodes, swimlaneConfig, onSwimlanesChange]);
 
   // ノードの変更を処理
   const onNodesChange = useCallback(
     (changes) => {
-      // 履歴アクションでない場合は履歴に追加
-      if (!isHistoryAction.current) {
-        const currentState = { nodes: [...nodes], edges: [...edges] };
-        const newHistory = history.slice(0, historyIndex + 1);
-        
-        setHistory([...newHistory, currentState]);
-        setHistoryIndex(historyIndex + 1);
-      }
+      const nextNodes = applyNodeChanges(changes, nodes);
+      setNodes(nextNodes);
       
-      setNodes((nds) => applyNodeChanges(changes, nds));
-      isHistoryAction.current = false;
+      // 選択・ドラッグ中の移動などを除いた編集の場合は履歴に追加
+      if (historyUtils.hasEdits(changes)) {
+        recordHistory(nextNodes, edges);
+      }
     },
-    [nodes, edges, history, historyIndex]
+    [nodes, edges, recordHistory]
   );
 
   // エッジの変更を処理
   const onEdgesChange = useCallback(
     (changes) => {
-      // 履歴アクションでない場合は履歴に追加
-      if (!isHistoryAction.current) {
-        const currentState = { nodes: [...nodes], edges: [...edges] };
-        const newHistory = history.slice(0, historyIndex + 1);
-        
-        setHistory([...newHistory, currentState]);
-        setHistoryIndex(historyIndex + 1);
-      }
+      const nextEdges = applyEdgeChanges(changes, edges);
+      setEdges(nextEdges);
       
-      setEdges((eds) => applyEdgeChanges(changes, eds));
-      isHistoryAction.current = false;
+      // 選択・ドラッグ中の移動などを除いた編集の場合は履歴に追加
+      if (historyUtils.hasEdits(changes)) {
+        recordHistory(nodes, nextEdges);
+      }
     },
-    [nodes, edges, history, historyIndex]
+    [nodes, edges, recordHistory]
   );
 
   // 新しい接続を処理
   const onConnect = useCallback(
     (connection) => {
-      // 履歴に追加
-      const currentState = { nodes: [...nodes], edges: [...edges] };
-      const newHistory = history.slice(0, historyIndex + 1);
-      
-      setHistory([...newHistory, currentState]);
-      setHistoryIndex(historyIndex + 1);
+      const nextEdges = addEdge({...connection, type: 'smoothstep', data: {}}, edges);
+      setEdges(nextEdges);
       
-      setEdges((eds) => addEdge({...connection, type: 'smoothstep'}, eds));
+      // 履歴に追加
+      recordHistory(nodes, nextEdges);
     },
-    [nodes, edges, history, historyIndex]
+    [nodes, edges, recordHistory]
   );
 
   // ノードまたはエッジの選択を処理
@@ -212,6 +412,89 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
     }
   }, []);
 
+  // ドラッグ終了時、ドロップ先のレーンに合わせて担当者を付け替える
+  const onNodeDragStop = useCallback((event, node, draggedNodes) => {
+    if (!swimlaneConfig.enabled) return;
+
+    const draggedIds = new Set((draggedNodes || [node]).map(n => n.id));
+    setNodes((nds) => nds.map(n => (
+      draggedIds.has(n.id) ? SwimlaneModel.assignByPosition(swimlaneConfig, { ...n, dragging: false }) : n
+    )));
+  }, [swimlaneConfig]);
+
+  // 子プロセスを開く（階層を1つ下がる）
+  const handleDrillIn = (node) => {
+    if (!StepModel.canHaveSubProcess(node)) return;
+
+    // 最新のノード（選択時点から編集されている可能性がある）を使う
+    const target = nodes.find(n => n.id === node.id) || node;
+    const subProcess = target.data.subProcess;
+    const childNodes = subProcess?.steps || EMPTY_NODES;
+    const childEdges = subProcess?.edges || EMPTY_EDGES;
+
+    setLevelStack([
+      ...levelStack,
+      { stepId: target.id, label: target.data.label, nodes, edges }
+    ]);
+    setNodes(childNodes);
+    setEdges(childEdges);
+    setSelectedNode(null);
+    setSelectedEdge(null);
+
+    // 履歴は階層ごとに管理する
+    setHistory(historyUtils.create({ nodes: childNodes, edges: childEdges }));
+  };
+
+  // 指定した階層へ戻る（0が最上位）
+  const handleDrillOut = (level) => {
+    if (level >= levelStack.length) return;
+
+    const composed = composeLevels(levelStack, nodes, edges, level);
+    setLevelStack(levelStack.slice(0, level));
+    setNodes(composed.nodes);
+    setEdges(composed.edges);
+    setSelectedNode(null);
+    setSelectedEdge(null);
+
+    setHistory(historyUtils.create({ nodes: composed.nodes, edges: composed.edges }));
+  };
+
+  // ダブルクリックで加工ステップの子プロセスを開く
+  const onNodeDoubleClick = (event, node) => {
+    if (StepModel.canHaveSubProcess(node)) {
+      handleDrillIn(node);
+    }
+  };
+
+  // スイムレーン設定を変更して親コンポーネントに通知
+  const updateSwimlanes = (updates) => {
+    const nextConfig = SwimlaneModel.syncLanes({ ...swimlaneConfig, ...updates }, nodes);
+    if (onSwimlanesChange) {
+      onSwimlanesChange(nextConfig);
+    }
+  };
+
+  // レーン編集ダイアログを開く
+  const handleOpenLaneDialog = () => {
+    setLaneNamesText(swimlaneConfig.lanes.map(lane => lane.name).join('\n'));
+    setLaneDialogOpen(true);
+  };
+
+  // レーン編集ダイアログを保存して閉じる（既存レーンは名前で引き継ぐ）
+  const handleSaveLaneDialog = () => {
+    const names = laneNamesText
+      .split(/\r?\n/)
+      .map(name => name.trim())
+      .filter((name, index, list) => name !== '' && list.indexOf(name) === index);
+
+    const lanes = names.map(name => (
+      swimlaneConfig.lanes.find(lane => lane.name === name) || SwimlaneModel.createLane(name)
+    ));
+
+    updateSwimlanes({ lanes });
+    setLaneDialogOpen(false);
+  };
+
   // ノード追加メニューを開く
   const handleAddNodeClick = (event) => {
     setAnchorEl(event.currentTarget);
@@ -242,17 +525,12 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
       }
     };
     
-    // 履歴に追加
-    const currentState = { nodes: [...nodes], edges: [...edges] };
-    const newHistory = history.slice(0, historyIndex + 1);
-    setHistory([...newHistory, currentState]);
-    setHistoryIndex(historyIndex + 1);
-    
     // ノードを追加
     const newNodes = [...nodes, newNode];
     setNodes(newNodes);
     
     // 前のノードと接続
+    let newEdges = edges;
     if (nodes.length > 0) {
       const lastNode = nodes[nodes.length - 1];
       const newEdge = {
@@ -262,9 +540,13 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
         type: 'smoothstep'
       };
       
-      setEdges([...edges, newEdge]);
+      newEdges = [...edges, newEdge];
+      setEdges(newEdges);
     }
     
+    // 履歴に追加
+    recordHistory(newNodes, newEdges);
+    
     handleCloseMenu();
   };
 
@@ -280,6 +562,22 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
         frequencyUnit: selectedNode.data.frequencyUnit || '日',
         responsible: selectedNode.data.responsible || '',
         tools: selectedNode.data.tools || '',
+        distance: selectedNode.data.distance || '',
+        quantity: selectedNode.data.quantity ?? '',
+        secondaryType: StepModel.getSecondaryType(selectedNode) || '',
+        checkType: selectedNode.data.checkType || 'quality',
+        secondaryCheckType: selectedNode.data.secondaryCheckType || 'quantity',
+        parallelSplit: FlowAnalysisService.isParallelSplit(selectedNode),
+        timeMin: selectedNode.data.timeEstimate?.min ?? '',
+        timeMax: selectedNode.data.timeEstimate?.max ?? '',
+        timeDistribution: selectedNode.data.timeEstimate?.distribution || 'triangular',
+        servers: selectedNode.data.servers ?? '',
+        volumeDriverId: selectedNode.data.volumeDriverId || '',
+        frequencyFormula: selectedNode.data.frequencyFormula || '',
+        activeBusinessDays: selectedNode.data.activeBusinessDays ?? '',
+        activeHoursPerDay: selectedNode.data.activeHoursPerDay ?? '',
+        monthlyMultipliers: selectedNode.data.monthlyMultipliers || DEFAULT_MONTHLY_MULTIPLIERS,
+        assignees: (selectedNode.data.assignees || []).map(assignee => ({ ...assignee })),
         notes: selectedNode.data.notes || ''
       });
       
@@ -300,25 +598,17 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
         data: { ...selectedNode.data }
       };
       
-      // 履歴に追加
-      const currentState = { nodes: [...nodes], edges: [...edges] };
-      const newHistory = history.slice(0, historyIndex + 1);
-      setHistory([...newHistory, currentState]);
-      setHistoryIndex(historyIndex + 1);
+      const newNodes = [...nodes, newNode];
+      setNodes(newNodes);
       
-      setNodes([...nodes, newNode]);
+      // 履歴に追加
+      recordHistory(newNodes, edges);
     }
   };
 
   // 選択したノードを削除
   const handleDeleteNode = () => {
     if (selectedNode) {
-      // 履歴に追加
-      const currentState = { nodes: [...nodes], edges: [...edges] };
-      const newHistory = history.slice(0, historyIndex + 1);
-      setHistory([...newHistory, currentState]);
-      setHistoryIndex(historyIndex + 1);
-      
       // 関連するエッジを削除
       const newEdges = edges.filter(
         edge => edge.source !== selectedNode.id && edge.target !== selectedNode.id
@@ -330,33 +620,109 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
       setEdges(newEdges);
       setNodes(newNodes);
       setSelectedNode(null);
+      
+      // 履歴に追加
+      recordHistory(newNodes, newEdges);
     }
   };
 
   // 選択したエッジを削除
   const handleDeleteEdge = () => {
     if (selectedEdge) {
-      // 履歴に追加
-      const currentState = { nodes: [...nodes], edges: [...edges] };
-      const newHistory = history.slice(0, historyIndex + 1);
-      setHistory([...newHistory, currentState]);
-      setHistoryIndex(historyIndex + 1);
-      
       // エッジを削除
       const newEdges = edges.filter(edge => edge.id !== selectedEdge.id);
       setEdges(newEdges);
       setSelectedEdge(null);
+      
+      // 履歴に追加
+      recordHistory(nodes, newEdges);
     }
   };
 
+  // 選択したエッジの分岐確率・差戻し設定を編集
+  const handleEditEdge = () => {
+    if (selectedEdge) {
+      const probability = FlowAnalysisService.getEdgeProbability(selectedEdge);
+      setEdgeForm({
+        probability: probability === null ? '' : probability,
+        loopBack: FlowAnalysisService.isLoopBack(selectedEdge)
+      });
+      
+      setEdgeDialogOpen(true);
+    }
+  };
+
+  // エッジ編集ダイアログを保存して閉じる
+  const handleSaveEdgeDialog = () => {
+    if (selectedEdge) {
+      // 空欄の場合は確率未指定（残りを均等割り）として扱う
+      const probability = edgeForm.probability === '' || edgeForm.probability === null
+        ? null
+        : Math.min(100, Math.max(0, parseFloat(edgeForm.probability)));
+      
+      const updatedEdges = edges.map(edge => {
+        if (edge.id !== selectedEdge.id) return edge;
+        
+        const data = { ...(edge.data || {}), loopBack: edgeForm.loopBack };
+        if (probability === null || isNaN(probability)) {
+          delete data.probability;
+        } else {
+          data.probability = probability;
+        }
+        
+        return { ...edge, data };
+      });
+      
+      setEdges(updatedEdges);
+      
+      // 履歴に追加
+      recordHistory(nodes, updatedEdges);
+    }
+    
+    setEdgeDialogOpen(false);
+  };
+
   // ノード編集ダイアログを保存して閉じる
   const handleSaveNodeDialog = () => {
     if (selectedNode) {
-      // 履歴に追加
-      const currentState = { nodes: [...nodes], edges: [...edges] };
-      const newHistory = history.slice(0, historyIndex + 1);
-      setHistory([...newHistory, currentState]);
-      setHistoryIndex(historyIndex + 1);
+      // 加工以外に変更すると子プロセスは保持できない
+      const currentNode = nodes.find(node => node.id === selectedNode.id);
+      if (
+        StepModel.hasSubProcess(currentNode) &&
+        nodeForm.type !== 'process' &&
+        !window.confirm('加工以外のタイプに変更すると子プロセスが削除されます。続行しますか？')
+      ) {
+        return;
+      }
+      
+      // 複合記号（副記号と検査の種類）
+      const checkData = {
+        checkType: nodeForm.type === 'inspection' ? nodeForm.checkType : undefined,
+        secondaryCheckType: nodeForm.secondaryType === 'inspection' ? nodeForm.secondaryCheckType : undefined
+      };
+      const compositeData = {
+        ...checkData,
+        secondaryType: StepModel.validateSecondaryType(nodeForm.type, nodeForm.secondaryType, checkData),
+        parallelSplit: nodeForm.parallelSplit || undefined
+      };
+      
+      // 所要時間のばらつき（最短・最長が両方入力された場合のみ）
+      const timeEstimate = nodeForm.timeMin !== '' && nodeForm.timeMax !== ''
+        ? {
+          distribution: nodeForm.timeDistribution,
+          min: parseFloat(nodeForm.timeMin),
+          max: parseFloat(nodeForm.timeMax)
+        }
+        : null;
+      
+      // 頻度単位に応じた発生条件（件: ボリュームドライバー、日・時間: 月初の営業日数、時間: ピーク時間帯）と季節変動
+      const frequencyData = getFrequencyData(nodeForm);
+      // 頻度の式がある場合は、現在のドライバーの件数で計算した値を頻度として表示用に保存する
+      const frequency = frequencyData.frequencyFormula
+        ? Math.round(WorkloadEngine.getFrequencyValue({ data: { ...nodeForm, ...frequencyData } }, { calendar, volumeDrivers }) * 100) / 100
+        : parseFloat(nodeForm.frequency);
+      // 複数の担当者で分担する場合の割合
+      const assigneeData = getAssigneeData(nodeForm);
       
       // ノード更新
       const updatedNodes = nodes.map(node => {
@@ -372,10 +738,16 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                 label: nodeForm.label,
                 time: parseFloat(nodeForm.time),
                 timeUnit: nodeForm.timeUnit,
-                frequency: parseFloat(nodeForm.frequency),
+                frequency,
                 frequencyUnit: nodeForm.frequencyUnit,
-                responsible: nodeForm.responsible,
+                ...frequencyData,
+                ...assigneeData,
                 tools: nodeForm.tools,
+                distance: parseFloat(nodeForm.distance) || 0,
+                quantity: nodeForm.quantity === '' ? null : parseFloat(nodeForm.quantity),
+                ...compositeData,
+                timeEstimate,
+                servers: parseInt(nodeForm.servers, 10) || null,
                 notes: nodeForm.notes
               }
             };
@@ -389,10 +761,16 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
               label: nodeForm.label,
               time: parseFloat(nodeForm.time),
               timeUnit: nodeForm.timeUnit,
-              frequency: parseFloat(nodeForm.frequency),
+              frequency,
               frequencyUnit: nodeForm.frequencyUnit,
-              responsible: nodeForm.responsible,
+              ...frequencyData,
+              ...assigneeData,
               tools: nodeForm.tools,
+              distance: parseFloat(nodeForm.distance) || 0,
+              quantity: nodeForm.quantity === '' ? null : parseFloat(nodeForm.quantity),
+              ...compositeData,
+              timeEstimate,
+              servers: parseInt(nodeForm.servers, 10) || null,
               notes: nodeForm.notes
             }
           };
@@ -401,6 +779,9 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
       });
       
       setNodes(updatedNodes);
+      
+      // 履歴に追加
+      recordHistory(updatedNodes, edges);
     }
     
     setNodeDialogOpen(false);
@@ -420,25 +801,95 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
     });
   };
 
+  // 季節変動（月別係数）の変更を処理
+  const handleMonthlyMultiplierChange = (month) => (e) => {
+    const monthlyMultipliers = [...nodeForm.monthlyMultipliers];
+    monthlyMultipliers[month] = e.target.value;
+    setNodeForm({
+      ...nodeForm,
+      monthlyMultipliers
+    });
+  };
+
+  // 工数の分担を始める（現在の担当者と追加の担当者で半分ずつ）
+  const handleSplitAssignees = () => {
+    setNodeForm({
+      ...nodeForm,
+      assignees: [
+        { responsible: nodeForm.responsible, percent: 50 },
+        { responsible: '', percent: 50 }
+      ]
+    });
+  };
+
+  // 分担する担当者・割合の変更を処理
+  const handleAssigneeChange = (index, field) => (e) => {
+    setNodeForm({
+      ...nodeForm,
+      assignees: nodeForm.assignees.map((assignee, i) => (
+        i === index ? { ...assignee, [field]: e.target.value } : assignee
+      ))
+    });
+  };
+
+  // 分担する担当者を追加
+  const handleAddAssignee = () => {
+    setNodeForm({
+      ...nodeForm,
+      assignees: [...nodeForm.assignees, { responsible: '', percent: 0 }]
+    });
+  };
+
+  // 分担する担当者を削除（1人になったら分担をやめる）
+  const handleRemoveAssignee = (index) => {
+    const assignees = nodeForm.assignees.filter((assignee, i) => i !== index);
+    setNodeForm({
+      ...nodeForm,
+      responsible: assignees.length === 1 ? assignees[0].responsible : nodeForm.responsible,
+      assignees: assignees.length > 1 ? assignees : []
+    });
+  };
+
   // 元に戻す（Undo）
   const handleUndo = () => {
-    if (historyIndex > 0) {
-      isHistoryAction.current = true;
-      const prevState = history[historyIndex - 1];
+    if (historyUtils.canUndo(history)) {
+      const previous = historyUtils.undo(history);
+      const prevState = historyUtils.current(previous);
       setNodes(prevState.nodes);
       setEdges(prevState.edges);
-      setHistoryIndex(historyIndex - 1);
+      setHistory(previous);
     }
   };
 
   // やり直す（Redo）
   const handleRedo = () => {
-    if (historyIndex < history.length - 1) {
-      isHistoryAction.current = true;
-      const nextState = history[historyIndex + 1];
+    if (historyUtils.canRedo(history)) {
+      const next = historyUtils.redo(history);
+      const nextState = historyUtils.current(next);
       setNodes(nextState.nodes);
       setEdges(nextState.edges);
-      setHistoryIndex(historyIndex + 1);
+      setHistory(next);
+    }
+  };
+
+  // ノードを自動整列（スイムレーン有効時はレーンの向きに合わせる）
+  const handleAutoLayout = () => {
+    if (nodes.length === 0) return;
+
+    const arranged = layoutUtils.autoLayout(nodes, edges, {
+      direction: layoutDirection,
+      swimlanes: swimlaneConfig
+    });
+    if (arranged.every((node, index) => node === nodes[index])) return;
+
+    setNodes(arranged);
+
+    // 整列後の状態を履歴に追加する（Undoで整列前に戻る）
+    recordHistory(arranged, edges);
+
+    // 配置後のフロー全体を表示
+    if (reactFlowInstance) {
+      setTimeout(() => reactFlowInstance.fitView({ padding: 0.2 }), 0);
     }
   };
 
@@ -517,18 +968,27 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
 
   // ハイライト条件に基づいてノードスタイルを更新
   const getHighlightedNodes = useCallback(() => {
-    if (!showHighlights) return nodes;
+    if (!heatmap && !showCriticalPath && !queueResult) return nodes;
+    
+    const criticalStepIds = showCriticalPath ? leadTime.criticalPath.stepIds : [];
     
     return nodes.map(node => {
-      if (node.data.time > timeThreshold) {
-        return {
-          ...node,
-          style: { ...node.style, backgroundColor: 'rgba(255, 200, 200, 0.8)', borderColor: 'red' }
-        };
+      let style = node.style;
+      if (heatmap?.colors[node.id]) {
+        style = { ...style, backgroundColor: heatmap.colors[node.id] };
+      }
+      if (queueResult) {
+        const color = QueueSimulationService.getUtilizationColor(queueResult.stepStats[node.id]?.utilization);
+        if (color) {
+          style = { ...style, backgroundColor: color };
+        }
+      }
+      if (criticalStepIds.includes(node.id)) {
+        style = { ...style, filter: 'drop-shadow(0 0 6px #ff6f00)' };
       }
-      return node;
+      return style === node.style ? node : { ...node, style };
     });
-  }, [nodes, showHighlights, timeThreshold]);
+  }, [nodes, heatmap, showCriticalPath, leadTime, queueResult]);
 
   // ノードタイプの表示名を取得
   const getNodeTypeLabel = (type) => {
@@ -542,12 +1002,78 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
     }
   };
 
+  // スイムレーンの背景ノードを含めた表示用ノード
+  const getDisplayNodes = () => {
+    const stepNodes = getHighlightedNodes();
+    if (!swimlaneConfig.enabled) return stepNodes;
+
+    const laneNodes = SwimlaneModel.getLaneRects(swimlaneConfig, nodes).map((rect, index) => ({
+      id: `swimlane-${rect.lane.id}`,
+      type: 'swimlane',
+      position: { x: rect.x, y: rect.y },
+      data: {
+        name: rect.lane.name,
+        index,
+        width: rect.width,
+        height: rect.height,
+        headerSize: swimlaneConfig.headerSize,
+        orientation: swimlaneConfig.orientation,
+        color: rect.lane.color
+      },
+      draggable: false,
+      selectable: false,
+      connectable: false,
+      deletable: false,
+      focusable: false,
+      zIndex: -1
+    }));
+
+    return [...laneNodes, ...stepNodes];
+  };
+
+  // 分岐確率・差戻し率をラベルとして表示したエッジ
+  // クリティカルパス表示中はその経路のエッジを強調する
+  const getDisplayEdges = () => {
+    const criticalEdgeIds = showCriticalPath ? leadTime.criticalPath.edgeIds : [];
+    
+    return edges.map(edge => {
+      const label = FlowAnalysisService.getEdgeLabel(edge);
+      const isLoopBack = FlowAnalysisService.isLoopBack(edge);
+      const isCritical = criticalEdgeIds.includes(edge.id);
+      
+      if (!label && !isLoopBack && !isCritical) return edge;
+      
+      let style = edge.style;
+      if (isLoopBack) {
+        style = { ...style, stroke: '#d32f2f', strokeDasharray: '6 4' };
+      } else if (isCritical) {
+        style = { ...style, stroke: '#ff6f00', strokeWidth: 3 };
+      }
+      
+      return {
+        ...edge,
+        label,
+        labelBgStyle: { fill: '#fff' },
+        style,
+        animated: edge.animated || isCritical
+      };
+    });
+  };
+
   // 年間工数計算
   const calculateAnnualWorkload = () => {
-    return TimeCalculationService.calculateAnnualWorkload(nodes);
+    return WorkloadEngine.calculate({ steps: nodes, edges }, { calendar, volumeDrivers });
   };
 
   const workload = calculateAnnualWorkload();
+  const frequencyFormulaError = nodeForm.frequencyFormula.trim() && nodeForm.frequencyUnit !== '件'
+    ? formulaUtils.validate(nodeForm.frequencyFormula, volumeDrivers.map(driver => driver.name.trim()))
+    : null;
+  const assigneePercentTotal = nodeForm.assignees.reduce((sum, assignee) => sum + (parseFloat(assignee.percent) || 0), 0);
+  const assigneesError = nodeForm.assignees.length > 0 && Math.abs(assigneePercentTotal - 100) > 0.01
+    ? `割合の合計が100%になるようにしてください（現在 ${Math.round(assigneePercentTotal * 10) / 10}%）`
+    : null;
+  const handoffs = swimlaneConfig.enabled ? FlowAnalysisService.countHandoffs(nodes, edges) : null;
 
   return (
     <div>
@@ -557,11 +1083,66 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
             <Typography variant="h5" component="h2">
               プロセスチャート
             </Typography>
-            {workload.totalHours > 0 && (
+            {levelStack.length > 0 && (
+              <Breadcrumbs sx={{ my: 0.5 }}>
+                <Link component="button" variant="body2" onClick={() => handleDrillOut(0)}>
+                  メイン
+                </Link>
+                {levelStack.map((level, index) => (
+                  index < levelStack.length - 1 ? (
+                    <Link
+                      key={level.stepId}
+                      component="button"
+                      variant="body2"
+                      onClick={() => handleDrillOut(index + 1)}
+                    >
+                      {level.label}
+                    </Link>
+                  ) : (
+                    <Typography key={level.stepId} variant="body2" color="textPrimary">
+                      {level.label}
+                    </Typography>
+                  )
+                ))}
+              </Breadcrumbs>
+            )}
+            {levelStack.length > 0 && (
+              <Typography color="textSecondary">
+                親ステップ1回あたり: {TimeCalculationService.formatMinutes(
+                  Math.round(TimeCalculationService.calculateSubProcessMinutes({ steps: nodes, edges }))
+                )}
+              </Typography>
+            )}
+            {levelStack.length === 0 && workload.totalHours > 0 && (
               <Typography color="textSecondary">
                 年間工数: {workload.totalHours.toLocaleString()} 時間（{workload.totalDays.toLocaleString()} 人日）
               </Typography>
             )}
+            {leadTime.leadTimeMinutes > 0 && (
+              <Typography color="textSecondary">
+                リードタイム: {TimeCalculationService.formatMinutes(Math.round(leadTime.leadTimeMinutes))}
+                （作業 {TimeCalculationService.formatMinutes(Math.round(leadTime.workMinutes))}
+                ・待ち {TimeCalculationService.formatMinutes(Math.round(leadTime.waitMinutes))}）
+                {leadTime.processCycleEfficiency !== null && (
+                  <> / PCE: {(leadTime.processCycleEfficiency * 100).toFixed(1)}%</>
+                )}
+                {showCriticalPath && (
+                  <> / クリティカルパス（最悪ケース）: {TimeCalculationService.formatMinutes(Math.round(leadTime.criticalPath.minutes))}</>
+                )}
+              </Typography>
+            )}
+            {queueResult?.bottleneckStepId && (
+              <Typography color="textSecondary">
+                ボトルネック: {queueResult.stepStats[queueResult.bottleneckStepId].label}
+                （稼働率 {Math.round(queueResult.stepStats[queueResult.bottleneckStepId].utilization * 100)}%
+                ・平均待ち {Math.round(queueResult.stepStats[queueResult.bottleneckStepId].averageWaitMinutes)}分）
+              </Typography>
+            )}
+            {handoffs && (
+              <Typography color="textSecondary">
+                担当間の受け渡し: {handoffs.count}箇所（1件あたり {handoffs.expectedPerInstance.toLocaleString()} 回）
+              </Typography>
+            )}
           </Grid>
           <Grid item xs={12} md={6}>
             <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
@@ -576,7 +1157,7 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
               <Tooltip title="元に戻す">
                 <IconButton 
                   onClick={handleUndo}
-                  disabled={historyIndex <= 0}
+                  disabled={!historyUtils.canUndo(history)}
                 >
                   <UndoIcon />
                 </IconButton>
@@ -585,7 +1166,7 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
               <Tooltip title="やり直す">
                 <IconButton 
                   onClick={handleRedo}
-                  disabled={historyIndex >= history.length - 1}
+                  disabled={!historyUtils.canRedo(history)}
                 >
                   <RedoIcon />
                 </IconButton>
@@ -609,6 +1190,14 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                     編集
                   </Button>
                   
+                  {StepModel.canHaveSubProcess(selectedNode) && (
+                    <Tooltip title="子プロセスを開く（ダブルクリックでも開けます）">
+                      <IconButton color="primary" onClick={() => handleDrillIn(selectedNode)}>
+                        <SubProcessIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  
                   <Tooltip title="複製">
                     <IconButton color="primary" onClick={handleDuplicateNode}>
                       <DuplicateIcon />
@@ -624,60 +1213,153 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
               )}
               
               {selectedEdge && (
-                <Tooltip title="エッジを削除">
-                  <IconButton color="error" onClick={handleDeleteEdge}>
-                    <DeleteIcon />
-                  </IconButton>
-                </Tooltip>
+                <>
+                  <Button
+                    variant="contained"
+                    startIcon={<EditIcon />}
+                    onClick={handleEditEdge}
+                  >
+                    分岐設定
+                  </Button>
+                  
+                  <Tooltip title="エッジを削除">
+                    <IconButton color="error" onClick={handleDeleteEdge}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </>
               )}
             </Box>
           </Grid>
           
           <Grid item xs={12}>
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
-              <Tooltip title="改善ポイントをハイライト">
+              <Tooltip title="選んだ指標の大きさでステップを色分け（緑: 小さい → 赤: 大きい）">
+                <Box sx={{ display: 'flex', alignItems: 'center', mr: 2 }}>
+                  <PaletteIcon color={heatmap ? 'warning' : 'action'} sx={{ mr: 1 }} />
+                  <FormControl size="small" sx={{ minWidth: 180 }}>
+                    <Select
+                      value={heatmapMetric || ''}
+                      displayEmpty
+                      onChange={(e) => onHeatmapMetricChange && onHeatmapMetricChange(e.target.value || null)}
+                      disabled={!onHeatmapMetricChange}
+                    >
+                      <MenuItem value="">ヒートマップなし</MenuItem>
+                      {HeatmapService.METRICS.map(metric => (
+                        <MenuItem key={metric.id} value={metric.id}>{metric.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Box>
+              </Tooltip>
+              
+              <Tooltip title="分岐の確率によらず最も時間のかかる経路（最悪ケース）を強調">
                 <Button
-                  variant={showHighlights ? "contained" : "outlined"}
-                  color={showHighlights ? "warning" : "primary"}
-                  startIcon={<PaletteIcon />}
-                  onClick={() => setShowHighlights(!showHighlights)}
+                  variant={showCriticalPath ? "contained" : "outlined"}
+                  color={showCriticalPath ? "warning" : "primary"}
+                  startIcon={<CriticalPathIcon />}
+                  onClick={() => setShowCriticalPath(!showCriticalPath)}
+                  disabled={nodes.length === 0}
                   size="small"
                   sx={{ mr: 2 }}
                 >
-                  改善ポイント表示
+                  クリティカルパス
                 </Button>
               </Tooltip>
               
-              {showHighlights && (
-                <Box sx={{ display: 'flex', alignItems: 'center', width: '300px' }}>
-                  <Typography variant="body2" sx={{ mr: 1 }}>
-                    {timeThreshold}分以上
-                  </Typography>
-                  <Box sx={{ flex: 1 }}>
-                    <input
-                      type="range"
-                      min="5"
-                      max="120"
-                      value={timeThreshold}
-                      onChange={(e) => setTimeThreshold(parseInt(e.target.value))}
-                      style={{ width: '100%' }}
-                    />
-                  </Box>
-                </Box>
+              <Tooltip title="待ち行列シミュレーション（5営業日）の稼働率で色分け（赤: 85%以上）">
+                <Button
+                  variant={showBottlenecks ? "contained" : "outlined"}
+                  color={showBottlenecks ? "error" : "primary"}
+                  startIcon={<BottleneckIcon />}
+                  onClick={() => setShowBottlenecks(!showBottlenecks)}
+                  disabled={nodes.length === 0}
+                  size="small"
+                  sx={{ mr: 2 }}
+                >
+                  ボトルネック
+                </Button>
+              </Tooltip>
+              
+              <Tooltip title="接続関係に沿ってステップを自動で並べ替え（元に戻すで取り消せます）">
+                <Button
+                  variant="outlined"
+                  startIcon={<AutoLayoutIcon />}
+                  onClick={handleAutoLayout}
+                  disabled={nodes.length === 0}
+                  size="small"
+                  sx={{ mr: 1 }}
+                >
+                  自動整列
+                </Button>
+              </Tooltip>
+              
+              {!swimlaneConfig.enabled && (
+                <FormControl size="small" sx={{ mr: 2, minWidth: 100 }}>
+                  <Select
+                    value={layoutDirection}
+                    onChange={(e) => setLayoutDirection(e.target.value)}
+                  >
+                    <MenuItem value="LR">左から右</MenuItem>
+                    <MenuItem value="TB">上から下</MenuItem>
+                  </Select>
+                </FormControl>
               )}
+              
+              <Tooltip title="担当者・部署ごとのレーンに配置">
+                <Button
+                  variant={swimlaneConfig.enabled ? "contained" : "outlined"}
+                  startIcon={<SwimlaneIcon />}
+                  onClick={() => updateSwimlanes({ enabled: !swimlaneConfig.enabled })}
+                  size="small"
+                  sx={{ mr: 2 }}
+                >
+                  スイムレーン
+                </Button>
+              </Tooltip>
+              
+              {swimlaneConfig.enabled && (
+                <>
+                  <FormControl size="small" sx={{ mr: 2, minWidth: 100 }}>
+                    <Select
+                      value={swimlaneConfig.orientation}
+                      onChange={(e) => updateSwimlanes({ orientation: e.target.value })}
+                    >
+                      <MenuItem value="horizontal">横レーン</MenuItem>
+                      <MenuItem value="vertical">縦レーン</MenuItem>
+                    </Select>
+                  </FormControl>
+                  <Button size="small" onClick={handleOpenLaneDialog} sx={{ mr: 2 }}>
+                    レーン編集
+                  </Button>
+                </>
+              )}
+              
             </Box>
           </Grid>
+          
+          {workload.flowWarnings.length > 0 && (
+            <Grid item xs={12}>
+              <Alert severity="warning">
+                {workload.flowWarnings.map((warning, index) => (
+                  <div key={index}>{warning.message}</div>
+                ))}
+              </Alert>
+            </Grid>
+          )}
         </Grid>
       </Paper>
       
       <div style={{ height: '700px', width: '100%' }} ref={reactFlowWrapper}>
         <ReactFlow
-          nodes={getHighlightedNodes()}
-          edges={edges}
+          nodes={getDisplayNodes()}
+          edges={getDisplayEdges()}
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
           onConnect={onConnect}
           onSelectionChange={onSelectionChange}
+          onNodeDragStop={onNodeDragStop}
+          onNodeDoubleClick={onNodeDoubleClick}
           nodeTypes={nodeTypes}
           deleteKeyCode={['Backspace', 'Delete']}
           multiSelectionKeyCode={['Control', 'Meta']}
@@ -690,6 +1372,27 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
         >
           <Controls />
           <Background gap={20} color="#f0f0f0" />
+          {heatmap && (
+            // 凡例はフローの中に置き、SVG/PNGエクスポートにも含める
+            <Panel position="top-right">
+              <Box sx={{ bgcolor: 'background.paper', border: '1px solid #ccc', borderRadius: 1, p: 1, width: 220 }}>
+                <Typography variant="caption" fontWeight="bold" display="block">
+                  ヒートマップ: {heatmap.metric.label}
+                </Typography>
+                <Box
+                  sx={{
+                    height: 10,
+                    my: 0.5,
+                    background: `linear-gradient(to right, ${HeatmapService.getLegendColors().join(', ')})`
+                  }}
+                />
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography variant="caption">{HeatmapService.formatValue(heatmap.min, heatmap.metric)}</Typography>
+                  <Typography variant="caption">{HeatmapService.formatValue(heatmap.max, heatmap.metric)}</Typography>
+                </Box>
+              </Box>
+            </Panel>
+          )}
           <MiniMap
             nodeStrokeColor={(n) => {
               if (n.type === 'process') return '#0041d0';
@@ -701,6 +1404,7 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
               return '#eee';
             }}
             nodeColor={(n) => {
+              if (n.type === 'swimlane') return 'transparent';
               if (n.type === 'process') return '#d0e1fd';
               if (n.type === 'inspection') return '#d0e1fd';
               if (n.type === 'transport') return '#ffcce3';
@@ -771,6 +1475,72 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                 </Select>
               </FormControl>
             </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth>
+                <InputLabel>副記号（複合記号）</InputLabel>
+                <Select
+                  name="secondaryType"
+                  value={nodeForm.secondaryType}
+                  onChange={handleNodeFormChange}
+                  label="副記号（複合記号）"
+                >
+                  <MenuItem value="">なし</MenuItem>
+                  {['process', 'inspection', 'transport', 'delay', 'storage']
+                    .filter(type => type !== nodeForm.type || type === 'inspection')
+                    .map(type => (
+                      <MenuItem key={type} value={type}>{StepModel.getTypeName(type)}</MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            {(nodeForm.type === 'inspection' || nodeForm.secondaryType === 'inspection') && (
+              <Grid item xs={12} sm={6}>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  {nodeForm.type === 'inspection' && (
+                    <FormControl fullWidth>
+                      <InputLabel>検査の種類</InputLabel>
+                      <Select
+                        name="checkType"
+                        value={nodeForm.checkType}
+                        onChange={handleNodeFormChange}
+                        label="検査の種類"
+                      >
+                        <MenuItem value="quality">品質検査</MenuItem>
+                        <MenuItem value="quantity">数量検査</MenuItem>
+                      </Select>
+                    </FormControl>
+                  )}
+                  {nodeForm.secondaryType === 'inspection' && (
+                    <FormControl fullWidth>
+                      <InputLabel>副記号の検査の種類</InputLabel>
+                      <Select
+                        name="secondaryCheckType"
+                        value={nodeForm.secondaryCheckType}
+                        onChange={handleNodeFormChange}
+                        label="副記号の検査の種類"
+                      >
+                        <MenuItem value="quantity">数量検査</MenuItem>
+                        <MenuItem value="quality">品質検査</MenuItem>
+                      </Select>
+                    </FormControl>
+                  )}
+                </Box>
+              </Grid>
+            )}
+            {nodeForm.secondaryType && (
+              <Grid item xs={12} sm={6}>
+                <Typography variant="body2" color="textSecondary" sx={{ pt: 2 }}>
+                  記号: {StepModel.getCompositeName({
+                    type: nodeForm.type,
+                    data: {
+                      secondaryType: nodeForm.secondaryType,
+                      checkType: nodeForm.checkType,
+                      secondaryCheckType: nodeForm.secondaryCheckType
+                    }
+                  })}
+                </Typography>
+              </Grid>
+            )}
             <Grid item xs={12} sm={6}>
               <TextField
                 label="所要時間"
@@ -780,6 +1550,8 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                 onChange={handleNodeFormChange}
                 fullWidth
                 required
+                disabled={StepModel.hasSubProcess(selectedNode)}
+                helperText={StepModel.hasSubProcess(selectedNode) ? '子プロセスから集計されます' : ''}
                 InputProps={{ inputProps: { min: 0 } }}
               />
             </Grid>
@@ -798,6 +1570,54 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                 </Select>
               </FormControl>
             </Grid>
+            {!StepModel.hasSubProcess(selectedNode) && (
+              <>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    label="最短時間"
+                    name="timeMin"
+                    type="number"
+                    value={nodeForm.timeMin}
+                    onChange={handleNodeFormChange}
+                    fullWidth
+                    helperText="ばらつきがある場合のみ"
+                    InputProps={{ inputProps: { min: 0 } }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    label="最長時間"
+                    name="timeMax"
+                    type="number"
+                    value={nodeForm.timeMax}
+                    onChange={handleNodeFormChange}
+                    fullWidth
+                    error={
+                      nodeForm.timeMin !== '' && nodeForm.timeMax !== '' &&
+                      !StepModel.getTimeEstimate({
+                        data: { time: nodeForm.time, timeEstimate: { min: nodeForm.timeMin, max: nodeForm.timeMax } }
+                      })
+                    }
+                    helperText="最短 ≦ 所要時間 ≦ 最長"
+                    InputProps={{ inputProps: { min: 0 } }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <FormControl fullWidth>
+                    <InputLabel>分布</InputLabel>
+                    <Select
+                      name="timeDistribution"
+                      value={nodeForm.timeDistribution}
+                      onChange={handleNodeFormChange}
+                      label="分布"
+                    >
+                      <MenuItem value="triangular">三角分布</MenuItem>
+                      <MenuItem value="pert">PERT分布</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+              </>
+            )}
             <Grid item xs={12} sm={6}>
               <TextField
                 label="頻度"
@@ -807,6 +1627,8 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                 onChange={handleNodeFormChange}
                 fullWidth
                 required
+                disabled={Boolean(nodeForm.frequencyFormula.trim()) && nodeForm.frequencyUnit !== '件'}
+                helperText={nodeForm.frequencyFormula.trim() && nodeForm.frequencyUnit !== '件' ? '頻度の式から計算します' : ''}
                 InputProps={{ inputProps: { min: 0 } }}
               />
             </Grid>
@@ -819,31 +1641,215 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
                   onChange={handleNodeFormChange}
                   label="頻度単位"
                 >
-                  <MenuItem value="日">日</MenuItem>
-                  <MenuItem value="週">週</MenuItem>
-                  <MenuItem value="月">月</MenuItem>
-                  <MenuItem value="年">年</MenuItem>
+                  {StepModel.getFrequencyUnits().map(unit => (
+                    <MenuItem key={unit.value} value={unit.value}>{unit.label}</MenuItem>
+                  ))}
                 </Select>
               </FormControl>
             </Grid>
+            {nodeForm.frequencyUnit === '件' && (
+              <Grid item xs={12}>
+                <FormControl fullWidth error={!nodeForm.volumeDriverId}>
+                  <InputLabel>ボリュームドライバー</InputLabel>
+                  <Select
+                    name="volumeDriverId"
+                    value={nodeForm.volumeDriverId}
+                    onChange={handleNodeFormChange}
+                    label="ボリュームドライバー"
+                  >
+                    {volumeDrivers.map(driver => (
+                      <MenuItem key={driver.id} value={driver.id}>
+                        {driver.name || '（名称未設定）'}（{driver.value}件/{driver.unit}）
+                      </MenuItem>
+                    ))}
+                  </Select>
+                  <FormHelperText>
+                    {volumeDrivers.length > 0
+                      ? 'ドライバー1件あたりの回数として年間回数を求めます'
+                      : '設定タブの「ボリュームドライバー」で件数を登録してください'}
+                  </FormHelperText>
+                </FormControl>
+              </Grid>
+            )}
+            {nodeForm.frequencyUnit !== '件' && (volumeDrivers.length > 0 || nodeForm.frequencyFormula) && (
+              <Grid item xs={12}>
+                <TextField
+                  label="頻度の式（任意）"
+                  name="frequencyFormula"
+                  value={nodeForm.frequencyFormula}
+                  onChange={handleNodeFormChange}
+                  fullWidth
+                  placeholder="例: 受注 * 1.2"
+                  error={Boolean(frequencyFormulaError)}
+                  helperText={frequencyFormulaError || (
+                    `ドライバーの件数（頻度単位あたりに換算）を使って頻度を指定します。使用できる名前: ${
+                      volumeDrivers.map(driver => driver.name.trim()).filter(Boolean).join('、')
+                    }（空白を含む名前は [ ] で囲む）`
+                  )}
+                />
+              </Grid>
+            )}
+            {['日', '時間'].includes(nodeForm.frequencyUnit) && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  label="発生する営業日（毎月の月初から）"
+                  name="activeBusinessDays"
+                  type="number"
+                  value={nodeForm.activeBusinessDays}
+                  onChange={handleNodeFormChange}
+                  fullWidth
+                  helperText="月初3営業日だけの作業などに入力（空欄は全営業日）"
+                  InputProps={{ inputProps: { min: 1, max: 23 } }}
+                />
+              </Grid>
+            )}
+            {nodeForm.frequencyUnit === '時間' && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  label="発生する時間帯（時間/日）"
+                  name="activeHoursPerDay"
+                  type="number"
+                  value={nodeForm.activeHoursPerDay}
+                  onChange={handleNodeFormChange}
+                  fullWidth
+                  helperText="ピーク時間帯だけの作業などに入力（空欄は実働時間）"
+                  InputProps={{ inputProps: { min: 0, step: 0.5 } }}
+                />
+              </Grid>
+            )}
+            <Grid item xs={12}>
+              <Typography variant="subtitle2">季節変動（月別係数）</Typography>
+              <Typography variant="caption" color="text.secondary">
+                繁忙期は1より大きく、閑散期は1より小さく入力します（すべて1なら季節変動なし）
+              </Typography>
+            </Grid>
+            {nodeForm.monthlyMultipliers.map((multiplier, month) => (
+              <Grid item xs={3} sm={2} key={month}>
+                <TextField
+                  label={`${month + 1}月`}
+                  type="number"
+                  size="small"
+                  value={multiplier}
+                  onChange={handleMonthlyMultiplierChange(month)}
+                  fullWidth
+                  InputProps={{ inputProps: { min: 0, step: 0.1 } }}
+                />
+              </Grid>
+            ))}
+            <Grid item xs={12}>
+              <Typography variant="body2" color="text.secondary">
+                年間回数の目安: {WorkloadEngine.getAnnualOccurrences(
+                  { data: { ...nodeForm, ...getFrequencyData(nodeForm) } },
+                  { calendar, volumeDrivers }
+                ).toLocaleString(undefined, { maximumFractionDigits: 1 })}回
+              </Typography>
+            </Grid>
+            {nodeForm.assignees.length === 0 ? (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  label="担当者"
+                  name="responsible"
+                  value={nodeForm.responsible}
+                  onChange={handleNodeFormChange}
+                  fullWidth
+                />
+                <Button size="small" onClick={handleSplitAssignees}>
+                  工数を分担する
+                </Button>
+              </Grid>
+            ) : (
+              <Grid item xs={12}>
+                <Typography variant="subtitle2">工数の分担</Typography>
+                {nodeForm.assignees.map((assignee, index) => (
+                  <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                    <TextField
+                      label="担当者"
+                      size="small"
+                      value={assignee.responsible}
+                      onChange={handleAssigneeChange(index, 'responsible')}
+                      sx={{ flex: 1 }}
+                    />
+                    <TextField
+                      label="割合"
+                      type="number"
+                      size="small"
+                      value={assignee.percent}
+                      onChange={handleAssigneeChange(index, 'percent')}
+                      InputProps={{
+                        endAdornment: <InputAdornment position="end">%</InputAdornment>,
+                        inputProps: { min: 0, max: 100, step: 5 }
+                      }}
+                      sx={{ width: 120 }}
+                    />
+                    <IconButton size="small" onClick={() => handleRemoveAssignee(index)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                ))}
+                <Button size="small" startIcon={<AddIcon />} onClick={handleAddAssignee} sx={{ mt: 1 }}>
+                  担当者を追加
+                </Button>
+                <FormHelperText error={Boolean(assigneesError)}>
+                  {assigneesError || '年間工数を割合に応じて各担当者に配分します。先頭の担当者がスイムレーンの担当者になります'}
+                </FormHelperText>
+              </Grid>
+            )}
             <Grid item xs={12} sm={6}>
               <TextField
-                label="担当者"
-                name="responsible"
-                value={nodeForm.responsible}
+                label="使用ツール"
+                name="tools"
+                value={nodeForm.tools}
                 onChange={handleNodeFormChange}
                 fullWidth
               />
             </Grid>
             <Grid item xs={12} sm={6}>
               <TextField
-                label="使用ツール"
-                name="tools"
-                value={nodeForm.tools}
+                label="同時処理数（担当人数）"
+                name="servers"
+                type="number"
+                value={nodeForm.servers}
+                onChange={handleNodeFormChange}
+                fullWidth
+                helperText={['delay', 'storage'].includes(nodeForm.type) ? '空欄は無制限' : '空欄は1'}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="距離（m）"
+                name="distance"
+                type="number"
+                value={nodeForm.distance}
                 onChange={handleNodeFormChange}
                 fullWidth
+                InputProps={{ inputProps: { min: 0 } }}
               />
             </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="数量"
+                name="quantity"
+                type="number"
+                value={nodeForm.quantity}
+                onChange={handleNodeFormChange}
+                fullWidth
+                InputProps={{ inputProps: { min: 0 } }}
+              />
+            </Grid>
+            {selectedNode && edges.filter(edge => edge.source === selectedNode.id && !FlowAnalysisService.isLoopBack(edge)).length >= 2 && (
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={nodeForm.parallelSplit}
+                      onChange={(e) => setNodeForm({ ...nodeForm, parallelSplit: e.target.checked })}
+                    />
+                  }
+                  label="並行作業（分岐先をすべて同時に実行する）"
+                />
+              </Grid>
+            )}
             <Grid item xs={12}>
               <TextField
                 label="備考"
@@ -859,7 +1865,63 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCancelNodeDialog}>キャンセル</Button>
-          <Button onClick={handleSaveNodeDialog} variant="contained">保存</Button>
+          <Button onClick={handleSaveNodeDialog} variant="contained" disabled={Boolean(frequencyFormulaError) || Boolean(assigneesError)}>保存</Button>
+        </DialogActions>
+      </Dialog>
+      
+      {/* レーン編集ダイアログ */}
+      <Dialog open={laneDialogOpen} onClose={() => setLaneDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>レーン編集</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="レーン名（1行に1つ）"
+            value={laneNamesText}
+            onChange={(e) => setLaneNamesText(e.target.value)}
+            fullWidth
+            multiline
+            rows={8}
+            sx={{ mt: 1 }}
+            helperText={`上から順に配置します。担当者が割り当てられているレーンは自動的に残ります。担当者未設定のステップは「${SwimlaneModel.UNASSIGNED_LANE_NAME}」レーンに配置されます`}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLaneDialogOpen(false)}>キャンセル</Button>
+          <Button onClick={handleSaveLaneDialog} variant="contained">保存</Button>
+        </DialogActions>
+      </Dialog>
+      
+      {/* エッジ編集ダイアログ */}
+      <Dialog open={edgeDialogOpen} onClose={() => setEdgeDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>分岐設定</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid item xs={12}>
+              <TextField
+                label={edgeForm.loopBack ? '差戻し率（%）' : '分岐確率（%）'}
+                type="number"
+                value={edgeForm.probability}
+                onChange={(e) => setEdgeForm({ ...edgeForm, probability: e.target.value })}
+                fullWidth
+                helperText="空欄の場合は、同じステップから出る他の接続の残りを均等に割り当てます"
+                InputProps={{ inputProps: { min: 0, max: 100 } }}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={edgeForm.loopBack}
+                    onChange={(e) => setEdgeForm({ ...edgeForm, loopBack: e.target.checked })}
+                  />
+                }
+                label="差戻し（前工程へ戻るループ）"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEdgeDialogOpen(false)}>キャンセル</Button>
+          <Button onClick={handleSaveEdgeDialog} variant="contained">保存</Button>
         </DialogActions>
       </Dialog>
     </div>
@@ -1,6 +1,7 @@
 // src/components/nodes/ProcessNode.jsx
 import React from 'react';
 import { Handle, Position } from 'reactflow';
+import SecondarySymbol from './SecondarySymbol';
 
 // 加工（円形）ノード
 const ProcessNode = ({ data }) => {
@@ -17,12 +18,20 @@ const ProcessNode = ({ data }) => {
         flexDirection: 'column',
         justifyContent: 'center',
         alignItems: 'center',
-        padding: '5px'
+        padding: '5px',
+        position: 'relative',
+        zIndex: 0
       }}>
+        <SecondarySymbol type={data.secondaryType} />
         <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '5px' }}>{data.label}</div>
         <div style={{ fontSize: '12px' }}>{data.time}{data.timeUnit}</div>
         <div style={{ fontSize: '12px' }}>担当: {data.responsible}</div>
         <div style={{ fontSize: '12px' }}>ツール: {data.tools}</div>
+        {data.subProcess?.steps?.length > 0 && (
+          <div style={{ fontSize: '11px', color: '#1976d2' }}>
+            ▼ 子プロセス（{data.subProcess.steps.length}）
+          </div>
+        )}
       </div>
       <Handle type="source" position={Position.Right} />
     </div>
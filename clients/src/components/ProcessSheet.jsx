@@ -0,0 +1,151 @@
+// src/components/ProcessSheet.jsx
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper
+} from '@mui/material';
+import {
+  GridOn as ExcelIcon,
+  PictureAsPdf as PdfIcon
+} from '@mui/icons-material';
+import { ProcessSheetService } from '../services/processSheet';
+
+// 行の高さを記号欄のSVGと揃えるためのセルのスタイル
+const rowCellSx = {
+  height: ProcessSheetService.ROW_HEIGHT,
+  py: 0,
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis'
+};
+
+// 工程分析表（JMA方式）ビュー
+const ProcessSheet = ({ processSteps = [], processEdges = [], calendar = null, onExportExcel, onExportPdf }) => {
+  const columns = ProcessSheetService.getSymbolColumns();
+  const rows = useMemo(
+    () => ProcessSheetService.buildRows(processSteps, processEdges, { calendar }),
+    [processSteps, processEdges, calendar]
+  );
+  const totals = useMemo(() => ProcessSheetService.calculateTotals(rows), [rows]);
+  const format = (value) => (Math.round(value * 10) / 10).toLocaleString();
+
+  // 表示がない場合
+  if (rows.length === 0) {
+    return (
+      <Card>
+        <CardContent>
+          <Typography variant="h5" component="h2">
+            工程分析表
+          </Typography>
+          <Typography color="textSecondary">
+            プロセスチャートのデータがありません。チャートを作成してください。
+          </Typography>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4" sx={{ flexGrow: 1 }}>
+          工程分析表
+        </Typography>
+        <Button variant="outlined" startIcon={<ExcelIcon />} onClick={onExportExcel} sx={{ mr: 1 }}>
+          Excel出力
+        </Button>
+        <Button variant="outlined" startIcon={<PdfIcon />} onClick={onExportPdf}>
+          PDF出力
+        </Button>
+      </Box>
+
+      <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>No</TableCell>
+              <TableCell>工程名</TableCell>
+              {columns.map(column => (
+                <TableCell
+                  key={column.type}
+                  align="center"
+                  sx={{ width: ProcessSheetService.SYMBOL_COLUMN_WIDTH, px: 0 }}
+                >
+                  {column.glyph}<br />{column.name}
+                </TableCell>
+              ))}
+              <TableCell align="right">時間(分)</TableCell>
+              <TableCell align="right">距離(m)</TableCell>
+              <TableCell align="right">数量</TableCell>
+              <TableCell>担当者</TableCell>
+              <TableCell>備考</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row, index) => (
+              <TableRow key={row.id}>
+                <TableCell sx={rowCellSx}>{row.no}</TableCell>
+                <TableCell sx={rowCellSx}>{row.label}</TableCell>
+                <TableCell
+                  colSpan={columns.length}
+                  sx={{ p: 0, borderBottom: 'none' }}
+                  dangerouslySetInnerHTML={{ __html: ProcessSheetService.generateRowSymbolSvg(rows, index) }}
+                />
+                <TableCell align="right" sx={rowCellSx}>{format(row.minutes)}</TableCell>
+                <TableCell align="right" sx={rowCellSx}>{row.distance ? format(row.distance) : ''}</TableCell>
+                <TableCell align="right" sx={rowCellSx}>{row.quantity ?? ''}</TableCell>
+                <TableCell sx={rowCellSx}>{row.responsible}</TableCell>
+                <TableCell sx={{ ...rowCellSx, maxWidth: 240 }} title={row.notes}>{row.notes}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* 記号別の集計 */}
+      <Typography variant="h6" gutterBottom>
+        記号別集計
+      </Typography>
+      <TableContainer component={Paper} variant="outlined" sx={{ maxWidth: 600 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>記号</TableCell>
+              <TableCell align="right">回数</TableCell>
+              <TableCell align="right">時間(分)</TableCell>
+              <TableCell align="right">距離(m)</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {totals.bySymbol.map(item => (
+              <TableRow key={item.type}>
+                <TableCell>{item.glyph} {item.name}</TableCell>
+                <TableCell align="right">{item.count}</TableCell>
+                <TableCell align="right">{format(item.minutes)}</TableCell>
+                <TableCell align="right">{format(item.distance)}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>合計</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 'bold' }}>{totals.total.count}</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 'bold' }}>{format(totals.total.minutes)}</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 'bold' }}>{format(totals.total.distance)}</TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </div>
+  );
+};
+
+export default ProcessSheet;
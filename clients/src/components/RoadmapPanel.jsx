@@ -0,0 +1,370 @@
+// src/components/RoadmapPanel.jsx
+import React, { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  FormControl,
+  Grid,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { FileDownload as FileDownloadIcon } from '@mui/icons-material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LineController,
+  LineElement,
+  PointElement,
+  CategoryScale,
+  LinearScale,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'chart.js';
+import { RoadmapService } from '../services/roadmap';
+import ImprovementModel from '../models/ImprovementModel';
+import appConfig from '../config/appConfig';
+
+// 累計削減額の推移の折れ線グラフに必要な要素を登録
+ChartJS.register(LineController, LineElement, PointElement, CategoryScale, LinearScale, ChartTooltip, Legend);
+
+const NO_ITEMS = [];
+
+// 削減効果の推移を表示する、すべての施策の完了後の月数
+const MONTHS_AFTER_COMPLETION = 12;
+
+// 状態ごとのバーの色
+const BAR_COLORS = {
+  approved: '#4caf50',
+  'in-progress': '#ff9800',
+  completed: '#9e9e9e'
+};
+
+const formatYen = (value) => `${Math.round(value).toLocaleString()}円`;
+
+// 'YYYY-MM' を「YYYY年M月」にする
+const formatMonth = (month) => (month ? `${month.slice(0, 4)}年${Number(month.slice(5, 7))}月` : '—');
+
+// 承認した改善施策の実施ロードマップ（ガントチャート・マイルストーン・削減効果の推移）
+const RoadmapPanel = ({
+  improvements = NO_ITEMS,
+  attribution = NO_ITEMS,
+  workload = null,
+  settings = null,
+  costSettings = null,
+  onSettingsChange,
+  onImprovementsChange,
+  onExportExcel
+}) => {
+  const [responsibleDrafts, setResponsibleDrafts] = useState({});
+
+  const schedule = useMemo(
+    () => RoadmapService.buildSchedule(improvements, settings || {}, {
+      attribution,
+      workload,
+      costSettings,
+      monthsAfterCompletion: MONTHS_AFTER_COMPLETION
+    }),
+    [improvements, settings, attribution, workload, costSettings]
+  );
+  const months = RoadmapService.getMonths(schedule);
+  const rangeStart = months[0]?.start.getTime() || 0;
+  const rangeMs = (months[months.length - 1]?.end.getTime() || 0) - rangeStart;
+
+  // バーの位置（表示範囲に対する割合）
+  const toPercent = (date) => ((new Date(`${date}T00:00:00Z`).getTime() - rangeStart) / rangeMs) * 100;
+
+  const updateImprovement = (key, updates) => {
+    if (!onImprovementsChange) return;
+    onImprovementsChange(improvements.map(improvement => (
+      ImprovementModel.getKey(improvement) === key ? ImprovementModel.update(improvement, updates) : improvement
+    )));
+  };
+
+  const commitResponsible = (improvement) => {
+    const key = ImprovementModel.getKey(improvement);
+    const draft = responsibleDrafts[key];
+    if (draft !== undefined && draft !== (improvement.responsible || '')) {
+      updateImprovement(key, { responsible: draft.trim() });
+    }
+    setResponsibleDrafts(({ [key]: removed, ...rest }) => rest);
+  };
+
+  const titleByKey = Object.fromEntries(improvements.map(improvement => [
+    ImprovementModel.getKey(improvement),
+    `${improvement.title}（${improvement.targetStepLabel || improvement.targetStepId}）`
+  ]));
+  const taskByKey = Object.fromEntries(schedule.tasks.map(task => [task.key, task]));
+
+  const chartData = {
+    labels: schedule.timeline.map(row => row.month),
+    datasets: [
+      {
+        label: '累計削減額（万円）',
+        data: schedule.timeline.map(row => row.cumulativeSavings / 10000),
+        borderColor: 'rgba(76, 175, 80, 1)',
+        backgroundColor: 'rgba(76, 175, 80, 0.2)',
+        pointRadius: 2
+      },
+      {
+        label: '累計費用（万円）',
+        data: schedule.timeline.map(row => row.cumulativeCost / 10000),
+        borderColor: 'rgba(244, 67, 54, 1)',
+        backgroundColor: 'rgba(244, 67, 54, 0.2)',
+        stepped: true,
+        pointRadius: 2
+      }
+    ]
+  };
+
+  if (improvements.length === 0) {
+    return (
+      <Alert severity="info">
+        改善施策がありません。改善提案タブで施策を選択して適用してください。
+      </Alert>
+    );
+  }
+
+  return (
+    <div>
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+            <Typography variant="h6">実施ロードマップ</Typography>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <TextField
+                label="開始日"
+                type="date"
+                size="small"
+                value={schedule.startDate}
+                onChange={(e) => e.target.value && onSettingsChange && onSettingsChange({ ...settings, startDate: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+              <Button
+                variant="outlined"
+                startIcon={<FileDownloadIcon />}
+                disabled={schedule.tasks.length === 0 || !onExportExcel}
+                onClick={() => onExportExcel(schedule)}
+              >
+                Excel出力
+              </Button>
+            </Box>
+          </Box>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+            承認済・実施中・完了の施策を、前提となる施策の完了後に開始するものとして並べます。
+            施策の完了日から削減効果が発現するものとし、費用は開始月に計上します。
+          </Typography>
+
+          {schedule.warnings.map((warning, index) => (
+            <Alert key={index} severity="warning" sx={{ mb: 1 }}>{warning}</Alert>
+          ))}
+
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            <Grid item xs={6} md={3}>
+              <Typography variant="subtitle2">ロードマップの施策</Typography>
+              <Typography variant="h5">{schedule.tasks.length}件</Typography>
+              <Typography variant="caption">未承認 {schedule.unscheduled.length}件</Typography>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <Typography variant="subtitle2">効果の発現開始</Typography>
+              <Typography variant="h5" color="primary">{schedule.savingsStartDate || '—'}</Typography>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <Typography variant="subtitle2">すべての施策の完了</Typography>
+              <Typography variant="h5">{schedule.tasks.length > 0 ? schedule.endDate : '—'}</Typography>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <Typography variant="subtitle2">投資回収</Typography>
+              <Typography variant="h5">{formatMonth(schedule.breakEvenMonth)}</Typography>
+            </Grid>
+          </Grid>
+
+          {schedule.tasks.length === 0 ? (
+            <Alert severity="info">承認済の施策がありません。下の表で施策の状態を「承認済」にしてください。</Alert>
+          ) : (
+            <Box sx={{ overflowX: 'auto', mb: 2 }}>
+              <Box sx={{ minWidth: 240 + months.length * 48 }}>
+                <Box sx={{ display: 'flex', borderBottom: 1, borderColor: 'divider' }}>
+                  <Box sx={{ width: 240, flexShrink: 0 }} />
+                  {months.map(month => (
+                    <Box key={month.key} sx={{ flex: 1, textAlign: 'center', borderLeft: 1, borderColor: 'divider' }}>
+                      <Typography variant="caption">{month.key}</Typography>
+                    </Box>
+                  ))}
+                </Box>
+                {schedule.tasks.map(task => (
+                  <Box key={task.key} sx={{ display: 'flex', alignItems: 'center', height: 40, borderBottom: 1, borderColor: 'divider' }}>
+                    <Box sx={{ width: 240, flexShrink: 0, pr: 1, overflow: 'hidden', whiteSpace: 'nowrap', textOverflow: 'ellipsis' }}>
+                      <Typography variant="body2" noWrap>{task.title}</Typography>
+                      <Typography variant="caption" color="textSecondary" noWrap display="block">
+                        {task.responsible || '担当者未定'}
+                      </Typography>
+                    </Box>
+                    <Box sx={{ flex: 1, position: 'relative', height: '100%' }}>
+                      <Tooltip title={`${task.startDate} 〜 ${task.endDate}（${task.durationDays}日）`}>
+                        <Box
+                          sx={{
+                            position: 'absolute',
+                            top: 12,
+                            height: 16,
+                            borderRadius: 1,
+                            left: `${toPercent(task.startDate)}%`,
+                            width: `${Math.max(0.5, toPercent(task.endDate) - toPercent(task.startDate))}%`,
+                            bgcolor: BAR_COLORS[task.status]
+                          }}
+                        />
+                      </Tooltip>
+                      <Tooltip title={`完了（効果の発現）: ${task.endDate}`}>
+                        <Typography
+                          variant="caption"
+                          sx={{ position: 'absolute', top: 10, left: `${toPercent(task.endDate)}%`, transform: 'translateX(-50%)' }}
+                        >
+                          ◆
+                        </Typography>
+                      </Tooltip>
+                    </Box>
+                  </Box>
+                ))}
+              </Box>
+            </Box>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {schedule.milestones.map(milestone => (
+              <Chip key={`${milestone.date}-${milestone.label}`} size="small" variant="outlined" label={`◆ ${milestone.date} ${milestone.label}`} />
+            ))}
+          </Box>
+        </CardContent>
+      </Card>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>施策の計画</Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>改善施策</TableCell>
+                  <TableCell>状態</TableCell>
+                  <TableCell>担当者</TableCell>
+                  <TableCell>実施期間</TableCell>
+                  <TableCell>前提となる施策</TableCell>
+                  <TableCell>開始日</TableCell>
+                  <TableCell>完了日</TableCell>
+                  <TableCell align="right">年間削減額</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {improvements.map(improvement => {
+                  const key = ImprovementModel.getKey(improvement);
+                  const task = taskByKey[key];
+                  return (
+                    <TableRow key={key}>
+                      <TableCell>{titleByKey[key]}</TableCell>
+                      <TableCell>
+                        <FormControl size="small" variant="standard">
+                          <Select
+                            value={improvement.status || 'proposed'}
+                            onChange={(e) => updateImprovement(key, { status: e.target.value })}
+                          >
+                            {ImprovementModel.getStatuses().map(status => (
+                              <MenuItem key={status} value={status}>{ImprovementModel.getStatusInfo(status).text}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          size="small"
+                          variant="standard"
+                          value={responsibleDrafts[key] ?? improvement.responsible ?? ''}
+                          onChange={(e) => setResponsibleDrafts({ ...responsibleDrafts, [key]: e.target.value })}
+                          onBlur={() => commitResponsible(improvement)}
+                          sx={{ width: 120 }}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <FormControl size="small" variant="standard">
+                          <Select
+                            value={improvement.implementationPeriod || ''}
+                            displayEmpty
+                            onChange={(e) => updateImprovement(key, { implementationPeriod: e.target.value })}
+                          >
+                            <MenuItem value="">実装難易度から見積もる</MenuItem>
+                            {appConfig.improvementDefaults.implementationPeriods.map(period => (
+                              <MenuItem key={period.value} value={period.value}>{period.label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell>
+                        <FormControl size="small" variant="standard" sx={{ minWidth: 160, maxWidth: 280 }}>
+                          <Select
+                            multiple
+                            displayEmpty
+                            value={improvement.dependsOn || []}
+                            onChange={(e) => updateImprovement(key, { dependsOn: e.target.value })}
+                            renderValue={(selected) => (selected.length === 0 ? 'なし' : selected.map(item => titleByKey[item] || item).join('、'))}
+                          >
+                            {improvements
+                              .map(other => ImprovementModel.getKey(other))
+                              .filter(otherKey => otherKey !== key)
+                              .map(otherKey => (
+                                <MenuItem key={otherKey} value={otherKey}>{titleByKey[otherKey]}</MenuItem>
+                              ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell>{task ? task.startDate : '—'}</TableCell>
+                      <TableCell>{task ? task.endDate : '—'}</TableCell>
+                      <TableCell align="right">{task ? formatYen(task.annualSavings) : '—'}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      {schedule.tasks.length > 0 && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>累計削減額と累計費用の推移</Typography>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+              すべての施策の完了から{MONTHS_AFTER_COMPLETION}か月後までの推移です。
+              費用は予想コストからの目安です。
+            </Typography>
+            <div style={{ height: '300px' }}>
+              <Line
+                data={chartData}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  scales: {
+                    y: { beginAtZero: true, title: { display: true, text: '万円' } }
+                  }
+                }}
+              />
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default RoadmapPanel;
@@ -0,0 +1,66 @@
+// src/components/SankeyPanel.jsx
+import React, { useMemo } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Typography
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { SankeyService } from '../services/sankey';
+import svgUtils from '../utils/svgUtils';
+
+// 1列に並ぶノード1つあたりの高さの目安
+const ROW_HEIGHT = 44;
+
+// 年間工数の流れ（ステップ間、工程タイプ → 価値区分）のサンキー図
+const SankeyPanel = ({ workloadData, processSteps = [], processEdges = [], onExportSvg }) => {
+  const svgData = useMemo(() => {
+    const graph = SankeyService.build(workloadData, processSteps, processEdges);
+    if (graph.nodes.length === 0) return null;
+
+    const rowsPerColumn = {};
+    graph.nodes.forEach(node => {
+      rowsPerColumn[node.column] = (rowsPerColumn[node.column] || 0) + 1;
+    });
+    const layout = SankeyService.layout(graph, {
+      height: Math.max(320, Math.max(...Object.values(rowsPerColumn)) * ROW_HEIGHT)
+    });
+    return svgUtils.generateSankeySvg(layout, { title: '年間工数の流れ' });
+  }, [workloadData, processSteps, processEdges]);
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">
+            工数の流れ（サンキー図）
+          </Typography>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<DownloadIcon />}
+            disabled={!svgData || !onExportSvg}
+            onClick={() => onExportSvg(svgData)}
+          >
+            SVGエクスポート
+          </Button>
+        </Box>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          帯の幅は年間工数（時間）です。ステップ間の帯は接続先のステップの工数を流れ込む件数の割合で按分し、
+          右側の2列は工程タイプから価値区分への内訳を表します。差戻しの帯は描きませんが、差戻しによる工数は各ステップに含まれます。
+        </Typography>
+
+        {svgData ? (
+          <Box sx={{ overflowX: 'auto' }} dangerouslySetInnerHTML={{ __html: svgData }} />
+        ) : (
+          <Alert severity="info">年間工数のあるステップがありません。</Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SankeyPanel;
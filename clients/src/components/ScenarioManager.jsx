@@ -0,0 +1,278 @@
+// src/components/ScenarioManager.jsx
+import React, { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Publish as PublishIcon
+} from '@mui/icons-material';
+import { ScenarioService } from '../services/scenario';
+import { TimeCalculationService } from '../services/timeCalculation';
+import layoutUtils from '../utils/layoutUtils';
+import svgUtils from '../utils/svgUtils';
+
+const NO_DRIVERS = [];
+const NO_IMPROVEMENTS = [];
+
+// 指標の値を単位に合わせて表示する
+const formatMetric = (value, metric) => {
+  if (value === null || value === undefined) return '—';
+  switch (metric.unit) {
+    case '円': return `${Math.round(value).toLocaleString()}円`;
+    case '分': return TimeCalculationService.formatMinutes(Math.round(value));
+    case '%': return `${value}%`;
+    default: return `${value.toLocaleString()}${metric.unit}`;
+  }
+};
+
+// 現状との差を表示する（良くなった場合は緑、悪くなった場合は赤）
+const renderDelta = (value, base, metric) => {
+  if (value === null || base === null || value === base) return null;
+  const diff = Math.round((value - base) * 10) / 10;
+  const improved = metric.lowerIsBetter ? diff < 0 : diff > 0;
+  const sign = diff > 0 ? '+' : '−';
+  const magnitude = metric.unit === '分'
+    ? TimeCalculationService.formatMinutes(Math.round(Math.abs(diff)))
+    : formatMetric(Math.abs(diff), metric);
+  return (
+    <Typography variant="caption" display="block" color={improved ? 'success.main' : 'error.main'}>
+      {sign}{magnitude}
+    </Typography>
+  );
+};
+
+// 現状（As-Is）と改善後（To-Be）のシナリオの管理・比較
+const ScenarioManager = ({
+  processSteps = [],
+  processEdges = [],
+  scenarios = [],
+  calendar = null,
+  volumeDrivers = NO_DRIVERS,
+  costSettings = null,
+  customerDemand = null,
+  appliedImprovements = NO_IMPROVEMENTS,
+  onSnapshot,
+  onSaveImprovements,
+  onRename,
+  onDelete,
+  onPromote
+}) => {
+  const [nameDrafts, setNameDrafts] = useState({});
+  const [chartIds, setChartIds] = useState({ left: ScenarioService.AS_IS_ID, right: null });
+
+  const comparison = useMemo(() => ScenarioService.compare(
+    { steps: processSteps, edges: processEdges },
+    scenarios,
+    { calendar, volumeDrivers },
+    { costSettings, customerDemand }
+  ), [processSteps, processEdges, scenarios, calendar, volumeDrivers, costSettings, customerDemand]);
+
+  // 左右に並べるプロセス（右は未選択なら最初のシナリオ）
+  const getProcess = (id) => {
+    if (id === ScenarioService.AS_IS_ID) return { name: '現状（As-Is）', steps: processSteps, edges: processEdges };
+    return scenarios.find(scenario => scenario.id === id) || null;
+  };
+  const rightId = chartIds.right && getProcess(chartIds.right) ? chartIds.right : scenarios[0]?.id || null;
+  const leftId = getProcess(chartIds.left) ? chartIds.left : ScenarioService.AS_IS_ID;
+
+  const renderChart = (side, id) => {
+    const process = id ? getProcess(id) : null;
+    const svgData = process && process.steps.length > 0
+      ? svgUtils.generateProcessChartSvg(layoutUtils.autoLayout(process.steps, process.edges), process.edges, { includeLegend: false })
+      : null;
+
+    return (
+      <Grid item xs={12} md={6}>
+        <FormControl fullWidth size="small" sx={{ mb: 1 }}>
+          <InputLabel>{side === 'left' ? '左' : '右'}</InputLabel>
+          <Select
+            value={id || ''}
+            label={side === 'left' ? '左' : '右'}
+            onChange={(e) => setChartIds({ ...chartIds, left: leftId, right: rightId, [side]: e.target.value })}
+          >
+            {comparison.map(column => (
+              <MenuItem key={column.id} value={column.id}>{column.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {svgData ? (
+          <Box sx={{ overflow: 'auto', maxHeight: 520, border: 1, borderColor: 'divider' }}>
+            <img src={svgUtils.toDataUrl(svgData)} alt={process.name} style={{ display: 'block', maxWidth: 'none' }} />
+          </Box>
+        ) : (
+          <Alert severity="info">表示するステップがありません。</Alert>
+        )}
+      </Grid>
+    );
+  };
+
+  const commitName = (scenario) => {
+    const draft = nameDrafts[scenario.id];
+    if (draft !== undefined && draft !== scenario.name && onRename) {
+      onRename(scenario.id, draft);
+    }
+    setNameDrafts(({ [scenario.id]: removed, ...rest }) => rest);
+  };
+
+  return (
+    <div>
+      <Typography variant="h4" gutterBottom>
+        シナリオ比較
+      </Typography>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6">シナリオ一覧</Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                disabled={appliedImprovements.length === 0 || !onSaveImprovements}
+                onClick={onSaveImprovements}
+              >
+                適用中の施策をシナリオとして保存
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                disabled={processSteps.length === 0 || !onSnapshot}
+                onClick={onSnapshot}
+              >
+                現状をシナリオとして保存
+              </Button>
+            </Box>
+          </Box>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+            改善提案タブで適用した施策は「適用中の施策をシナリオとして保存」でシナリオにできます（{appliedImprovements.length}件適用中）。
+            同じ施策の組み合わせを適用し直すと、そのシナリオは現状のプロセスに合わせて更新されます。
+            「現状にする」を選ぶと、それまでの現状は別のシナリオとして残ります。
+          </Typography>
+
+          {scenarios.length === 0 ? (
+            <Alert severity="info">シナリオがありません。</Alert>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>シナリオ名</TableCell>
+                    <TableCell align="right">ステップ数</TableCell>
+                    <TableCell align="right">改善施策</TableCell>
+                    <TableCell>内容</TableCell>
+                    <TableCell>作成日</TableCell>
+                    <TableCell>操作</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {scenarios.map(scenario => (
+                    <TableRow key={scenario.id}>
+                      <TableCell>
+                        <TextField
+                          size="small"
+                          variant="standard"
+                          value={nameDrafts[scenario.id] ?? scenario.name}
+                          onChange={(e) => setNameDrafts({ ...nameDrafts, [scenario.id]: e.target.value })}
+                          onBlur={() => commitName(scenario)}
+                        />
+                      </TableCell>
+                      <TableCell align="right">{scenario.steps.length}</TableCell>
+                      <TableCell align="right">{scenario.improvements.length}件</TableCell>
+                      <TableCell sx={{ whiteSpace: 'pre-line', maxWidth: 360 }}>
+                        <Typography variant="caption">{scenario.description || '—'}</Typography>
+                      </TableCell>
+                      <TableCell>{new Date(scenario.createdAt).toLocaleDateString()}</TableCell>
+                      <TableCell>
+                        <Tooltip title="現状にする">
+                          <IconButton color="primary" size="small" onClick={() => onPromote && onPromote(scenario.id)}>
+                            <PublishIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="削除">
+                          <IconButton color="error" size="small" onClick={() => onDelete && onDelete(scenario.id)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>指標の比較</Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>指標</TableCell>
+                  {comparison.map(column => (
+                    <TableCell key={column.id} align="right">{column.name}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {ScenarioService.METRICS.map(metric => (
+                  <TableRow key={metric.key}>
+                    <TableCell>{metric.label}</TableCell>
+                    {comparison.map(column => (
+                      <TableCell key={column.id} align="right">
+                        {formatMetric(column.metrics[metric.key], metric)}
+                        {!column.isAsIs && renderDelta(column.metrics[metric.key], comparison[0].metrics[metric.key], metric)}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell>年間工数の削減率</TableCell>
+                  {comparison.map(column => (
+                    <TableCell key={column.id} align="right">{column.isAsIs ? '—' : `${column.savings.percent}%`}</TableCell>
+                  ))}
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>チャートの比較</Typography>
+          <Grid container spacing={2}>
+            {renderChart('left', leftId)}
+            {renderChart('right', rightId)}
+          </Grid>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ScenarioManager;
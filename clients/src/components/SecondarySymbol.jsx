@@ -0,0 +1,60 @@
+import React from 'react';
+import appConfig from '../config/appConfig';
+
+// 複合記号の内側に描く副記号
+// 親要素（position: relative; z-index: 0）の中央に、文字の背面になるよう配置する
+const SecondarySymbol = ({ type, size = 70, color = '#90a4ae', zIndex = -1 }) => {
+  const symbol = type ? appConfig.jmaSymbols[type] : null;
+  if (!symbol) return null;
+
+  const half = size / 2;
+  const inset = 2;
+  const attrs = { fill: 'none', stroke: color, strokeWidth: 2 };
+
+  let shape;
+  switch (symbol.shape) {
+    case 'circle':
+      shape = <circle cx={half} cy={half} r={half - inset} {...attrs} />;
+      break;
+    case 'square':
+      shape = <rect x={inset} y={inset} width={size - inset * 2} height={size - inset * 2} {...attrs} />;
+      break;
+    case 'diamond':
+      shape = <polygon points={`${half},${inset} ${size - inset},${half} ${half},${size - inset} ${inset},${half}`} {...attrs} />;
+      break;
+    case 'triangle':
+      shape = <polygon points={`${inset},${inset} ${size - inset},${inset} ${half},${size - inset}`} {...attrs} />;
+      break;
+    case 'special-rectangle':
+      shape = (
+        <>
+          <rect x={inset} y={inset} width={size - inset * 2} height={size - inset * 2} {...attrs} />
+          <line x1={inset} y1={size * 0.3} x2={size - inset} y2={size * 0.3} {...attrs} />
+        </>
+      );
+      break;
+    default:
+      return null;
+  }
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${size} ${size}`}
+      style={{
+        position: 'absolute',
+        left: '50%',
+        top: '50%',
+        transform: 'translate(-50%, -50%)',
+        zIndex,
+        pointerEvents: 'none'
+      }}
+    >
+      <title>{symbol.name}</title>
+      {shape}
+    </svg>
+  );
+};
+
+export default SecondarySymbol;
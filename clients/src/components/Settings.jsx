@@ -500,28 +500,10 @@ const Settings = (props) => {
                       <TimerIcon sx={{ mr: 1 }} />
                       <Typography variant="h6">計算設定</Typography>
                     </Box>
-                    <Grid container spacing={2}>
-                      <Grid item xs={12} sm={6}>
-                        <TextField
-                          fullWidth
-                          label="年間営業日数"
-                          type="number"
-                          InputProps={{ inputProps: { min: 1, max: 365 } }}
-                          value={appSettings.calculationSettings.businessDaysPerYear}
-                          onChange={handleNumberChange('calculationSettings', 'businessDaysPerYear')}
-                        />
-                      </Grid>
-                      <Grid item xs={12} sm={6}>
-                        <TextField
-                          fullWidth
-                          label="1日の労働時間"
-                          type="number"
-                          InputProps={{ inputProps: { min: 1, max: 24 } }}
-                          value={appSettings.calculationSettings.hoursPerDay}
-                          onChange={handleNumberChange('calculationSettings', 'hoursPerDay')}
-                        />
-                      </Grid>
-                    </Grid>
+                    <Typography variant="body2" color="textSecondary">
+                      年間営業日数や1日の労働時間は、プロジェクトごとの営業カレンダー（年度・祝日・休業日・勤務シフト）から求めます。
+                      設定タブの「営業カレンダー」で編集してください。
+                    </Typography>
                   </Paper>
                 </Grid>
                 
@@ -1,5 +1,6 @@
 import React from 'react';
 import { Handle, Position } from 'reactflow';
+import SecondarySymbol from './SecondarySymbol';
 
 const StorageNode = ({ data }) => {
   return (
@@ -23,8 +24,10 @@ const StorageNode = ({ data }) => {
         flexDirection: 'column',
         justifyContent: 'center',
         alignItems: 'center',
-        padding: '5px'
+        padding: '5px',
+        zIndex: 0
       }}>
+        <SecondarySymbol type={data.secondaryType} size={44} color="#4682B4" />
         {/* 保管を表す記号（左側の縦線） */}
         <div style={{
           position: 'absolute',
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// スイムレーンの背景色（レーンごとに交互に使用）
+const LANE_COLORS = ['#f7f9fc', '#eef3f9'];
+
+// スイムレーン（背景）ノード
+const SwimlaneNode = ({ data }) => {
+  const { name, index, width, height, headerSize, orientation, color } = data;
+  const vertical = orientation === 'vertical';
+
+  return (
+    <div style={{
+      width: `${width}px`,
+      height: `${height}px`,
+      backgroundColor: color || LANE_COLORS[index % LANE_COLORS.length],
+      borderTop: vertical ? 'none' : '1px solid #b0bec5',
+      borderLeft: vertical ? '1px solid #b0bec5' : 'none',
+      position: 'relative',
+      pointerEvents: 'none'
+    }}>
+      {/* レーン名（見出し） */}
+      <div style={{
+        position: 'absolute',
+        left: 0,
+        top: 0,
+        width: vertical ? '100%' : `${headerSize}px`,
+        height: vertical ? `${headerSize}px` : '100%',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(25, 118, 210, 0.08)',
+        borderRight: vertical ? 'none' : '1px solid #b0bec5',
+        borderBottom: vertical ? '1px solid #b0bec5' : 'none',
+        fontWeight: 'bold',
+        fontSize: '14px',
+        color: '#37474f',
+        padding: '4px',
+        textAlign: 'center',
+        wordBreak: 'break-all'
+      }}>
+        {name}
+      </div>
+    </div>
+  );
+};
+
+export default SwimlaneNode;
@@ -0,0 +1,106 @@
+// src/components/ToBePreviewPanel.jsx
+import React, { useMemo } from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  Typography
+} from '@mui/material';
+import { EcrsService } from '../services/ecrs';
+import { LeadTimeService } from '../services/leadTime';
+import { TimeCalculationService } from '../services/timeCalculation';
+import ImprovementModel from '../models/ImprovementModel';
+import layoutUtils from '../utils/layoutUtils';
+import svgUtils from '../utils/svgUtils';
+
+const NO_DRIVERS = [];
+
+const formatLeadTime = (minutes) => TimeCalculationService.formatMinutes(Math.round(minutes));
+
+// 選択した改善施策（ECRS）を反映した改善後（To-Be）のプロセスのプレビュー
+const ToBePreviewPanel = ({ processSteps = [], processEdges = [], improvements = [], interactionRule = 'multiplicative', calendar = null, volumeDrivers = NO_DRIVERS }) => {
+  const preview = useMemo(() => {
+    const profile = { calendar, volumeDrivers };
+    const effect = EcrsService.calculateEffect(processSteps, processEdges, improvements, profile, { interactionRule });
+    const { toBe } = effect;
+    const laidOut = layoutUtils.autoLayout(toBe.steps, toBe.edges);
+
+    return {
+      effect,
+      svgData: toBe.steps.length > 0
+        ? svgUtils.generateProcessChartSvg(laidOut, toBe.edges, { includeLegend: false })
+        : null,
+      leadTimeBefore: LeadTimeService.calculateLeadTime(processSteps, processEdges, { calendar }).leadTimeMinutes,
+      leadTimeAfter: LeadTimeService.calculateLeadTime(toBe.steps, toBe.edges, { calendar }).leadTimeMinutes
+    };
+  }, [processSteps, processEdges, improvements, interactionRule, calendar, volumeDrivers]);
+
+  const { effect, svgData, leadTimeBefore, leadTimeAfter } = preview;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          改善後のプロセス（To-Be）
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          施策を排除 → 結合 → 交換 → 簡素化の順にプロセスへ反映した結果です。
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={12} md={4}>
+            <Typography variant="subtitle2">ステップ数</Typography>
+            <Typography>
+              {processSteps.length} → {effect.toBe.steps.length}
+            </Typography>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <Typography variant="subtitle2">年間工数</Typography>
+            <Typography>
+              {effect.before.totalHours.toLocaleString()}時間 → {effect.after.totalHours.toLocaleString()}時間
+              （{effect.savings.percent}%削減）
+            </Typography>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <Typography variant="subtitle2">リードタイム（1件あたり）</Typography>
+            <Typography>
+              {formatLeadTime(leadTimeBefore)} → {formatLeadTime(leadTimeAfter)}
+            </Typography>
+          </Grid>
+        </Grid>
+
+        <List dense>
+          {effect.toBe.changes.map((change, index) => {
+            const ecrsInfo = ImprovementModel.getEcrsInfo(change.ecrs);
+            return (
+              <ListItem key={`${change.improvementId}-${index}`} disableGutters>
+                <Chip label={ecrsInfo.text} color={ecrsInfo.color} size="small" sx={{ mr: 1 }} />
+                <ListItemText
+                  primary={change.message}
+                  secondary={change.title}
+                  primaryTypographyProps={{ color: change.applied ? 'textPrimary' : 'error' }}
+                />
+              </ListItem>
+            );
+          })}
+        </List>
+
+        {svgData ? (
+          <Box sx={{ overflow: 'auto', maxHeight: 480, border: 1, borderColor: 'divider' }}>
+            <img src={svgUtils.toDataUrl(svgData)} alt="改善後のプロセスチャート" style={{ display: 'block', maxWidth: 'none' }} />
+          </Box>
+        ) : (
+          <Alert severity="info">改善後のプロセスにステップがありません。</Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ToBePreviewPanel;
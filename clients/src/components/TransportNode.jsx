@@ -1,6 +1,7 @@
 // src/components/nodes/TransportNode.jsx
 import React from 'react';
 import { Handle, Position } from 'reactflow';
+import SecondarySymbol from './SecondarySymbol';
 
 // 搬送（ひし形）ノード
 const TransportNode = ({ data }) => {
@@ -26,8 +27,11 @@ const TransportNode = ({ data }) => {
           alignItems: 'center',
           justifyContent: 'center',
           width: '100%',
-          height: '100%'
+          height: '100%',
+          position: 'relative',
+          zIndex: 0
         }}>
+          <SecondarySymbol type={data.secondaryType} size={60} />
           <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '5px' }}>{data.label}</div>
           <div style={{ fontSize: '12px' }}>{data.time}{data.timeUnit}</div>
           <div style={{ fontSize: '12px' }}>担当: {data.responsible}</div>
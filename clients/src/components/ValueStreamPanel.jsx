@@ -0,0 +1,232 @@
+// src/components/ValueStreamPanel.jsx
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  InputAdornment,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import { ValueStreamService } from '../services/valueStream';
+import DemandModel from '../models/DemandModel';
+import StepModel from '../models/StepModel';
+
+// 価値区分の色
+const VALUE_TYPE_COLORS = {
+  'value-added': 'rgba(75, 192, 192, 0.7)',
+  'non-value-added': 'rgba(255, 206, 86, 0.7)',
+  waste: 'rgba(255, 99, 132, 0.7)'
+};
+
+// 顧客需要が未設定の場合の既定値（再計算を避けるため同じオブジェクトを使う）
+const NO_DEMAND = DemandModel.create();
+
+// 顧客需要の単位の選択肢（ボリュームドライバーは「driver:ID」）
+const DRIVER_PREFIX = 'driver:';
+
+const formatMinutes = (minutes) => (minutes === null || minutes === undefined
+  ? '—'
+  : `${(Math.round(minutes * 10) / 10).toLocaleString()}分`);
+const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${(ratio * 100).toFixed(1)}%`);
+
+// 指標1つ分の表示
+const MetricItem = ({ label, value, caption }) => (
+  <Grid item xs={6} md={2}>
+    <Typography variant="subtitle2" color="textSecondary">{label}</Typography>
+    <Typography variant="h6">{value}</Typography>
+    {caption && <Typography variant="caption" color="textSecondary">{caption}</Typography>}
+  </Grid>
+);
+
+// バリューストリーム指標（タクトタイム・サイクルタイム・付加価値比率・工程効率）
+const ValueStreamPanel = ({
+  processSteps = [],
+  processEdges = [],
+  calendar = null,
+  volumeDrivers = [],
+  customerDemand = null,
+  onCustomerDemandChange
+}) => {
+  const demand = customerDemand || NO_DEMAND;
+
+  const metrics = useMemo(
+    () => ValueStreamService.calculate({ steps: processSteps, edges: processEdges }, { calendar, volumeDrivers }, demand),
+    [processSteps, processEdges, calendar, volumeDrivers, demand]
+  );
+
+  const updateDemand = (changes) => {
+    if (onCustomerDemandChange) {
+      onCustomerDemandChange(DemandModel.create({ ...demand, ...changes }));
+    }
+  };
+
+  const handleUnitChange = (e) => {
+    const { value } = e.target;
+    if (value.startsWith(DRIVER_PREFIX)) {
+      updateDemand({ volumeDriverId: value.slice(DRIVER_PREFIX.length) });
+    } else {
+      updateDemand({ unit: value, volumeDriverId: null });
+    }
+  };
+
+  const chartData = {
+    labels: ['1件あたり'],
+    datasets: [
+      { label: '付加価値', data: [metrics.valueAddedMinutes], backgroundColor: VALUE_TYPE_COLORS['value-added'] },
+      { label: '非付加価値', data: [metrics.nonValueAddedMinutes], backgroundColor: VALUE_TYPE_COLORS['non-value-added'] },
+      { label: 'ムダ', data: [metrics.wasteMinutes], backgroundColor: VALUE_TYPE_COLORS.waste }
+    ]
+  };
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          バリューストリーム指標
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          顧客需要から求めたタクトタイムと、需要1件あたりのサイクルタイム（分岐・差戻しの実行回数と同時処理数を考慮）を比べます。
+          工程効率（PCE）は付加価値時間 ÷ リードタイムです。
+        </Typography>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Typography variant="subtitle2">顧客需要</Typography>
+          {!demand.volumeDriverId && (
+            <TextField
+              type="number"
+              size="small"
+              value={demand.value}
+              onChange={(e) => updateDemand({ value: e.target.value })}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">件</InputAdornment>,
+                inputProps: { min: 0 }
+              }}
+              sx={{ width: 140 }}
+            />
+          )}
+          <Select
+            size="small"
+            value={demand.volumeDriverId ? `${DRIVER_PREFIX}${demand.volumeDriverId}` : demand.unit}
+            onChange={handleUnitChange}
+          >
+            {DemandModel.getUnits().map(unit => (
+              <MenuItem key={unit} value={unit}>件/{unit}</MenuItem>
+            ))}
+            {volumeDrivers.map(driver => (
+              <MenuItem key={driver.id} value={`${DRIVER_PREFIX}${driver.id}`}>
+                ボリュームドライバー: {driver.name || '（名称未設定）'}
+              </MenuItem>
+            ))}
+          </Select>
+          {metrics.annualDemand > 0 && (
+            <Typography variant="body2" color="textSecondary">
+              年間 {Math.round(metrics.annualDemand).toLocaleString()}件
+            </Typography>
+          )}
+        </Box>
+
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <MetricItem
+            label="タクトタイム"
+            value={formatMinutes(metrics.taktTimeMinutes)}
+            caption={metrics.taktTimeMinutes === null ? '顧客需要を入力してください' : null}
+          />
+          <MetricItem
+            label="最大サイクルタイム"
+            value={formatMinutes(metrics.bottleneck?.cycleTimeMinutes)}
+            caption={metrics.bottleneck?.label}
+          />
+          <MetricItem
+            label="リードタイム"
+            value={formatMinutes(metrics.leadTimeMinutes)}
+            caption={`クリティカルパス（最悪ケース）: ${formatMinutes(metrics.criticalPathMinutes)}`}
+          />
+          <MetricItem label="付加価値時間" value={formatMinutes(metrics.valueAddedMinutes)} />
+          <MetricItem label="付加価値比率" value={formatPercent(metrics.valueAddedRatio)} />
+          <MetricItem label="工程効率（PCE）" value={formatPercent(metrics.processCycleEfficiency)} />
+        </Grid>
+
+        <div style={{ height: '90px', marginBottom: 16 }}>
+          <Bar
+            data={chartData}
+            options={{
+              indexAxis: 'y',
+              responsive: true,
+              maintainAspectRatio: false,
+              scales: {
+                x: { stacked: true, beginAtZero: true, title: { display: true, text: '分' } },
+                y: { stacked: true }
+              }
+            }}
+          />
+        </div>
+
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>ステップ名</TableCell>
+                <TableCell>価値区分</TableCell>
+                <TableCell align="right">1回あたり</TableCell>
+                <TableCell align="right">実行回数/件</TableCell>
+                <TableCell align="right">サイクルタイム</TableCell>
+                <TableCell sx={{ width: 200 }}>タクトタイム比</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {metrics.steps.map(step => {
+                const ratio = metrics.taktTimeMinutes && !step.isWait
+                  ? step.cycleTimeMinutes / metrics.taktTimeMinutes
+                  : null;
+                return (
+                  <TableRow key={step.id}>
+                    <TableCell>{step.label}</TableCell>
+                    <TableCell>{StepModel.getValueTypeName(step.valueType)}</TableCell>
+                    <TableCell align="right">{formatMinutes(step.minutesPerOccurrence)}</TableCell>
+                    <TableCell align="right">{(Math.round(step.visitsPerInstance * 100) / 100).toLocaleString()}</TableCell>
+                    <TableCell align="right">{formatMinutes(step.cycleTimeMinutes)}</TableCell>
+                    <TableCell>
+                      {ratio === null ? (
+                        <Typography variant="caption" color="textSecondary">
+                          {step.isWait ? '対象外（停滞・保管）' : '—'}
+                        </Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <LinearProgress
+                            variant="determinate"
+                            value={Math.min(100, ratio * 100)}
+                            color={step.exceedsTakt ? 'error' : 'primary'}
+                            sx={{ flex: 1, height: 8, borderRadius: 4 }}
+                          />
+                          {step.exceedsTakt
+                            ? <Chip size="small" color="error" label={`${Math.round(ratio * 100)}%`} />
+                            : <Typography variant="caption">{Math.round(ratio * 100)}%</Typography>}
+                        </Box>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ValueStreamPanel;
@@ -0,0 +1,156 @@
+// src/components/VolumeDriverSettings.jsx
+import React from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+import StepModel from '../models/StepModel';
+import { WorkloadEngine } from '../services/workloadEngine';
+
+const MONTHS = Array.from({ length: 12 }, (_, index) => index);
+
+const formatNumber = (value) => (Math.round(value * 10) / 10).toLocaleString();
+
+// ボリュームドライバー（受注件数など業務量を決める件数）と季節変動の設定
+const VolumeDriverSettings = ({ volumeDrivers = [], calendar = null, onChange }) => {
+  const updateDriver = (driverId, changes) => {
+    onChange(volumeDrivers.map(driver => (
+      driver.id === driverId ? VolumeDriverModel.create({ ...driver, ...changes }) : driver
+    )));
+  };
+
+  // 月別係数は入力途中の値で再計算しないよう、フォーカスが外れたときに反映する
+  const updateMultiplier = (driver, month, value) => {
+    const multipliers = [...(driver.monthlyMultipliers || Array(12).fill(1))];
+    multipliers[month] = value;
+    updateDriver(driver.id, { monthlyMultipliers: StepModel.normalizeMonthlyMultipliers(multipliers) });
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="h5" gutterBottom>
+          ボリュームドライバー
+        </Typography>
+        <Button
+          startIcon={<AddIcon />}
+          onClick={() => onChange([...volumeDrivers, VolumeDriverModel.create({ name: `ドライバー${volumeDrivers.length + 1}` })])}
+        >
+          追加
+        </Button>
+      </Box>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        受注件数・問い合わせ件数など、業務量を決める件数を登録します。
+        頻度単位を「件」にしたステップは、ドライバー1件あたりの回数から年間回数を求めます。
+        月別係数で繁忙期・閑散期の件数の増減を指定できます（1が平常）。
+      </Typography>
+
+      {volumeDrivers.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">
+          登録されたボリュームドライバーはありません
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>名前</TableCell>
+                <TableCell>件数</TableCell>
+                <TableCell>単位</TableCell>
+                {MONTHS.map(month => (
+                  <TableCell key={month} align="center">{month + 1}月</TableCell>
+                ))}
+                <TableCell align="right">年間件数</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {volumeDrivers.map(driver => (
+                <TableRow key={driver.id}>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      variant="standard"
+                      value={driver.name}
+                      onChange={(e) => updateDriver(driver.id, { name: e.target.value })}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      type="number"
+                      size="small"
+                      variant="standard"
+                      value={driver.value}
+                      onChange={(e) => updateDriver(driver.id, { value: e.target.value })}
+                      InputProps={{ inputProps: { min: 0 } }}
+                      sx={{ width: 90 }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      variant="standard"
+                      value={driver.unit}
+                      onChange={(e) => updateDriver(driver.id, { unit: e.target.value })}
+                    >
+                      {VolumeDriverModel.getUnits().map(unit => (
+                        <MenuItem key={unit} value={unit}>件/{unit}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                  {MONTHS.map(month => {
+                    const multiplier = driver.monthlyMultipliers?.[month] ?? 1;
+                    return (
+                      <TableCell key={month} align="center">
+                        <TextField
+                          key={`${driver.id}-${month}-${multiplier}`}
+                          type="number"
+                          size="small"
+                          variant="standard"
+                          defaultValue={multiplier}
+                          onBlur={(e) => updateMultiplier(driver, month, e.target.value)}
+                          InputProps={{ inputProps: { min: 0, step: 0.1 } }}
+                          sx={{ width: 48 }}
+                        />
+                      </TableCell>
+                    );
+                  })}
+                  <TableCell align="right">
+                    {formatNumber(WorkloadEngine.getDriverAnnualVolume(driver, { calendar }))}件
+                  </TableCell>
+                  <TableCell padding="checkbox">
+                    <IconButton
+                      size="small"
+                      onClick={() => onChange(volumeDrivers.filter(value => value.id !== driver.id))}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default VolumeDriverSettings;
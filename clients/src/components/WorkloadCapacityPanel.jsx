@@ -0,0 +1,140 @@
+// src/components/WorkloadCapacityPanel.jsx
+import React, { useMemo } from 'react';
+import {
+  Alert,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Typography
+} from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import { CapacityService } from '../services/capacity';
+import { WorkloadEngine } from '../services/workloadEngine';
+
+// 工程タイプの表示名と色（ダッシュボードのカテゴリ別グラフと同じ色を使う）
+const CATEGORY_STYLES = {
+  process: { label: '加工', color: 'rgba(255, 99, 132, 0.6)' },
+  inspection: { label: '検査', color: 'rgba(54, 162, 235, 0.6)' },
+  transport: { label: '搬送', color: 'rgba(255, 206, 86, 0.6)' },
+  delay: { label: '停滞', color: 'rgba(75, 192, 192, 0.6)' },
+  storage: { label: '保管', color: 'rgba(153, 102, 255, 0.6)' }
+};
+
+const formatNumber = (value) => (Math.round(value * 10) / 10).toLocaleString();
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// 担当者（役割）ごとの年間工数・FTE・稼働率
+const WorkloadCapacityPanel = ({ workloadData, calendar = null }) => {
+  const capacity = useMemo(
+    () => CapacityService.calculate(workloadData, { calendar }),
+    [workloadData, calendar]
+  );
+
+  const chartData = useMemo(() => ({
+    labels: capacity.persons.map(person => person.responsible || '未割当'),
+    datasets: WorkloadEngine.STEP_TYPES.map(type => ({
+      label: CATEGORY_STYLES[type].label,
+      data: capacity.persons.map(person => person.categoryHours[type]),
+      backgroundColor: CATEGORY_STYLES[type].color
+    }))
+  }), [capacity]);
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          担当者別の負荷（FTE換算）
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          {calendar
+            ? '営業カレンダーの営業日・シフト・担当者ごとの勤務設定から年間の勤務可能時間を求めています。'
+            : `営業カレンダーが未設定のため、既定の勤務時間（年間${formatNumber(capacity.fullTimeHours)}時間）で換算しています。`}
+          FTEはフルタイム1人（年間{formatNumber(capacity.fullTimeHours)}時間）あたりの人数です。
+        </Typography>
+
+        {capacity.overloadedCount > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {capacity.overloadedCount}名の稼働率が100%を超えています。
+          </Alert>
+        )}
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            <div style={{ height: `${Math.max(200, capacity.persons.length * 40)}px` }}>
+              <Bar
+                data={chartData}
+                options={{
+                  indexAxis: 'y',
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  scales: {
+                    x: {
+                      stacked: true,
+                      beginAtZero: true,
+                      title: {
+                        display: true,
+                        text: '時間'
+                      }
+                    },
+                    y: {
+                      stacked: true
+                    }
+                  }
+                }}
+              />
+            </div>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>担当者（役割）</TableCell>
+                    <TableCell align="right">年間工数</TableCell>
+                    <TableCell align="right">勤務可能時間</TableCell>
+                    <TableCell align="right">FTE</TableCell>
+                    <TableCell align="right">稼働率</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {capacity.persons.map(person => (
+                    <TableRow key={person.responsible}>
+                      <TableCell>{person.responsible || '未割当'}</TableCell>
+                      <TableCell align="right">{formatNumber(person.annualHours)}</TableCell>
+                      <TableCell align="right">{formatNumber(person.availableHours)}</TableCell>
+                      <TableCell align="right">{person.fte.toFixed(2)}</TableCell>
+                      <TableCell align="right">
+                        {person.overloaded ? (
+                          <Chip size="small" color="error" label={`${formatPercent(person.utilization)} 超過`} />
+                        ) : (
+                          formatPercent(person.utilization)
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  <TableRow>
+                    <TableCell><strong>合計</strong></TableCell>
+                    <TableCell align="right">{formatNumber(workloadData?.totalHours || 0)}</TableCell>
+                    <TableCell />
+                    <TableCell align="right"><strong>{capacity.totalFte.toFixed(2)}</strong></TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default WorkloadCapacityPanel;
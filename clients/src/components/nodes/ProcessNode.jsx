@@ -55,7 +55,7 @@ import DelayNode from './DelayNode';
 import StorageNode from './StorageNode';
 
 // サービスとヘルパー
-import { TimeCalculationService } from '../services/timeCalculation';
+import { WorkloadEngine } from '../services/workloadEngine';
 
 // ノードタイプの登録
 const nodeTypes = {
@@ -545,7 +545,7 @@ const ProcessChart = ({ initialNodes = [], onChange }) => {
 
   // 年間工数計算
   const calculateAnnualWorkload = () => {
-    return TimeCalculationService.calculateAnnualWorkload(nodes);
+    return WorkloadEngine.calculate({ steps: nodes });
   };
 
   const workload = calculateAnnualWorkload();
@@ -75,13 +75,20 @@ const appConfig = {
       timeThreshold: 30, // 所要時間のしきい値（分）
       waitThreshold: 60, // 待ち時間のしきい値（分）
       frequencyThreshold: 50, // 頻度のしきい値（年間回数）
+      abcShares: { a: 80, b: 15 }, // ABC分析の区分（年間工数の累積比率%、残りがC）
       implementationPeriods: [
         { value: 'immediate', label: '即時対応可能', days: 14 },
         { value: '1-3months', label: '1〜3ヶ月', days: 90 },
         { value: '3-6months', label: '3〜6ヶ月', days: 180 },
         { value: '6-12months', label: '6〜12ヶ月', days: 365 },
         { value: 'over-12months', label: '12ヶ月以上', days: 548 }
-      ]
+      ],
+      // 施策の費用・実施工数・実施期間の目安（予想コスト・実装難易度から見積もる）
+      estimates: {
+        cost: { low: 250000, medium: 1750000, high: 5000000 }, // 予想コスト → 費用（円、各区分の中央値）
+        effortHours: { low: 10, medium: 40, high: 120 }, // 実装難易度 → 実施工数（人時）
+        period: { low: 'immediate', medium: '1-3months', high: '3-6months' } // 実装難易度 → 実施期間（期間の指定がない場合）
+      }
     },
   
     /**
@@ -138,6 +145,12 @@ const appConfig = {
       name: '新規プロジェクト',
       description: '',
       processSteps: [],
+      edges: [],
+      swimlanes: {
+        enabled: false,
+        orientation: 'horizontal',
+        lanes: []
+      },
       metadata: {
         author: '',
         company: '',
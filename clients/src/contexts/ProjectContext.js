@@ -1,5 +1,7 @@
 // src/contexts/ProjectContext.js
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import ProjectModel from '../models/ProjectModel';
+import StepModel from '../models/StepModel';
 
 // デフォルト値を持つコンテキスト
 const defaultContextValue = {
@@ -8,8 +10,21 @@ const defaultContextValue = {
     name: '新規プロジェクト',
     description: '',
     processSteps: [],
+    edges: [],
+    swimlanes: {
+      enabled: false,
+      orientation: 'horizontal',
+      lanes: []
+    },
+    calendar: null,
+    volumeDrivers: [],
+    costSettings: null,
+    customerDemand: null,
+    abcShares: null,
+    roadmap: null,
     workloadData: null,
     improvementResults: null,
+    scenarios: [],
     filePath: null,
     created: new Date().toISOString(),
     modified: new Date().toISOString(),
@@ -100,11 +115,13 @@ export const ProjectProvider = ({ children }) => {
 
   /**
    * プロセスステップを更新する
+   * エッジが指定されない場合は既存のエッジを保持する
    */
-  const updateProcessSteps = useCallback((steps) => {
+  const updateProcessSteps = useCallback((steps, edges) => {
     setProject(prevProject => ({
       ...prevProject,
       processSteps: steps,
+      edges: edges !== undefined ? edges : prevProject.edges,
       modified: new Date().toISOString()
     }));
     setIsModified(true);
@@ -145,7 +162,7 @@ export const ProjectProvider = ({ children }) => {
       if (!isElectron) {
         // 非Electron環境の場合はローカルストレージを使用
         const key = `project_${project.name.replace(/\s+/g, '_')}`;
-        localStorage.setItem(key, JSON.stringify(project));
+        localStorage.setItem(key, JSON.stringify(ProjectModel.serialize(project)));
         
         setIsModified(false);
         setIsSaving(false);
@@ -158,7 +175,7 @@ export const ProjectProvider = ({ children }) => {
       const filePath = !saveAs && project.filePath ? project.filePath : null;
       const result = await window.electron.saveProject({ 
         filePath, 
-        projectData: project 
+        projectData: ProjectModel.serialize(project) 
       });
       
       if (result.success) {
@@ -205,7 +222,7 @@ export const ProjectProvider = ({ children }) => {
           return { success: false, message: 'プロジェクトが見つかりません' };
         }
         
-        const projectData = JSON.parse(storedProject);
+        const projectData = ProjectModel.deserialize(JSON.parse(storedProject));
         setProject(projectData);
         setIsModified(false);
         
@@ -217,7 +234,7 @@ export const ProjectProvider = ({ children }) => {
       
       if (result.success) {
         const projectData = {
-          ...result.projectData,
+          ...ProjectModel.deserialize(result.projectData),
           filePath: result.filePath
         };
         
@@ -286,7 +303,7 @@ export const ProjectProvider = ({ children }) => {
     try {
       if (!isElectron) {
         // 非Electron環境の場合のCSVエクスポート処理
-        const csvContent = convertToCSV(project.processSteps);
+        const csvContent = convertToCSV(project.processSteps, project.volumeDrivers);
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
@@ -300,7 +317,7 @@ export const ProjectProvider = ({ children }) => {
       }
       
       // Electron環境の場合のCSVエクスポート処理
-      const csvData = convertToCSV(project.processSteps);
+      const csvData = convertToCSV(project.processSteps, project.volumeDrivers);
       const defaultFilename = `${project.name.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
       
       const result = await window.electron.exportCsv({ 
@@ -328,7 +345,7 @@ export const ProjectProvider = ({ children }) => {
    * プロセスステップ配列をCSV形式に変換する
    * @private
    */
-  const convertToCSV = (steps) => {
+  const convertToCSV = (steps, volumeDrivers = []) => {
     // ヘッダー行
     const headers = [
       'ステップ名', 'タイプ', '所要時間', '時間単位', '頻度', '頻度単位', '担当者', '使用ツール'
@@ -347,13 +364,18 @@ export const ProjectProvider = ({ children }) => {
         default: typeText = step.type;
       }
       
+      // 複合記号は「加工を主とした数量検査」のように出力
+      if (StepModel.isComposite(step)) {
+        typeText = StepModel.getCompositeName(step);
+      }
+      
       return [
         step.data.label || '',
         typeText,
         step.data.time || 0,
         step.data.timeUnit || '分',
         step.data.frequency || 1,
-        step.data.frequencyUnit || '日',
+        StepModel.formatFrequencyUnit(step, volumeDrivers),
         step.data.responsible || '',
         step.data.tools || ''
       ].map(value => {
@@ -2,6 +2,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useElectron } from './useElectron';
 import ProjectModel from '../models/ProjectModel';
+import EdgeModel from '../models/EdgeModel';
 
 /**
  * プロジェクトデータの管理を行うカスタムフック
@@ -38,10 +39,15 @@ export function useProjectData(initialProject = null) {
   /**
    * プロセスステップを更新する
    * @param {Array} steps - 更新後のプロセスステップ配列
+   * @param {Array} [edges] - 更新後のエッジ配列（省略時は既存のエッジを保持）
    */
-  const updateProcessSteps = useCallback((steps) => {
+  const updateProcessSteps = useCallback((steps, edges) => {
     setProject(prevProject => {
-      const updatedProject = ProjectModel.update(prevProject, { processSteps: steps });
+      const updates = { processSteps: steps };
+      if (edges !== undefined) {
+        updates.edges = edges;
+      }
+      const updatedProject = ProjectModel.update(prevProject, updates);
       setIsModified(true);
       return updatedProject;
     });
@@ -204,10 +210,10 @@ export function useProjectData(initialProject = null) {
       const result = await importCsv();
       
       if (result.success && result.data) {
-        const steps = ProjectModel.stepsFromCSV(result.data, mappings);
+        const steps = ProjectModel.stepsFromCSV(result.data, mappings, project.volumeDrivers);
         
         if (steps.length > 0) {
-          updateProcessSteps(steps);
+          updateProcessSteps(steps, EdgeModel.createSequential(steps));
           return { success: true, steps };
         } else {
           setError('インポートされたCSVからプロセスステップを生成できませんでした');
@@ -221,7 +227,7 @@ export function useProjectData(initialProject = null) {
       setError(errorMessage);
       return { success: false, message: errorMessage };
     }
-  }, [importCsv, updateProcessSteps]);
+  }, [importCsv, updateProcessSteps, project.volumeDrivers]);
 
   /**
    * プロジェクトのステータスを取得する
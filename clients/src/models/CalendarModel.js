@@ -0,0 +1,253 @@
+// src/models/CalendarModel.js
+import { v4 as uuidv4 } from 'uuid';
+import appConfig from '../config/appConfig';
+import holidayUtils from '../utils/holidayUtils';
+
+const DAY_MS = 86400000;
+
+// 曜日名（Date#getDay の順）
+const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+// カレンダーから求めた値のキャッシュ（カレンダーが同じオブジェクトの間は再計算しない）
+const optionsCache = new WeakMap();
+
+/**
+ * 'HH:MM' を0時からの分数に変換する
+ * @param {string} text - 時刻
+ * @returns {number} - 分数
+ */
+const toMinutes = (text) => {
+  const [hours, minutes] = String(text || '0:00').split(':').map(value => parseInt(value, 10) || 0);
+  return hours * 60 + minutes;
+};
+
+/**
+ * 営業カレンダー（年度・祝日・休業日・勤務シフト）を管理するモデルクラス
+ * 頻度（日/週/月/年）の年間回数換算や1日あたりの労働時間は、すべてこのカレンダーから求める
+ */
+class CalendarModel {
+  /**
+   * 新しい営業カレンダーを作成する
+   * @param {Object} data - 初期データ
+   * @param {Date|string} referenceDate - 年度が未設定の場合に年度を決める基準日（既定は今日。読み込んだプロジェクトは作成日を渡す）
+   * @returns {Object} - 営業カレンダー
+   */
+  static create(data = {}, referenceDate = new Date()) {
+    const fiscalYearStartMonth = data.fiscalYearStartMonth || 4;
+    const parsed = new Date(referenceDate);
+    const baseDate = Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+    const baseFiscalYear = baseDate.getMonth() + 1 >= fiscalYearStartMonth
+      ? baseDate.getFullYear()
+      : baseDate.getFullYear() - 1;
+
+    const shifts = (data.shifts && data.shifts.length > 0)
+      ? data.shifts.map(shift => this.createShift(shift))
+      : [this.createShift({ name: '日勤', start: '09:00', end: '18:00', breakMinutes: 60 })];
+
+    return {
+      fiscalYear: data.fiscalYear || baseFiscalYear,
+      fiscalYearStartMonth,
+      weeklyClosedDays: data.weeklyClosedDays || [0, 6], // 土日休み
+      observeNationalHolidays: data.observeNationalHolidays !== false,
+      closedDates: data.closedDates || [], // 会社独自の休業日（'YYYY-MM-DD'）
+      shifts,
+      defaultShiftId: shifts.some(shift => shift.id === data.defaultShiftId) ? data.defaultShiftId : shifts[0].id,
+      roles: (data.roles || []).map(role => this.createRole(role))
+    };
+  }
+
+  /**
+   * 勤務シフトを作成する
+   * @param {Object} data - シフトのデータ（name, start, end, breakMinutes）
+   * @returns {Object} - 勤務シフト
+   */
+  static createShift(data = {}) {
+    return {
+      id: data.id || `shift-${uuidv4()}`,
+      name: data.name || 'シフト',
+      start: data.start || '09:00',
+      end: data.end || '18:00',
+      breakMinutes: data.breakMinutes ?? 60
+    };
+  }
+
+  /**
+   * 担当者（役割）ごとの勤務設定を作成する
+   * @param {Object} data - 設定データ（responsible, shiftId, partTimeRatio, weeklyClosedDays）
+   * @returns {Object} - 担当者ごとの勤務設定
+   */
+  static createRole(data = {}) {
+    const ratio = parseFloat(data.partTimeRatio);
+    return {
+      responsible: data.responsible || '',
+      shiftId: data.shiftId || null, // 未指定は既定のシフト
+      partTimeRatio: ratio > 0 && ratio <= 1 ? ratio : 1, // 勤務割合（短時間勤務は1未満）
+      weeklyClosedDays: data.weeklyClosedDays || null // 未指定は会社の休日に従う
+    };
+  }
+
+  /**
+   * 曜日名を取得する
+   * @param {number} day - 曜日（0: 日曜〜6: 土曜）
+   * @returns {string} - 曜日名
+   */
+  static getWeekdayName(day) {
+    return WEEKDAY_NAMES[day];
+  }
+
+  /**
+   * 担当者の勤務設定を取得する
+   * @param {Object} calendar - 営業カレンダー
+   * @param {string} responsible - 担当者
+   * @returns {Object|null} - 勤務設定（個別の設定がない場合はnull）
+   */
+  static getRole(calendar, responsible) {
+    const name = (responsible || '').trim();
+    if (!name) return null;
+    return calendar.roles.find(role => role.responsible.trim() === name) || null;
+  }
+
+  /**
+   * 担当者に適用するシフトを取得する
+   * @param {Object} calendar - 営業カレンダー
+   * @param {string} responsible - 担当者
+   * @returns {Object} - 勤務シフト
+   */
+  static getShift(calendar, responsible) {
+    const role = this.getRole(calendar, responsible);
+    const shiftId = role?.shiftId || calendar.defaultShiftId;
+    return calendar.shifts.find(shift => shift.id === shiftId) || calendar.shifts[0];
+  }
+
+  /**
+   * シフトの実働時間（休憩を除く）を求める。日をまたぐ夜勤にも対応
+   * @param {Object} shift - 勤務シフト
+   * @returns {number} - 実働時間（時間）
+   */
+  static getShiftHours(shift) {
+    let minutes = toMinutes(shift.end) - toMinutes(shift.start);
+    if (minutes <= 0) minutes += 24 * 60;
+    return Math.max(0, minutes - (shift.breakMinutes || 0)) / 60;
+  }
+
+  /**
+   * 年度の期間を求める
+   * @param {Object} calendar - 営業カレンダー
+   * @returns {Object} - { start: 開始日, end: 翌年度の開始日 }（UTCのDate）
+   */
+  static getFiscalYearRange(calendar) {
+    const month = calendar.fiscalYearStartMonth - 1;
+    return {
+      start: new Date(Date.UTC(calendar.fiscalYear, month, 1)),
+      end: new Date(Date.UTC(calendar.fiscalYear + 1, month, 1))
+    };
+  }
+
+  /**
+   * 指定した日が営業日かどうかを判定する
+   * @param {Object} calendar - 営業カレンダー
+   * @param {Date} date - 日付（UTC）
+   * @param {string} responsible - 担当者（担当者ごとの休日を考慮する場合）
+   * @returns {boolean} - 営業日かどうか
+   */
+  static isWorkingDay(calendar, date, responsible = '') {
+    const role = this.getRole(calendar, responsible);
+    const closedDays = role?.weeklyClosedDays || calendar.weeklyClosedDays;
+    const key = holidayUtils.toKey(date);
+
+    if (closedDays.includes(date.getUTCDay())) return false;
+    if (calendar.closedDates.includes(key)) return false;
+    if (calendar.observeNationalHolidays && holidayUtils.getHolidayName(key)) return false;
+    return true;
+  }
+
+  /**
+   * 年度内の営業日を列挙する
+   * @param {Object} calendar - 営業カレンダー
+   * @param {string} responsible - 担当者
+   * @returns {Array} - 営業日（UTCのDate）の配列
+   */
+  static getWorkingDates(calendar, responsible = '') {
+    const { start, end } = this.getFiscalYearRange(calendar);
+    const dates = [];
+    for (let time = start.getTime(); time < end.getTime(); time += DAY_MS) {
+      const date = new Date(time);
+      if (this.isWorkingDay(calendar, date, responsible)) {
+        dates.push(date);
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * 年間工数の計算に使う値をカレンダーから求める
+   * 週・月は営業日を1日以上含む週（月曜始まり）・月の数とする
+   * @param {Object} calendar - 営業カレンダー
+   * @param {string} responsible - 担当者
+   * @returns {Object} - { businessDaysPerYear, businessWeeksPerYear, businessMonthsPerYear, monthlyBusinessDays, hoursPerDay, partTimeRatio }
+   *   monthlyBusinessDays は月ごとの営業日数（0: 1月〜11: 12月）
+   */
+  static getCalculationOptions(calendar, responsible = '') {
+    const key = (responsible || '').trim();
+    let cached = optionsCache.get(calendar);
+    if (!cached) {
+      cached = {};
+      optionsCache.set(calendar, cached);
+    }
+    if (cached[key]) return cached[key];
+
+    const dates = this.getWorkingDates(calendar, key);
+    const weeks = new Set(dates.map(date => Math.floor((date.getTime() / DAY_MS + 3) / 7)));
+    const months = new Set(dates.map(date => `${date.getUTCFullYear()}-${date.getUTCMonth()}`));
+    const monthlyBusinessDays = Array(12).fill(0);
+    dates.forEach(date => {
+      monthlyBusinessDays[date.getUTCMonth()] += 1;
+    });
+
+    cached[key] = {
+      businessDaysPerYear: dates.length,
+      businessWeeksPerYear: weeks.size,
+      businessMonthsPerYear: months.size,
+      monthlyBusinessDays,
+      hoursPerDay: this.getShiftHours(this.getShift(calendar, key)),
+      partTimeRatio: this.getRole(calendar, key)?.partTimeRatio ?? 1
+    };
+    return cached[key];
+  }
+
+  /**
+   * 担当者1人が年間に働ける時間を求める（営業日数 × 実働時間 × 勤務割合）
+   * @param {Object} calendar - 営業カレンダー
+   * @param {string} responsible - 担当者
+   * @returns {number} - 年間の勤務可能時間
+   */
+  static getAvailableHoursPerYear(calendar, responsible = '') {
+    const { businessDaysPerYear, hoursPerDay, partTimeRatio } = this.getCalculationOptions(calendar, responsible);
+    return businessDaysPerYear * hoursPerDay * partTimeRatio;
+  }
+
+  /**
+   * 計算オプションを確定する
+   * options.calendar があればそこから、なければ既定値（appConfig.calculationDefaults）を使い、
+   * 個別に指定された値（businessDaysPerYear など）はそれより優先する
+   * 月ごとの営業日数はカレンダーがあり、営業日数を個別に指定していない場合のみ求める（それ以外はnull）
+   * @param {Object} options - 計算オプション
+   * @param {string} responsible - 担当者
+   * @returns {Object} - { businessDaysPerYear, businessWeeksPerYear, businessMonthsPerYear, monthlyBusinessDays, hoursPerDay }
+   */
+  static resolveOptions(options = {}, responsible = '') {
+    const base = options.calendar
+      ? this.getCalculationOptions(options.calendar, responsible)
+      : appConfig.calculationDefaults;
+
+    return {
+      businessDaysPerYear: options.businessDaysPerYear ?? base.businessDaysPerYear,
+      businessWeeksPerYear: options.businessWeeksPerYear ?? base.businessWeeksPerYear,
+      businessMonthsPerYear: options.businessMonthsPerYear ?? base.businessMonthsPerYear,
+      monthlyBusinessDays: options.businessDaysPerYear == null ? (base.monthlyBusinessDays || null) : null,
+      hoursPerDay: options.hoursPerDay ?? base.hoursPerDay
+    };
+  }
+}
+
+export default CalendarModel;
@@ -0,0 +1,16 @@
+// src/models/CalendarModel.test.js
+import CalendarModel from './CalendarModel';
+
+describe('CalendarModel', () => {
+  describe('create', () => {
+    test('年度が未設定の場合は基準日の年度（年度開始月から数える）とする', () => {
+      expect(CalendarModel.create({}, '2025-03-31T00:00:00').fiscalYear).toBe(2024);
+      expect(CalendarModel.create({}, '2025-04-01T00:00:00').fiscalYear).toBe(2025);
+      expect(CalendarModel.create({ fiscalYearStartMonth: 1 }, '2025-03-31T00:00:00').fiscalYear).toBe(2025);
+    });
+
+    test('設定済みの年度は基準日によらずそのまま使う', () => {
+      expect(CalendarModel.create({ fiscalYear: 2022 }, '2025-04-01T00:00:00').fiscalYear).toBe(2022);
+    });
+  });
+});
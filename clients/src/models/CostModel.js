@@ -0,0 +1,64 @@
+// src/models/CostModel.js
+import appConfig from '../config/appConfig';
+
+/**
+ * 人件費の設定（時間単価・間接費係数）を管理するモデルクラス
+ * 担当者（役割）ごとに時間単価・間接費係数を指定でき、未指定の担当者は既定値を使う
+ */
+class CostModel {
+  /**
+   * 新しい人件費の設定を作成する
+   * @param {Object} data - 初期データ（hourlyRate, overheadFactor, roles）
+   * @returns {Object} - 人件費の設定
+   */
+  static create(data = {}) {
+    const hourlyRate = parseFloat(data.hourlyRate);
+    const overheadFactor = parseFloat(data.overheadFactor);
+    return {
+      hourlyRate: hourlyRate >= 0 ? hourlyRate : appConfig.calculationDefaults.hourlyRate, // 時間単価（円）
+      overheadFactor: overheadFactor > 0 ? overheadFactor : 1, // 間接費係数（社会保険料・設備費などを含めた倍率）
+      roles: (data.roles || []).map(role => this.createRole(role))
+    };
+  }
+
+  /**
+   * 担当者（役割）ごとの単価設定を作成する
+   * @param {Object} data - 設定データ（responsible, hourlyRate, overheadFactor）
+   * @returns {Object} - 担当者ごとの単価設定
+   */
+  static createRole(data = {}) {
+    const hourlyRate = parseFloat(data.hourlyRate);
+    const overheadFactor = parseFloat(data.overheadFactor);
+    return {
+      responsible: data.responsible || '',
+      hourlyRate: hourlyRate >= 0 ? hourlyRate : null, // 未指定は既定の時間単価
+      overheadFactor: overheadFactor > 0 ? overheadFactor : null // 未指定は既定の間接費係数
+    };
+  }
+
+  /**
+   * 担当者の単価設定を取得する
+   * @param {Object} costSettings - 人件費の設定
+   * @param {string} responsible - 担当者
+   * @returns {Object|null} - 単価設定（個別の設定がない場合はnull）
+   */
+  static getRole(costSettings, responsible) {
+    const name = (responsible || '').trim();
+    if (!name || !costSettings) return null;
+    return costSettings.roles.find(role => role.responsible.trim() === name) || null;
+  }
+
+  /**
+   * 担当者の間接費を含めた時間単価を求める（時間単価 × 間接費係数）
+   * @param {Object} costSettings - 人件費の設定（未指定は既定値）
+   * @param {string} responsible - 担当者
+   * @returns {number} - 1時間あたりの人件費（円）
+   */
+  static getLoadedRate(costSettings, responsible = '') {
+    const settings = costSettings || this.create();
+    const role = this.getRole(settings, responsible);
+    return (role?.hourlyRate ?? settings.hourlyRate) * (role?.overheadFactor ?? settings.overheadFactor);
+  }
+}
+
+export default CostModel;
@@ -0,0 +1,34 @@
+// src/models/DemandModel.js
+
+// 顧客需要の件数の単位
+const DEMAND_UNITS = ['日', '週', '月', '年'];
+
+/**
+ * 顧客需要（プロセスが処理すべき件数）を管理するモデルクラス
+ * タクトタイム（需要1件あたりに使える時間）を求めるために使う
+ */
+class DemandModel {
+  /**
+   * 新しい顧客需要を作成する
+   * @param {Object} data - 初期データ（value, unit, volumeDriverId）
+   * @returns {Object} - 顧客需要
+   */
+  static create(data = {}) {
+    const value = parseFloat(data.value);
+    return {
+      value: isNaN(value) || value < 0 ? 0 : value, // 0は未設定
+      unit: DEMAND_UNITS.includes(data.unit) ? data.unit : '日',
+      volumeDriverId: data.volumeDriverId || null // 指定した場合はボリュームドライバーの年間件数を需要とする
+    };
+  }
+
+  /**
+   * 件数の単位の一覧を取得する
+   * @returns {Array} - 単位の配列
+   */
+  static getUnits() {
+    return DEMAND_UNITS;
+  }
+}
+
+export default DemandModel;
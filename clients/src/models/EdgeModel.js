@@ -0,0 +1,110 @@
+// src/models/EdgeModel.js
+
+/**
+ * プロセスステップ間の接続（エッジ）を管理するモデルクラス
+ */
+class EdgeModel {
+  /**
+   * 新しいエッジを作成する
+   * @param {string} source - 接続元ステップID
+   * @param {string} target - 接続先ステップID
+   * @param {Object} data - エッジデータ
+   * @returns {Object} - 新しいエッジ
+   */
+  static create(source, target, data = {}) {
+    return {
+      id: data.id || `edge-${source}-${target}`,
+      source,
+      target,
+      type: data.type || 'smoothstep',
+      data: { ...(data.data || {}) }
+    };
+  }
+
+  /**
+   * エッジを保存用の形式に変換する（React Flowの一時的な状態を除外）
+   * @param {Object} edge - 変換するエッジ
+   * @returns {Object} - 保存用のエッジ
+   */
+  static serialize(edge) {
+    const serialized = {
+      id: edge.id,
+      source: edge.source,
+      target: edge.target,
+      type: edge.type || 'smoothstep',
+      data: edge.data || {}
+    };
+
+    // ハンドル指定がある場合のみ保持
+    if (edge.sourceHandle) serialized.sourceHandle = edge.sourceHandle;
+    if (edge.targetHandle) serialized.targetHandle = edge.targetHandle;
+    if (edge.label) serialized.label = edge.label;
+
+    return serialized;
+  }
+
+  /**
+   * エッジ一覧を検証する
+   * @param {Array} edges - 検証するエッジ一覧
+   * @param {Array} steps - プロセスステップ一覧
+   * @returns {Array} - エラーメッセージの配列
+   */
+  static validate(edges, steps = []) {
+    const errors = [];
+
+    if (!Array.isArray(edges)) {
+      return ['エッジ一覧が配列ではありません'];
+    }
+
+    const stepIds = new Set(steps.map(step => step.id));
+    const edgeIds = new Set();
+
+    edges.forEach((edge, index) => {
+      if (!edge || !edge.source || !edge.target) {
+        errors.push(`エッジ ${index + 1} に接続元または接続先がありません`);
+        return;
+      }
+      if (!stepIds.has(edge.source)) {
+        errors.push(`エッジ ${edge.id} の接続元 ${edge.source} が存在しません`);
+      }
+      if (!stepIds.has(edge.target)) {
+        errors.push(`エッジ ${edge.id} の接続先 ${edge.target} が存在しません`);
+      }
+      if (edgeIds.has(edge.id)) {
+        errors.push(`エッジID ${edge.id} が重複しています`);
+      }
+      edgeIds.add(edge.id);
+    });
+
+    return errors;
+  }
+
+  /**
+   * ステップの並び順に沿って直列のエッジを生成する
+   * （エッジを保存していない旧形式のプロジェクトを読み込む際に使用）
+   * @param {Array} steps - プロセスステップ一覧
+   * @returns {Array} - 生成されたエッジ一覧
+   */
+  static createSequential(steps = []) {
+    const edges = [];
+
+    for (let i = 0; i < steps.length - 1; i++) {
+      edges.push(this.create(steps[i].id, steps[i + 1].id));
+    }
+
+    return edges;
+  }
+
+  /**
+   * 存在しないステップを参照するエッジを取り除く
+   * @param {Array} edges - エッジ一覧
+   * @param {Array} steps - プロセスステップ一覧
+   * @returns {Array} - 整理後のエッジ一覧
+   */
+  static prune(edges = [], steps = []) {
+    const stepIds = new Set(steps.map(step => step.id));
+    return edges.filter(edge => stepIds.has(edge.source) && stepIds.has(edge.target));
+  }
+}
+
+export default EdgeModel;
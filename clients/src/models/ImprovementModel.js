@@ -1,5 +1,23 @@
 // src/models/ImprovementModel.js
 import { v4 as uuidv4 } from 'uuid';
+import appConfig from '../config/appConfig';
+
+// ECRS（改善の4原則: 排除・結合・交換・簡素化）の区分。この順に検討・適用する
+const ECRS_TYPES = ['eliminate', 'combine', 'rearrange', 'simplify'];
+
+// 交換（入れ替え）の方法（parallel: 前のステップと並行に実施、after: 指定したステップの後に移動）
+const REARRANGE_MODES = ['parallel', 'after'];
+
+// 同じステップを対象とする施策の効果の合成方法
+// multiplicative: 前の施策で短縮した残りの時間に次の施策の削減率を掛ける、
+// additive: 削減率を足し合わせる（100%で打ち切り）、max: 最も削減率の大きい施策だけを効果とする
+const INTERACTION_RULES = ['multiplicative', 'additive', 'max'];
+
+// 1つのステップに1つしか反映できない、プロセスの構造を変える施策
+const STRUCTURAL_ECRS = ['eliminate', 'combine', 'rearrange'];
+
+// 施策の状態（提案中・承認済・実施中・完了・却下）
+const STATUSES = ['proposed', 'approved', 'in-progress', 'completed', 'rejected'];
 
 /**
  * 改善施策を管理するモデルクラス
@@ -22,12 +40,16 @@ class ImprovementModel {
       targetStepLabel: data.targetStepLabel || '',
       keywords: data.keywords || [],
       timeReductionPercent: data.timeReductionPercent !== undefined ? data.timeReductionPercent : 30,
+      ecrs: this.getEcrs(data),
+      relatedStepId: data.relatedStepId || null, // 結合先・移動先のステップ（未指定なら結合は次のステップ）
+      rearrangeMode: REARRANGE_MODES.includes(data.rearrangeMode) ? data.rearrangeMode : 'parallel',
       implementationDifficulty: data.implementationDifficulty || 'medium',
       estimatedCost: data.estimatedCost || 'medium',
       implementationPeriod: data.implementationPeriod || '1-3months',
       responsible: data.responsible || '',
       requiredResources: data.requiredResources || [],
       implementationSteps: data.implementationSteps || [],
+      dependsOn: data.dependsOn || [], // 先に完了している必要がある施策のキー（getKey）
       risks: data.risks || [],
       attachments: data.attachments || [],
       status: data.status || 'proposed',
@@ -63,6 +85,13 @@ class ImprovementModel {
       errors.timeReductionPercent = '時間削減率は0〜100%の範囲で入力してください';
     }
     
+    // ECRSのチェック
+    if (improvement.ecrs && !ECRS_TYPES.includes(improvement.ecrs)) {
+      errors.ecrs = 'ECRSの区分の値が無効です';
+    } else if (improvement.ecrs === 'rearrange' && improvement.rearrangeMode === 'after' && !improvement.relatedStepId) {
+      errors.relatedStepId = '移動先のステップを選択してください';
+    }
+    
     // 難易度のチェック
     const validDifficulties = ['low', 'medium', 'high'];
     if (!validDifficulties.includes(improvement.implementationDifficulty)) {
@@ -87,6 +116,219 @@ class ImprovementModel {
     };
   }
 
+  /**
+   * ECRSの区分の一覧を取得する（適用する順）
+   * @returns {Array<string>} - ECRSの区分
+   */
+  static getEcrsTypes() {
+    return ECRS_TYPES;
+  }
+
+  /**
+   * 施策の状態の一覧を取得する
+   * @returns {Array<string>} - 状態
+   */
+  static getStatuses() {
+    return STATUSES;
+  }
+
+  /**
+   * 改善施策のECRSの区分を取得する（未設定・不正な値は簡素化）
+   * @param {Object} improvement - 改善施策
+   * @returns {string} - ECRSの区分
+   */
+  static getEcrs(improvement) {
+    return ECRS_TYPES.includes(improvement?.ecrs) ? improvement.ecrs : 'simplify';
+  }
+
+  /**
+   * 対象ステップ単体で見た時間削減率（%）を取得する
+   * 排除はステップの時間がすべてなくなり、交換は順序を変えるだけなので削減率を指定した分だけとする
+   * @param {Object} improvement - 改善施策
+   * @returns {number} - 時間削減率（0〜100）
+   */
+  static getReductionPercent(improvement) {
+    if (this.getEcrs(improvement) === 'eliminate') {
+      return 100;
+    }
+    return Math.min(100, Math.max(0, parseFloat(improvement?.timeReductionPercent) || 0));
+  }
+
+  /**
+   * 施策を識別するキーを求める（同じ施策を複数のステップに適用する場合があるため対象ステップも含める）
+   * @param {Object} improvement - 改善施策
+   * @returns {string} - キー（施策ID:対象ステップID）
+   */
+  static getKey(improvement) {
+    return `${improvement.id}:${improvement.targetStepId}`;
+  }
+
+  /**
+   * 効果の合成方法の一覧を取得する
+   * @returns {Array<string>} - 合成方法
+   */
+  static getInteractionRules() {
+    return INTERACTION_RULES;
+  }
+
+  /**
+   * 効果の合成方法の表示テキストを取得する
+   * @param {string} rule - 合成方法
+   * @returns {Object} - テキストと説明
+   */
+  static getInteractionRuleInfo(rule) {
+    switch (rule) {
+      case 'additive':
+        return {
+          text: '加算',
+          description: '削減率を足し合わせる（合計は100%まで）'
+        };
+
+      case 'max':
+        return {
+          text: '最大のみ',
+          description: '効果が重なるものとみなし、最も削減率の大きい施策だけを見込む'
+        };
+
+      default:
+        return {
+          text: '乗算',
+          description: '前の施策で短縮した残りの時間に、次の施策の削減率を掛ける'
+        };
+    }
+  }
+
+  /**
+   * 同じステップを対象とする施策の削減率を合成し、削減した時間を施策ごとに配分する
+   * 配分は各施策の単独の削減率に比例させる（最大のみ・排除を含む場合は1つの施策にすべて配分する）
+   * rate は施策を順に反映するときに、その時点の所要時間に掛ける倍率（すべて掛けると remainingRate になる）
+   * @param {Array} improvements - 同じステップを対象とする改善施策の配列（反映する順）
+   * @param {string} rule - 合成方法
+   * @returns {Object} - { remainingRate, reduction, shares: [{ improvement, share, rate }] }（share は元の所要時間に対する割合）
+   */
+  static combineReductions(improvements = [], rule = 'multiplicative') {
+    const percents = improvements.map(improvement => this.getReductionPercent(improvement) / 100);
+    const total = percents.reduce((sum, percent) => sum + percent, 0);
+    const eliminateIndex = improvements.findIndex(improvement => this.getEcrs(improvement) === 'eliminate');
+    const maxIndex = percents.indexOf(Math.max(...percents));
+
+    let remainingRate;
+    if (eliminateIndex >= 0) {
+      remainingRate = 0;
+    } else if (rule === 'additive') {
+      remainingRate = Math.max(0, 1 - total);
+    } else if (rule === 'max') {
+      remainingRate = 1 - (percents[maxIndex] || 0);
+    } else {
+      remainingRate = percents.reduce((remaining, percent) => remaining * (1 - percent), 1);
+    }
+    const reduction = 1 - remainingRate;
+    const winnerIndex = eliminateIndex >= 0 ? eliminateIndex : (rule === 'max' ? maxIndex : -1);
+
+    let remaining = 1;
+    const shares = improvements.map((improvement, index) => {
+      let share = 0;
+      if (winnerIndex >= 0) {
+        share = index === winnerIndex ? reduction : 0;
+      } else if (total > 0) {
+        share = reduction * percents[index] / total;
+      }
+      const rate = remaining > 0 ? Math.max(0, (remaining - share) / remaining) : 1;
+      remaining -= share;
+      return { improvement, share, rate };
+    });
+
+    return { remainingRate, reduction, shares };
+  }
+
+  /**
+   * 同時に実施できない施策の組み合わせを検出する
+   * 排除するステップへの他の施策、1つのステップへの複数の構造変更（結合・交換）、同じ施策の重複を対象とする
+   * @param {Array} improvements - 改善施策の配列（targetStepId を持つ）
+   * @returns {Array} - [{ stepId, improvementIds, message }]
+   */
+  static findConflicts(improvements = []) {
+    const byStep = new Map();
+    improvements.forEach(improvement => {
+      if (!improvement.targetStepId) return;
+      byStep.set(improvement.targetStepId, [...(byStep.get(improvement.targetStepId) || []), improvement]);
+    });
+
+    const conflicts = [];
+    byStep.forEach((group, stepId) => {
+      const label = group[0].targetStepLabel || stepId;
+      const ids = (items) => items.map(improvement => improvement.id);
+      const eliminates = group.filter(improvement => this.getEcrs(improvement) === 'eliminate');
+      const structural = group.filter(improvement => STRUCTURAL_ECRS.includes(this.getEcrs(improvement)));
+
+      if (eliminates.length > 0 && group.length > 1) {
+        conflicts.push({
+          stepId,
+          improvementIds: ids(group),
+          message: `「${label}」を排除する施策と他の施策は同時に実施できません`
+        });
+      } else if (structural.length > 1) {
+        conflicts.push({
+          stepId,
+          improvementIds: ids(structural),
+          message: `「${label}」の結合・交換は1つの施策しか反映できません`
+        });
+      }
+
+      const titles = new Map();
+      group.forEach(improvement => {
+        if (!improvement.title) return;
+        titles.set(improvement.title, [...(titles.get(improvement.title) || []), improvement]);
+      });
+      titles.forEach((duplicates, title) => {
+        if (duplicates.length > 1 && eliminates.length === 0) {
+          conflicts.push({
+            stepId,
+            improvementIds: ids(duplicates),
+            message: `「${label}」に同じ施策「${title}」が重複しています`
+          });
+        }
+      });
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * 施策の費用の見込み（円）を予想コストから求める
+   * @param {Object} improvement - 改善施策
+   * @returns {number} - 費用（円）
+   */
+  static getCostEstimate(improvement) {
+    const { cost } = appConfig.improvementDefaults.estimates;
+    return cost[improvement?.estimatedCost] ?? cost.medium;
+  }
+
+  /**
+   * 施策の実施工数の見込み（人時）を実装難易度から求める
+   * @param {Object} improvement - 改善施策
+   * @returns {number} - 実施工数（人時）
+   */
+  static getEffortHours(improvement) {
+    const { effortHours } = appConfig.improvementDefaults.estimates;
+    return effortHours[improvement?.implementationDifficulty] ?? effortHours.medium;
+  }
+
+  /**
+   * 施策の実施期間の見込み（日）を求める（期間の指定がなければ実装難易度から求める）
+   * @param {Object} improvement - 改善施策
+   * @returns {number} - 実施期間（日）
+   */
+  static getDurationDays(improvement) {
+    const { implementationPeriods, estimates } = appConfig.improvementDefaults;
+    const value = improvement?.implementationPeriod
+      || estimates.period[improvement?.implementationDifficulty]
+      || estimates.period.medium;
+    const period = implementationPeriods.find(item => item.value === value)
+      || implementationPeriods.find(item => item.value === estimates.period.medium);
+    return period.days;
+  }
+
   /**
    * 改善施策を更新する
    * @param {Object} improvement - 更新する改善施策
@@ -112,38 +354,6 @@ class ImprovementModel {
     };
   }
 
-  /**
-   * 改善効果を計算する
-   * @param {Object} improvement - 改善施策
-   * @param {Object} step - 対象プロセスステップ
-   * @returns {Object} - 計算結果
-   */
-  static calculateEffect(improvement, step) {
-    // 時間の削減効果
-    const minutesReduction = step.data.time * (improvement.timeReductionPercent / 100);
-    
-    // 年間の削減時間
-    let annualFrequency = 0;
-    switch (step.data.frequencyUnit) {
-      case '日': annualFrequency = step.data.frequency * 250; break; // 年間営業日数
-      case '週': annualFrequency = step.data.frequency * 52; break;
-      case '月': annualFrequency = step.data.frequency * 12; break;
-      case '年': annualFrequency = step.data.frequency; break;
-      default: annualFrequency = 0;
-    }
-    
-    const annualMinutesSaved = minutesReduction * annualFrequency;
-    const annualHoursSaved = annualMinutesSaved / 60;
-    const annualDaysSaved = annualHoursSaved / 8; // 1日=8時間として計算
-    
-    return {
-      minutesPerOccurrence: minutesReduction,
-      annualMinutes: annualMinutesSaved,
-      annualHours: annualHoursSaved,
-      annualDays: annualDaysSaved
-    };
-  }
-
   /**
    * 改善施策のROI（投資収益率）を計算する
    * @param {Object} improvement - 改善施策
@@ -282,6 +492,47 @@ class ImprovementModel {
     }
   }
 
+  /**
+   * ECRSの区分の表示テキストとスタイルを取得する
+   * @param {string} ecrs - ECRSの区分
+   * @returns {Object} - テキストとスタイル情報
+   */
+  static getEcrsInfo(ecrs) {
+    switch (ecrs) {
+      case 'eliminate':
+        return {
+          text: '排除',
+          color: 'error',
+          label: '排除（Eliminate）',
+          description: 'ステップそのものをなくし、前後のステップを直接つなぐ'
+        };
+      
+      case 'combine':
+        return {
+          text: '結合',
+          color: 'warning',
+          label: '結合（Combine）',
+          description: '前後のステップとまとめて1つのステップにする'
+        };
+      
+      case 'rearrange':
+        return {
+          text: '交換',
+          color: 'info',
+          label: '交換（Rearrange）',
+          description: 'ステップの順序を入れ替える、または前のステップと並行に実施する'
+        };
+      
+      default:
+        return {
+          text: '簡素化',
+          color: 'success',
+          label: '簡素化（Simplify）',
+          description: 'ステップの作業を簡単にして所要時間を短縮する'
+        };
+    }
+  }
+
   /**
    * ステータスの表示テキストとスタイルを取得する
    * @param {string} status - ステータス
@@ -378,6 +629,18 @@ class ImprovementModel {
           estimatedCost: 'medium',
           isTemplate: true
         }));
+        
+        templates.push(this.create({
+          title: '前後の作業との統合',
+          description: `「${stepLabel || '加工作業'}」を前後の作業とまとめて1つの作業にし、受け渡しや段取りの時間をなくします。`,
+          targetStepType: stepType,
+          keywords: ['統合', '一人完結', '受け渡し'],
+          timeReductionPercent: 20,
+          ecrs: 'combine',
+          implementationDifficulty: 'low',
+          estimatedCost: 'low',
+          isTemplate: true
+        }));
         break;
       
       case 'inspection':
@@ -402,6 +665,18 @@ class ImprovementModel {
           estimatedCost: 'high',
           isTemplate: true
         }));
+        
+        templates.push(this.create({
+          title: '検査の廃止',
+          description: `前工程で品質を作り込み（ポカヨケ・自主検査）、「${stepLabel || '検査工程'}」そのものをなくします。`,
+          targetStepType: stepType,
+          keywords: ['検査廃止', 'ポカヨケ', '自主検査'],
+          timeReductionPercent: 100,
+          ecrs: 'eliminate',
+          implementationDifficulty: 'medium',
+          estimatedCost: 'low',
+          isTemplate: true
+        }));
         break;
       
       case 'transport':
@@ -426,6 +701,18 @@ class ImprovementModel {
           estimatedCost: 'medium',
           isTemplate: true
         }));
+        
+        templates.push(this.create({
+          title: '搬送の廃止（直接受け渡し）',
+          description: `前後の作業を隣接させるか電子化して直接受け渡し、「${stepLabel || '搬送工程'}」そのものをなくします。`,
+          targetStepType: stepType,
+          keywords: ['搬送廃止', '直接受け渡し', '電子化'],
+          timeReductionPercent: 100,
+          ecrs: 'eliminate',
+          implementationDifficulty: 'high',
+          estimatedCost: 'medium',
+          isTemplate: true
+        }));
         break;
       
       case 'delay':
@@ -450,6 +737,19 @@ class ImprovementModel {
           estimatedCost: 'medium',
           isTemplate: true
         }));
+        
+        templates.push(this.create({
+          title: '承認の並行処理',
+          description: `「${stepLabel || '待ち工程'}」を前の作業の完了を待たずに並行して進め、リードタイムを短縮します。`,
+          targetStepType: stepType,
+          keywords: ['並行処理', '同時進行', '事前承認'],
+          timeReductionPercent: 0,
+          ecrs: 'rearrange',
+          rearrangeMode: 'parallel',
+          implementationDifficulty: 'medium',
+          estimatedCost: 'low',
+          isTemplate: true
+        }));
         break;
       
       case 'storage':
@@ -0,0 +1,67 @@
+// src/models/ImprovementModel.test.js
+import ImprovementModel from './ImprovementModel';
+
+describe('ImprovementModel', () => {
+  describe('combineReductions', () => {
+    const improvements = [
+      { id: 'i1', timeReductionPercent: 60 },
+      { id: 'i2', timeReductionPercent: 20 }
+    ];
+    const shares = (result) => result.shares.map(item => Math.round(item.share * 100) / 100);
+
+    test('掛け合わせは前の施策で短縮した残りの時間に次の削減率を掛け、削減率の比で配分する', () => {
+      const result = ImprovementModel.combineReductions(improvements, 'multiplicative');
+
+      expect(result.remainingRate).toBeCloseTo(0.32);
+      expect(shares(result)).toEqual([0.51, 0.17]);
+    });
+
+    test('足し合わせは0分を下限とする', () => {
+      expect(ImprovementModel.combineReductions(improvements, 'additive').remainingRate).toBeCloseTo(0.2);
+      expect(ImprovementModel.combineReductions([...improvements, { id: 'i3', timeReductionPercent: 50 }], 'additive').remainingRate).toBe(0);
+    });
+
+    test('最大は最も削減率の大きい施策だけを効果とする', () => {
+      const result = ImprovementModel.combineReductions(improvements, 'max');
+
+      expect(result.remainingRate).toBeCloseTo(0.4);
+      expect(shares(result)).toEqual([0.6, 0]);
+    });
+
+    test('排除を含む場合は合成方法によらず削減をすべて排除の施策に配分する', () => {
+      const result = ImprovementModel.combineReductions([...improvements, { id: 'i3', ecrs: 'eliminate' }], 'additive');
+
+      expect(result.remainingRate).toBe(0);
+      expect(shares(result)).toEqual([0, 0, 1]);
+    });
+  });
+
+  describe('findConflicts', () => {
+    test('排除する施策と他の施策、複数の構造変更、同じ施策の重複を同時に実施できない組み合わせとする', () => {
+      const conflicts = ImprovementModel.findConflicts([
+        { id: 'i1', title: '自動化', targetStepId: 's1', timeReductionPercent: 60 },
+        { id: 'i2', title: '標準化', targetStepId: 's1', timeReductionPercent: 60 },
+        { id: 'i3', title: '検査の廃止', targetStepId: 's2', targetStepLabel: '確認', ecrs: 'eliminate' },
+        { id: 'i4', title: '自動化', targetStepId: 's2', targetStepLabel: '確認', timeReductionPercent: 70 },
+        { id: 'i5', title: '統合', targetStepId: 's3', ecrs: 'combine' },
+        { id: 'i6', title: '並行', targetStepId: 's3', ecrs: 'rearrange' },
+        { id: 'i7', title: '自動化', targetStepId: 's1', timeReductionPercent: 70 }
+      ]);
+
+      expect(conflicts.map(conflict => [conflict.stepId, conflict.improvementIds])).toEqual([
+        ['s1', ['i1', 'i7']],
+        ['s2', ['i3', 'i4']],
+        ['s3', ['i5', 'i6']]
+      ]);
+      expect(conflicts[1].message).toBe('「確認」を排除する施策と他の施策は同時に実施できません');
+    });
+
+    test('別々のステップへの施策や削減率だけの施策の組み合わせは競合としない', () => {
+      expect(ImprovementModel.findConflicts([
+        { id: 'i1', title: '自動化', targetStepId: 's1', timeReductionPercent: 60 },
+        { id: 'i2', title: '標準化', targetStepId: 's1', timeReductionPercent: 60 },
+        { id: 'i3', title: '検査の廃止', targetStepId: 's2', ecrs: 'eliminate' }
+      ])).toEqual([]);
+    });
+  });
+});
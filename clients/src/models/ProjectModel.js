@@ -1,5 +1,13 @@
 // src/models/ProjectModel.js
 import { v4 as uuidv4 } from 'uuid';
+import EdgeModel from './EdgeModel';
+import StepModel from './StepModel';
+import SwimlaneModel from './SwimlaneModel';
+import CalendarModel from './CalendarModel';
+import VolumeDriverModel from './VolumeDriverModel';
+import CostModel from './CostModel';
+import DemandModel from './DemandModel';
+import ScenarioModel from './ScenarioModel';
 
 /**
  * プロジェクトデータを管理するモデルクラス
@@ -18,8 +26,17 @@ class ProjectModel {
       name: data.name || '新規プロジェクト',
       description: data.description || '',
       processSteps: data.processSteps || [],
+      edges: data.edges || [],
+      swimlanes: SwimlaneModel.create(data.swimlanes || {}),
+      calendar: CalendarModel.create(data.calendar || {}),
+      volumeDrivers: (data.volumeDrivers || []).map(driver => VolumeDriverModel.create(driver)),
+      costSettings: CostModel.create(data.costSettings || {}),
+      customerDemand: DemandModel.create(data.customerDemand || {}),
+      abcShares: data.abcShares || null, // ABC分析の区分（未設定は既定値）
+      roadmap: data.roadmap || null, // 実施ロードマップの設定（未設定は今日から）
       workloadData: data.workloadData || null,
       improvementResults: data.improvementResults || null,
+      scenarios: (data.scenarios || []).map(scenario => ScenarioModel.create(scenario)),
       filePath: data.filePath || null,
       created: data.created || now,
       modified: data.modified || now,
@@ -57,6 +74,14 @@ class ProjectModel {
       errors.description = '説明は1000文字以内にしてください';
     }
     
+    // エッジの参照整合性チェック
+    if (project.edges) {
+      const edgeErrors = EdgeModel.validate(project.edges, project.processSteps || []);
+      if (edgeErrors.length > 0) {
+        errors.edges = edgeErrors.join('\n');
+      }
+    }
+    
     return {
       valid: Object.keys(errors).length === 0,
       errors
@@ -91,7 +116,11 @@ class ProjectModel {
   static serialize(project) {
     // シリアライズの際に不要なフィールドを除外
     const { filePath, ...serializable } = project;
-    return serializable;
+    return {
+      ...serializable,
+      edges: (project.edges || []).map(edge => EdgeModel.serialize(edge)),
+      scenarios: (project.scenarios || []).map(scenario => ScenarioModel.serialize(scenario))
+    };
   }
 
   /**
@@ -107,9 +136,26 @@ class ProjectModel {
     
     // 必須フィールドがない場合はデフォルト値を設定
     const now = new Date().toISOString();
+    const processSteps = data.processSteps || [];
+    
+    // エッジを持たない旧形式のファイルは、ステップ順の直列フローとして復元する
+    const edges = Array.isArray(data.edges)
+      ? EdgeModel.prune(data.edges, processSteps)
+      : EdgeModel.createSequential(processSteps);
     
     return {
       ...data,
+      processSteps,
+      edges,
+      swimlanes: SwimlaneModel.create(data.swimlanes || {}),
+      // 年度を持たない旧形式のファイルは、開いた日ではなくプロジェクトの作成日の年度とする
+      calendar: CalendarModel.create(data.calendar || {}, data.created || data.modified || now),
+      volumeDrivers: (data.volumeDrivers || []).map(driver => VolumeDriverModel.create(driver)),
+      costSettings: CostModel.create(data.costSettings || {}),
+      customerDemand: DemandModel.create(data.customerDemand || {}),
+      abcShares: data.abcShares || null, // ABC分析の区分（未設定は既定値）
+      roadmap: data.roadmap || null, // 実施ロードマップの設定（未設定は今日から）
+      scenarios: (data.scenarios || []).map(scenario => ScenarioModel.create(scenario)),
       created: data.created || now,
       modified: data.modified || now,
       metadata: data.metadata || {}
@@ -157,13 +203,18 @@ class ProjectModel {
         default: typeText = step.type;
       }
       
+      // 複合記号は「加工を主とした数量検査」のように出力
+      if (StepModel.isComposite(step)) {
+        typeText = StepModel.getCompositeName(step);
+      }
+      
       return [
         step.data.label,
         typeText,
         step.data.time,
         step.data.timeUnit,
         step.data.frequency,
-        step.data.frequencyUnit,
+        StepModel.formatFrequencyUnit(step, project.volumeDrivers),
         step.data.responsible,
         step.data.tools
       ].map(value => {
@@ -181,9 +232,10 @@ class ProjectModel {
    * CSVデータからプロセスステップを生成する
    * @param {string} csvData - CSV形式のデータ
    * @param {Object} mappings - フィールドのマッピング
+   * @param {Array} volumeDrivers - 頻度単位「件」を対応付けるボリュームドライバー
    * @returns {Array} - 生成されたプロセスステップ
    */
-  static stepsFromCSV(csvData, mappings) {
+  static stepsFromCSV(csvData, mappings, volumeDrivers = []) {
     // CSVをパース
     const lines = csvData.split(/\r?\n/);
     if (lines.length <= 1) {
@@ -233,11 +285,17 @@ class ProjectModel {
         stepType = 'process';
       }
       
+      // 「加工を主とした数量検査」のような複合記号名は主・副の記号に分ける
+      const composite = StepModel.parseCompositeName(rowData[mappings.type]);
+      if (composite) {
+        stepType = composite.type;
+      }
+      
       // 他のフィールド取得
       const timeValue = parseFloat(rowData[mappings.time]) || 0;
       const timeUnitValue = rowData[mappings.timeUnit] || '分';
       const frequencyValue = parseFloat(rowData[mappings.frequency]) || 1;
-      const frequencyUnitValue = rowData[mappings.frequencyUnit] || '日';
+      const frequencyData = StepModel.resolveImportedFrequency(rowData[mappings.frequencyUnit], volumeDrivers);
       
       // Position の計算（ステップ間で適切な間隔を設ける）
       const position = {
@@ -255,9 +313,14 @@ class ProjectModel {
           time: timeValue,
           timeUnit: timeUnitValue,
           frequency: frequencyValue,
-          frequencyUnit: frequencyUnitValue,
+          ...frequencyData,
           responsible: rowData[mappings.responsible] || '',
-          tools: rowData[mappings.tools] || ''
+          tools: rowData[mappings.tools] || '',
+          ...(composite ? {
+            secondaryType: composite.secondaryType,
+            checkType: composite.checkType || undefined,
+            secondaryCheckType: composite.secondaryCheckType || undefined
+          } : {})
         }
       });
     }
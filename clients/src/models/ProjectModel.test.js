@@ -0,0 +1,41 @@
+// src/models/ProjectModel.test.js
+import ProjectModel from './ProjectModel';
+
+// 年度・エッジを持たない旧形式のプロジェクトファイル（2024年3月作成、入力 → 確認 → 送付）
+const createLegacyData = () => ({
+  name: '旧形式',
+  processSteps: [
+    { id: 's1', type: 'process', data: { label: '入力' } },
+    { id: 's2', type: 'inspection', data: { label: '確認' } },
+    { id: 's3', type: 'transport', data: { label: '送付' } }
+  ],
+  created: '2024-03-15T09:00:00',
+  modified: '2025-06-01T09:00:00'
+});
+
+describe('ProjectModel', () => {
+  describe('deserialize', () => {
+    test('年度を持たないプロジェクトは、開いた日や更新日ではなく作成日の年度で読み込む', () => {
+      expect(ProjectModel.deserialize(createLegacyData()).calendar.fiscalYear).toBe(2023);
+      expect(ProjectModel.deserialize({ ...createLegacyData(), calendar: {} }).calendar.fiscalYear).toBe(2023);
+    });
+
+    test('作成日がなければ更新日の年度とし、設定済みの年度はそのまま使う', () => {
+      const { created, ...withoutCreated } = createLegacyData();
+
+      expect(ProjectModel.deserialize(withoutCreated).calendar.fiscalYear).toBe(2025);
+      expect(ProjectModel.deserialize({ ...createLegacyData(), calendar: { fiscalYear: 2021 } }).calendar.fiscalYear).toBe(2021);
+    });
+
+    test('エッジを持たないプロジェクトはステップ順の直列フローとして復元し、存在しないステップへのエッジは取り除く', () => {
+      const legacy = ProjectModel.deserialize(createLegacyData());
+      expect(legacy.edges.map(edge => [edge.source, edge.target])).toEqual([['s1', 's2'], ['s2', 's3']]);
+
+      const pruned = ProjectModel.deserialize({
+        ...createLegacyData(),
+        edges: [{ id: 'e1', source: 's1', target: 's3' }, { id: 'e2', source: 's3', target: 's9' }]
+      });
+      expect(pruned.edges.map(edge => edge.id)).toEqual(['e1']);
+    });
+  });
+});
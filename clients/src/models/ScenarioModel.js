@@ -0,0 +1,94 @@
+// src/models/ScenarioModel.js
+import { v4 as uuidv4 } from 'uuid';
+import EdgeModel from './EdgeModel';
+
+/**
+ * 改善後（To-Be）などのシナリオを管理するモデルクラス
+ * シナリオはプロセス（ステップ・エッジ）の完全な複製と、作成に使った改善施策を持つ
+ */
+class ScenarioModel {
+  /**
+   * 新しいシナリオを作成する
+   * @param {Object} data - 初期データ（name, description, steps, edges, improvements）
+   * @returns {Object} - 新しいシナリオ
+   */
+  static create(data = {}) {
+    const now = new Date().toISOString();
+    const steps = Array.isArray(data.steps) ? data.steps : [];
+
+    return {
+      id: data.id || uuidv4(),
+      name: data.name || '',
+      description: data.description || '',
+      steps,
+      edges: Array.isArray(data.edges) ? EdgeModel.prune(data.edges, steps) : [],
+      improvements: Array.isArray(data.improvements) ? data.improvements : [], // シナリオに反映した改善施策
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now
+    };
+  }
+
+  /**
+   * シナリオを更新する
+   * @param {Object} scenario - 更新するシナリオ
+   * @param {Object} updates - 更新内容
+   * @returns {Object} - 更新されたシナリオ
+   */
+  static update(scenario, updates) {
+    return {
+      ...scenario,
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * シナリオを検証する
+   * @param {Object} scenario - 検証するシナリオ
+   * @param {Array} scenarios - プロジェクトのシナリオの配列（名前の重複チェック用）
+   * @returns {Object} - 検証結果
+   */
+  static validate(scenario, scenarios = []) {
+    const errors = {};
+    const name = (scenario.name || '').trim();
+
+    if (!name) {
+      errors.name = 'シナリオ名は必須です';
+    } else if (scenarios.some(item => item.id !== scenario.id && item.name.trim() === name)) {
+      errors.name = `「${name}」は既に使われています`;
+    }
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors
+    };
+  }
+
+  /**
+   * 保存用の形式に変換する（React Flowの一時的な状態を除外）
+   * @param {Object} scenario - 変換するシナリオ
+   * @returns {Object} - 保存用のシナリオ
+   */
+  static serialize(scenario) {
+    return {
+      ...scenario,
+      edges: scenario.edges.map(edge => EdgeModel.serialize(edge))
+    };
+  }
+
+  /**
+   * 未使用の既定のシナリオ名（To-Be A、To-Be B、…）を求める
+   * @param {Array} scenarios - プロジェクトのシナリオの配列
+   * @returns {string} - シナリオ名
+   */
+  static getDefaultName(scenarios = []) {
+    const names = new Set(scenarios.map(scenario => scenario.name));
+    for (let index = 0; ; index++) {
+      const suffix = index < 26 ? String.fromCharCode(65 + index) : String(index + 1);
+      const name = `To-Be ${suffix}`;
+      if (!names.has(name)) return name;
+    }
+  }
+}
+
+export default ScenarioModel;
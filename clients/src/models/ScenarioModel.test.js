@@ -0,0 +1,16 @@
+// src/models/ScenarioModel.test.js
+import ScenarioModel from './ScenarioModel';
+
+describe('ScenarioModel', () => {
+  test('既定のシナリオ名は使われていない次の記号にする', () => {
+    expect(ScenarioModel.getDefaultName([])).toBe('To-Be A');
+    expect(ScenarioModel.getDefaultName([ScenarioModel.create({ name: 'To-Be A' })])).toBe('To-Be B');
+  });
+
+  test('前後の空白を除いて同じ名前のシナリオは作れない', () => {
+    const scenarios = [ScenarioModel.create({ name: 'To-Be A' })];
+
+    expect(ScenarioModel.validate({ name: ' To-Be A ' }, scenarios).valid).toBe(false);
+    expect(ScenarioModel.validate({ name: 'To-Be B' }, scenarios).valid).toBe(true);
+  });
+});
@@ -1,5 +1,42 @@
 // src/models/StepModel.js
 import { v4 as uuidv4 } from 'uuid';
+import VolumeDriverModel from './VolumeDriverModel';
+
+// JMA方式の基本工程タイプ
+const VALID_TYPES = ['process', 'inspection', 'transport', 'delay', 'storage'];
+
+// 検査の種類（複合記号で数量検査と品質検査を区別する）
+const CHECK_TYPE_NAMES = {
+  quantity: '数量検査',
+  quality: '品質検査'
+};
+
+// 所要時間のばらつきを表す分布（三角分布・PERT分布）
+const TIME_DISTRIBUTIONS = ['triangular', 'pert'];
+
+// 頻度単位（「件」はプロジェクトのボリュームドライバー1件あたりの回数）
+const FREQUENCY_UNITS = [
+  { value: '時間', label: '時間（稼働時間あたり）' },
+  { value: '日', label: '日' },
+  { value: '週', label: '週' },
+  { value: '月', label: '月' },
+  { value: '四半期', label: '四半期' },
+  { value: '半期', label: '半期' },
+  { value: '年', label: '年' },
+  { value: '件', label: '件（ボリュームドライバー）' }
+];
+
+// 取り込み時に頻度単位として読み替える表記
+const FREQUENCY_UNIT_ALIASES = [
+  { pattern: /^(時間|時|h|hr|hour|hourly)$/i, unit: '時間' },
+  { pattern: /^(日|毎日|営業日|d|day|daily)$/i, unit: '日' },
+  { pattern: /^(週|毎週|w|week|weekly)$/i, unit: '週' },
+  { pattern: /^(月|毎月|ヶ月|か月|m|month|monthly)$/i, unit: '月' },
+  { pattern: /^(四半期|q|quarter|quarterly)$/i, unit: '四半期' },
+  { pattern: /^(半期|半年|half|half-year|half-yearly|semiannual)$/i, unit: '半期' },
+  { pattern: /^(年|毎年|y|year|yearly|annual)$/i, unit: '年' },
+  { pattern: /^(件|都度|per order|per event)$/i, unit: '件' }
+];
 
 /**
  * プロセスステップを管理するモデルクラス
@@ -13,8 +50,9 @@ class StepModel {
    * @returns {Object} - 新しいプロセスステップ
    */
   static create(type, data = {}, position = { x: 0, y: 0 }) {
-    // ステップタイプのバリデーション
+    // ステップタイプのバリデーション（'process+inspection' のような複合タイプは主・副に分ける）
     const validType = this.validateType(type);
+    const { secondaryType } = this.parseCompositeType(type);
     
     // デフォルトデータの設定
     const defaultData = this.getDefaultData(validType);
@@ -30,6 +68,11 @@ class StepModel {
       frequency: data.frequency !== undefined && data.frequency !== null ? data.frequency : defaultData.frequency,
       frequencyUnit: data.frequencyUnit || defaultData.frequencyUnit
     };
+    mergedData.secondaryType = this.validateSecondaryType(
+      validType,
+      data.secondaryType || secondaryType,
+      mergedData
+    );
     
     return {
       id: data.id || `step-${uuidv4()}`,
@@ -41,18 +84,191 @@ class StepModel {
 
   /**
    * ステップタイプを検証する
+   * 複合タイプ（'process+inspection' など）の場合は主となるタイプを返す
    * @param {string} type - ステップタイプ
    * @returns {string} - 検証済みのステップタイプ
    */
   static validateType(type) {
-    const validTypes = ['process', 'inspection', 'transport', 'delay', 'storage'];
+    const { type: primaryType } = this.parseCompositeType(type);
     
-    if (!validTypes.includes(type)) {
+    if (!VALID_TYPES.includes(primaryType)) {
       console.warn(`無効なステップタイプ: ${type}。デフォルトの 'process' を使用します。`);
       return 'process';
     }
     
-    return type;
+    return primaryType;
+  }
+
+  /**
+   * 複合タイプの文字列（'主タイプ+副タイプ'）を分解する
+   * @param {string} type - ステップタイプ
+   * @returns {Object} - { type: 主タイプ, secondaryType: 副タイプ（なければnull） }
+   */
+  static parseCompositeType(type) {
+    const [primaryType, secondaryType] = String(type || '').split('+');
+    return { type: primaryType, secondaryType: secondaryType || null };
+  }
+
+  /**
+   * 複合記号の副タイプを検証する
+   * 主タイプと同じ記号は指定できない（検査どうしは数量検査と品質検査の組み合わせのみ可）
+   * @param {string} type - 主タイプ
+   * @param {string} secondaryType - 副タイプ
+   * @param {Object} data - ステップデータ（checkType, secondaryCheckType）
+   * @returns {string|null} - 検証済みの副タイプ（無効な場合はnull）
+   */
+  static validateSecondaryType(type, secondaryType, data = {}) {
+    if (!secondaryType || !VALID_TYPES.includes(secondaryType)) {
+      return null;
+    }
+    
+    if (secondaryType === type) {
+      const isInspectionPair = type === 'inspection' &&
+        data.checkType && data.secondaryCheckType &&
+        data.checkType !== data.secondaryCheckType;
+      return isInspectionPair ? secondaryType : null;
+    }
+    
+    return secondaryType;
+  }
+
+  /**
+   * ステップの副タイプを取得する
+   * @param {Object} step - プロセスステップ
+   * @returns {string|null} - 副タイプ（複合記号でない場合はnull）
+   */
+  static getSecondaryType(step) {
+    if (!step) return null;
+    const { type, secondaryType } = this.parseCompositeType(step.type);
+    return this.validateSecondaryType(type, step.data?.secondaryType || secondaryType, step.data);
+  }
+
+  /**
+   * 複合記号のステップかどうかを判定する
+   * @param {Object} step - プロセスステップ
+   * @returns {boolean} - 複合記号かどうか
+   */
+  static isComposite(step) {
+    return this.getSecondaryType(step) !== null;
+  }
+
+  /**
+   * 所要時間の3点見積もり（最短・最頻・最長）を取得する
+   * 最頻値はステップの所要時間（time）とし、単位も time と同じ
+   * @param {Object} step - プロセスステップ
+   * @returns {Object|null} - { distribution, min, mode, max }（見積もりがない・不正な場合はnull）
+   */
+  static getTimeEstimate(step) {
+    const estimate = step?.data?.timeEstimate;
+    if (!estimate) return null;
+    
+    const mode = parseFloat(step.data.time);
+    const min = parseFloat(estimate.min);
+    const max = parseFloat(estimate.max);
+    if ([mode, min, max].some(value => isNaN(value)) || min < 0 || min > mode || mode > max || min === max) {
+      return null;
+    }
+    
+    const distribution = TIME_DISTRIBUTIONS.includes(estimate.distribution) ? estimate.distribution : 'triangular';
+    return { distribution, min, mode, max };
+  }
+
+  /**
+   * 頻度単位の一覧を取得する
+   * @returns {Array} - [{ value, label }] の配列
+   */
+  static getFrequencyUnits() {
+    return FREQUENCY_UNITS;
+  }
+
+  /**
+   * 取り込んだ頻度単位の表記を解釈する
+   * 「四半期」「quarterly」のような別表記のほか、「月初3営業日」（毎月の月初3営業日に毎日）、
+   * 「受注ごと」（ボリュームドライバー「受注」1件ごと）のような表記にも対応する
+   * @param {string} text - 頻度単位の表記
+   * @returns {Object|null} - { frequencyUnit, activeBusinessDays, volumeDriverName }（解釈できない場合はnull）
+   */
+  static parseFrequencyUnit(text) {
+    const value = String(text ?? '').trim().replace(/^(毎|\/)/, '');
+    if (!value) return null;
+
+    const alias = FREQUENCY_UNIT_ALIASES.find(({ pattern }) => pattern.test(value));
+    if (alias) {
+      return { frequencyUnit: alias.unit, activeBusinessDays: null, volumeDriverName: null };
+    }
+
+    const monthStart = value.match(/^月初(\d+)営業日$/);
+    if (monthStart) {
+      return { frequencyUnit: '日', activeBusinessDays: parseInt(monthStart[1], 10), volumeDriverName: null };
+    }
+
+    const perEvent = value.match(/^(.+?)(ごと|毎|あたり|当たり)$/) || value.match(/^件[（(](.+)[）)]$/);
+    if (perEvent) {
+      return { frequencyUnit: '件', activeBusinessDays: null, volumeDriverName: perEvent[1].trim() };
+    }
+
+    return null;
+  }
+
+  /**
+   * 取り込んだ頻度単位の表記からステップの頻度関連のデータを求める
+   * ボリュームドライバーは名前で対応付ける（名前がなくドライバーが1つだけの場合はそれを使い、見つからない場合は未設定のまま）
+   * @param {string} text - 頻度単位の表記
+   * @param {Array} volumeDrivers - プロジェクトのボリュームドライバー
+   * @returns {Object} - { frequencyUnit, activeBusinessDays, volumeDriverId }（解釈できない表記はそのまま頻度単位とする）
+   */
+  static resolveImportedFrequency(text, volumeDrivers = []) {
+    const parsed = this.parseFrequencyUnit(text);
+    if (!parsed) {
+      return { frequencyUnit: String(text ?? '').trim() || '日', activeBusinessDays: null, volumeDriverId: null };
+    }
+
+    let driver = null;
+    if (parsed.volumeDriverName) {
+      driver = VolumeDriverModel.findByName(volumeDrivers, parsed.volumeDriverName);
+    } else if (parsed.frequencyUnit === '件' && volumeDrivers?.length === 1) {
+      driver = volumeDrivers[0];
+    }
+    return {
+      frequencyUnit: parsed.frequencyUnit,
+      activeBusinessDays: parsed.activeBusinessDays,
+      volumeDriverId: driver?.id || null
+    };
+  }
+
+  /**
+   * CSVなどに出力する頻度単位の表記を求める（parseFrequencyUnit で読み戻せる表記にする）
+   * @param {Object} step - プロセスステップ
+   * @param {Array} volumeDrivers - プロジェクトのボリュームドライバー
+   * @returns {string} - 頻度単位の表記
+   */
+  static formatFrequencyUnit(step, volumeDrivers = []) {
+    const data = step.data || {};
+    const unit = data.frequencyUnit || '日';
+
+    if (unit === '件') {
+      const driver = VolumeDriverModel.find(volumeDrivers, data.volumeDriverId);
+      return driver?.name ? `${driver.name}ごと` : unit;
+    }
+    if (unit === '日' && data.activeBusinessDays > 0) {
+      return `月初${data.activeBusinessDays}営業日`;
+    }
+    return unit;
+  }
+
+  /**
+   * 月別係数（1月〜12月）を検証する
+   * @param {Array} values - 係数の配列
+   * @returns {Array|null} - 12個の係数（未入力の月は1）。すべて1または未指定の場合はnull
+   */
+  static normalizeMonthlyMultipliers(values) {
+    if (!Array.isArray(values)) return null;
+
+    const multipliers = Array.from({ length: 12 }, (_, index) => {
+      const value = parseFloat(values[index]);
+      return isNaN(value) || value < 0 ? 1 : value;
+    });
+    return multipliers.every(value => value === 1) ? null : multipliers;
   }
 
   /**
@@ -68,6 +284,15 @@ class StepModel {
       frequencyUnit: '日',
       responsible: '',
       tools: '',
+      quantity: null, // 数量（工程分析表に記載）
+      timeEstimate: null, // 所要時間のばらつき（{ distribution, min, max }、最頻値は time）
+      servers: null, // 同時処理数（担当人数）。未指定は1、停滞・保管は無制限
+      assignees: null, // 工数を複数の担当者で分担する場合の分担割合 [{ responsible, percent }]（先頭が主担当）
+      volumeDriverId: null, // 頻度単位が「件」のときのボリュームドライバー
+      frequencyFormula: '', // ボリュームドライバーの名前を使った頻度の式（例: 受注 * 1.2）。入力時は頻度より優先
+      activeBusinessDays: null, // 頻度単位が「日」「時間」のとき、毎月の月初から数えて発生する営業日数
+      activeHoursPerDay: null, // 頻度単位が「時間」のとき、1日のうち発生する時間数（未指定は実働時間）
+      monthlyMultipliers: null, // 季節変動（1月〜12月の係数、未指定はすべて1）
       notes: ''
     };
     
@@ -76,7 +301,8 @@ class StepModel {
         return {
           ...commonDefaults,
           label: '加工・作業',
-          category: 'value-added' // 付加価値作業
+          category: 'value-added', // 付加価値作業
+          subProcess: null // 子プロセス（{ steps, edges }）
         };
       
       case 'inspection':
@@ -154,7 +380,16 @@ class StepModel {
         frequencyUnit: data.frequencyUnit,
         responsible: data.responsible,
         tools: data.tools,
-        notes: data.notes
+        notes: data.notes,
+        timeEstimate: data.timeEstimate ?? null,
+        servers: data.servers ?? null,
+        assignees: data.assignees ?? null,
+        volumeDriverId: data.volumeDriverId ?? null,
+        frequencyFormula: data.frequencyFormula || '',
+        activeBusinessDays: data.activeBusinessDays ?? null,
+        activeHoursPerDay: data.activeHoursPerDay ?? null,
+        monthlyMultipliers: data.monthlyMultipliers ?? null,
+        secondaryType: this.validateSecondaryType(type, data.secondaryType, data)
       };
     }
     
@@ -170,64 +405,6 @@ class StepModel {
     };
   }
 
-  /**
-   * 年間工数を計算する
-   * @param {Object} step - プロセスステップ
-   * @param {Object} options - 計算オプション
-   * @returns {Object} - 計算結果
-   */
-  static calculateAnnualWorkload(step, options = {}) {
-    const {
-      businessDaysPerYear = 250,
-      businessWeeksPerYear = 52,
-      businessMonthsPerYear = 12,
-      hoursPerDay = 8
-    } = options;
-    
-    const { data } = step;
-    const { time, timeUnit, frequency, frequencyUnit } = data;
-    
-    // 分単位に統一
-    let minutesPerOccurrence = time;
-    if (timeUnit === '時間') {
-      minutesPerOccurrence *= 60;
-    } else if (timeUnit === '日') {
-      minutesPerOccurrence *= hoursPerDay * 60;
-    }
-    
-    // 年間頻度を計算
-    let annualFrequency = 0;
-    switch (frequencyUnit) {
-      case '日':
-        annualFrequency = frequency * businessDaysPerYear;
-        break;
-      case '週':
-        annualFrequency = frequency * businessWeeksPerYear;
-        break;
-      case '月':
-        annualFrequency = frequency * businessMonthsPerYear;
-        break;
-      case '年':
-        annualFrequency = frequency;
-        break;
-      default:
-        annualFrequency = 0;
-    }
-    
-    // 年間総時間を計算
-    const annualMinutes = minutesPerOccurrence * annualFrequency;
-    const annualHours = annualMinutes / 60;
-    const annualDays = annualHours / hoursPerDay;
-    
-    return {
-      minutesPerOccurrence,
-      annualFrequency,
-      annualMinutes,
-      annualHours,
-      annualDays
-    };
-  }
-
   /**
    * ステップの種類（付加価値/非付加価値/ムダ）を判定する
    * @param {Object} step - プロセスステップ
@@ -238,8 +415,8 @@ class StepModel {
       return step.data.category;
     }
     
-    // カテゴリが設定されていない場合はタイプから判定
-    switch (step.type) {
+    // カテゴリが設定されていない場合はタイプ（複合記号は主となるタイプ）から判定
+    switch (this.parseCompositeType(step.type).type) {
       case 'process':
         return 'value-added'; // 付加価値作業
       
@@ -256,6 +433,20 @@ class StepModel {
     }
   }
 
+  /**
+   * 価値区分の日本語名を取得する
+   * @param {string} valueType - 価値区分
+   * @returns {string} - 日本語名
+   */
+  static getValueTypeName(valueType) {
+    switch (valueType) {
+      case 'value-added': return '付加価値作業';
+      case 'non-value-added': return '非付加価値作業';
+      case 'waste': return 'ムダ';
+      default: return valueType;
+    }
+  }
+
   /**
    * ステップタイプの日本語名を取得する
    * @param {string} type - ステップタイプ
@@ -272,6 +463,147 @@ class StepModel {
     }
   }
 
+  /**
+   * 工程記号の名称を取得する（検査は数量検査・品質検査を区別）
+   * @param {string} type - ステップタイプ
+   * @param {string} checkType - 検査の種類（quantity, quality）
+   * @returns {string} - 記号の名称
+   */
+  static getSymbolName(type, checkType) {
+    if (type === 'inspection' && CHECK_TYPE_NAMES[checkType]) {
+      return CHECK_TYPE_NAMES[checkType];
+    }
+    return this.getTypeName(type);
+  }
+
+  /**
+   * ステップの記号名を取得する
+   * 複合記号の場合は「加工を主とした数量検査」のように主・副を組み合わせた名称にする
+   * @param {Object} step - プロセスステップ
+   * @returns {string} - 記号名
+   */
+  static getCompositeName(step) {
+    const type = this.validateType(step.type);
+    const secondaryType = this.getSecondaryType(step);
+    
+    if (!secondaryType) {
+      return this.getTypeName(type);
+    }
+    
+    // 検査どうしの組み合わせ以外は主タイプの検査を「検査」とまとめて表記する
+    const bothInspection = type === 'inspection' && secondaryType === 'inspection';
+    const primaryName = bothInspection
+      ? this.getSymbolName(type, step.data?.checkType)
+      : this.getTypeName(type);
+    const secondaryName = this.getSymbolName(secondaryType, step.data?.secondaryCheckType);
+    
+    return `${primaryName}を主とした${secondaryName}`;
+  }
+
+  /**
+   * 「加工を主とした数量検査」のような複合記号名を解析する
+   * @param {string} text - 記号名
+   * @returns {Object|null} - { type, secondaryType, checkType, secondaryCheckType }（複合記号名でない場合はnull）
+   */
+  static parseCompositeName(text) {
+    const match = String(text || '').match(/^(.+?)を主とした(.+)$/);
+    if (!match) return null;
+    
+    const parseName = (name) => {
+      const checkType = Object.keys(CHECK_TYPE_NAMES).find(key => name.includes(CHECK_TYPE_NAMES[key]));
+      if (checkType) return { type: 'inspection', checkType };
+      const type = VALID_TYPES.find(candidate => name.includes(this.getTypeName(candidate)));
+      return type ? { type, checkType: null } : null;
+    };
+    
+    const primary = parseName(match[1]);
+    const secondary = parseName(match[2]);
+    if (!primary || !secondary) return null;
+    
+    return {
+      type: primary.type,
+      secondaryType: secondary.type,
+      checkType: primary.checkType,
+      secondaryCheckType: secondary.checkType
+    };
+  }
+
+  /**
+   * 子プロセスを持てるステップかどうかを判定する
+   * @param {Object} step - プロセスステップ
+   * @returns {boolean} - 子プロセスを持てるかどうか
+   */
+  static canHaveSubProcess(step) {
+    return step?.type === 'process';
+  }
+
+  /**
+   * ステップの工数を負担する担当者と負担割合を取得する
+   * 分担割合（assignees）がなければ担当者（responsible）が全量を負担する。同じ担当者の割合は合算する
+   * @param {Object} step - プロセスステップ
+   * @returns {Array} - [{ responsible, share }]（share は合計1の割合）
+   */
+  static getAssignees(step) {
+    const valid = (step.data?.assignees || [])
+      .map(assignee => ({ responsible: (assignee.responsible || '').trim(), percent: parseFloat(assignee.percent) || 0 }))
+      .filter(assignee => assignee.percent > 0);
+    const total = valid.reduce((sum, assignee) => sum + assignee.percent, 0);
+
+    if (total <= 0) {
+      return [{ responsible: (step.data?.responsible || '').trim(), share: 1 }];
+    }
+
+    const shares = {};
+    valid.forEach(({ responsible, percent }) => {
+      shares[responsible] = (shares[responsible] || 0) + percent / total;
+    });
+    return Object.entries(shares).map(([responsible, share]) => ({ responsible, share }));
+  }
+
+  /**
+   * 頻度を式で指定しているかどうかを判定する（頻度単位が「件」の場合は式を使わない）
+   * @param {Object} step - プロセスステップ
+   * @returns {boolean} - 頻度の式を使うかどうか
+   */
+  static hasFrequencyFormula(step) {
+    return Boolean(step.data?.frequencyFormula?.trim()) && step.data.frequencyUnit !== '件';
+  }
+
+  /**
+   * 子プロセス（ステップを1つ以上含む）を持つかどうかを判定する
+   * @param {Object} step - プロセスステップ
+   * @returns {boolean} - 子プロセスを持つかどうか
+   */
+  static hasSubProcess(step) {
+    return this.canHaveSubProcess(step) &&
+      Array.isArray(step.data?.subProcess?.steps) &&
+      step.data.subProcess.steps.length > 0;
+  }
+
+  /**
+   * 子プロセスを設定したステップを返す
+   * 子プロセスにステップがある場合、所要時間は子プロセスの集計値（分）に置き換える
+   * @param {Object} step - 親ステップ
+   * @param {Object} subProcess - 子プロセス { steps, edges }
+   * @param {number} rolledUpMinutes - 子プロセスから集計した1回あたりの所要時間（分）
+   * @returns {Object} - 更新されたステップ
+   */
+  static withSubProcess(step, subProcess, rolledUpMinutes = null) {
+    const steps = subProcess?.steps || [];
+    const edges = subProcess?.edges || [];
+    const data = {
+      ...step.data,
+      subProcess: steps.length > 0 || edges.length > 0 ? { steps, edges } : null
+    };
+
+    if (steps.length > 0 && rolledUpMinutes !== null) {
+      data.time = Math.round(rolledUpMinutes * 10) / 10;
+      data.timeUnit = '分';
+    }
+
+    return { ...step, data };
+  }
+
   /**
    * プロセスステップをクローンする
    * @param {Object} step - クローン元のステップ
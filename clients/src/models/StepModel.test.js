@@ -0,0 +1,42 @@
+// src/models/StepModel.test.js
+import StepModel from './StepModel';
+import VolumeDriverModel from './VolumeDriverModel';
+
+describe('StepModel', () => {
+  describe('resolveImportedFrequency', () => {
+    const drivers = [VolumeDriverModel.create({ id: 'orders', name: '受注' })];
+
+    test('英語・別表記の頻度単位を解釈する', () => {
+      expect(StepModel.resolveImportedFrequency('Quarterly')).toEqual({ frequencyUnit: '四半期', activeBusinessDays: null, volumeDriverId: null });
+      expect(StepModel.resolveImportedFrequency('半年').frequencyUnit).toBe('半期');
+      expect(StepModel.resolveImportedFrequency('hour').frequencyUnit).toBe('時間');
+      expect(StepModel.resolveImportedFrequency('').frequencyUnit).toBe('日');
+    });
+
+    test('月初の営業日とボリュームドライバーの表記を解釈する', () => {
+      expect(StepModel.resolveImportedFrequency('月初3営業日')).toEqual({ frequencyUnit: '日', activeBusinessDays: 3, volumeDriverId: null });
+      expect(StepModel.resolveImportedFrequency('受注ごと', drivers).volumeDriverId).toBe('orders');
+      expect(StepModel.resolveImportedFrequency('件', drivers).volumeDriverId).toBe('orders');
+    });
+
+    test('出力した表記はそのまま読み戻せる', () => {
+      const step = { data: { frequencyUnit: '件', volumeDriverId: 'orders' } };
+
+      expect(StepModel.formatFrequencyUnit(step, drivers)).toBe('受注ごと');
+      expect(StepModel.resolveImportedFrequency(StepModel.formatFrequencyUnit(step, drivers), drivers).volumeDriverId).toBe('orders');
+      expect(StepModel.formatFrequencyUnit({ data: { frequencyUnit: '日', activeBusinessDays: 3 } })).toBe('月初3営業日');
+    });
+  });
+
+  describe('getAssignees', () => {
+    test('割合の合計が100でなくても比率で配分し、同じ担当者はまとめる', () => {
+      expect(StepModel.getAssignees({
+        data: { responsible: '田中', assignees: [{ responsible: '田中', percent: 1 }, { responsible: ' 田中 ', percent: 1 }, { responsible: '佐藤', percent: 2 }] }
+      })).toEqual([{ responsible: '田中', share: 0.5 }, { responsible: '佐藤', share: 0.5 }]);
+    });
+
+    test('分担がなければ担当者が全体を受け持つ', () => {
+      expect(StepModel.getAssignees({ data: { responsible: ' 鈴木 ' } })).toEqual([{ responsible: '鈴木', share: 1 }]);
+    });
+  });
+});
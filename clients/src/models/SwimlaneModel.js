@@ -0,0 +1,208 @@
+// src/models/SwimlaneModel.js
+import { v4 as uuidv4 } from 'uuid';
+
+// 担当者が未設定のステップを配置するレーン名
+const UNASSIGNED_LANE_NAME = '未割当';
+
+// ノードサイズが未計測の場合の既定値
+const DEFAULT_NODE_SIZE = { width: 150, height: 100 };
+
+/**
+ * スイムレーン（担当者・部署ごとのレーン）設定を管理するモデルクラス
+ */
+class SwimlaneModel {
+  /**
+   * レーン名に対応する担当者名を返す（未割当レーンは空文字）
+   * @param {string} name - レーン名
+   * @returns {string} - 担当者名
+   */
+  static toResponsible(name) {
+    return name === UNASSIGNED_LANE_NAME ? '' : name;
+  }
+
+  /**
+   * 担当者名に対応するレーン名を返す
+   * @param {string} responsible - 担当者名
+   * @returns {string} - レーン名
+   */
+  static toLaneName(responsible) {
+    const name = (responsible || '').trim();
+    return name === '' ? UNASSIGNED_LANE_NAME : name;
+  }
+
+  /**
+   * 新しいスイムレーン設定を作成する
+   * @param {Object} data - 初期データ
+   * @returns {Object} - スイムレーン設定
+   */
+  static create(data = {}) {
+    return {
+      enabled: data.enabled || false,
+      orientation: data.orientation === 'vertical' ? 'vertical' : 'horizontal',
+      laneSize: data.laneSize || 200,
+      headerSize: data.headerSize || 120,
+      lanes: (data.lanes || []).map(lane => this.createLane(lane.name, lane))
+    };
+  }
+
+  /**
+   * レーンを作成する
+   * @param {string} name - レーン名（担当者・部署名）
+   * @param {Object} data - 追加データ
+   * @returns {Object} - レーン
+   */
+  static createLane(name, data = {}) {
+    return {
+      id: data.id || `lane-${uuidv4()}`,
+      name: this.toLaneName(name),
+      color: data.color || null
+    };
+  }
+
+  /**
+   * ステップの担当者に対応するレーンが揃うようにレーン一覧を補完する
+   * @param {Object} config - スイムレーン設定
+   * @param {Array} steps - プロセスステップ一覧
+   * @returns {Object} - 補完後のスイムレーン設定
+   */
+  static syncLanes(config, steps = []) {
+    const lanes = [...config.lanes];
+    const names = new Set(lanes.map(lane => lane.name));
+
+    steps.forEach(step => {
+      const name = this.toLaneName(step.data?.responsible);
+      if (!names.has(name)) {
+        names.add(name);
+        lanes.push(this.createLane(name));
+      }
+    });
+
+    return lanes.length === config.lanes.length ? config : { ...config, lanes };
+  }
+
+  /**
+   * ステップが属するレーンのインデックスを取得する
+   * @param {Object} config - スイムレーン設定
+   * @param {Object} step - プロセスステップ
+   * @returns {number} - レーンのインデックス（該当なしは-1）
+   */
+  static getLaneIndexForStep(config, step) {
+    const name = this.toLaneName(step.data?.responsible);
+    return config.lanes.findIndex(lane => lane.name === name);
+  }
+
+  /**
+   * 座標が含まれるレーンのインデックスを取得する
+   * @param {Object} config - スイムレーン設定
+   * @param {Object} point - 座標 { x, y }
+   * @returns {number} - レーンのインデックス（範囲外は最も近いレーン）
+   */
+  static getLaneIndexAt(config, point) {
+    if (config.lanes.length === 0) return -1;
+
+    const offset = config.orientation === 'vertical' ? point.x : point.y;
+    const index = Math.floor(offset / config.laneSize);
+
+    return Math.min(Math.max(index, 0), config.lanes.length - 1);
+  }
+
+  /**
+   * ステップをレーン内に収まる位置へ移動する（レーンと直交する方向の座標のみ変更）
+   * @param {Object} config - スイムレーン設定
+   * @param {Object} step - プロセスステップ
+   * @param {number} laneIndex - 配置先レーンのインデックス
+   * @returns {Object} - 位置を補正したステップ
+   */
+  static snapToLane(config, step, laneIndex) {
+    const width = step.width || DEFAULT_NODE_SIZE.width;
+    const height = step.height || DEFAULT_NODE_SIZE.height;
+    const laneStart = laneIndex * config.laneSize;
+
+    const position = config.orientation === 'vertical'
+      ? { x: laneStart + Math.max(0, (config.laneSize - width) / 2), y: step.position.y }
+      : { x: step.position.x, y: laneStart + Math.max(0, (config.laneSize - height) / 2) };
+
+    if (position.x === step.position.x && position.y === step.position.y) {
+      return step;
+    }
+
+    return { ...step, position };
+  }
+
+  /**
+   * すべてのステップを担当者に対応するレーンへ配置する
+   * @param {Object} config - スイムレーン設定
+   * @param {Array} steps - プロセスステップ一覧
+   * @returns {Array} - 配置後のステップ一覧
+   */
+  static alignSteps(config, steps = []) {
+    let changed = false;
+
+    const aligned = steps.map(step => {
+      const laneIndex = this.getLaneIndexForStep(config, step);
+      if (laneIndex < 0) return step;
+
+      const snapped = this.snapToLane(config, step, laneIndex);
+      if (snapped !== step) changed = true;
+      return snapped;
+    });
+
+    return changed ? aligned : steps;
+  }
+
+  /**
+   * ドロップ位置のレーンに合わせてステップの担当者を付け替え、レーン内に配置する
+   * @param {Object} config - スイムレーン設定
+   * @param {Object} step - ドロップされたステップ
+   * @returns {Object} - 更新後のステップ
+   */
+  static assignByPosition(config, step) {
+    const width = step.width || DEFAULT_NODE_SIZE.width;
+    const height = step.height || DEFAULT_NODE_SIZE.height;
+    const center = { x: step.position.x + width / 2, y: step.position.y + height / 2 };
+
+    const laneIndex = this.getLaneIndexAt(config, center);
+    if (laneIndex < 0) return step;
+
+    const responsible = this.toResponsible(config.lanes[laneIndex].name);
+    const assigned = (step.data?.responsible || '') === responsible
+      ? step
+      : { ...step, data: { ...step.data, responsible } };
+
+    return this.snapToLane(config, assigned, laneIndex);
+  }
+
+  /**
+   * レーンの描画範囲を計算する
+   * @param {Object} config - スイムレーン設定
+   * @param {Array} steps - プロセスステップ一覧
+   * @returns {Array} - [{ lane, x, y, width, height }] の配列
+   */
+  static getLaneRects(config, steps = []) {
+    const vertical = config.orientation === 'vertical';
+    const margin = 200;
+
+    // レーンの長さはステップの配置範囲に合わせて伸ばす
+    let start = -config.headerSize;
+    let end = 1200;
+    steps.forEach(step => {
+      const along = vertical ? step.position.y : step.position.x;
+      const size = vertical
+        ? step.height || DEFAULT_NODE_SIZE.height
+        : step.width || DEFAULT_NODE_SIZE.width;
+      start = Math.min(start, along - margin - config.headerSize);
+      end = Math.max(end, along + size + margin);
+    });
+
+    return config.lanes.map((lane, index) => {
+      const laneStart = index * config.laneSize;
+      return vertical
+        ? { lane, x: laneStart, y: start, width: config.laneSize, height: end - start }
+        : { lane, x: start, y: laneStart, width: end - start, height: config.laneSize };
+    });
+  }
+}
+
+SwimlaneModel.UNASSIGNED_LANE_NAME = UNASSIGNED_LANE_NAME;
+
+export default SwimlaneModel;
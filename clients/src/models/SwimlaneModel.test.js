@@ -0,0 +1,45 @@
+// src/models/SwimlaneModel.test.js
+import SwimlaneModel from './SwimlaneModel';
+
+// 横向き・レーン幅200のスイムレーン（田中・未割当）
+const createConfig = () => SwimlaneModel.create({
+  enabled: true,
+  lanes: [{ id: 'l1', name: '田中' }, { id: 'l2', name: '' }]
+});
+
+describe('SwimlaneModel', () => {
+  test('担当者が空のレーンは未割当とし、担当者名に戻すと空文字になる', () => {
+    const config = createConfig();
+
+    expect(config.lanes.map(lane => lane.name)).toEqual(['田中', '未割当']);
+    expect(SwimlaneModel.toResponsible(config.lanes[1].name)).toBe('');
+  });
+
+  test('ステップの担当者に対応するレーンを補完する', () => {
+    const config = createConfig();
+    const steps = [
+      { id: 's1', data: { responsible: '田中' } },
+      { id: 's2', data: { responsible: ' 鈴木 ' } }
+    ];
+
+    expect(SwimlaneModel.syncLanes(config, steps).lanes.map(lane => lane.name)).toEqual(['田中', '未割当', '鈴木']);
+    expect(SwimlaneModel.syncLanes(config, [steps[0]])).toBe(config);
+  });
+
+  test('ドロップ位置のレーンの担当者に付け替え、レーンの中央に配置する', () => {
+    const step = { id: 's1', position: { x: 300, y: 10 }, data: { responsible: '' }, width: 150, height: 100 };
+    const assigned = SwimlaneModel.assignByPosition(createConfig(), step);
+
+    expect(assigned.data.responsible).toBe('田中');
+    expect(assigned.position).toEqual({ x: 300, y: 50 });
+  });
+
+  test('レーンの描画範囲はステップの配置範囲に合わせて伸ばす', () => {
+    const rects = SwimlaneModel.getLaneRects(createConfig(), [{ position: { x: 1500, y: 0 } }]);
+
+    expect(rects.map(rect => [rect.x, rect.y, rect.width, rect.height])).toEqual([
+      [-120, 0, 1970, 200],
+      [-120, 200, 1970, 200]
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+// src/models/VolumeDriverModel.js
+import { v4 as uuidv4 } from 'uuid';
+
+// ボリュームドライバーの件数の単位
+const DRIVER_UNITS = ['日', '週', '月', '四半期', '半期', '年'];
+
+/**
+ * ボリュームドライバー（受注件数・問い合わせ件数など、業務量を決める件数）を管理するモデルクラス
+ * 頻度単位が「件」のステップは、ドライバー1件あたりの回数として年間回数を求める
+ */
+class VolumeDriverModel {
+  /**
+   * 新しいボリュームドライバーを作成する
+   * @param {Object} data - 初期データ（name, value, unit, monthlyMultipliers）
+   * @returns {Object} - ボリュームドライバー
+   */
+  static create(data = {}) {
+    const value = parseFloat(data.value);
+    return {
+      id: data.id || `driver-${uuidv4()}`,
+      name: data.name || '',
+      value: isNaN(value) || value < 0 ? 0 : value,
+      unit: DRIVER_UNITS.includes(data.unit) ? data.unit : '月',
+      monthlyMultipliers: data.monthlyMultipliers || null // 季節変動（1月〜12月の係数、未指定はすべて1）
+    };
+  }
+
+  /**
+   * 件数の単位の一覧を取得する
+   * @returns {Array} - 単位の配列
+   */
+  static getUnits() {
+    return DRIVER_UNITS;
+  }
+
+  /**
+   * 件数を増減させたボリュームドライバーを作成する（What-if分析用。元の配列は変更しない）
+   * @param {Array} drivers - ボリュームドライバーの配列
+   * @param {Object} growthRates - ドライバーIDと増減率（%）の対応（例: { 'driver-1': 30 } で30%増）
+   * @returns {Array} - 件数を増減させたボリュームドライバーの配列
+   */
+  static scale(drivers, growthRates = {}) {
+    return (drivers || []).map(driver => {
+      const rate = parseFloat(growthRates[driver.id]) || 0;
+      return rate === 0 ? driver : { ...driver, value: Math.max(0, driver.value * (1 + rate / 100)) };
+    });
+  }
+
+  /**
+   * IDからボリュームドライバーを検索する
+   * @param {Array} drivers - ボリュームドライバーの配列
+   * @param {string} id - ID
+   * @returns {Object|null} - ボリュームドライバー（見つからない場合はnull）
+   */
+  static find(drivers, id) {
+    if (!id) return null;
+    return (drivers || []).find(driver => driver.id === id) || null;
+  }
+
+  /**
+   * 名前からボリュームドライバーを検索する（前後の空白は無視）
+   * @param {Array} drivers - ボリュームドライバーの配列
+   * @param {string} name - 名前
+   * @returns {Object|null} - ボリュームドライバー（見つからない場合はnull）
+   */
+  static findByName(drivers, name) {
+    const key = (name || '').trim();
+    if (!key) return null;
+    return (drivers || []).find(driver => driver.name.trim() === key) || null;
+  }
+}
+
+export default VolumeDriverModel;
@@ -0,0 +1,49 @@
+// src/services/__fixtures__/process.js
+
+/**
+ * サービスのテストで共通に使うステップの定義
+ * 既定値（250日・52週・12か月・8時間）の年間工数は 入力250時間・確認52時間・送付48時間・承認待ち20時間・集計18時間（保管は所要時間なし）
+ */
+const STEP_DEFINITIONS = {
+  input: { type: 'process', data: { label: '入力', time: 30, timeUnit: '分', frequency: 2, frequencyUnit: '日' } },
+  check: { type: 'inspection', data: { label: '確認', time: 1, timeUnit: '時間', frequency: 1, frequencyUnit: '週' } },
+  send: { type: 'transport', data: { label: '送付', time: 0.5, timeUnit: '日', frequency: 1, frequencyUnit: '月' } },
+  approvalWait: { type: 'delay', data: { label: '承認待ち', time: 2, timeUnit: '時間', frequency: 10, frequencyUnit: '年' } },
+  storage: { type: 'storage', data: { label: '保管', time: 0, timeUnit: '分', frequency: 1, frequencyUnit: '日' } },
+  summary: { type: 'process', data: { label: '集計', time: 30, timeUnit: '分', frequency: 3, frequencyUnit: '月' } }
+};
+
+/**
+ * 定義からステップを作成する
+ * @param {string} id - ステップID
+ * @param {string} name - ステップの定義名（input, check, send, approvalWait, storage, summary）
+ * @param {Object} data - 定義に上書きするデータ（担当者など）
+ * @returns {Object} ステップ
+ */
+export const createStep = (id, name, data = {}) => ({
+  id,
+  type: STEP_DEFINITIONS[name].type,
+  data: { ...STEP_DEFINITIONS[name].data, ...data }
+});
+
+/**
+ * 入力 → 確認 → 送付 → 承認待ち のステップ（s1〜s4）
+ * @returns {Array} ステップの配列
+ */
+export const createFlowSteps = () => [
+  createStep('s1', 'input'),
+  createStep('s2', 'check'),
+  createStep('s3', 'send'),
+  createStep('s4', 'approvalWait')
+];
+
+/**
+ * createFlowSteps をつなぐエッジ（確認から入力へ20%差戻し、需要1件あたり入力・確認は1.25回）
+ * @returns {Array} エッジの配列
+ */
+export const createFlowEdges = () => [
+  { id: 'e1', source: 's1', target: 's2', data: {} },
+  { id: 'e2', source: 's2', target: 's3', data: { probability: 80 } },
+  { id: 'e3', source: 's2', target: 's1', data: { probability: 20, loopBack: true } },
+  { id: 'e4', source: 's3', target: 's4', data: {} }
+];
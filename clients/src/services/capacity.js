@@ -0,0 +1,91 @@
+// src/services/capacity.js
+import { WorkloadEngine } from './workloadEngine';
+import CalendarModel from '../models/CalendarModel';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 担当者ごとの負荷
+ * @typedef {Object} PersonCapacity
+ * @property {string} responsible - 担当者（未設定は空文字）
+ * @property {number} annualHours - 年間工数（時間）
+ * @property {number} availableHours - 担当者が年間に働ける時間（担当者ごとの勤務設定を反映）
+ * @property {number} fte - フルタイム換算の人数（年間工数 ÷ フルタイム1人の年間勤務時間）
+ * @property {number} utilization - 稼働率（年間工数 ÷ 担当者の年間勤務時間）
+ * @property {boolean} overloaded - 稼働率が100%を超えているか（未割当は判定しない）
+ * @property {Object<string, number>} categoryHours - 工程タイプ別の年間工数（時間）
+ */
+
+/**
+ * 担当者（役割）ごとの年間工数を営業カレンダーの勤務時間と比べ、FTE・稼働率を求めるサービス
+ */
+export const CapacityService = {
+  /**
+   * 担当者が年間に働ける時間を求める
+   * カレンダーがあれば担当者ごとの勤務設定（シフト・休日・勤務割合）を、なければ既定値を使う
+   * @param {string} responsible - 担当者（空文字はフルタイム1人）
+   * @param {Object} profile - 計算プロファイル（calendar など）
+   * @returns {number} 年間の勤務可能時間
+   */
+  getAvailableHours: (responsible = '', profile = {}) => {
+    if (profile.calendar) {
+      return CalendarModel.getAvailableHoursPerYear(profile.calendar, responsible);
+    }
+    const { businessDaysPerYear, hoursPerDay } = CalendarModel.resolveOptions(profile, responsible);
+    return businessDaysPerYear * hoursPerDay;
+  },
+
+  /**
+   * 担当者ごとの負荷を求める
+   * @param {Object} workload - WorkloadEngine の計算結果
+   * @param {Object} profile - 計算プロファイル（calendar など）
+   * @returns {Object} { persons: Array<PersonCapacity>, fullTimeHours, totalFte, overloadedCount }
+   */
+  calculate: (workload, profile = {}) => {
+    const fullTimeHours = CapacityService.getAvailableHours('', profile);
+    const categoryMinutes = {};
+    const totalMinutes = {};
+
+    (workload?.stepDetails || []).forEach(detail => {
+      WorkloadEngine.getAssignedMinutes(detail).forEach(({ responsible, annualMinutes }) => {
+        if (!categoryMinutes[responsible]) {
+          categoryMinutes[responsible] = Object.fromEntries(WorkloadEngine.STEP_TYPES.map(type => [type, 0]));
+          totalMinutes[responsible] = 0;
+        }
+        if (categoryMinutes[responsible][detail.type] !== undefined) {
+          categoryMinutes[responsible][detail.type] += annualMinutes;
+        }
+        totalMinutes[responsible] += annualMinutes;
+      });
+    });
+
+    const persons = Object.keys(totalMinutes).map(responsible => {
+      const annualHours = totalMinutes[responsible] / 60;
+      const availableHours = CapacityService.getAvailableHours(responsible, profile);
+      const utilization = availableHours > 0 ? annualHours / availableHours : 0;
+
+      return {
+        responsible,
+        annualHours: round1(annualHours),
+        availableHours: round1(availableHours),
+        fte: fullTimeHours > 0 ? round2(annualHours / fullTimeHours) : 0,
+        utilization: round2(utilization),
+        overloaded: responsible !== '' && utilization > 1,
+        categoryHours: Object.fromEntries(
+          Object.entries(categoryMinutes[responsible]).map(([type, minutes]) => [type, round1(minutes / 60)])
+        )
+      };
+    }).sort((a, b) => b.utilization - a.utilization);
+
+    const totalHours = Object.values(totalMinutes).reduce((sum, minutes) => sum + minutes, 0) / 60;
+    return {
+      persons,
+      fullTimeHours: round1(fullTimeHours),
+      totalFte: fullTimeHours > 0 ? round2(totalHours / fullTimeHours) : 0,
+      overloadedCount: persons.filter(person => person.overloaded).length
+    };
+  }
+};
+
+export default CapacityService;
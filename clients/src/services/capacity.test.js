@@ -0,0 +1,60 @@
+// src/services/capacity.test.js
+import { CapacityService } from './capacity';
+import { WorkloadEngine } from './workloadEngine';
+import CalendarModel from '../models/CalendarModel';
+import { createStep } from './__fixtures__/process';
+
+// 入力を田中・佐藤で分担し、電話対応は佐藤、送付は担当者未定
+const createSteps = () => [
+  createStep('s1', 'input', { assignees: [{ responsible: '田中', percent: 60 }, { responsible: '佐藤', percent: 40 }] }),
+  createStep('s2', 'approvalWait', { responsible: '田中' }),
+  { id: 's3', type: 'process', data: { label: '電話対応', time: 8, timeUnit: '時間', frequency: 1, frequencyUnit: '日', responsible: '佐藤' } },
+  { id: 's4', type: 'transport', data: { label: '送付', time: 9, timeUnit: '時間', frequency: 1, frequencyUnit: '日' } }
+];
+
+const findPerson = (capacity, responsible) => capacity.persons.find(person => person.responsible === responsible);
+
+describe('CapacityService', () => {
+  test('既定値（250日 × 8時間 = 2000時間）でFTE・稼働率に換算する', () => {
+    const capacity = CapacityService.calculate(WorkloadEngine.calculate({ steps: createSteps() }));
+
+    expect(capacity.fullTimeHours).toBe(2000);
+    expect(capacity.totalFte).toBe(2.26);
+    expect(findPerson(capacity, '佐藤')).toEqual({
+      responsible: '佐藤',
+      annualHours: 2100,
+      availableHours: 2000,
+      fte: 1.05,
+      utilization: 1.05,
+      overloaded: true,
+      categoryHours: { process: 2100, inspection: 0, transport: 0, delay: 0, storage: 0 }
+    });
+  });
+
+  test('担当者ごとの工数を工程タイプ別に集計する', () => {
+    const capacity = CapacityService.calculate(WorkloadEngine.calculate({ steps: createSteps() }));
+
+    expect(findPerson(capacity, '田中').categoryHours).toEqual({ process: 150, inspection: 0, transport: 0, delay: 20, storage: 0 });
+  });
+
+  test('担当者未定は稼働率が高くても超過とはしない', () => {
+    const capacity = CapacityService.calculate(WorkloadEngine.calculate({ steps: createSteps() }));
+
+    expect(findPerson(capacity, '').utilization).toBeGreaterThan(1);
+    expect(findPerson(capacity, '').overloaded).toBe(false);
+    expect(capacity.overloadedCount).toBe(1);
+  });
+
+  test('短時間勤務の担当者は勤務可能時間が減り、稼働率はFTEより高くなる', () => {
+    // 2026年度は244営業日（1952時間）、佐藤は短時間勤務（50%）
+    const calendar = CalendarModel.create({ fiscalYear: 2026, roles: [{ responsible: '佐藤', partTimeRatio: 0.5 }] });
+    const capacity = CapacityService.calculate(WorkloadEngine.calculate({ steps: createSteps() }, { calendar }), { calendar });
+    const sato = findPerson(capacity, '佐藤');
+
+    expect(capacity.fullTimeHours).toBe(1952);
+    expect(sato.annualHours).toBe(2049.6);
+    expect(sato.availableHours).toBe(976);
+    expect(sato.fte).toBe(1.05);
+    expect(sato.utilization).toBe(2.1);
+  });
+});
@@ -0,0 +1,154 @@
+// src/services/cost.js
+import { WorkloadEngine } from './workloadEngine';
+import StepModel from '../models/StepModel';
+import CostModel from '../models/CostModel';
+
+const SHEET_NAME = '年間工数・コスト';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * ステップの年間コスト
+ * @typedef {Object} StepCost
+ * @property {string} id - ステップID
+ * @property {string} label - ステップ名
+ * @property {string} type - 工程タイプ
+ * @property {string} valueType - 価値区分
+ * @property {string} responsible - 担当者
+ * @property {number} annualHours - 年間工数（時間）
+ * @property {number} hourlyRate - 間接費を含めた時間単価（分担するステップは負担割合で加重平均）
+ * @property {number} annualCost - 年間コスト（円）
+ */
+
+/**
+ * 年間工数を人件費（円）に換算するサービス
+ * 担当者ごとの時間単価 × 間接費係数で金額を求め、ステップ・工程タイプ・価値区分・担当者別に集計する
+ */
+export const CostService = {
+  /**
+   * 年間工数から年間コストを求める
+   * @param {Object} workload - WorkloadEngine の計算結果
+   * @param {Object} costSettings - 人件費の設定（未指定は既定の時間単価）
+   * @returns {Object} { totalCost, steps: Array<StepCost>, categoryCost, valueCategoryCost, personCost }
+   */
+  calculate: (workload, costSettings = null) => {
+    const categoryCost = Object.fromEntries(WorkloadEngine.STEP_TYPES.map(type => [type, 0]));
+    const valueCategoryCost = Object.fromEntries(WorkloadEngine.VALUE_TYPES.map(type => [type, 0]));
+    const personCost = {};
+    let totalCost = 0;
+
+    const steps = (workload?.stepDetails || []).map(detail => {
+      let annualCost = 0;
+      WorkloadEngine.getAssignedMinutes(detail).forEach(({ responsible, annualMinutes }) => {
+        const cost = (annualMinutes / 60) * CostModel.getLoadedRate(costSettings, responsible);
+        annualCost += cost;
+        personCost[responsible] = (personCost[responsible] || 0) + cost;
+      });
+
+      totalCost += annualCost;
+      if (categoryCost[detail.type] !== undefined) {
+        categoryCost[detail.type] += annualCost;
+      }
+      valueCategoryCost[detail.valueType] = (valueCategoryCost[detail.valueType] || 0) + annualCost;
+
+      return {
+        id: detail.id,
+        label: detail.label,
+        type: detail.type,
+        valueType: detail.valueType,
+        responsible: detail.responsible,
+        annualHours: detail.annualHours,
+        hourlyRate: detail.annualMinutes > 0
+          ? Math.round(annualCost / (detail.annualMinutes / 60))
+          : Math.round(CostModel.getLoadedRate(costSettings, detail.responsible)),
+        annualCost: Math.round(annualCost)
+      };
+    });
+
+    const toYen = (summary) => Object.fromEntries(
+      Object.entries(summary).map(([key, cost]) => [key, Math.round(cost)])
+    );
+
+    return {
+      totalCost: Math.round(totalCost),
+      steps,
+      categoryCost: toYen(categoryCost),
+      valueCategoryCost: toYen(valueCategoryCost),
+      personCost: toYen(personCost)
+    };
+  },
+
+  /**
+   * 年間工数と年間コストをExcelのシートにする
+   * 年間コストは「年間工数 × 時間単価」の数式とし、工程タイプ別・価値区分別の小計はSUMIFで求める
+   * @param {Object} workload - WorkloadEngine の計算結果
+   * @param {Object} costSettings - 人件費の設定
+   * @returns {Object} { name, rows, columnWidths }
+   */
+  toExcelSheet: (workload, costSettings = null) => {
+    const settings = costSettings || CostModel.create();
+    const cost = CostService.calculate(workload, settings);
+    const firstRow = 2;
+    const lastRow = firstRow + cost.steps.length - 1;
+    const range = (column) => `${column}${firstRow}:${column}${lastRow}`;
+
+    const body = cost.steps.map((step, index) => {
+      const row = firstRow + index;
+      return [
+        step.label,
+        StepModel.getTypeName(step.type),
+        StepModel.getValueTypeName(step.valueType),
+        step.responsible,
+        step.annualHours,
+        step.hourlyRate,
+        { t: 'n', v: step.annualCost, f: `E${row}*F${row}` }
+      ];
+    });
+
+    const sumIf = (column, label, value) => ({ t: 'n', v: value, f: `SUMIF(${range(column)},"${label}",${range('G')})` });
+    const hoursOf = (summary, key) => summary?.[key] || 0;
+
+    return {
+      name: SHEET_NAME,
+      rows: [
+        ['ステップ名', 'タイプ', '価値区分', '担当者', '年間工数(時間)', '時間単価(円)', '年間コスト(円)'],
+        ...body,
+        [
+          '合計', '', '', '',
+          { t: 'n', v: workload.totalHours, f: `SUM(${range('E')})` },
+          '',
+          { t: 'n', v: cost.totalCost, f: `SUM(${range('G')})` }
+        ],
+        [],
+        ['工程タイプ別', '', '', '', '年間工数(時間)', '', '年間コスト(円)'],
+        ...WorkloadEngine.STEP_TYPES.map(type => {
+          const label = StepModel.getTypeName(type);
+          return [label, '', '', '', hoursOf(workload.categorySummary, type), '', sumIf('B', label, cost.categoryCost[type])];
+        }),
+        [],
+        ['価値区分別', '', '', '', '年間工数(時間)', '', '年間コスト(円)'],
+        ...WorkloadEngine.VALUE_TYPES.map(type => {
+          const label = StepModel.getValueTypeName(type);
+          return [label, '', '', '', hoursOf(workload.valueCategorySummary, type), '', sumIf('C', label, cost.valueCategoryCost[type])];
+        }),
+        [],
+        ['担当者別', '', '', '', '年間工数(時間)', '', '年間コスト(円)'],
+        ...Object.values(workload.personSummary || {}).map(person => [
+          person.responsible || '未割当', '', '', '', person.annualHours, '', cost.personCost[person.responsible] || 0
+        ]),
+        [],
+        ['単価の設定', '', '', '', '時間単価(円)', '間接費係数', '間接費込み(円)'],
+        ['既定', '', '', '', settings.hourlyRate, settings.overheadFactor, round1(CostModel.getLoadedRate(settings))],
+        ...settings.roles.map(role => [
+          role.responsible, '', '', '',
+          role.hourlyRate ?? settings.hourlyRate,
+          role.overheadFactor ?? settings.overheadFactor,
+          round1(CostModel.getLoadedRate(settings, role.responsible))
+        ])
+      ],
+      columnWidths: [24, 8, 14, 14, 14, 12, 14]
+    };
+  }
+};
+
+export default CostService;
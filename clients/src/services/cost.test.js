@@ -0,0 +1,52 @@
+// src/services/cost.test.js
+import { CostService } from './cost';
+import { WorkloadEngine } from './workloadEngine';
+import CostModel from '../models/CostModel';
+import { createStep } from './__fixtures__/process';
+
+// 入力・承認待ちは田中、確認は鈴木、送付は担当者未定（年間370時間）
+const createSteps = () => [
+  createStep('s1', 'input', { responsible: '田中' }),
+  createStep('s2', 'check', { responsible: '鈴木' }),
+  createStep('s3', 'approvalWait', { responsible: '田中' }),
+  createStep('s4', 'send')
+];
+
+// 間接費係数1.2、田中は時間単価4000円・間接費係数1.5、鈴木は時間単価未設定
+const createCostSettings = () => CostModel.create({
+  overheadFactor: 1.2,
+  roles: [{ responsible: '田中', hourlyRate: 4000, overheadFactor: 1.5 }, { responsible: '鈴木', hourlyRate: '' }]
+});
+
+describe('CostService', () => {
+  test('既定は時間単価3000円・間接費係数1で換算する', () => {
+    const workload = WorkloadEngine.calculate({ steps: createSteps() });
+
+    expect(CostService.calculate(workload).totalCost).toBe(1110000);
+  });
+
+  test('担当者ごとの時間単価と間接費係数で換算し、未設定の項目は全体の設定を使う', () => {
+    const costSettings = createCostSettings();
+
+    expect(CostModel.getLoadedRate(costSettings, '田中')).toBe(6000);
+    expect(CostModel.getLoadedRate(costSettings, '鈴木')).toBe(3600);
+    expect(CostService.calculate(WorkloadEngine.calculate({ steps: createSteps() }), costSettings).personCost)
+      .toEqual({ '田中': 1620000, '鈴木': 187200, '': 172800 });
+  });
+
+  test('工程タイプ別・価値区分別にコストを集計する', () => {
+    const cost = CostService.calculate(WorkloadEngine.calculate({ steps: createSteps() }), createCostSettings());
+
+    expect(cost.totalCost).toBe(1980000);
+    expect(cost.categoryCost).toEqual({ process: 1500000, inspection: 187200, transport: 172800, delay: 120000, storage: 0 });
+    expect(cost.valueCategoryCost).toEqual({ 'value-added': 1500000, 'non-value-added': 360000, waste: 120000 });
+  });
+
+  test('Excelのシートではコストを年間工数と時間単価の数式で出力する', () => {
+    const sheet = CostService.toExcelSheet(WorkloadEngine.calculate({ steps: createSteps() }), createCostSettings());
+
+    expect(sheet.rows[1].slice(4)).toEqual([250, 6000, { t: 'n', v: 1500000, f: 'E2*F2' }]);
+    expect(sheet.rows[5][6]).toEqual({ t: 'n', v: 1980000, f: 'SUM(G2:G5)' });
+    expect(sheet.rows[8][6]).toEqual({ t: 'n', v: 1500000, f: 'SUMIF(B2:B5,"加工",G2:G5)' });
+  });
+});
@@ -154,7 +154,7 @@ const DatabaseService = {
   
     /**
      * グラフィックをSVGまたはPNGとしてエクスポートする
-     * @param {Object} data - エクスポートするSVGデータと形式
+     * @param {Object} data - エクスポートするSVGデータと形式（filename: 保存時のファイル名、拡張子なし）
      * @returns {Promise<Object>} エクスポート結果
      */
     exportImage: async (data) => {
@@ -164,18 +164,18 @@ const DatabaseService = {
         } else {
           console.warn('Electron APIが利用できません。ブラウザのダウンロード機能を使用します。');
           
-          const { svgData, type } = data;
+          const { svgData, type, filename: baseName = 'process_chart' } = data;
           let downloadData, filename, mimeType;
           
           if (type === 'svg') {
             // SVGデータ
             downloadData = svgData;
-            filename = 'process_chart.svg';
+            filename = `${baseName}.svg`;
             mimeType = 'image/svg+xml';
           } else {
             // PNGデータ (Base64形式)
             downloadData = svgData; // すでにBase64形式と想定
-            filename = 'process_chart.png';
+            filename = `${baseName}.png`;
             mimeType = 'image/png';
           }
           
@@ -198,6 +198,76 @@ const DatabaseService = {
         console.error('イメージエクスポートに失敗しました:', error);
         throw error;
       }
+    },
+  
+    /**
+     * Excelファイルとしてエクスポートする
+     * @param {Object} data - エクスポートするシートデータ（{ data: { sheets }, defaultFilename }）
+     * @returns {Promise<Object>} エクスポート結果
+     */
+    exportExcel: async (data) => {
+      try {
+        if (window.electron) {
+          return await window.electron.exportExcel(data);
+        } else {
+          console.warn('Electron APIが利用できません。ブラウザのダウンロード機能を使用します。');
+          
+          // ブラウザ環境ではxlsxで直接ファイルを生成してダウンロード
+          const XLSX = await import('xlsx');
+          const workbook = XLSX.utils.book_new();
+          data.data.sheets.forEach(sheet => {
+            const worksheet = sheet.rows
+              ? XLSX.utils.aoa_to_sheet(sheet.rows)
+              : XLSX.utils.json_to_sheet(sheet.data);
+            if (sheet.columnWidths) {
+              worksheet['!cols'] = sheet.columnWidths.map(wch => ({ wch }));
+            }
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name);
+          });
+          XLSX.writeFile(workbook, data.defaultFilename || 'export.xlsx');
+          
+          return { 
+            success: true, 
+            filePath: null 
+          };
+        }
+      } catch (error) {
+        console.error('Excelエクスポートに失敗しました:', error);
+        throw error;
+      }
+    },
+  
+    /**
+     * HTML文書をPDFとしてエクスポートする
+     * @param {Object} data - エクスポートするHTMLとファイル名（{ html, defaultFilename, landscape }）
+     * @returns {Promise<Object>} エクスポート結果
+     */
+    exportPdf: async (data) => {
+      try {
+        if (window.electron) {
+          return await window.electron.exportPdf(data);
+        } else {
+          console.warn('Electron APIが利用できません。ブラウザの印刷機能を使用します。');
+          
+          // ブラウザ環境では印刷ダイアログから「PDFに保存」を選択してもらう
+          const printWindow = window.open('', '_blank');
+          if (!printWindow) {
+            return { success: false, message: 'ポップアップがブロックされました' };
+          }
+          printWindow.document.write(data.html);
+          printWindow.document.close();
+          printWindow.focus();
+          printWindow.print();
+          
+          return { 
+            success: true, 
+            filePath: null 
+          };
+        }
+      } catch (error) {
+        console.error('PDFエクスポートに失敗しました:', error);
+        throw error;
+      }
     }
   };
   
@@ -0,0 +1,108 @@
+// src/services/ecrs.test.js
+import { EcrsService } from './ecrs';
+import { WorkloadEngine } from './workloadEngine';
+import { LeadTimeService } from './leadTime';
+import { ImprovementService } from './improvementService';
+
+// 入力 → 確認 → 送付 → 承認待ち（確認から入力へ20%差戻し、年間26730分）
+import { createFlowSteps, createFlowEdges } from './__fixtures__/process';
+
+// A → B → C → D（各10分・1日1回）
+const createChain = () => ({
+  steps: ['a', 'b', 'c', 'd'].map(id => ({
+    id,
+    type: 'process',
+    data: { label: id.toUpperCase(), time: 10, timeUnit: '分', frequency: 1, frequencyUnit: '日' }
+  })),
+  edges: [['a', 'b'], ['b', 'c'], ['c', 'd']].map(([source, target]) => ({ id: `${source}${target}`, source, target, data: {} }))
+});
+
+const toLinks = (edges) => edges.map(edge => [edge.source, edge.target, edge.data.probability]);
+
+describe('EcrsService', () => {
+  test('排除したステップの前後を直接つなぎ、差戻しによるやり直しもなくなる', () => {
+    const steps = createFlowSteps();
+    const edges = createFlowEdges();
+    const eliminated = EcrsService.calculateEffect(steps, edges, [{ id: 'i1', targetStepId: 's2', ecrs: 'eliminate' }], {});
+
+    expect(WorkloadEngine.calculate({ steps, edges }).totalMinutes).toBe(26730);
+    expect(eliminated.toBe.steps.map(step => step.id)).toEqual(['s1', 's3', 's4']);
+    expect(toLinks(eliminated.toBe.edges)).toEqual([
+      ['s3', 's4', undefined],
+      ['s1', 's3', undefined]
+    ]);
+    expect(eliminated.after.totalMinutes).toBe(19080);
+    expect(eliminated.savings.hours).toBe(127.5);
+  });
+
+  test('結合は作業時間を結合先の1回あたりに割り戻して加算し、差戻し先がなくなった分岐の確率を割り戻す', () => {
+    const combined = EcrsService.calculateEffect(
+      createFlowSteps(),
+      createFlowEdges(),
+      [{ id: 'i2', targetStepId: 's1', ecrs: 'combine', timeReductionPercent: 20 }],
+      {}
+    );
+    const merged = combined.toBe.steps.find(step => step.id === 's2');
+
+    // 入力（年500回・30分）の作業時間の8割を確認（年52回）の1回あたりに加算する
+    expect(merged.data.label).toBe('入力・確認');
+    expect(merged.data.time).toBeCloseTo(1 + 12000 / 52 / 60);
+    expect(toLinks(combined.toBe.edges)).toEqual([
+      ['s2', 's3', 100],
+      ['s3', 's4', undefined]
+    ]);
+    expect(combined.after.totalMinutes).toBeCloseTo(19200);
+  });
+
+  test('交換で前のステップと並行にするとリードタイムだけが短くなる', () => {
+    const chain = createChain();
+    const parallel = EcrsService.buildToBeProcess(chain.steps, chain.edges, [{ id: 'i3', targetStepId: 'c', ecrs: 'rearrange', rearrangeMode: 'parallel' }]);
+
+    expect(parallel.steps[0].data.parallelSplit).toBe(true);
+    expect(parallel.edges.map(edge => `${edge.source}-${edge.target}`)).toEqual(['a-b', 'b-d', 'a-c', 'c-d']);
+    expect(LeadTimeService.calculateLeadTime(chain.steps, chain.edges).leadTimeMinutes).toBe(40);
+    expect(LeadTimeService.calculateLeadTime(parallel.steps, parallel.edges).leadTimeMinutes).toBe(30);
+    expect(WorkloadEngine.calculate(parallel).totalMinutes).toBe(WorkloadEngine.calculate(chain).totalMinutes);
+  });
+
+  test('交換で指定したステップの後に移動する', () => {
+    const chain = createChain();
+    const moved = EcrsService.buildToBeProcess(chain.steps, chain.edges, [
+      { id: 'i4', targetStepId: 'b', ecrs: 'rearrange', rearrangeMode: 'after', relatedStepId: 'c' }
+    ]);
+
+    expect(moved.edges.map(edge => `${edge.source}-${edge.target}`)).toEqual(['b-d', 'a-c', 'c-b']);
+  });
+
+  test('簡素化は所要時間を短縮するだけで、プロセスの構造は変えない', () => {
+    const steps = createFlowSteps();
+    const simplify = { id: 'i5', targetStepId: 's2', ecrs: 'simplify', timeReductionPercent: 50 };
+
+    expect(EcrsService.buildToBeProcess(steps, createFlowEdges(), [simplify]).steps).toEqual(ImprovementService.applyToSteps(steps, [simplify]));
+  });
+
+  test('排除したステップへの他の施策は反映しない', () => {
+    const both = EcrsService.buildToBeProcess(createFlowSteps(), createFlowEdges(), [
+      { id: 'i5', targetStepId: 's2', ecrs: 'simplify', timeReductionPercent: 50 },
+      { id: 'i1', targetStepId: 's2', ecrs: 'eliminate' }
+    ]);
+
+    expect(both.changes.map(change => [change.improvementId, change.applied])).toEqual([['i1', true], ['i5', false]]);
+  });
+
+  test('構造に反映する場合も同じ規則で合成し、1件ずつ反映した差を施策ごとの削減時間とする', () => {
+    const improvements = [
+      { id: 'i1', title: '自動化', targetStepId: 's1', timeReductionPercent: 60 },
+      { id: 'i2', title: '標準化', targetStepId: 's1', timeReductionPercent: 60 }
+    ];
+    const effect = EcrsService.calculateEffect(createFlowSteps(), [], improvements, {}, { interactionRule: 'additive' });
+
+    // 足し合わせで120%になるため0分とし、削減率の比（50%ずつ）で配分する
+    expect(effect.toBe.steps[0].data.time).toBe(0);
+    expect(effect.toBe.changes.map(change => change.message)).toEqual([
+      '「入力」の所要時間を50%短縮しました',
+      '「入力」の所要時間を50%短縮しました'
+    ]);
+    expect(effect.attribution.map(item => item.hours)).toEqual([125, 125]);
+  });
+});
@@ -59,6 +59,13 @@ const ElectronMenuService = {
         cleanupFunctions.push(cleanup);
       }
       
+      if (handlers.onExportPdf) {
+        const cleanup = window.electron.onMenuEvent('menu-export-pdf', () => {
+          handlers.onExportPdf();
+        });
+        cleanupFunctions.push(cleanup);
+      }
+      
       if (handlers.onExportSvg) {
         const cleanup = window.electron.onMenuEvent('menu-export-svg', () => {
           handlers.onExportSvg();
@@ -0,0 +1,428 @@
+// src/services/flowAnalysis.js
+
+/**
+ * プロセスフロー（ステップとエッジのグラフ）を解析するサービス
+ * 分岐確率・差戻し率から各ステップの期待実行回数を求める
+ */
+export const FlowAnalysisService = {
+  /**
+   * エッジの分岐確率（%）を取得する。未設定の場合はnull
+   * @param {Object} edge - エッジ
+   * @returns {number|null} 分岐確率（0〜100）
+   */
+  getEdgeProbability: (edge) => {
+    const value = edge?.data?.probability;
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const probability = parseFloat(value);
+    return isNaN(probability) ? null : probability;
+  },
+
+  /**
+   * エッジが差戻し（ループバック）エッジかどうかを判定する
+   * @param {Object} edge - エッジ
+   * @returns {boolean} 差戻しエッジかどうか
+   */
+  isLoopBack: (edge) => {
+    return Boolean(edge?.data?.loopBack);
+  },
+
+  /**
+   * ステップが並行分岐（出力先をすべて同時に実行する分岐）かどうかを判定する
+   * @param {Object} step - ステップ
+   * @returns {boolean} 並行分岐かどうか
+   */
+  isParallelSplit: (step) => {
+    return Boolean(step?.data?.parallelSplit);
+  },
+
+  /**
+   * エッジのラベル文字列を生成する
+   * @param {Object} edge - エッジ
+   * @returns {string} ラベル（確率未設定の場合は空文字）
+   */
+  getEdgeLabel: (edge) => {
+    const probability = FlowAnalysisService.getEdgeProbability(edge);
+    const isLoopBack = FlowAnalysisService.isLoopBack(edge);
+
+    if (probability === null) {
+      return isLoopBack ? '差戻し' : '';
+    }
+
+    return isLoopBack ? `差戻し ${probability}%` : `${probability}%`;
+  },
+
+  /**
+   * 各ステップの出力エッジに実効的な遷移確率を割り当てる
+   * - 確率が指定されたエッジはその値を使用
+   * - 未指定のエッジは100%から指定分を引いた残りを均等に分け合う
+   * - 並行分岐の出力エッジはすべて100%とし、合流点へ入るエッジを分岐数で割って実行回数を1件分に戻す
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション（scaleJoins: 合流点での割り戻しを行うか）
+   * @returns {Object} { probabilities: {エッジID: 0〜1}, warnings: [] }
+   */
+  resolveTransitionProbabilities: (steps, edges, options = {}) => {
+    const { scaleJoins = true } = options;
+    const probabilities = {};
+    const warnings = [];
+
+    steps.forEach(step => {
+      const outgoing = edges.filter(edge => edge.source === step.id);
+      if (outgoing.length === 0) {
+        return;
+      }
+
+      if (FlowAnalysisService.isParallelSplit(step)) {
+        // 並行分岐からの差戻しは扱わない
+        outgoing.forEach(edge => {
+          probabilities[edge.id] = FlowAnalysisService.isLoopBack(edge) ? 0 : 1;
+        });
+        return;
+      }
+
+      const specified = outgoing.filter(edge => FlowAnalysisService.getEdgeProbability(edge) !== null);
+      const unspecified = outgoing.filter(edge => FlowAnalysisService.getEdgeProbability(edge) === null);
+      const label = step.data?.label || step.id;
+
+      const specifiedTotal = specified.reduce(
+        (sum, edge) => sum + FlowAnalysisService.getEdgeProbability(edge), 0
+      );
+
+      specified.forEach(edge => {
+        probabilities[edge.id] = Math.max(0, FlowAnalysisService.getEdgeProbability(edge)) / 100;
+      });
+
+      if (unspecified.length > 0) {
+        const remaining = Math.max(0, 100 - specifiedTotal);
+        unspecified.forEach(edge => {
+          probabilities[edge.id] = remaining / unspecified.length / 100;
+        });
+      }
+
+      // 確率を1つも指定していない分岐は均等割りなので警告しない
+      if (specified.length === 0) {
+        return;
+      }
+
+      // 合計が100%にならない分岐を警告
+      const roundedTotal = Math.round(specifiedTotal * 10) / 10;
+      if (specifiedTotal > 100 + 1e-6) {
+        warnings.push({
+          stepId: step.id,
+          label,
+          message: `「${label}」の分岐確率の合計が100%を超えています（${roundedTotal}%）`
+        });
+      } else if (unspecified.length === 0 && Math.abs(specifiedTotal - 100) > 1e-6) {
+        warnings.push({
+          stepId: step.id,
+          label,
+          message: `「${label}」の分岐確率の合計が100%ではありません（${roundedTotal}%）`
+        });
+      }
+    });
+
+    if (scaleJoins) {
+      FlowAnalysisService.findParallelJoins(steps, edges).forEach(({ splitId, joinId, branchCount, regionIds }) => {
+        edges
+          .filter(edge => edge.target === joinId && (edge.source === splitId || regionIds.includes(edge.source)))
+          .forEach(edge => {
+            probabilities[edge.id] = (probabilities[edge.id] || 0) / branchCount;
+          });
+      });
+    }
+
+    return { probabilities, warnings };
+  },
+
+  /**
+   * 差戻しエッジと循環を作るエッジを除いた、前向きのエッジだけを求める
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Array} 前向きのエッジの配列
+   */
+  getForwardEdges: (steps = [], edges = []) => {
+    const stepIds = new Set(steps.map(step => step.id));
+    const candidates = edges.filter(edge =>
+      !FlowAnalysisService.isLoopBack(edge) &&
+      edge.source !== edge.target &&
+      stepIds.has(edge.source) &&
+      stepIds.has(edge.target)
+    );
+
+    // 深さ優先探索で後退辺（循環を作るエッジ）を見つける
+    const state = {};
+    const backEdgeIds = new Set();
+    const visit = (stepId) => {
+      state[stepId] = 'visiting';
+      candidates
+        .filter(edge => edge.source === stepId)
+        .forEach(edge => {
+          if (state[edge.target] === 'visiting') {
+            backEdgeIds.add(edge.id);
+          } else if (!state[edge.target]) {
+            visit(edge.target);
+          }
+        });
+      state[stepId] = 'done';
+    };
+
+    FlowAnalysisService.findStartSteps(steps, candidates).forEach(stepId => {
+      if (!state[stepId]) visit(stepId);
+    });
+
+    return candidates.filter(edge => !backEdgeIds.has(edge.id));
+  },
+
+  /**
+   * 並行分岐ごとの合流点を求める
+   * 合流点は、すべての分岐先から到達できるステップのうち流れ順で最初のもの
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Array} [{ splitId, joinId, branchCount, regionIds: 分岐から合流までのステップID }]
+   */
+  findParallelJoins: (steps = [], edges = []) => {
+    const forwardEdges = FlowAnalysisService.getForwardEdges(steps, edges);
+
+    // 流れ順（トポロジカル順）
+    const inDegree = {};
+    steps.forEach(step => {
+      inDegree[step.id] = 0;
+    });
+    forwardEdges.forEach(edge => {
+      inDegree[edge.target] += 1;
+    });
+    const order = {};
+    const queue = steps.filter(step => inDegree[step.id] === 0).map(step => step.id);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      order[current] = Object.keys(order).length;
+      forwardEdges
+        .filter(edge => edge.source === current)
+        .forEach(edge => {
+          inDegree[edge.target] -= 1;
+          if (inDegree[edge.target] === 0) queue.push(edge.target);
+        });
+    }
+
+    const reachableFrom = (stepId) => {
+      const reached = new Set();
+      const stack = [stepId];
+      while (stack.length > 0) {
+        const current = stack.pop();
+        if (reached.has(current)) continue;
+        reached.add(current);
+        forwardEdges
+          .filter(edge => edge.source === current)
+          .forEach(edge => stack.push(edge.target));
+      }
+      return reached;
+    };
+
+    const joins = [];
+    steps.filter(FlowAnalysisService.isParallelSplit).forEach(step => {
+      const branchTargets = forwardEdges
+        .filter(edge => edge.source === step.id)
+        .map(edge => edge.target);
+      if (branchTargets.length < 2) return;
+
+      const reachedSets = branchTargets.map(reachableFrom);
+      const common = [...reachedSets[0]].filter(id => reachedSets.every(set => set.has(id)));
+      if (common.length === 0) return;
+
+      const joinId = common.reduce((best, id) => (order[id] < order[best] ? id : best));
+      const afterJoin = reachableFrom(joinId);
+      const regionIds = [...new Set(reachedSets.flatMap(set => [...set]))]
+        .filter(id => !afterJoin.has(id));
+
+      joins.push({ splitId: step.id, joinId, branchCount: branchTargets.length, regionIds });
+    });
+
+    return joins;
+  },
+
+  /**
+   * フローの開始ステップを求める
+   * 差戻し以外の入力エッジを持たないステップを開始点とし、
+   * 開始点から到達できないステップ群（閉じたループなど）は並び順で最初のステップを開始点に加える
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Array} 開始ステップIDの配列
+   */
+  findStartSteps: (steps, edges) => {
+    const hasForwardInput = new Set(
+      edges
+        .filter(edge => !FlowAnalysisService.isLoopBack(edge))
+        .map(edge => edge.target)
+    );
+    const starts = steps.filter(step => !hasForwardInput.has(step.id)).map(step => step.id);
+
+    // 到達可能なステップを探索
+    const reached = new Set();
+    const visit = (stepId) => {
+      const stack = [stepId];
+      while (stack.length > 0) {
+        const current = stack.pop();
+        if (reached.has(current)) continue;
+        reached.add(current);
+        edges
+          .filter(edge => edge.source === current)
+          .forEach(edge => stack.push(edge.target));
+      }
+    };
+    starts.forEach(visit);
+
+    steps.forEach(step => {
+      if (!reached.has(step.id)) {
+        starts.push(step.id);
+        visit(step.id);
+      }
+    });
+
+    return starts;
+  },
+
+  /**
+   * フロー1件あたりの各ステップの期待実行回数を求める
+   * 開始ステップに1件が投入されたとき、v = 投入 + Σ(前工程の実行回数 × 遷移確率) を連立方程式として解く
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Object} { visits: {ステップID: 回数}, probabilities: {エッジID: 0〜1}, warnings: [] }
+   */
+  calculateVisits: (steps = [], edges = []) => {
+    const stepIds = steps.map(step => step.id);
+    const indexById = {};
+    stepIds.forEach((id, index) => {
+      indexById[id] = index;
+    });
+
+    // 存在しないステップを参照するエッジは無視する
+    const validEdges = edges.filter(
+      edge => indexById[edge.source] !== undefined && indexById[edge.target] !== undefined
+    );
+
+    const { probabilities, warnings } = FlowAnalysisService.resolveTransitionProbabilities(steps, validEdges);
+    const starts = new Set(FlowAnalysisService.findStartSteps(steps, validEdges));
+
+    // (I - Pᵀ) v = 投入ベクトル を組み立てる
+    const n = steps.length;
+    const matrix = stepIds.map((id, row) => {
+      const line = new Array(n + 1).fill(0);
+      line[row] = 1;
+      line[n] = starts.has(id) ? 1 : 0;
+      return line;
+    });
+
+    validEdges.forEach(edge => {
+      const row = indexById[edge.target];
+      const col = indexById[edge.source];
+      matrix[row][col] -= probabilities[edge.id] || 0;
+    });
+
+    const solution = FlowAnalysisService.solveLinearSystem(matrix);
+    const visits = {};
+
+    if (!solution || solution.some(value => !isFinite(value) || value < -1e-9)) {
+      // 差戻し率100%のループなどで解が求まらない場合は1回として扱う
+      warnings.push({
+        stepId: null,
+        label: '',
+        message: '差戻しループから抜け出せないため、実行回数を計算できません。差戻し率を見直してください'
+      });
+      stepIds.forEach(id => {
+        visits[id] = 1;
+      });
+    } else {
+      stepIds.forEach((id, index) => {
+        visits[id] = Math.max(0, solution[index]);
+      });
+    }
+
+    return { visits, probabilities, warnings };
+  },
+
+  /**
+   * 担当者間の受け渡し（ハンドオフ）を集計する
+   * 接続元と接続先で担当者が異なるエッジを受け渡しとみなす
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Object} { count: 受け渡し箇所数, expectedPerInstance: フロー1件あたりの受け渡し回数, pairs: [] }
+   */
+  countHandoffs: (steps = [], edges = []) => {
+    const stepById = {};
+    steps.forEach(step => {
+      stepById[step.id] = step;
+    });
+
+    const { visits, probabilities } = FlowAnalysisService.calculateVisits(steps, edges);
+    const pairMap = {};
+    let count = 0;
+    let expectedPerInstance = 0;
+
+    edges.forEach(edge => {
+      const source = stepById[edge.source];
+      const target = stepById[edge.target];
+      if (!source || !target) return;
+
+      const from = (source.data?.responsible || '').trim();
+      const to = (target.data?.responsible || '').trim();
+      if (from === to) return;
+
+      count += 1;
+      expectedPerInstance += (visits[source.id] || 0) * (probabilities[edge.id] || 0);
+
+      const key = `${from}\u0000${to}`;
+      if (!pairMap[key]) {
+        pairMap[key] = { from, to, count: 0 };
+      }
+      pairMap[key].count += 1;
+    });
+
+    return {
+      count,
+      expectedPerInstance: Math.round(expectedPerInstance * 100) / 100,
+      pairs: Object.values(pairMap).sort((a, b) => b.count - a.count)
+    };
+  },
+
+  /**
+   * 拡大係数行列の連立一次方程式をガウスの消去法で解く
+   * @param {Array} matrix - n行(n+1)列の拡大係数行列
+   * @returns {Array|null} 解ベクトル（解けない場合はnull）
+   */
+  solveLinearSystem: (matrix) => {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+
+    for (let col = 0; col < n; col++) {
+      // 部分ピボット選択
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+          pivot = row;
+        }
+      }
+
+      if (Math.abs(a[pivot][col]) < 1e-12) {
+        return null;
+      }
+
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      for (let row = 0; row < n; row++) {
+        if (row === col) continue;
+        const factor = a[row][col] / a[col][col];
+        if (factor === 0) continue;
+        for (let k = col; k <= n; k++) {
+          a[row][k] -= factor * a[col][k];
+        }
+      }
+    }
+
+    return a.map((row, index) => row[n] / row[index]);
+  }
+};
+
+export default FlowAnalysisService;
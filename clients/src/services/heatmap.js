@@ -0,0 +1,151 @@
+// src/services/heatmap.js
+import { WorkloadEngine } from './workloadEngine';
+import { FlowAnalysisService } from './flowAnalysis';
+import { LeadTimeService } from './leadTime';
+import { CostService } from './cost';
+import { ImprovementService } from './improvementService';
+import StepModel from '../models/StepModel';
+
+// 色分けに使える指標
+const METRICS = [
+  { id: 'annualHours', label: '年間工数', unit: '時間' },
+  { id: 'annualCost', label: '年間コスト', unit: '円' },
+  { id: 'minutesPerOccurrence', label: '1回あたりの時間', unit: '分' },
+  { id: 'occurrencesPerYear', label: '頻度（年間回数）', unit: '回' },
+  { id: 'waitMinutes', label: '待ち時間（1件あたり）', unit: '分' },
+  { id: 'improvementPotential', label: '改善余地', unit: '時間' }
+];
+
+// 色の範囲（低い: 緑 → 高い: 赤）の色相
+const HUE_LOW = 120;
+const HUE_HIGH = 0;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * プロセスチャートのヒートマップ（指標の大小でステップを連続的に色分けする）を作成するサービス
+ */
+export const HeatmapService = {
+  METRICS,
+
+  /**
+   * 指標の定義を取得する
+   * @param {string} metricId - 指標ID
+   * @returns {Object|null} { id, label, unit }
+   */
+  getMetric: (metricId) => METRICS.find(metric => metric.id === metricId) || null,
+
+  /**
+   * ステップごとの指標の値を求める
+   * 待ち時間は停滞・保管のステップだけ、改善余地は標準の改善施策で見込める最大の削減時間とする
+   * @param {string} metricId - 指標ID
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers）
+   * @param {Object} costSettings - 人件費の設定（年間コストのみ使用）
+   * @returns {Object} {ステップID: 値}（対象外のステップは含まない）
+   */
+  calculateValues: (metricId, steps = [], edges = [], profile = {}, costSettings = null) => {
+    const workload = WorkloadEngine.calculate({ steps, edges }, profile);
+    const detailById = ImprovementService.indexStepDetails(workload);
+    const values = {};
+
+    switch (metricId) {
+      case 'annualCost':
+        CostService.calculate(workload, costSettings).steps.forEach(step => {
+          values[step.id] = step.annualCost;
+        });
+        break;
+
+      case 'waitMinutes': {
+        const { visits } = FlowAnalysisService.calculateVisits(steps, edges);
+        steps.forEach(step => {
+          const { type } = StepModel.parseCompositeType(step.type);
+          if (LeadTimeService.WAIT_TYPES.includes(type)) {
+            values[step.id] = LeadTimeService.getStepMinutes(step, profile) * (visits[step.id] ?? 1);
+          }
+        });
+        break;
+      }
+
+      case 'improvementPotential':
+        steps.forEach(step => {
+          const detail = detailById[step.id];
+          if (!detail) return;
+          const maxRate = Math.max(0, ...ImprovementService.generateDefaultSuggestions(step)
+            .map(suggestion => suggestion.timeReductionPercent || 0));
+          values[step.id] = (detail.annualMinutes / 60) * (maxRate / 100);
+        });
+        break;
+
+      case 'annualHours':
+      case 'minutesPerOccurrence':
+      case 'occurrencesPerYear':
+        workload.stepDetails.forEach(detail => {
+          values[detail.id] = detail[metricId];
+        });
+        break;
+
+      default:
+        break;
+    }
+
+    return values;
+  },
+
+  /**
+   * 値を色に変換する（最小値が緑、最大値が赤）
+   * @param {number} value - 値
+   * @param {number} min - 最小値
+   * @param {number} max - 最大値
+   * @returns {string} 色（hsl）
+   */
+  getColor: (value, min, max) => {
+    const ratio = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+    const hue = Math.round(HUE_LOW + (HUE_HIGH - HUE_LOW) * ratio);
+    return `hsl(${hue}, 75%, 72%)`;
+  },
+
+  /**
+   * 凡例のグラデーションに使う色（低い順）
+   * @returns {Array<string>} 色の配列
+   */
+  getLegendColors: () => [0, 0.5, 1].map(ratio => HeatmapService.getColor(ratio, 0, 1)),
+
+  /**
+   * 値を単位付きの文字列にする
+   * @param {number} value - 値
+   * @param {Object} metric - 指標の定義
+   * @returns {string} 表示用の文字列
+   */
+  formatValue: (value, metric) => {
+    if (metric?.unit === '円') return `${Math.round(value).toLocaleString()}円`;
+    return `${round1(value).toLocaleString()}${metric?.unit || ''}`;
+  },
+
+  /**
+   * ヒートマップを作成する
+   * @param {string|null} metricId - 指標ID（nullなら表示しない）
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} profile - 計算プロファイル
+   * @param {Object} costSettings - 人件費の設定
+   * @returns {Object|null} { metric, values, colors: {ステップID: 色}, min, max }
+   */
+  buildOverlay: (metricId, steps = [], edges = [], profile = {}, costSettings = null) => {
+    const metric = HeatmapService.getMetric(metricId);
+    if (!metric) return null;
+
+    const values = HeatmapService.calculateValues(metricId, steps, edges, profile, costSettings);
+    const numbers = Object.values(values);
+    const min = numbers.length > 0 ? Math.min(...numbers) : 0;
+    const max = numbers.length > 0 ? Math.max(...numbers) : 0;
+    const colors = Object.fromEntries(
+      Object.entries(values).map(([stepId, value]) => [stepId, HeatmapService.getColor(value, min, max)])
+    );
+
+    return { metric, values, colors, min, max };
+  }
+};
+
+export default HeatmapService;
@@ -0,0 +1,51 @@
+// src/services/heatmap.test.js
+import { HeatmapService } from './heatmap';
+import CostModel from '../models/CostModel';
+import svgUtils from '../utils/svgUtils';
+import { createStep } from './__fixtures__/process';
+
+// 年間工数 入力250時間・確認52時間・承認待ち20時間・集計18時間（保管は所要時間なし）
+const createSteps = () => [
+  createStep('s1', 'input'),
+  createStep('s2', 'check'),
+  createStep('s3', 'approvalWait'),
+  createStep('s4', 'storage'),
+  createStep('s5', 'summary')
+].map((step, index) => ({ ...step, position: { x: index * 150, y: 0 } }));
+
+describe('HeatmapService', () => {
+  test('指標の最大値を赤、最小値を緑として連続的に色分けする', () => {
+    const overlay = HeatmapService.buildOverlay('annualHours', createSteps(), [], {});
+
+    expect(overlay.values).toEqual({ s1: 250, s2: 52, s3: 20, s5: 18 });
+    expect([overlay.min, overlay.max]).toEqual([18, 250]);
+    expect(overlay.colors.s1).toBe('hsl(0, 75%, 72%)');
+    expect(overlay.colors.s5).toBe('hsl(120, 75%, 72%)');
+    // 値のないステップは色分けしない
+    expect(overlay.colors.s4).toBeUndefined();
+  });
+
+  test('指標を選ばなければ色分けしない', () => {
+    expect(HeatmapService.buildOverlay(null, createSteps())).toBeNull();
+  });
+
+  test('待ち時間は停滞・保管、改善余地は標準の施策の最大削減率、コストは時間単価から求める', () => {
+    const steps = createSteps();
+
+    expect(HeatmapService.calculateValues('waitMinutes', steps, [], {})).toEqual({ s3: 120, s4: 0 });
+    // 加工は自動化の70%
+    expect(HeatmapService.calculateValues('improvementPotential', steps, [], {}).s1).toBe(175);
+    expect(HeatmapService.calculateValues('annualCost', steps, [], {}, CostModel.create({ hourlyRate: 2000 })).s2).toBe(104000);
+  });
+
+  test('色分けと凡例をSVGに出力する', () => {
+    const steps = createSteps();
+    const overlay = HeatmapService.buildOverlay('annualHours', steps, [], {});
+    const svg = svgUtils.generateProcessChartSvg(steps, [], { overlay });
+
+    expect(svg).toContain('fill="hsl(0, 75%, 72%)"');
+    expect(svg).toContain('ヒートマップ: 年間工数');
+    expect(svg).toContain('<linearGradient id="heatmap-gradient">');
+    expect(svgUtils.generateProcessChartSvg(steps, [])).not.toContain('heatmap-gradient');
+  });
+});
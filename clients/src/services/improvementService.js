@@ -1,4 +1,10 @@
 // src/services/improvementService.js
+import { TimeCalculationService } from './timeCalculation';
+import { WorkloadEngine } from './workloadEngine';
+import { ParetoService } from './pareto';
+import { EcrsService } from './ecrs';
+import CalendarModel from '../models/CalendarModel';
+import ImprovementModel from '../models/ImprovementModel';
 
 /**
  * 業務改善策を提案・管理するサービス
@@ -7,7 +13,8 @@ export const ImprovementService = {
   /**
    * プロセスステップを分析し、改善点を特定する
    * @param {Array} steps - プロセスステップの配列
-   * @param {Object} settings - 分析設定（しきい値など）
+   * @param {Object} settings - 分析設定（しきい値、workload: WorkloadEngine の計算結果、calendar などの計算プロファイル、
+   *   abcClasses: 対象とするABC区分（例: ['A']、未指定はすべて）、abcShares: ABC区分の比率）
    * @returns {Array} 改善対象ステップのリスト
    */
   analyzeProcessForImprovements: (steps, settings = {}) => {
@@ -15,23 +22,29 @@ export const ImprovementService = {
       timeThreshold = 30, // 所要時間のしきい値（分）
       waitThreshold = 60, // 待ち時間のしきい値（分）
       frequencyThreshold = 50, // 頻度のしきい値（年間）
+      workload = null, // WorkloadEngine の計算結果（分岐・差戻しを考慮する場合）
+      abcClasses = null, // 対象とするABC区分（年間工数のパレート分析）
+      abcShares = {}, // ABC区分の比率
+      ...profile // 計算プロファイル（calendar など）
     } = settings;
+    const detailById = ImprovementService.indexStepDetails(workload);
+    const classifiedIds = abcClasses
+      ? ParetoService.getStepIdsByClass(workload || WorkloadEngine.calculate({ steps }, profile), abcShares, abcClasses)
+      : null;
 
     // 改善対象ステップを特定
     const improvementTargets = steps.filter(step => {
-      const { type, data } = step;
-      const { time, frequency, frequencyUnit } = data;
-      
-      // 年間頻度を計算
-      let annualFrequency = 0;
-      switch (frequencyUnit) {
-        case '日': annualFrequency = frequency * 250; break; // 営業日換算
-        case '週': annualFrequency = frequency * 52; break;
-        case '月': annualFrequency = frequency * 12; break;
-        case '年': annualFrequency = frequency; break;
-        default: annualFrequency = 0;
+      if (classifiedIds && !classifiedIds.has(step.id)) {
+        return false;
       }
       
+      const detail = detailById[step.id] || WorkloadEngine.calculateStep(step, profile);
+      const { type } = detail;
+      
+      // 所要時間（分）と年間頻度
+      const time = detail.minutesPerOccurrence;
+      const annualFrequency = detail.baseOccurrencesPerYear;
+      
       // 判定条件
       let isTarget = false;
       
@@ -135,110 +148,91 @@ export const ImprovementService = {
     return updatedDatabase;
   },
   
+  /**
+   * WorkloadEngine の計算結果をステップIDで引けるようにする
+   * @param {Object|null} workload - WorkloadEngine の計算結果
+   * @returns {Object} { ステップID: ステップの年間工数 }
+   */
+  indexStepDetails: (workload) => {
+    const detailById = {};
+    (workload?.stepDetails || []).forEach(detail => {
+      detailById[detail.id] = detail;
+    });
+    return detailById;
+  },
+  
   /**
    * 改善施策の効果を計算する
    * @param {Object} step - 対象ステップ
    * @param {Object} improvement - 改善施策
+   * @param {Object} options - 計算プロファイル（calendar など）。workload に WorkloadEngine の結果を渡すと
+   *   分岐・差戻しを考慮したダッシュボードと同じ年間工数から求め、steps・edges にプロセス全体を渡すと
+   *   ECRSの施策をプロセスの構造に反映した改善前後の差から求める
    * @returns {Object} 効果予測
    */
-  predictImprovementEffect: (step, improvement) => {
-    const { data } = step;
-    const { timeReductionPercent = 0 } = improvement;
+  predictImprovementEffect: (step, improvement, options = {}) => {
+    const { workload = null, steps = null, edges = [], ...profile } = options;
+    const percent = ImprovementModel.getReductionPercent(improvement);
+    const rate = percent / 100;
+    const detail = ImprovementService.indexStepDetails(workload)[step.id] || WorkloadEngine.calculateStep(step, profile);
+    const { hoursPerDay } = CalendarModel.resolveOptions(profile, step.data?.responsible);
     
-    // 時間の削減効果
-    const minutesReduction = data.time * (timeReductionPercent / 100);
-    
-    // 年間の削減時間
-    let annualFrequency = 0;
-    switch (data.frequencyUnit) {
-      case '日': annualFrequency = data.frequency * 250; break; // 営業日数
-      case '週': annualFrequency = data.frequency * 52; break;
-      case '月': annualFrequency = data.frequency * 12; break;
-      case '年': annualFrequency = data.frequency; break;
-      default: annualFrequency = 0;
+    if (steps) {
+      const { before, after } = EcrsService.calculateEffect(steps, edges, [{ ...improvement, targetStepId: step.id }], profile);
+      const annualMinutesSaved = before.totalMinutes - after.totalMinutes;
+      return {
+        minutesPerOccurrence: detail.occurrencesPerYear > 0 ? annualMinutesSaved / detail.occurrencesPerYear : 0,
+        annualMinutes: annualMinutesSaved,
+        annualHours: annualMinutesSaved / 60,
+        annualDays: annualMinutesSaved / 60 / hoursPerDay,
+        percentReduction: detail.annualMinutes > 0 ? (annualMinutesSaved / detail.annualMinutes) * 100 : 0
+      };
     }
     
-    const annualMinutesSaved = minutesReduction * annualFrequency;
+    const annualMinutesSaved = detail.annualMinutes * rate;
     const annualHoursSaved = annualMinutesSaved / 60;
-    const annualDaysSaved = annualHoursSaved / 8; // 1日8時間想定
     
     return {
-      minutesPerOccurrence: minutesReduction,
+      minutesPerOccurrence: detail.minutesPerOccurrence * rate,
       annualMinutes: annualMinutesSaved,
       annualHours: annualHoursSaved,
-      annualDays: annualDaysSaved,
-      percentReduction: timeReductionPercent
+      annualDays: annualHoursSaved / hoursPerDay,
+      percentReduction: percent
     };
   },
   
   /**
    * 複数の改善施策を適用した効果を計算する
-   * @param {Object} currentWorkload - 現在の業務負荷
+   * options に steps・edges を渡すとECRSの施策をプロセスの構造に反映して求め（結果に toBe を含む）、
+   * 渡さない場合は TimeCalculationService.calculateImprovementEffect と同じ
+   * @param {Object} currentWorkload - 現在の年間工数
    * @param {Array} improvements - 適用する改善施策の配列
-   * @returns {Object} 改善効果
+   * @param {Object} options - 計算プロファイル（calendar など）と steps・edges・interactionRule
+   * @returns {Object} 改善効果（施策ごとの削減時間 attribution、同時に実施できない施策 conflicts を含む）
    */
-  calculateImprovementEffect: (currentWorkload, improvements) => {
-    if (!currentWorkload || !improvements || improvements.length === 0) {
-      return {
-        before: currentWorkload,
-        after: currentWorkload,
-        savings: {
-          hours: 0,
-          days: 0,
-          percent: 0
-        }
-      };
+  calculateImprovementEffect: (currentWorkload, improvements, options = {}) => {
+    const { steps = null, edges = [], interactionRule, ...profile } = options;
+    if (!steps || !currentWorkload || !improvements || improvements.length === 0) {
+      return TimeCalculationService.calculateImprovementEffect(currentWorkload, improvements, { ...profile, interactionRule });
     }
-    
-    // 深いコピーを作成（改変防止）
-    const improvedWorkload = JSON.parse(JSON.stringify(currentWorkload));
-    
-    // 各改善施策を適用
-    improvements.forEach(improvement => {
-      const { targetStep, timeReductionPercent } = improvement;
-      
-      // 対象ステップを検索
-      const targetStepIndex = improvedWorkload.stepDetails.findIndex(
-        step => step.id === improvement.targetStepId
-      );
+    return EcrsService.calculateEffect(steps, edges, improvements, profile, { interactionRule });
+  },
+  
+  /**
+   * 改善施策をプロセスステップに適用した複製を作成する（所要時間を削減率に応じて短縮）
+   * プロセスの構造は変えない（構造を変える場合は EcrsService.buildToBeProcess を使う）
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} improvements - 改善施策の配列（targetStepId, timeReductionPercent）
+   * @param {string} interactionRule - 同じステップへの施策の合成方法
+   * @returns {Array} 改善後のプロセスステップの配列
+   */
+  applyToSteps: (steps = [], improvements = [], interactionRule = 'multiplicative') => {
+    return steps.map(step => {
+      const targeted = improvements.filter(improvement => improvement.targetStepId === step.id);
+      const rate = ImprovementModel.combineReductions(targeted, interactionRule).remainingRate;
       
-      if (targetStepIndex >= 0) {
-        const targetStepDetail = improvedWorkload.stepDetails[targetStepIndex];
-        const originalMinutes = targetStepDetail.annualMinutes;
-        
-        // 削減時間を計算
-        const reductionRate = timeReductionPercent / 100;
-        const reducedMinutes = originalMinutes * reductionRate;
-        
-        // 値を更新
-        targetStepDetail.annualMinutes -= reducedMinutes;
-        targetStepDetail.annualHours = Math.round(targetStepDetail.annualMinutes / 60 * 10) / 10;
-        
-        // 合計時間の更新
-        improvedWorkload.totalMinutes -= reducedMinutes;
-        
-        // カテゴリ別集計の更新
-        improvedWorkload.categorySummary[targetStepDetail.type] -= Math.round(reducedMinutes / 60 * 10) / 10;
-      }
+      return EcrsService.scaleStepTime(step, rate);
     });
-    
-    // 合計時間を再計算
-    improvedWorkload.totalHours = Math.round(improvedWorkload.totalMinutes / 60 * 10) / 10;
-    improvedWorkload.totalDays = Math.round(improvedWorkload.totalHours / 8 * 10) / 10;
-    
-    // 削減効果の計算
-    const savingsHours = currentWorkload.totalHours - improvedWorkload.totalHours;
-    const savingsPercent = (savingsHours / currentWorkload.totalHours) * 100;
-    
-    return {
-      before: currentWorkload,
-      after: improvedWorkload,
-      savings: {
-        hours: Math.round(savingsHours * 10) / 10,
-        days: Math.round(savingsHours / 8 * 10) / 10,
-        percent: Math.round(savingsPercent * 10) / 10
-      }
-    };
   },
   
   /**
@@ -258,6 +252,7 @@ export const ImprovementService = {
       targetStepType: type,
       keywords: ['自動化'],
       timeReductionPercent: 70,
+      ecrs: 'simplify',
       implementationDifficulty: 'medium',
       estimatedCost: 'medium'
     });
@@ -272,6 +267,7 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['標準化', 'マニュアル'],
           timeReductionPercent: 30,
+          ecrs: 'simplify',
           implementationDifficulty: 'low',
           estimatedCost: 'low'
         });
@@ -283,9 +279,22 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['研修', 'スキルアップ'],
           timeReductionPercent: 20,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'medium'
         });
+        
+        suggestions.push({
+          id: `default-combine-${ImprovementService.generateId()}`,
+          title: '前後の作業との統合',
+          description: `「${data.label}」を前後の作業とまとめて1つの作業にし、受け渡しや段取りの時間をなくします。`,
+          targetStepType: type,
+          keywords: ['統合', '一人完結', '受け渡し'],
+          timeReductionPercent: 20,
+          ecrs: 'combine',
+          implementationDifficulty: 'low',
+          estimatedCost: 'low'
+        });
         break;
         
       case 'inspection':
@@ -296,6 +305,7 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['検査', 'チェックリスト', '基準'],
           timeReductionPercent: 40,
+          ecrs: 'simplify',
           implementationDifficulty: 'low',
           estimatedCost: 'low'
         });
@@ -307,9 +317,22 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['自動検査', 'センサー', '品質管理'],
           timeReductionPercent: 80,
+          ecrs: 'simplify',
           implementationDifficulty: 'high',
           estimatedCost: 'high'
         });
+        
+        suggestions.push({
+          id: `default-eliminate-inspection-${ImprovementService.generateId()}`,
+          title: '検査の廃止',
+          description: `前工程で品質を作り込み（ポカヨケ・自主検査）、「${data.label}」そのものをなくします。`,
+          targetStepType: type,
+          keywords: ['検査廃止', 'ポカヨケ', '自主検査'],
+          timeReductionPercent: 100,
+          ecrs: 'eliminate',
+          implementationDifficulty: 'medium',
+          estimatedCost: 'low'
+        });
         break;
         
       case 'transport':
@@ -320,6 +343,7 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['搬送', '転送', 'バッチ処理'],
           timeReductionPercent: 50,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'low'
         });
@@ -331,9 +355,22 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['レイアウト', '動線', '5S'],
           timeReductionPercent: 40,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'medium'
         });
+        
+        suggestions.push({
+          id: `default-eliminate-transport-${ImprovementService.generateId()}`,
+          title: '搬送の廃止（直接受け渡し）',
+          description: `前後の作業を隣接させるか電子化して直接受け渡し、「${data.label}」そのものをなくします。`,
+          targetStepType: type,
+          keywords: ['搬送廃止', '直接受け渡し', '電子化'],
+          timeReductionPercent: 100,
+          ecrs: 'eliminate',
+          implementationDifficulty: 'high',
+          estimatedCost: 'medium'
+        });
         break;
         
       case 'delay':
@@ -344,6 +381,7 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['承認', '待ち時間', '権限委譲'],
           timeReductionPercent: 60,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'low'
         });
@@ -355,9 +393,23 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['通知', 'アラート', 'リアルタイム'],
           timeReductionPercent: 70,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'medium'
         });
+        
+        suggestions.push({
+          id: `default-parallel-${ImprovementService.generateId()}`,
+          title: '承認の並行処理',
+          description: `「${data.label}」を前の作業の完了を待たずに並行して進め、リードタイムを短縮します。`,
+          targetStepType: type,
+          keywords: ['並行処理', '同時進行', '事前承認'],
+          timeReductionPercent: 0,
+          ecrs: 'rearrange',
+          rearrangeMode: 'parallel',
+          implementationDifficulty: 'medium',
+          estimatedCost: 'low'
+        });
         break;
         
       case 'storage':
@@ -368,6 +420,7 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['デジタル化', '電子化', 'ペーパーレス'],
           timeReductionPercent: 50,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'medium'
         });
@@ -379,6 +432,7 @@ export const ImprovementService = {
           targetStepType: type,
           keywords: ['在庫最適化', 'JIT', '在庫削減'],
           timeReductionPercent: 30,
+          ecrs: 'simplify',
           implementationDifficulty: 'medium',
           estimatedCost: 'low'
         });
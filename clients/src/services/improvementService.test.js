@@ -0,0 +1,77 @@
+// src/services/improvementService.test.js
+import { ImprovementService } from './improvementService';
+import { WorkloadEngine } from './workloadEngine';
+
+// 入力 → 確認 → 送付 → 承認待ち（確認から入力へ20%差戻し）
+import { createFlowSteps, createFlowEdges } from './__fixtures__/process';
+
+describe('ImprovementService', () => {
+  describe('predictImprovementEffect', () => {
+    test('効果予測はダッシュボードと同じ年間工数（差戻しを含む年625回）から求める', () => {
+      const steps = createFlowSteps();
+      const workload = WorkloadEngine.calculate({ steps, edges: createFlowEdges() });
+      const effect = ImprovementService.predictImprovementEffect(steps[0], { timeReductionPercent: 50 }, { workload });
+
+      expect(effect.minutesPerOccurrence).toBe(15);
+      expect(effect.annualMinutes).toBe(9375);
+      expect(effect.annualHours).toBe(156.25);
+    });
+
+    test('計算結果を渡さない場合はステップ単独（実行回数1）で求める', () => {
+      const steps = createFlowSteps();
+
+      expect(ImprovementService.predictImprovementEffect(steps[0], { timeReductionPercent: 50 }).annualMinutes).toBe(7500);
+    });
+
+    test('排除の効果はプロセスを渡すと構造を変えた改善後のプロセスから求める', () => {
+      const steps = createFlowSteps();
+
+      // 確認をなくすと差戻しによる入力のやり直し（年125回・30分）もなくなる
+      expect(ImprovementService.predictImprovementEffect(steps[1], { ecrs: 'eliminate' }, { steps, edges: createFlowEdges() }).annualHours).toBe(127.5);
+    });
+
+    test('排除の効果はプロセスを渡さない場合は対象ステップの時間をすべて削減したものとみなす', () => {
+      const steps = createFlowSteps();
+
+      expect(ImprovementService.predictImprovementEffect(steps[1], { ecrs: 'eliminate', timeReductionPercent: 30 }).percentReduction).toBe(100);
+    });
+  });
+
+  describe('calculateImprovementEffect', () => {
+    test('プロセスを渡すと構造を反映した効果と改善後のプロセスを返す', () => {
+      const steps = createFlowSteps();
+      const edges = createFlowEdges();
+      const effect = ImprovementService.calculateImprovementEffect(
+        WorkloadEngine.calculate({ steps, edges }),
+        [{ id: 'i1', targetStepId: 's2', ecrs: 'eliminate' }],
+        { steps, edges }
+      );
+
+      expect(effect.savings.hours).toBe(127.5);
+      expect(effect.toBe.steps.map(step => step.id)).toEqual(['s1', 's3', 's4']);
+    });
+  });
+
+  describe('analyzeProcessForImprovements', () => {
+    test('改善対象の判定は時間単位を分に換算してから行う', () => {
+      const steps = createFlowSteps();
+      const workload = WorkloadEngine.calculate({ steps, edges: createFlowEdges() });
+
+      // 確認（1時間）と承認待ち（2時間）は分に換算するとしきい値を超える
+      expect(ImprovementService.analyzeProcessForImprovements(steps, { workload }).map(step => step.id))
+        .toEqual(['s1', 's2', 's4']);
+    });
+
+    test('改善対象を年間工数のABC区分で絞り込める', () => {
+      const steps = createFlowSteps();
+      // 年間工数は入力250時間・確認52時間・送付48時間・承認待ち20時間で、Aは入力と確認
+      const workload = WorkloadEngine.calculate({ steps });
+
+      expect(ImprovementService.analyzeProcessForImprovements(steps, { workload, abcClasses: ['A'] }).map(step => step.id))
+        .toEqual(['s1', 's2']);
+      // 計算結果を渡さない場合はステップから求め、区分の比率も指定できる
+      expect(ImprovementService.analyzeProcessForImprovements(steps, { abcClasses: ['A'], abcShares: { a: 60 } }).map(step => step.id))
+        .toEqual(['s1']);
+    });
+  });
+});
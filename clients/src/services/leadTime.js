@@ -0,0 +1,307 @@
+// src/services/leadTime.js
+import appConfig from '../config/appConfig';
+import StepModel from '../models/StepModel';
+import CalendarModel from '../models/CalendarModel';
+import { FlowAnalysisService } from './flowAnalysis';
+import { TimeCalculationService } from './timeCalculation';
+
+// 待ち時間として扱う工程タイプ（停滞・貯蔵）
+const WAIT_TYPES = ['delay', 'storage'];
+
+/**
+ * フロー1件あたりのリードタイム（開始から完了までの経過時間）を求めるサービス
+ * 工数の合計とは異なり、並行分岐は最も長い分岐だけが経過時間に効く
+ */
+export const LeadTimeService = {
+  WAIT_TYPES,
+
+  /**
+   * ステップ1回あたりの所要時間（分）を求める。サブプロセスを持つ場合は集計値
+   * @param {Object} step - ステップ
+   * @param {Object} options - 計算オプション（calendar: 営業カレンダー、hoursPerDay）
+   * @returns {number} 所要時間（分）
+   */
+  getStepMinutes: (step, options = {}) => {
+    if (StepModel.hasSubProcess(step)) {
+      return TimeCalculationService.calculateSubProcessMinutes(step.data.subProcess, options);
+    }
+    const { hoursPerDay } = CalendarModel.resolveOptions(options, step.data?.responsible);
+    return TimeCalculationService.convertToMinutes(parseFloat(step.data?.time) || 0, step.data?.timeUnit, hoursPerDay);
+  },
+
+  /**
+   * 各ステップから完了（または指定した合流点）までの期待残り時間を求める
+   * T(v) = 所要時間 + Σ(遷移確率 × T(次工程)) を連立方程式として解く
+   * 並行分岐は T(分岐) = 所要時間 + 最も長い分岐の時間 + T(合流点) とする
+   * @param {Object} context - ステップ・エッジ・所要時間・遷移確率・合流点
+   *   （inverses を渡すと係数行列の逆行列をキャッシュし、outgoingBySource を渡すとステップごとの出力エッジに使う）
+   * @param {string|null} targetId - 到達したら終了とみなすステップID（nullなら終端まで）
+   * @param {Set} activeSplits - 計算中の並行分岐（再帰の打ち切り用）
+   * @returns {Object|null} { times: {ステップID: 分}, parallel: {分岐ID: 分岐情報} }（解けない場合はnull）
+   */
+  solveRemainingTimes: (context, targetId = null, activeSplits = new Set()) => {
+    const { steps, edges, minutesById, probabilities, joinBySplit } = context;
+    const n = steps.length;
+    const indexById = {};
+    steps.forEach((step, index) => {
+      indexById[step.id] = index;
+    });
+
+    const parallel = {};
+    const matrix = steps.map((step, row) => {
+      const line = new Array(n + 1).fill(0);
+      line[row] = 1;
+
+      if (step.id === targetId) {
+        return line;
+      }
+
+      line[n] = minutesById[step.id];
+      const join = joinBySplit[step.id];
+
+      if (join && !activeSplits.has(step.id)) {
+        // 合流点までの各分岐の時間を求め、最も長い分岐を採用する
+        const inner = LeadTimeService.solveRemainingTimes(
+          context, join.joinId, new Set([...activeSplits, step.id])
+        );
+        if (!inner) {
+          return null;
+        }
+
+        const branches = edges
+          .filter(edge => edge.source === step.id && !FlowAnalysisService.isLoopBack(edge))
+          .map(edge => ({
+            edgeId: edge.id,
+            minutes: edge.target === join.joinId ? 0 : inner.times[edge.target]
+          }));
+        const longest = branches.reduce((best, branch) => (branch.minutes > best.minutes ? branch : best));
+
+        parallel[step.id] = { joinId: join.joinId, criticalEdgeId: longest.edgeId, branches, inner };
+        line[n] += longest.minutes;
+        line[indexById[join.joinId]] -= 1;
+        return line;
+      }
+
+      (context.outgoingBySource ? context.outgoingBySource[step.id] || [] : edges.filter(edge => edge.source === step.id))
+        .forEach(edge => {
+          line[indexById[edge.target]] -= probabilities[edge.id] || 0;
+        });
+      return line;
+    });
+
+    if (matrix.some(line => line === null)) {
+      return null;
+    }
+
+    const solution = context.inverses
+      ? LeadTimeService.solveWithInverse(context.inverses, `${targetId}|${[...activeSplits].join(',')}`, matrix)
+      : FlowAnalysisService.solveLinearSystem(matrix);
+    if (!solution || solution.some(value => !isFinite(value) || value < -1e-9)) {
+      return null;
+    }
+
+    const times = {};
+    steps.forEach((step, index) => {
+      times[step.id] = Math.max(0, solution[index]);
+    });
+
+    return { times, parallel };
+  },
+
+  /**
+   * 係数行列の逆行列をキャッシュして連立方程式を解く
+   * 係数（遷移確率と合流点）は所要時間によらないため、所要時間だけを変えて繰り返し解く場合に使う
+   * @param {Map} inverses - キャッシュ（キー: 終了ステップと計算中の並行分岐、値: 逆行列の列の配列、解けない場合はnull）
+   * @param {string} key - キャッシュのキー
+   * @param {Array<Array<number>>} matrix - 拡大係数行列（各行の最後が定数項）
+   * @returns {Array<number>|null} 解（解けない場合はnull）
+   */
+  solveWithInverse: (inverses, key, matrix) => {
+    const n = matrix.length;
+    if (!inverses.has(key)) {
+      const columns = matrix.map((_, col) => FlowAnalysisService.solveLinearSystem(
+        matrix.map((line, row) => [...line.slice(0, n), row === col ? 1 : 0])
+      ));
+      inverses.set(key, columns.some(column => column === null) ? null : columns);
+    }
+
+    const columns = inverses.get(key);
+    if (!columns) return null;
+    return matrix.map((_, row) => matrix.reduce((sum, line, col) => sum + columns[col][row] * line[n], 0));
+  },
+
+  /**
+   * 所要時間だけを変えてリードタイムを繰り返し求める関数を作成する（シミュレーション用）
+   * 遷移確率・並行分岐・開始ステップと係数行列の逆行列は一度だけ求める
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Function} (minutesById: {ステップID: 分}) => リードタイム（分、計算できない場合は0）
+   */
+  createEstimator: (steps = [], edges = []) => {
+    const stepIds = new Set(steps.map(step => step.id));
+    const validEdges = edges.filter(edge => stepIds.has(edge.source) && stepIds.has(edge.target));
+    const { probabilities } = FlowAnalysisService.resolveTransitionProbabilities(
+      steps, validEdges, { scaleJoins: false }
+    );
+    const joinBySplit = {};
+    FlowAnalysisService.findParallelJoins(steps, validEdges).forEach(join => {
+      joinBySplit[join.splitId] = join;
+    });
+    const outgoingBySource = {};
+    validEdges.forEach(edge => {
+      outgoingBySource[edge.source] = [...(outgoingBySource[edge.source] || []), edge];
+    });
+    const starts = steps.length > 0 ? FlowAnalysisService.findStartSteps(steps, validEdges) : [];
+    const inverses = new Map();
+
+    return (minutesById) => {
+      if (starts.length === 0) return 0;
+
+      const result = LeadTimeService.solveRemainingTimes({
+        steps, edges: validEdges, minutesById, probabilities, joinBySplit, inverses, outgoingBySource
+      });
+      return result ? Math.max(...starts.map(id => result.times[id])) : 0;
+    };
+  },
+
+  /**
+   * 残り時間が最も長くなる経路（クリティカルパス）をたどる
+   * 分岐では確率によらず残り時間が最も長い前向きのエッジを、並行分岐では最も長い分岐を選ぶ（最悪ケースの経路）
+   * @param {Object} result - solveRemainingTimes の結果
+   * @param {Array} forwardEdges - 前向きのエッジの配列
+   * @param {string} fromId - 開始ステップID
+   * @param {string|null} targetId - 終了ステップID
+   * @param {Object} path - { stepIds, edgeIds }（結果を追記する）
+   */
+  tracePath: (result, forwardEdges, fromId, targetId, path) => {
+    const remaining = (stepId) => (stepId === targetId ? 0 : result.times[stepId]);
+    const nextEdge = (stepId) => forwardEdges
+      .filter(edge => edge.source === stepId)
+      .reduce((best, edge) => (!best || remaining(edge.target) > remaining(best.target) ? edge : best), null);
+    let current = fromId;
+
+    while (current && current !== targetId && !path.stepIds.includes(current)) {
+      path.stepIds.push(current);
+
+      const parallel = result.parallel[current];
+      if (parallel) {
+        const branchEdge = forwardEdges.find(edge => edge.id === parallel.criticalEdgeId);
+        path.edgeIds.push(branchEdge.id);
+        LeadTimeService.tracePath(parallel.inner, forwardEdges, branchEdge.target, parallel.joinId, path);
+        current = parallel.joinId;
+        continue;
+      }
+
+      const next = nextEdge(current);
+      if (!next) break;
+      path.edgeIds.push(next.id);
+      current = next.target;
+    }
+  },
+
+  /**
+   * フロー1件あたりのリードタイム・クリティカルパス・工程効率（PCE）を求める
+   * リードタイムは分岐確率で重み付けした期待値、クリティカルパスは最悪ケースの経路のため、
+   * 排他分岐があるとクリティカルパスの所要時間（criticalPath.minutes）はリードタイムを超えることがある
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション（calendar: 営業カレンダー、hoursPerDay）
+   * @returns {Object} リードタイムの計算結果
+   */
+  calculateLeadTime: (steps = [], edges = [], options = {}) => {
+    const emptyResult = {
+      leadTimeMinutes: 0,
+      workMinutes: 0,
+      waitMinutes: 0,
+      valueAddedMinutes: 0,
+      processCycleEfficiency: null,
+      criticalPath: { stepIds: [], edgeIds: [], minutes: 0 },
+      remainingMinutes: {},
+      warnings: []
+    };
+
+    if (steps.length === 0) {
+      return emptyResult;
+    }
+
+    const stepIds = new Set(steps.map(step => step.id));
+    const validEdges = edges.filter(edge => stepIds.has(edge.source) && stepIds.has(edge.target));
+
+    const minutesById = {};
+    steps.forEach(step => {
+      minutesById[step.id] = LeadTimeService.getStepMinutes(step, options);
+    });
+
+    const { visits, warnings } = FlowAnalysisService.calculateVisits(steps, validEdges);
+    const { probabilities } = FlowAnalysisService.resolveTransitionProbabilities(
+      steps, validEdges, { scaleJoins: false }
+    );
+    const joinBySplit = {};
+    FlowAnalysisService.findParallelJoins(steps, validEdges).forEach(join => {
+      joinBySplit[join.splitId] = join;
+    });
+
+    // 作業時間・待ち時間・付加価値時間（実行回数を考慮した工数ベース）
+    let workMinutes = 0;
+    let waitMinutes = 0;
+    let valueAddedMinutes = 0;
+    steps.forEach(step => {
+      const { type } = StepModel.parseCompositeType(step.type);
+      const minutes = minutesById[step.id] * (visits[step.id] ?? 1);
+
+      if (WAIT_TYPES.includes(type)) {
+        waitMinutes += minutes;
+      } else {
+        workMinutes += minutes;
+      }
+      if (appConfig.jmaSymbols[type]?.valueType === 'value-added') {
+        valueAddedMinutes += minutes;
+      }
+    });
+
+    const context = { steps, edges: validEdges, minutesById, probabilities, joinBySplit };
+    const result = LeadTimeService.solveRemainingTimes(context);
+
+    if (!result) {
+      return {
+        ...emptyResult,
+        workMinutes,
+        waitMinutes,
+        valueAddedMinutes,
+        warnings: [
+          ...warnings,
+          {
+            stepId: null,
+            label: '',
+            message: '差戻しループから抜け出せないため、リードタイムを計算できません'
+          }
+        ]
+      };
+    }
+
+    // 開始ステップが複数ある場合は、最も時間のかかる開始点をリードタイムとする
+    const starts = FlowAnalysisService.findStartSteps(steps, validEdges);
+    const startId = starts.reduce((best, id) => (result.times[id] > result.times[best] ? id : best), starts[0]);
+    const leadTimeMinutes = result.times[startId];
+
+    const forwardEdges = FlowAnalysisService.getForwardEdges(steps, validEdges);
+    const path = { stepIds: [], edgeIds: [] };
+    LeadTimeService.tracePath(result, forwardEdges, startId, null, path);
+
+    return {
+      leadTimeMinutes,
+      workMinutes,
+      waitMinutes,
+      valueAddedMinutes,
+      processCycleEfficiency: leadTimeMinutes > 0 ? valueAddedMinutes / leadTimeMinutes : null,
+      criticalPath: {
+        ...path,
+        minutes: path.stepIds.reduce((sum, id) => sum + minutesById[id], 0)
+      },
+      remainingMinutes: result.times,
+      warnings
+    };
+  }
+};
+
+export default LeadTimeService;
@@ -0,0 +1,76 @@
+// src/services/leadTime.test.js
+import { LeadTimeService } from './leadTime';
+
+// 受付（10分）→ 審査（35分）または 簡易確認（5分）→ 登録（10分）
+const createSteps = () => [
+  { id: 's1', type: 'process', data: { label: '受付', time: 10, timeUnit: '分' } },
+  { id: 's2', type: 'inspection', data: { label: '審査', time: 35, timeUnit: '分' } },
+  { id: 's3', type: 'inspection', data: { label: '簡易確認', time: 5, timeUnit: '分' } },
+  { id: 's4', type: 'process', data: { label: '登録', time: 10, timeUnit: '分' } }
+];
+
+const createEdges = () => [
+  { id: 'e1', source: 's1', target: 's2', data: { probability: 50 } },
+  { id: 'e2', source: 's1', target: 's3', data: { probability: 50 } },
+  { id: 'e3', source: 's2', target: 's4', data: {} },
+  { id: 'e4', source: 's3', target: 's4', data: {} }
+];
+
+const withParallelSplit = (steps) => steps.map(step => (
+  step.id === 's1' ? { ...step, data: { ...step.data, parallelSplit: true } } : step
+));
+
+describe('LeadTimeService', () => {
+  test('排他分岐のリードタイムは確率で重み付けした期待値、クリティカルパスは長い側をたどる最悪ケースになる', () => {
+    const result = LeadTimeService.calculateLeadTime(createSteps(), createEdges());
+
+    // 10 + (35 × 50% + 5 × 50%) + 10
+    expect(result.leadTimeMinutes).toBeCloseTo(40);
+    expect(result.criticalPath).toEqual({ stepIds: ['s1', 's2', 's4'], edgeIds: ['e1', 'e3'], minutes: 55 });
+    expect(result.criticalPath.minutes).toBeGreaterThan(result.leadTimeMinutes);
+    // 付加価値（加工）20分 ÷ 期待値のリードタイム
+    expect(result.processCycleEfficiency).toBeCloseTo(0.5);
+  });
+
+  test('並行分岐は最も長い分岐だけがリードタイムに効き、クリティカルパスの所要時間と一致する', () => {
+    const result = LeadTimeService.calculateLeadTime(withParallelSplit(createSteps()), createEdges());
+
+    expect(result.leadTimeMinutes).toBeCloseTo(55);
+    expect(result.criticalPath).toEqual({ stepIds: ['s1', 's2', 's4'], edgeIds: ['e1', 'e3'], minutes: 55 });
+    // 作業時間は両方の分岐を合計する
+    expect(result.workMinutes).toBeCloseTo(60);
+  });
+
+  test('差戻しは期待回数だけリードタイムを延ばし、クリティカルパスには含めない', () => {
+    const steps = createSteps().slice(0, 2);
+    const edges = [
+      { id: 'e1', source: 's1', target: 's2', data: {} },
+      { id: 'e5', source: 's2', target: 's1', data: { probability: 20, loopBack: true } }
+    ];
+    const result = LeadTimeService.calculateLeadTime(steps, edges);
+
+    // (10 + 35) ÷ 80%
+    expect(result.leadTimeMinutes).toBeCloseTo(56.25);
+    expect(result.criticalPath).toEqual({ stepIds: ['s1', 's2'], edgeIds: ['e1'], minutes: 45 });
+  });
+
+  test('抜け出せない差戻しループは計算できない旨を警告する', () => {
+    const edges = [
+      { id: 'e1', source: 's1', target: 's2', data: {} },
+      { id: 'e5', source: 's2', target: 's1', data: { probability: 100, loopBack: true } }
+    ];
+    const result = LeadTimeService.calculateLeadTime(createSteps().slice(0, 2), edges);
+
+    expect(result.leadTimeMinutes).toBe(0);
+    expect(result.warnings.map(warning => warning.message))
+      .toContain('差戻しループから抜け出せないため、リードタイムを計算できません');
+  });
+
+  test('所要時間だけを差し替えて繰り返し求める場合も同じリードタイムになる', () => {
+    const steps = withParallelSplit(createSteps());
+    const estimate = LeadTimeService.createEstimator(steps, createEdges());
+
+    expect(estimate({ s1: 10, s2: 35, s3: 5, s4: 10 })).toBeCloseTo(55);
+    expect(estimate({ s1: 10, s2: 5, s3: 50, s4: 10 })).toBeCloseTo(70);
+  });
+});
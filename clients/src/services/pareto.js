@@ -0,0 +1,108 @@
+// src/services/pareto.js
+import appConfig from '../config/appConfig';
+
+const ABC_CLASSES = ['A', 'B', 'C'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * パレート分析の1行
+ * @typedef {Object} ParetoItem
+ * @property {string} id - ステップID
+ * @property {string} label - ステップ名
+ * @property {string} type - 工程タイプ
+ * @property {number} rank - 年間工数の多い順の順位（1始まり）
+ * @property {number} annualHours - 年間工数（時間）
+ * @property {number} share - 全体に占める割合（%）
+ * @property {number} cumulativeShare - 累積比率（%）
+ * @property {string} abcClass - ABC区分（A / B / C）
+ */
+
+/**
+ * 年間工数のパレート分析（降順の棒グラフと累積比率）とABC分析を行うサービス
+ */
+export const ParetoService = {
+  ABC_CLASSES,
+
+  /**
+   * ABC区分の比率を確定する（未指定・不正な値は既定値）
+   * @param {Object} shares - { a, b }（Aの累積比率%、Bの比率%。残りがC）
+   * @returns {Object} { a, b, c }
+   */
+  resolveShares: (shares = {}) => {
+    const defaults = appConfig.improvementDefaults.abcShares;
+    const a = parseFloat(shares?.a);
+    const b = parseFloat(shares?.b);
+    const resolvedA = a > 0 && a <= 100 ? a : defaults.a;
+    const resolvedB = b >= 0 && resolvedA + b <= 100 ? b : Math.min(defaults.b, 100 - resolvedA);
+    return { a: resolvedA, b: resolvedB, c: 100 - resolvedA - resolvedB };
+  },
+
+  /**
+   * ステップを年間工数の多い順に並べ、累積比率からABCに区分する
+   * 累積比率が区分の境界をまたぐステップは上位の区分に含める（Aには必ず1件以上入る）
+   * @param {Object} workload - WorkloadEngine の計算結果
+   * @param {Object} shares - ABC区分の比率 { a, b }
+   * @returns {Object} { items: Array<ParetoItem>, classSummary: { A: { count, annualHours, share }, ... }, shares }
+   */
+  analyze: (workload, shares = {}) => {
+    const resolved = ParetoService.resolveShares(shares);
+    const details = (workload?.stepDetails || [])
+      .filter(detail => detail.annualMinutes > 0)
+      .sort((a, b) => b.annualMinutes - a.annualMinutes);
+    const totalMinutes = details.reduce((sum, detail) => sum + detail.annualMinutes, 0);
+
+    let cumulativeMinutes = 0;
+    const items = details.map((detail, index) => {
+      const before = totalMinutes > 0 ? (cumulativeMinutes / totalMinutes) * 100 : 0;
+      cumulativeMinutes += detail.annualMinutes;
+
+      let abcClass = 'C';
+      if (before < resolved.a) {
+        abcClass = 'A';
+      } else if (before < resolved.a + resolved.b) {
+        abcClass = 'B';
+      }
+
+      return {
+        id: detail.id,
+        label: detail.label,
+        type: detail.type,
+        rank: index + 1,
+        annualHours: detail.annualHours,
+        share: round1((detail.annualMinutes / totalMinutes) * 100),
+        cumulativeShare: round1((cumulativeMinutes / totalMinutes) * 100),
+        abcClass
+      };
+    });
+
+    const classSummary = Object.fromEntries(ABC_CLASSES.map(abcClass => {
+      const matched = details.filter((detail, index) => items[index].abcClass === abcClass);
+      const minutes = matched.reduce((sum, detail) => sum + detail.annualMinutes, 0);
+      return [abcClass, {
+        count: matched.length,
+        annualHours: round1(minutes / 60),
+        share: totalMinutes > 0 ? round1((minutes / totalMinutes) * 100) : 0
+      }];
+    }));
+
+    return { items, classSummary, shares: resolved };
+  },
+
+  /**
+   * 指定した区分のステップIDを取得する
+   * @param {Object} workload - WorkloadEngine の計算結果
+   * @param {Object} shares - ABC区分の比率
+   * @param {Array<string>} classes - 区分（例: ['A']）
+   * @returns {Set<string>} ステップIDの集合
+   */
+  getStepIdsByClass: (workload, shares = {}, classes = ['A']) => {
+    return new Set(
+      ParetoService.analyze(workload, shares).items
+        .filter(item => classes.includes(item.abcClass))
+        .map(item => item.id)
+    );
+  }
+};
+
+export default ParetoService;
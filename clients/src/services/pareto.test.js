@@ -0,0 +1,51 @@
+// src/services/pareto.test.js
+import { ParetoService } from './pareto';
+import { WorkloadEngine } from './workloadEngine';
+
+// 年間工数 a: 500時間、b: 200時間、c: 150時間、d: 100時間、e: 50時間（合計1000時間）、所要時間のない z は対象外
+const createWorkload = () => {
+  const step = (id, hours) => ({ id, type: 'process', data: { label: id, time: 1, timeUnit: '時間', frequency: hours, frequencyUnit: '年' } });
+  return WorkloadEngine.calculate({
+    steps: [step('d', 100), step('a', 500), step('e', 50), step('c', 150), step('b', 200), step('z', 0)]
+  });
+};
+
+describe('ParetoService', () => {
+  test('年間工数の多い順に並べて割合と累積比率を求める', () => {
+    const pareto = ParetoService.analyze(createWorkload());
+
+    expect(pareto.items.map(item => [item.id, item.rank, item.share, item.cumulativeShare])).toEqual([
+      ['a', 1, 50, 50],
+      ['b', 2, 20, 70],
+      ['c', 3, 15, 85],
+      ['d', 4, 10, 95],
+      ['e', 5, 5, 100]
+    ]);
+  });
+
+  test('累積比率が区分の境界をまたぐステップは上位の区分に含める', () => {
+    const pareto = ParetoService.analyze(createWorkload());
+
+    // c は累積70% → 85% で80%をまたぐためA
+    expect(pareto.shares).toEqual({ a: 80, b: 15, c: 5 });
+    expect(pareto.items.map(item => item.abcClass)).toEqual(['A', 'A', 'A', 'B', 'C']);
+    expect(pareto.classSummary).toEqual({
+      A: { count: 3, annualHours: 850, share: 85 },
+      B: { count: 1, annualHours: 100, share: 10 },
+      C: { count: 1, annualHours: 50, share: 5 }
+    });
+  });
+
+  test('区分の比率を変更でき、指定した区分のステップを取り出せる', () => {
+    const workload = createWorkload();
+
+    expect(ParetoService.analyze(workload, { a: 60, b: 30 }).items.map(item => item.abcClass)).toEqual(['A', 'A', 'B', 'B', 'C']);
+    expect([...ParetoService.getStepIdsByClass(workload, { a: 60, b: 30 })]).toEqual(['a', 'b']);
+    expect([...ParetoService.getStepIdsByClass(workload, {}, ['B', 'C'])]).toEqual(['d', 'e']);
+  });
+
+  test('不正な区分の比率は既定値に戻す', () => {
+    expect(ParetoService.resolveShares({ a: 0, b: 150 })).toEqual({ a: 80, b: 15, c: 5 });
+    expect(ParetoService.resolveShares({ a: 90, b: 20 })).toEqual({ a: 90, b: 10, c: 0 });
+  });
+});
@@ -0,0 +1,287 @@
+// src/services/portfolio.js
+import { ImprovementService } from './improvementService';
+import { WorkloadEngine } from './workloadEngine';
+import { CostService } from './cost';
+import ImprovementModel from '../models/ImprovementModel';
+
+// 探索中に保持する組み合わせの上限（超えた場合は削減額の小さいものから捨てる）
+const MAX_STATES = 500;
+
+// 1つのステップで組み合わせを列挙する施策の上限（単独の削減額の大きい順）
+const MAX_CANDIDATES_PER_STEP = 6;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const formatYen = (value) => `${Math.round(value).toLocaleString()}円`;
+
+// 上限が未指定（null）なら制限なし
+const within = (value, limit) => limit === null || limit === undefined || value <= limit;
+
+const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+
+/**
+ * 見積もった候補の施策
+ * @typedef {Object} PortfolioCandidate
+ * @property {string} key - 候補のキー（施策ID:対象ステップID）
+ * @property {Object} improvement - 改善施策
+ * @property {string} stepId - 対象ステップID
+ * @property {string} stepLabel - 対象ステップ名
+ * @property {number} annualHours - 単独で実施した場合の年間削減時間
+ * @property {number} annualSavings - 単独で実施した場合の年間削減額（円）
+ * @property {number} cost - 費用の見込み（円）
+ * @property {number} effortHours - 実施工数の見込み（人時）
+ * @property {number} durationDays - 実施期間の見込み（日）
+ */
+
+/**
+ * 予算・実施工数・実施期間の制約の下で、年間削減額が最大になる施策の組み合わせを求めるサービス
+ * 同じステップへの施策は効果が重なるため、ステップごとに同時に実施できる組み合わせを列挙し、
+ * ステップ単位で選ぶ多選択ナップサック問題として、費用・工数・削減額で優越されない組み合わせを残しながら探索する
+ */
+export const PortfolioService = {
+  /**
+   * 候補の施策の削減効果・費用・実施工数・実施期間を見積もる
+   * @param {Array} improvements - 候補の改善施策の配列（targetStepId を持つ）
+   * @param {Object} options - { steps, edges, costSettings } と計算プロファイル（calendar, volumeDrivers）
+   * @returns {Array<PortfolioCandidate>} 見積もった候補（対象ステップがない施策・重複は除く）
+   */
+  estimateCandidates: (improvements = [], options = {}) => {
+    const { steps = [], edges = [], costSettings = null, ...profile } = options;
+    const workload = WorkloadEngine.calculate({ steps, edges }, profile);
+    const rateByStepId = Object.fromEntries(
+      CostService.calculate(workload, costSettings).steps.map(step => [step.id, step.hourlyRate])
+    );
+    const stepById = Object.fromEntries(steps.map(step => [step.id, step]));
+    const keys = new Set();
+
+    return improvements
+      .filter(improvement => {
+        const key = ImprovementModel.getKey(improvement);
+        if (!stepById[improvement.targetStepId] || keys.has(key)) return false;
+        keys.add(key);
+        return true;
+      })
+      .map(improvement => {
+        const step = stepById[improvement.targetStepId];
+        const effect = ImprovementService.predictImprovementEffect(step, improvement, { ...profile, workload, steps, edges });
+        return {
+          key: ImprovementModel.getKey(improvement),
+          improvement,
+          stepId: step.id,
+          stepLabel: step.data?.label || step.id,
+          annualHours: round1(effect.annualHours),
+          annualSavings: Math.round(effect.annualHours * (rateByStepId[step.id] || 0)),
+          cost: ImprovementModel.getCostEstimate(improvement),
+          effortHours: ImprovementModel.getEffortHours(improvement),
+          durationDays: ImprovementModel.getDurationDays(improvement)
+        };
+      });
+  },
+
+  /**
+   * 同じステップの施策を組み合わせたときに、各施策の単独の効果のうち実際に見込める割合を求める
+   * @param {Array<PortfolioCandidate>} candidates - 同じステップの候補
+   * @param {string} interactionRule - 同じステップへの施策の合成方法
+   * @returns {Array<number>} 候補ごとの割合（0〜1）
+   */
+  getOverlapFactors: (candidates = [], interactionRule = 'multiplicative') => {
+    const { shares } = ImprovementModel.combineReductions(candidates.map(candidate => candidate.improvement), interactionRule);
+    return candidates.map((candidate, index) => {
+      const percent = ImprovementModel.getReductionPercent(candidate.improvement) / 100;
+      return percent > 0 ? shares[index].share / percent : 1;
+    });
+  },
+
+  /**
+   * 組み合わせの年間削減額を求める（同じステップの施策は効果の重なりを差し引く）
+   * @param {Array<PortfolioCandidate>} candidates - 同じステップの候補
+   * @param {string} interactionRule - 同じステップへの施策の合成方法
+   * @returns {number} 年間削減額（円）
+   */
+  evaluateSet: (candidates = [], interactionRule = 'multiplicative') => {
+    const factors = PortfolioService.getOverlapFactors(candidates, interactionRule);
+    return candidates.reduce((total, candidate, index) => total + candidate.annualSavings * factors[index], 0);
+  },
+
+  /**
+   * 費用・実施工数がともに小さく削減額が大きい組み合わせに優越される組み合わせを除く
+   * @param {Array} states - 組み合わせの配列 { cost, effortHours, savings, items }
+   * @returns {Array} 優越されない組み合わせ（削減額の大きい順、最大 MAX_STATES 件）
+   */
+  prune: (states) => {
+    const sorted = [...states].sort((a, b) => b.savings - a.savings || a.cost - b.cost || a.effortHours - b.effortHours);
+    const kept = [];
+    for (const state of sorted) {
+      if (!kept.some(other => other.cost <= state.cost && other.effortHours <= state.effortHours)) {
+        kept.push(state);
+        if (kept.length >= MAX_STATES) break;
+      }
+    }
+    return kept;
+  },
+
+  /**
+   * 制約の下で年間削減額が最大になる施策の組み合わせと、費用に対する効率的フロンティアを求める
+   * 実施期間の上限は施策1件ごとに判定し（施策は並行して実施する前提で、組み合わせ全体の期間は最長の施策の期間になる）、
+   * 予算・実施工数は組み合わせの合計で判定する
+   * @param {Array<PortfolioCandidate>} candidates - 見積もった候補
+   * @param {Object} constraints - { budget: 予算（円）, maxEffortHours: 実施工数の上限（人時）, maxDurationDaysPerMeasure: 施策ごとの実施期間の上限（日） }（null は制限なし）
+   * @param {Object} options - { interactionRule: 同じステップへの施策の合成方法 }
+   * @returns {Object} { selected, totals, frontier, decisions: [{ key, selected, reason }] }
+   */
+  optimize: (candidates = [], constraints = {}, options = {}) => {
+    const { budget = null, maxEffortHours = null, maxDurationDaysPerMeasure = null } = constraints;
+    const { interactionRule = 'multiplicative' } = options;
+
+    // 単独で予算・施策ごとの実施期間・工数の上限を満たし、削減効果のある施策だけを組み合わせる
+    const eligible = candidates.filter(candidate =>
+      candidate.annualSavings > 0 &&
+      within(candidate.cost, budget) &&
+      within(candidate.durationDays, maxDurationDaysPerMeasure) &&
+      within(candidate.effortHours, maxEffortHours)
+    );
+    const byStep = new Map();
+    eligible.forEach(candidate => {
+      byStep.set(candidate.stepId, [...(byStep.get(candidate.stepId) || []), candidate]);
+    });
+
+    // ステップごとに、同時に実施できる施策の組み合わせを列挙する
+    const considered = new Set();
+    const groups = [...byStep.values()].map(group => {
+      const top = [...group].sort((a, b) => b.annualSavings - a.annualSavings).slice(0, MAX_CANDIDATES_PER_STEP);
+      top.forEach(candidate => considered.add(candidate.key));
+
+      const choices = [];
+      for (let mask = 1; mask < 2 ** top.length; mask++) {
+        const items = top.filter((candidate, index) => Math.floor(mask / 2 ** index) % 2 === 1);
+        const cost = sum(items, 'cost');
+        const effortHours = sum(items, 'effortHours');
+        if (!within(cost, budget) || !within(effortHours, maxEffortHours)) continue;
+        if (ImprovementModel.findConflicts(items.map(item => item.improvement)).length > 0) continue;
+        choices.push({ items, cost, effortHours, savings: PortfolioService.evaluateSet(items, interactionRule) });
+      }
+      return choices;
+    });
+
+    // 予算・工数の上限を超える組み合わせは探索中に捨てる（上限件数で打ち切る前に、予算内の組み合わせを残すため）
+    const empty = { cost: 0, effortHours: 0, savings: 0, items: [] };
+    let states = [empty];
+    groups.forEach(choices => {
+      const next = [...states];
+      states.forEach(state => {
+        choices.forEach(choice => {
+          const cost = state.cost + choice.cost;
+          const effortHours = state.effortHours + choice.effortHours;
+          if (!within(cost, budget) || !within(effortHours, maxEffortHours)) return;
+          next.push({
+            cost,
+            effortHours,
+            savings: state.savings + choice.savings,
+            items: [...state.items, ...choice.items]
+          });
+        });
+      });
+      states = PortfolioService.prune(next);
+    });
+
+    // 効率的フロンティア（予算内）: 費用の小さい順に、それより安い組み合わせより削減額が大きいものを残す
+    const frontier = [];
+    [...states]
+      .sort((a, b) => a.cost - b.cost || b.savings - a.savings)
+      .forEach(state => {
+        if (frontier.length === 0 || state.savings > frontier[frontier.length - 1].savings) {
+          frontier.push(state);
+        }
+      });
+    const best = frontier.length > 0 ? frontier[frontier.length - 1] : empty;
+
+    // 採用した施策の、効果の重なりを差し引いた削減額
+    const selectedByStep = new Map();
+    best.items.forEach(item => {
+      selectedByStep.set(item.stepId, [...(selectedByStep.get(item.stepId) || []), item]);
+    });
+    const contributionByKey = new Map();
+    selectedByStep.forEach(items => {
+      const factors = PortfolioService.getOverlapFactors(items, interactionRule);
+      items.forEach((item, index) => contributionByKey.set(item.key, {
+        annualSavings: item.annualSavings * factors[index],
+        annualHours: item.annualHours * factors[index]
+      }));
+    });
+
+    const explain = (candidate) => {
+      const contribution = contributionByKey.get(candidate.key);
+      if (contribution) {
+        // 費用のかからない施策は回収期間を示さない
+        const payback = contribution.annualSavings > 0 && candidate.cost > 0
+          ? round1(candidate.cost / (contribution.annualSavings / 12))
+          : null;
+        return `採用: 年間${formatYen(contribution.annualSavings)}の削減に対し費用${formatYen(candidate.cost)}`
+          + (payback !== null ? `（約${payback}か月で回収）` : '');
+      }
+      if (!within(candidate.durationDays, maxDurationDaysPerMeasure)) {
+        return `実施期間の見込み（${candidate.durationDays}日）が施策ごとの上限（${maxDurationDaysPerMeasure}日）を超えるため対象外`;
+      }
+      if (!within(candidate.effortHours, maxEffortHours)) {
+        return `実施工数の見込み（${candidate.effortHours}人時）が上限（${maxEffortHours}人時）を超えるため対象外`;
+      }
+      if (candidate.annualSavings <= 0) {
+        return '年間の削減効果が見込めないため対象外';
+      }
+      if (!within(candidate.cost, budget)) {
+        return `費用の見込み（${formatYen(candidate.cost)}）だけで予算（${formatYen(budget)}）を超えるため対象外`;
+      }
+
+      const sameStep = selectedByStep.get(candidate.stepId) || [];
+      const conflict = ImprovementModel.findConflicts([...sameStep, candidate].map(item => item.improvement))
+        .find(item => item.improvementIds.includes(candidate.improvement.id));
+      if (conflict) {
+        const other = sameStep.find(item => conflict.improvementIds.includes(item.improvement.id));
+        return `採用した「${other?.improvement.title || ''}」と同時に実施できないため見送り`;
+      }
+      if (!considered.has(candidate.key)) {
+        return `同じステップに削減額の大きい施策が${MAX_CANDIDATES_PER_STEP}件以上あるため、組み合わせの候補から外した`;
+      }
+      if (sameStep.length > 0) {
+        const added = PortfolioService.evaluateSet([...sameStep, candidate], interactionRule) - PortfolioService.evaluateSet(sameStep, interactionRule);
+        return `同じステップで採用した「${sameStep.map(item => item.improvement.title).join('」「')}」と効果が重なり、`
+          + `追加の削減は年間${formatYen(added)}（費用${formatYen(candidate.cost)}）にとどまるため見送り`;
+      }
+      if (!within(best.cost + candidate.cost, budget)) {
+        return `予算の残り（${formatYen(budget - best.cost)}）では費用（${formatYen(candidate.cost)}）をまかなえないため見送り`;
+      }
+      if (!within(best.effortHours + candidate.effortHours, maxEffortHours)) {
+        return `実施工数の上限の残り（${maxEffortHours - best.effortHours}人時）では工数（${candidate.effortHours}人時）をまかなえないため見送り`;
+      }
+      // 費用が0円の場合は比率を示さない
+      return 'より費用対効果の高い組み合わせを優先したため見送り'
+        + (candidate.cost > 0 ? `（年間削減額は費用の${round1(candidate.annualSavings / candidate.cost * 100)}%）` : '');
+    };
+
+    const contributions = [...contributionByKey.values()];
+    return {
+      selected: best.items,
+      totals: {
+        cost: best.cost,
+        effortHours: best.effortHours,
+        annualSavings: Math.round(sum(contributions, 'annualSavings')),
+        annualHours: round1(sum(contributions, 'annualHours')),
+        durationDays: Math.max(0, ...best.items.map(item => item.durationDays))
+      },
+      frontier: frontier.map(state => ({
+        cost: state.cost,
+        effortHours: state.effortHours,
+        annualSavings: Math.round(state.savings),
+        keys: state.items.map(item => item.key),
+        selected: state === best
+      })),
+      decisions: candidates.map(candidate => ({
+        key: candidate.key,
+        selected: contributionByKey.has(candidate.key),
+        reason: explain(candidate)
+      }))
+    };
+  }
+};
+
+export default PortfolioService;
@@ -0,0 +1,120 @@
+// src/services/portfolio.test.js
+import { PortfolioService } from './portfolio';
+import { createStep } from './__fixtures__/process';
+
+// 入力（年500回・30分で年間250時間）と確認（年52回・1時間で年間52時間）
+const createSteps = () => [createStep('s1', 'input'), createStep('s2', 'check')];
+
+const candidate = (id, title, stepId, improvement, annualSavings, cost, effortHours, durationDays) => ({
+  key: `${id}:${stepId}`,
+  improvement: { id, title, targetStepId: stepId, ...improvement },
+  stepId,
+  stepLabel: stepId,
+  annualHours: annualSavings / 3000,
+  annualSavings,
+  cost,
+  effortHours,
+  durationDays
+});
+
+// 入力への2つの50%短縮、確認の廃止とチェックリスト（同時に実施できない）、高額なシステム導入
+const createCandidates = () => [
+  candidate('c1', '自動化', 's1', { timeReductionPercent: 50 }, 1000000, 250000, 10, 14),
+  candidate('c2', '標準化', 's1', { timeReductionPercent: 50 }, 1000000, 250000, 10, 14),
+  candidate('c3', '検査の廃止', 's2', { ecrs: 'eliminate' }, 800000, 1750000, 40, 90),
+  candidate('c4', 'チェックリスト', 's2', { timeReductionPercent: 30 }, 240000, 250000, 10, 14),
+  candidate('c5', 'システム導入', 's3', { timeReductionPercent: 40 }, 600000, 5000000, 120, 180)
+];
+
+describe('PortfolioService', () => {
+  describe('estimateCandidates', () => {
+    test('削減効果を年間削減額に換算し、費用・実施工数・実施期間を見積もる', () => {
+      const [estimated] = PortfolioService.estimateCandidates([
+        { id: 'x', title: '標準化', targetStepId: 's1', timeReductionPercent: 50, estimatedCost: 'low', implementationDifficulty: 'low' }
+      ], { steps: createSteps() });
+
+      expect(estimated).toMatchObject({ key: 'x:s1', stepLabel: '入力', annualHours: 125, annualSavings: 375000, cost: 250000, effortHours: 10, durationDays: 14 });
+    });
+
+    test('対象ステップがない施策と重複する施策は除く', () => {
+      const estimated = PortfolioService.estimateCandidates([
+        { id: 'x', title: '標準化', targetStepId: 's1', timeReductionPercent: 50 },
+        { id: 'x', title: '標準化', targetStepId: 's1', timeReductionPercent: 50 },
+        { id: 'y', title: '対象なし', targetStepId: 'missing' }
+      ], { steps: createSteps() });
+
+      expect(estimated.map(item => item.key)).toEqual(['x:s1']);
+    });
+  });
+
+  describe('optimize', () => {
+    test('同じステップの施策は効果の重なりを差し引いて、予算内で年間削減額が最大になる組み合わせを選ぶ', () => {
+      // 同じステップの2つの50%短縮は合わせて75%なので、c1 + c3 の方が c1 + c2 + c4 より削減額が大きい
+      const result = PortfolioService.optimize(createCandidates(), { budget: 2000000 });
+
+      expect(result.selected.map(item => item.key)).toEqual(['c1:s1', 'c3:s2']);
+      expect(result.totals).toEqual({ cost: 2000000, effortHours: 50, annualSavings: 1800000, annualHours: 600, durationDays: 90 });
+    });
+
+    test('予算内の組み合わせから費用に対する効率的フロンティアを返し、最も費用の大きい点を採用する', () => {
+      const result = PortfolioService.optimize(createCandidates(), { budget: 2000000 });
+
+      expect(result.frontier.map(point => [point.cost, point.annualSavings])).toEqual([
+        [0, 0], [250000, 1000000], [500000, 1500000], [750000, 1740000], [2000000, 1800000]
+      ]);
+      expect(result.frontier.filter(point => point.selected).map(point => point.cost)).toEqual([2000000]);
+    });
+
+    test('施策ごとに採否の理由を返す', () => {
+      const result = PortfolioService.optimize(createCandidates(), { budget: 2000000 });
+
+      expect(result.decisions.map(decision => decision.reason)).toEqual([
+        '採用: 年間1,000,000円の削減に対し費用250,000円（約3か月で回収）',
+        '同じステップで採用した「自動化」と効果が重なり、追加の削減は年間500,000円（費用250,000円）にとどまるため見送り',
+        '採用: 年間800,000円の削減に対し費用1,750,000円（約26.2か月で回収）',
+        '採用した「検査の廃止」と同時に実施できないため見送り',
+        '費用の見込み（5,000,000円）だけで予算（2,000,000円）を超えるため対象外'
+      ]);
+    });
+
+    test('費用のかからない施策は回収期間・費用に対する比率を示さない', () => {
+      const candidates = [...createCandidates(), candidate('c6', '運用ルールの見直し', 's4', { timeReductionPercent: 20 }, 300000, 0, 5, 7)];
+      const result = PortfolioService.optimize(candidates, { budget: 2000000 });
+      const reasons = result.decisions.map(decision => decision.reason);
+
+      expect(reasons[5]).toBe('採用: 年間300,000円の削減に対し費用0円');
+      expect(reasons.some(reason => /Infinity|NaN/.test(reason))).toBe(false);
+    });
+
+    test('組み合わせが保持する上限を超えても、予算内で年間削減額が最大になる組み合わせを選ぶ', () => {
+      // 16ステップに1件ずつ、費用が高いほど削減額が大きく実施工数が小さい施策（組み合わせは約6万5千通り）
+      const candidates = Array.from({ length: 16 }, (_, index) => candidate(
+        `m${index}`, `施策${index}`, `s${index}`, { timeReductionPercent: 50 },
+        300000 + index * 50000, 100000 + index * 50000, 30 - index, 14
+      ));
+      const result = PortfolioService.optimize(candidates, { budget: 300000 });
+
+      // 費用の合計が300,000円に収まるのは施策0〜4の1件か、施策0と1・施策0と2の組み合わせ
+      expect(result.selected.map(item => item.key)).toEqual(['m0:s0', 'm2:s2']);
+      expect(result.totals).toMatchObject({ cost: 300000, annualSavings: 700000 });
+      expect(result.frontier.every(point => point.cost <= 300000)).toBe(true);
+    });
+
+    test('予算内に収まる組み合わせがなければ何も採用しない', () => {
+      const result = PortfolioService.optimize(createCandidates(), { budget: 100000 });
+
+      expect(result.selected).toEqual([]);
+      expect(result.totals).toEqual({ cost: 0, effortHours: 0, annualSavings: 0, annualHours: 0, durationDays: 0 });
+      expect(result.decisions[0].reason).toBe('費用の見込み（250,000円）だけで予算（100,000円）を超えるため対象外');
+    });
+
+    test('実施工数の上限を超える施策と、施策ごとの実施期間の上限を超える施策は組み合わせに含めない', () => {
+      const limited = PortfolioService.optimize(createCandidates(), { budget: 2000000, maxEffortHours: 30, maxDurationDaysPerMeasure: 90 });
+
+      expect(limited.selected.map(item => item.key)).toEqual(['c1:s1', 'c2:s1', 'c4:s2']);
+      expect(limited.totals.annualSavings).toBe(1740000);
+      expect(limited.decisions[2].reason).toBe('実施工数の見込み（40人時）が上限（30人時）を超えるため対象外');
+      expect(limited.decisions[4].reason).toBe('実施期間の見込み（180日）が施策ごとの上限（90日）を超えるため対象外');
+    });
+  });
+});
@@ -0,0 +1,326 @@
+// src/services/processSheet.js
+import appConfig from '../config/appConfig';
+import { TimeCalculationService } from './timeCalculation';
+import layoutUtils from '../utils/layoutUtils';
+import svgUtils from '../utils/svgUtils';
+import StepModel from '../models/StepModel';
+import CalendarModel from '../models/CalendarModel';
+
+// 工程分析表の記号欄の寸法
+const SYMBOL_COLUMN_WIDTH = 40;
+const SYMBOL_SIZE = 18;
+const ROW_HEIGHT = 36;
+
+// Excelなど文字だけで表す場合の記号
+const SYMBOL_GLYPHS = {
+  circle: '○',
+  square: '□',
+  diamond: '◇',
+  triangle: '▽',
+  'special-rectangle': '▭'
+};
+
+/**
+ * HTMLに埋め込む文字列をエスケープする
+ * @param {*} value - 値
+ * @returns {string} - エスケープ済みの文字列
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 工程分析表（JMA方式）を作成するサービス
+ * ステップを流れ順に1行ずつ並べ、工程記号を縦につないで表示する
+ */
+export const ProcessSheetService = {
+  SYMBOL_COLUMN_WIDTH,
+  ROW_HEIGHT,
+
+  /**
+   * 記号欄に並べる工程タイプ（appConfig.jmaSymbols の定義順）
+   * @returns {Array} - [{ type, name, shape, glyph }] の配列
+   */
+  getSymbolColumns: () => {
+    return Object.entries(appConfig.jmaSymbols).map(([type, symbol]) => ({
+      type,
+      name: symbol.name,
+      shape: symbol.shape,
+      glyph: SYMBOL_GLYPHS[symbol.shape] || '●'
+    }));
+  },
+
+  /**
+   * ステップを流れ順に並べる（同じ段のステップは元の並び順）
+   * @param {Array} steps - ステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Array} - 並べ替えたステップの配列
+   */
+  orderSteps: (steps = [], edges = []) => {
+    const graph = layoutUtils.buildAcyclicGraph(steps, edges);
+    const layerOf = layoutUtils.assignLayers(steps, graph);
+
+    return steps
+      .map((step, index) => ({ step, index }))
+      .sort((a, b) => (layerOf[a.step.id] - layerOf[b.step.id]) || (a.index - b.index))
+      .map(item => item.step);
+  },
+
+  /**
+   * 工程分析表の行データを作成する
+   * @param {Array} steps - ステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション（calendar: 営業カレンダー、hoursPerDay）
+   * @returns {Array} - 行データの配列
+   */
+  buildRows: (steps = [], edges = [], options = {}) => {
+    return ProcessSheetService.orderSteps(steps, edges).map((step, index) => {
+      const data = step.data || {};
+      const distance = parseFloat(data.distance);
+      const quantity = parseFloat(data.quantity);
+      const { hoursPerDay } = CalendarModel.resolveOptions(options, data.responsible);
+
+      return {
+        no: index + 1,
+        id: step.id,
+        type: StepModel.parseCompositeType(step.type).type,
+        secondaryType: StepModel.getSecondaryType(step),
+        symbolName: StepModel.getCompositeName(step),
+        label: data.label || '',
+        minutes: TimeCalculationService.convertToMinutes(parseFloat(data.time), data.timeUnit, hoursPerDay),
+        distance: isNaN(distance) ? 0 : distance * (data.distanceUnit === 'km' ? 1000 : 1),
+        quantity: isNaN(quantity) ? null : quantity,
+        responsible: data.responsible || '',
+        notes: data.notes || ''
+      };
+    });
+  },
+
+  /**
+   * 記号ごとの合計（回数・時間・距離）を集計する
+   * @param {Array} rows - 行データの配列
+   * @returns {Object} - { bySymbol: [{ type, name, count, minutes, distance }], total: { count, minutes, distance } }
+   */
+  calculateTotals: (rows = []) => {
+    const bySymbol = ProcessSheetService.getSymbolColumns().map(column => {
+      const matched = rows.filter(row => row.type === column.type);
+      return {
+        type: column.type,
+        name: column.name,
+        glyph: column.glyph,
+        count: matched.length,
+        minutes: matched.reduce((sum, row) => sum + row.minutes, 0),
+        distance: matched.reduce((sum, row) => sum + row.distance, 0)
+      };
+    });
+
+    return {
+      bySymbol,
+      total: {
+        count: rows.length,
+        minutes: rows.reduce((sum, row) => sum + row.minutes, 0),
+        distance: rows.reduce((sum, row) => sum + row.distance, 0)
+      }
+    };
+  },
+
+  /**
+   * 1行分の記号欄のSVGを生成する
+   * 5つの記号を薄く描き、該当する記号を強調して前後の行の記号と線でつなぐ
+   * @param {Array} rows - 行データの配列
+   * @param {number} index - 行のインデックス
+   * @returns {string} - SVG文字列
+   */
+  generateRowSymbolSvg: (rows, index) => {
+    const columns = ProcessSheetService.getSymbolColumns();
+    const width = SYMBOL_COLUMN_WIDTH * columns.length;
+    const centerY = ROW_HEIGHT / 2;
+    const columnX = (type) => {
+      const columnIndex = columns.findIndex(column => column.type === type);
+      return columnIndex < 0 ? null : columnIndex * SYMBOL_COLUMN_WIDTH + SYMBOL_COLUMN_WIDTH / 2;
+    };
+
+    const currentX = columnX(rows[index].type);
+    let lines = '';
+
+    // 前後の行との接続線（行の境目で折り返す）
+    if (currentX !== null && index > 0) {
+      const previousX = columnX(rows[index - 1].type);
+      if (previousX !== null) {
+        lines += `<line x1="${(previousX + currentX) / 2}" y1="0" x2="${currentX}" y2="${centerY}" stroke="#333" stroke-width="2" />`;
+      }
+    }
+    if (currentX !== null && index < rows.length - 1) {
+      const nextX = columnX(rows[index + 1].type);
+      if (nextX !== null) {
+        lines += `<line x1="${currentX}" y1="${centerY}" x2="${(currentX + nextX) / 2}" y2="${ROW_HEIGHT}" stroke="#333" stroke-width="2" />`;
+      }
+    }
+
+    const symbols = columns.map(column => {
+      const marked = column.type === rows[index].type;
+      const shape = svgUtils.generateSymbolShape(column.shape, columnX(column.type), centerY, {
+        size: SYMBOL_SIZE,
+        stroke: marked ? '#333' : '#d0d0d0',
+        strokeWidth: marked ? 2 : 1
+      });
+
+      // 複合記号は主記号の内側に副記号を描く
+      const secondary = marked && rows[index].secondaryType
+        ? svgUtils.generateSymbolShape(
+          appConfig.jmaSymbols[rows[index].secondaryType].shape,
+          columnX(column.type),
+          centerY,
+          { size: SYMBOL_SIZE / 2, strokeWidth: 1.5, fill: 'none' }
+        )
+        : '';
+
+      return shape + secondary;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${ROW_HEIGHT}" viewBox="0 0 ${width} ${ROW_HEIGHT}" style="display:block">${lines}${symbols}</svg>`;
+  },
+
+  /**
+   * Excelエクスポート用のシートデータを作成する
+   * @param {Array} rows - 行データの配列
+   * @param {Object} totals - 記号ごとの合計
+   * @returns {Object} - { name, rows, columnWidths }
+   */
+  toExcelSheet: (rows, totals) => {
+    const columns = ProcessSheetService.getSymbolColumns();
+    const header = [
+      'No', '工程名', ...columns.map(column => column.name),
+      '時間(分)', '距離(m)', '数量', '担当者', '備考'
+    ];
+
+    const body = rows.map(row => [
+      row.no,
+      row.label,
+      ...columns.map(column => {
+        if (column.type !== row.type) return '';
+        const secondary = columns.find(item => item.type === row.secondaryType);
+        return secondary ? `${column.glyph}(${secondary.glyph})` : column.glyph;
+      }),
+      Math.round(row.minutes * 10) / 10,
+      row.distance || '',
+      row.quantity ?? '',
+      row.responsible,
+      row.secondaryType ? [row.symbolName, row.notes].filter(Boolean).join(' / ') : row.notes
+    ]);
+
+    const summary = [
+      ['記号別集計', '', '回数', '時間(分)', '距離(m)'],
+      ...totals.bySymbol.map(item => [
+        `${item.glyph} ${item.name}`, '', item.count, Math.round(item.minutes * 10) / 10, item.distance
+      ]),
+      ['合計', '', totals.total.count, Math.round(totals.total.minutes * 10) / 10, totals.total.distance]
+    ];
+
+    return {
+      name: '工程分析表',
+      rows: [header, ...body, [], ...summary],
+      columnWidths: [6, 24, ...columns.map(() => 6), 10, 10, 8, 14, 30]
+    };
+  },
+
+  /**
+   * PDF出力用のHTML文書を生成する
+   * @param {Array} rows - 行データの配列
+   * @param {Object} totals - 記号ごとの合計
+   * @param {Object} options - オプション（title、metrics: 末尾に載せる指標の一覧 [項目, 値, 単位]）
+   * @returns {string} - HTML文字列
+   */
+  generateHtml: (rows, totals, options = {}) => {
+    const { title = '工程分析表', metrics = [] } = options;
+    const columns = ProcessSheetService.getSymbolColumns();
+    const format = (value) => (Math.round(value * 10) / 10).toLocaleString();
+
+    const headerCells = columns
+      .map(column => `<th class="symbol">${escapeHtml(column.glyph)}<br/>${escapeHtml(column.name)}</th>`)
+      .join('');
+
+    const bodyRows = rows.map((row, index) => `
+      <tr>
+        <td class="num">${row.no}</td>
+        <td>${escapeHtml(row.label)}</td>
+        <td class="symbols" colspan="${columns.length}">${ProcessSheetService.generateRowSymbolSvg(rows, index)}</td>
+        <td class="num">${format(row.minutes)}</td>
+        <td class="num">${row.distance ? format(row.distance) : ''}</td>
+        <td class="num">${row.quantity ?? ''}</td>
+        <td>${escapeHtml(row.responsible)}</td>
+        <td>${escapeHtml(row.notes)}</td>
+      </tr>`).join('');
+
+    const totalRows = totals.bySymbol.map(item => `
+      <tr>
+        <td>${escapeHtml(item.glyph)} ${escapeHtml(item.name)}</td>
+        <td class="num">${item.count}</td>
+        <td class="num">${format(item.minutes)}</td>
+        <td class="num">${format(item.distance)}</td>
+      </tr>`).join('');
+
+    const metricsTable = metrics.length > 0 ? `
+  <table>
+    <thead>
+      <tr><th>指標</th><th>値</th><th>単位</th></tr>
+    </thead>
+    <tbody>${metrics.map(([label, value, unit]) => `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        <td class="num">${typeof value === 'number' ? format(value) : escapeHtml(value)}</td>
+        <td>${escapeHtml(unit)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; font-size: 11px; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 12px; }
+  table { border-collapse: collapse; margin-bottom: 16px; }
+  th, td { border: 1px solid #999; padding: 0 6px; height: ${ROW_HEIGHT}px; }
+  th { background: #f0f0f0; }
+  th.symbol { width: ${SYMBOL_COLUMN_WIDTH}px; padding: 2px 0; font-weight: normal; }
+  td.symbols { padding: 0; }
+  td.num { text-align: right; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <table>
+    <thead>
+      <tr>
+        <th>No</th><th>工程名</th>${headerCells}
+        <th>時間(分)</th><th>距離(m)</th><th>数量</th><th>担当者</th><th>備考</th>
+      </tr>
+    </thead>
+    <tbody>${bodyRows}
+    </tbody>
+  </table>
+  <table>
+    <thead>
+      <tr><th>記号</th><th>回数</th><th>時間(分)</th><th>距離(m)</th></tr>
+    </thead>
+    <tbody>${totalRows}
+      <tr>
+        <th>合計</th>
+        <th class="num">${totals.total.count}</th>
+        <th class="num">${format(totals.total.minutes)}</th>
+        <th class="num">${format(totals.total.distance)}</th>
+      </tr>
+    </tbody>
+  </table>${metricsTable}
+</body>
+</html>`;
+  }
+};
+
+export default ProcessSheetService;
@@ -0,0 +1,343 @@
+// src/services/queueSimulation.js
+import StepModel from '../models/StepModel';
+import CalendarModel from '../models/CalendarModel';
+import { FlowAnalysisService } from './flowAnalysis';
+import { TimeCalculationService } from './timeCalculation';
+import { WorkloadEngine } from './workloadEngine';
+import { SimulationService } from './simulation';
+
+// ボトルネックとみなす稼働率
+const BOTTLENECK_UTILIZATION = 0.85;
+
+/**
+ * 発生時刻順に取り出すイベントキュー（二分ヒープ）
+ * 同時刻のイベントは登録順に取り出すため、結果は常に同じになる
+ */
+const createEventQueue = () => {
+  const heap = [];
+  let sequence = 0;
+  const before = (a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq);
+
+  return {
+    size: () => heap.length,
+    push: (event) => {
+      heap.push({ ...event, seq: sequence++ });
+      let index = heap.length - 1;
+      while (index > 0) {
+        const parent = Math.floor((index - 1) / 2);
+        if (!before(heap[index], heap[parent])) break;
+        [heap[index], heap[parent]] = [heap[parent], heap[index]];
+        index = parent;
+      }
+    },
+    pop: () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+          if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+          if (smallest === index) break;
+          [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+          index = smallest;
+        }
+      }
+      return top;
+    }
+  };
+};
+
+/**
+ * 待ち行列の離散イベントシミュレーションを行うサービス
+ * 開始ステップに頻度から求めた到着率で案件を投入し、各ステップを同時処理数（担当人数）を持つ窓口として、
+ * 稼働率・平均待ち行列長・平均待ち時間を求める
+ * 時刻は稼働時間（分）で数え、1日 = hoursPerDay 時間として営業日をつなげて扱う
+ */
+export const QueueSimulationService = {
+  BOTTLENECK_UTILIZATION,
+
+  /**
+   * ステップの同時処理数を取得する
+   * 停滞・保管は未指定なら無制限（設定した時間だけ置かれる）、それ以外は未指定なら1
+   * @param {Object} step - プロセスステップ
+   * @returns {number} 同時処理数（無制限はInfinity）
+   */
+  getServers: (step) => {
+    const servers = parseInt(step.data?.servers, 10);
+    if (servers > 0) return servers;
+
+    const { type } = StepModel.parseCompositeType(step.type);
+    return ['delay', 'storage'].includes(type) ? Infinity : 1;
+  },
+
+  /**
+   * 開始ステップの1営業日あたりの到着件数を求める
+   * @param {Object} step - プロセスステップ
+   * @param {Object} options - 年間換算のオプション（calendar: 営業カレンダー、volumeDrivers: ボリュームドライバー、businessDaysPerYear など）
+   * @returns {number} 1日あたりの到着件数
+   */
+  getArrivalsPerDay: (step, options = {}) => {
+    const { businessDaysPerYear } = CalendarModel.resolveOptions(options, step.data?.responsible);
+    return WorkloadEngine.getAnnualOccurrences(step, options) / businessDaysPerYear;
+  },
+
+  /**
+   * シミュレーションを実行する
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション（days: 営業日数, seed: 乱数シード, calendar: 営業カレンダー, hoursPerDay）
+   * @returns {Object} { horizonMinutes, stepStats: {ステップID: 統計}, completedItems, wipAtEnd, averageLeadTimeMinutes, bottleneckStepId }
+   */
+  run: (steps = [], edges = [], options = {}) => {
+    const { days = 5, seed = 1 } = options;
+    const { hoursPerDay } = CalendarModel.resolveOptions(options);
+
+    const horizon = days * hoursPerDay * 60;
+    const random = SimulationService.createRandom(seed);
+    const queue = createEventQueue();
+
+    const stepById = {};
+    steps.forEach(step => {
+      stepById[step.id] = step;
+    });
+    const validEdges = edges.filter(edge => stepById[edge.source] && stepById[edge.target]);
+    const { probabilities } = FlowAnalysisService.resolveTransitionProbabilities(
+      steps, validEdges, { scaleJoins: false }
+    );
+    const joinBySplit = {};
+    FlowAnalysisService.findParallelJoins(steps, validEdges).forEach(join => {
+      joinBySplit[join.splitId] = join;
+    });
+
+    // ステップ（窓口）ごとの状態と統計
+    const stations = {};
+    steps.forEach(step => {
+      stations[step.id] = {
+        servers: QueueSimulationService.getServers(step),
+        busy: 0,
+        waiting: [],
+        lastTime: 0,
+        busyArea: 0,
+        queueArea: 0,
+        arrivals: 0,
+        served: 0,
+        waitTotal: 0,
+        started: 0,
+        maxQueue: 0
+      };
+    });
+
+    const advance = (station, now) => {
+      const elapsed = now - station.lastTime;
+      station.busyArea += Math.min(station.busy, station.servers) * elapsed;
+      station.queueArea += station.waiting.length * elapsed;
+      station.lastTime = now;
+    };
+
+    const serviceMinutes = (step) => {
+      if (StepModel.hasSubProcess(step)) {
+        return TimeCalculationService.calculateSubProcessMinutes(step.data.subProcess, options);
+      }
+      const time = parseFloat(SimulationService.sampleStepTime(step, random)) || 0;
+      const stepHoursPerDay = CalendarModel.resolveOptions(options, step.data?.responsible).hoursPerDay;
+      return TimeCalculationService.convertToMinutes(time, step.data?.timeUnit, stepHoursPerDay);
+    };
+
+    // 案件（並行分岐中は複数のトークンに分かれる）
+    const items = [];
+    const joinCounts = {};
+    let forkSequence = 0;
+    const leadTimes = [];
+
+    const startService = (stepId, token, now) => {
+      const station = stations[stepId];
+      station.busy += 1;
+      station.started += 1;
+      queue.push({ time: now + serviceMinutes(stepById[stepId]), kind: 'finish', stepId, token });
+    };
+
+    const endToken = (token, now) => {
+      const item = items[token.itemId];
+      item.activeTokens -= 1;
+      if (item.activeTokens === 0) {
+        item.completedAt = now;
+        leadTimes.push(now - item.arrivedAt);
+      }
+    };
+
+    const arrive = (stepId, token, now) => {
+      // 並行分岐の合流点では、すべての分岐がそろうまで待つ
+      let current = token;
+      while (current.forks.length > 0 && current.forks[current.forks.length - 1].joinId === stepId) {
+        const fork = current.forks[current.forks.length - 1];
+        joinCounts[fork.key] = (joinCounts[fork.key] || 0) + 1;
+        if (joinCounts[fork.key] < fork.branchCount) {
+          items[current.itemId].activeTokens -= 1;
+          return;
+        }
+        current = { ...current, forks: current.forks.slice(0, -1) };
+      }
+
+      const station = stations[stepId];
+      advance(station, now);
+      station.arrivals += 1;
+
+      if (station.busy < station.servers) {
+        startService(stepId, current, now);
+      } else {
+        station.waiting.push({ token: current, enqueuedAt: now });
+        station.maxQueue = Math.max(station.maxQueue, station.waiting.length);
+      }
+    };
+
+    const route = (stepId, token, now) => {
+      const outgoing = validEdges.filter(edge => edge.source === stepId);
+      if (outgoing.length === 0) {
+        endToken(token, now);
+        return;
+      }
+
+      const join = joinBySplit[stepId];
+      const branches = outgoing.filter(edge => !FlowAnalysisService.isLoopBack(edge));
+      if (FlowAnalysisService.isParallelSplit(stepById[stepId]) && branches.length > 0) {
+        const forks = join
+          ? [...token.forks, { key: forkSequence++, joinId: join.joinId, branchCount: branches.length }]
+          : token.forks;
+        items[token.itemId].activeTokens += branches.length - 1;
+        branches.forEach(edge => arrive(edge.target, { ...token, forks }, now));
+        return;
+      }
+
+      // 分岐確率に従って次の工程を選ぶ（合計が100%に満たない残りはフローから抜ける）
+      let threshold = random();
+      const next = outgoing.find(edge => {
+        threshold -= probabilities[edge.id] || 0;
+        return threshold < 0;
+      });
+
+      if (next) {
+        arrive(next.target, token, now);
+      } else {
+        endToken(token, now);
+      }
+    };
+
+    // 開始ステップへの到着（ポアソン到着）
+    const starts = FlowAnalysisService.findStartSteps(steps, validEdges);
+    const minutesPerDay = hoursPerDay * 60;
+    const scheduleArrival = (stepId, now) => {
+      const ratePerMinute = QueueSimulationService.getArrivalsPerDay(stepById[stepId], options) / minutesPerDay;
+      if (!(ratePerMinute > 0)) return;
+
+      const time = now - Math.log(1 - random()) / ratePerMinute;
+      if (time <= horizon) {
+        queue.push({ time, kind: 'source', stepId });
+      }
+    };
+    starts.forEach(stepId => scheduleArrival(stepId, 0));
+
+    while (queue.size() > 0) {
+      const event = queue.pop();
+      if (event.time > horizon) break;
+
+      if (event.kind === 'source') {
+        const token = { itemId: items.length, forks: [] };
+        items.push({ arrivedAt: event.time, activeTokens: 1, completedAt: null });
+        scheduleArrival(event.stepId, event.time);
+        arrive(event.stepId, token, event.time);
+        continue;
+      }
+
+      // 処理完了：窓口を空けて待ち行列の先頭を処理し、案件を次の工程へ送る
+      const station = stations[event.stepId];
+      advance(station, event.time);
+      station.busy -= 1;
+      station.served += 1;
+
+      if (station.waiting.length > 0) {
+        const { token, enqueuedAt } = station.waiting.shift();
+        station.waitTotal += event.time - enqueuedAt;
+        startService(event.stepId, token, event.time);
+      }
+
+      route(event.stepId, event.token, event.time);
+    }
+
+    // 集計
+    const stepStats = {};
+    let bottleneckStepId = null;
+    steps.forEach(step => {
+      const station = stations[step.id];
+      advance(station, horizon);
+
+      const utilization = isFinite(station.servers) && horizon > 0
+        ? station.busyArea / (station.servers * horizon)
+        : null;
+
+      stepStats[step.id] = {
+        stepId: step.id,
+        label: step.data?.label || '',
+        servers: station.servers,
+        arrivals: station.arrivals,
+        served: station.served,
+        utilization,
+        averageQueueLength: horizon > 0 ? station.queueArea / horizon : 0,
+        averageWaitMinutes: station.started > 0 ? station.waitTotal / station.started : 0,
+        maxQueueLength: station.maxQueue,
+        queueAtEnd: station.waiting.length
+      };
+
+      if (utilization !== null && (bottleneckStepId === null || utilization > stepStats[bottleneckStepId].utilization)) {
+        bottleneckStepId = step.id;
+      }
+    });
+
+    return {
+      days,
+      seed,
+      horizonMinutes: horizon,
+      stepStats,
+      arrivedItems: items.length,
+      completedItems: leadTimes.length,
+      wipAtEnd: items.length - leadTimes.length,
+      averageLeadTimeMinutes: leadTimes.length > 0
+        ? leadTimes.reduce((sum, value) => sum + value, 0) / leadTimes.length
+        : null,
+      bottleneckStepId
+    };
+  },
+
+  /**
+   * 稼働率に応じた表示色を返す
+   * @param {number|null} utilization - 稼働率（0〜1、無制限の場合はnull）
+   * @returns {string|null} 色（無制限の場合はnull）
+   */
+  getUtilizationColor: (utilization) => {
+    if (utilization === null || utilization === undefined) return null;
+    if (utilization >= BOTTLENECK_UTILIZATION) return 'rgba(244, 67, 54, 0.35)';
+    if (utilization >= 0.6) return 'rgba(255, 152, 0, 0.3)';
+    return 'rgba(76, 175, 80, 0.25)';
+  },
+
+  /**
+   * 改善前後のシミュレーション結果をステップごとに比較する
+   * @param {Object} before - 改善前の結果
+   * @param {Object} after - 改善後の結果
+   * @returns {Array} [{ stepId, label, before, after }] の配列
+   */
+  compare: (before, after) => {
+    return Object.values(before.stepStats).map(stats => ({
+      stepId: stats.stepId,
+      label: stats.label,
+      before: stats,
+      after: after.stepStats[stats.stepId] || null
+    }));
+  }
+};
+
+export default QueueSimulationService;
@@ -0,0 +1,91 @@
+// src/services/queueSimulation.test.js
+import { QueueSimulationService } from './queueSimulation';
+
+// 入力（1日10件・30分）→ 承認待ち（2時間）→ 確認（1件90分・1人のため処理が追いつかない）
+const createSteps = () => [
+  { id: 's1', type: 'process', data: { label: '入力', time: 30, timeUnit: '分', frequency: 10, frequencyUnit: '日' } },
+  { id: 's2', type: 'delay', data: { label: '承認待ち', time: 2, timeUnit: '時間', frequency: 10, frequencyUnit: '日' } },
+  { id: 's3', type: 'inspection', data: { label: '確認', time: 90, timeUnit: '分', frequency: 10, frequencyUnit: '日' } }
+];
+
+const createEdges = () => [
+  { id: 'e1', source: 's1', target: 's2', data: {} },
+  { id: 'e2', source: 's2', target: 's3', data: {} }
+];
+
+const withData = (steps, id, data) => steps.map(step => (
+  step.id === id ? { ...step, data: { ...step.data, ...data } } : step
+));
+
+describe('QueueSimulationService', () => {
+  test('同時処理数は指定がなければ1、停滞・保管は無制限になる', () => {
+    const [process, delay] = createSteps();
+
+    expect(QueueSimulationService.getServers(process)).toBe(1);
+    expect(QueueSimulationService.getServers(delay)).toBe(Infinity);
+    expect(QueueSimulationService.getServers({ type: 'storage', data: {} })).toBe(Infinity);
+    expect(QueueSimulationService.getServers({ ...process, data: { ...process.data, servers: '3' } })).toBe(3);
+  });
+
+  test('開始ステップの頻度から1営業日あたりの到着件数を求める', () => {
+    expect(QueueSimulationService.getArrivalsPerDay(createSteps()[0])).toBeCloseTo(10, 6);
+  });
+
+  test('同じシードなら同じ結果になり、到着した案件は完了か仕掛かりのどちらかに数える', () => {
+    const first = QueueSimulationService.run(createSteps(), createEdges(), { seed: 3 });
+    const second = QueueSimulationService.run(createSteps(), createEdges(), { seed: 3 });
+
+    expect(second).toEqual(first);
+    expect(first.horizonMinutes).toBe(5 * 8 * 60);
+    expect(first.arrivedItems).toBeGreaterThan(0);
+    expect(first.completedItems + first.wipAtEnd).toBe(first.arrivedItems);
+  });
+
+  test('処理が追いつかないステップをボトルネックとし、無制限のステップは稼働率を持たない', () => {
+    const result = QueueSimulationService.run(createSteps(), createEdges());
+    const { s1, s2, s3 } = result.stepStats;
+
+    expect(result.bottleneckStepId).toBe('s3');
+    expect(s3.utilization).toBeGreaterThanOrEqual(QueueSimulationService.BOTTLENECK_UTILIZATION);
+    expect(s3.averageWaitMinutes).toBeGreaterThan(0);
+    expect(s1.utilization).toBeLessThan(s3.utilization);
+    expect(s2.utilization).toBeNull();
+    expect(s2.averageWaitMinutes).toBe(0);
+  });
+
+  test('担当を増やすと稼働率と待ち時間が下がり、改善前後をステップごとに比較できる', () => {
+    const before = QueueSimulationService.run(createSteps(), createEdges());
+    const after = QueueSimulationService.run(withData(createSteps(), 's3', { servers: 2 }), createEdges());
+    const rows = QueueSimulationService.compare(before, after);
+
+    expect(rows.map(row => row.stepId)).toEqual(['s1', 's2', 's3']);
+    expect(rows[2].after.utilization).toBeLessThan(rows[2].before.utilization);
+    expect(rows[2].after.averageWaitMinutes).toBeLessThan(rows[2].before.averageWaitMinutes);
+  });
+
+  test('並行分岐の案件は、すべての分岐が合流してから1件として完了する', () => {
+    const steps = [
+      ...withData(createSteps(), 's1', { parallelSplit: true }),
+      { id: 's4', type: 'process', data: { label: '集計', time: 10, timeUnit: '分', frequency: 10, frequencyUnit: '日' } }
+    ];
+    const edges = [
+      { id: 'e1', source: 's1', target: 's2', data: {} },
+      { id: 'e2', source: 's1', target: 's3', data: {} },
+      { id: 'e3', source: 's2', target: 's4', data: {} },
+      { id: 'e4', source: 's3', target: 's4', data: {} }
+    ];
+    const result = QueueSimulationService.run(steps, edges, { days: 20 });
+
+    // 合流点には両方の分岐がそろった案件だけが届く
+    expect(result.stepStats.s4.arrivals).toBeLessThanOrEqual(Math.min(result.stepStats.s2.served, result.stepStats.s3.served));
+    expect(result.completedItems).toBe(result.stepStats.s4.served);
+    expect(result.completedItems + result.wipAtEnd).toBe(result.arrivedItems);
+  });
+
+  test('稼働率に応じて緑・橙・赤で色分けし、無制限のステップは色分けしない', () => {
+    expect(QueueSimulationService.getUtilizationColor(0.3)).toBe('rgba(76, 175, 80, 0.25)');
+    expect(QueueSimulationService.getUtilizationColor(0.6)).toBe('rgba(255, 152, 0, 0.3)');
+    expect(QueueSimulationService.getUtilizationColor(0.85)).toBe('rgba(244, 67, 54, 0.35)');
+    expect(QueueSimulationService.getUtilizationColor(null)).toBeNull();
+  });
+});
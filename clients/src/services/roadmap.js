@@ -0,0 +1,308 @@
+// src/services/roadmap.js
+import ImprovementModel from '../models/ImprovementModel';
+import CostModel from '../models/CostModel';
+import { CostService } from './cost';
+import holidayUtils from '../utils/holidayUtils';
+
+// ロードマップに載せる施策の状態（承認済・実施中・完了）
+const SCHEDULED_STATUSES = ['approved', 'in-progress', 'completed'];
+
+const SHEET_NAME = 'ロードマップ';
+const TIMELINE_SHEET_NAME = 'ロードマップ_削減効果';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// 'YYYY-MM-DD' を UTC の日付にする（不正な値は null）
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const addMonths = (date, months) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+
+const toMonthKey = (date) => holidayUtils.toKey(date).slice(0, 7);
+
+// 実施手順の表示名（文字列または { title } / { label }）
+const getStepTitle = (step) => (typeof step === 'string' ? step : step?.title || step?.label || '');
+
+/**
+ * ロードマップ上の施策
+ * @typedef {Object} RoadmapTask
+ * @property {string} key - 施策のキー（ImprovementModel.getKey）
+ * @property {Object} improvement - 改善施策
+ * @property {string} title - 施策名
+ * @property {string} stepLabel - 対象ステップ名
+ * @property {string} responsible - 担当者
+ * @property {string} status - 状態
+ * @property {Array<string>} dependsOn - 前提となる施策のキー（ロードマップにあるもの）
+ * @property {string} startDate - 開始日（YYYY-MM-DD）
+ * @property {string} endDate - 完了日＝効果の発現日（YYYY-MM-DD）
+ * @property {number} durationDays - 実施期間（日）
+ * @property {number} annualHours - 年間削減時間
+ * @property {number} hourlyRate - 削減時間に掛ける時間単価（対象ステップの担当者の単価、円）
+ * @property {number} annualSavings - 年間削減額（円）
+ * @property {number} cost - 費用の見込み（円）
+ * @property {Array} steps - 実施手順 [{ title, startDate, endDate }]（期間を均等に割り当てる）
+ */
+
+/**
+ * 承認した改善施策の実施ロードマップ（ガントチャート）を作成するサービス
+ * 施策は前提となる施策の完了後に開始し、実施期間（implementationPeriod、未指定は実装難易度から見積もる）で完了する。
+ * 完了日から削減効果が発現するものとして、月ごとの累計削減額・累計費用と投資回収の時期を求める
+ */
+export const RoadmapService = {
+  SCHEDULED_STATUSES,
+
+  /**
+   * ロードマップの設定を検証し、未指定の項目を補う
+   * @param {Object} data - 設定 { startDate }
+   * @returns {Object} { startDate: 開始日（YYYY-MM-DD、未指定は今日） }
+   */
+  resolveSettings: (data = {}) => {
+    const now = new Date();
+    return {
+      startDate: parseDate(data?.startDate)
+        ? data.startDate
+        : holidayUtils.toKey(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())))
+    };
+  },
+
+  /**
+   * 施策がロードマップに載る状態か判定する
+   * @param {Object} improvement - 改善施策
+   * @returns {boolean} 承認済・実施中・完了なら true
+   */
+  isScheduled: (improvement) => SCHEDULED_STATUSES.includes(improvement?.status),
+
+  /**
+   * 施策の日程と削減効果の推移を求める
+   * @param {Array} improvements - 適用した改善施策の配列
+   * @param {Object} settings - ロードマップの設定 { startDate }
+   * @param {Object} options - { attribution: 改善効果の施策ごとの削減時間, workload: 改善前の年間工数（ステップの担当者の時間単価を求める）, costSettings, monthsAfterCompletion: 全施策の完了後に推移を求める月数 }
+   * @returns {Object} { startDate, endDate, tasks: Array<RoadmapTask>, unscheduled, milestones, timeline, savingsStartDate, breakEvenMonth, warnings }
+   */
+  buildSchedule: (improvements = [], settings = {}, options = {}) => {
+    const { attribution = [], workload = null, costSettings = null, monthsAfterCompletion = 12 } = options;
+    const { startDate } = RoadmapService.resolveSettings(settings);
+    const projectStart = parseDate(startDate);
+    // 削減時間はステップの担当者の時間単価で金額にする（年間工数にないステップは既定の時間単価）
+    const rateByStepId = new Map(
+      CostService.calculate(workload, costSettings).steps.map(step => [step.id, step.hourlyRate])
+    );
+    const defaultRate = CostModel.getLoadedRate(costSettings);
+    const hoursByKey = new Map(attribution.map(item => [`${item.improvementId}:${item.stepId}`, item.hours]));
+
+    const byKey = new Map();
+    improvements.forEach(improvement => {
+      const key = ImprovementModel.getKey(improvement);
+      if (!byKey.has(key)) byKey.set(key, improvement);
+    });
+    const scheduled = [...byKey.entries()].filter(([, improvement]) => RoadmapService.isScheduled(improvement));
+    const scheduledKeys = new Set(scheduled.map(([key]) => key));
+    const titleOf = (key) => byKey.get(key)?.title || key;
+
+    // 前提となる施策の完了日から順に日程を決める（循環する前提は無視する）
+    const warnings = [];
+    const tasks = new Map();
+    const visiting = new Set();
+    const resolve = (key) => {
+      if (tasks.has(key)) return tasks.get(key);
+
+      const improvement = byKey.get(key);
+      visiting.add(key);
+      let start = projectStart;
+      const dependsOn = [];
+      (improvement.dependsOn || []).forEach(dependencyKey => {
+        if (!scheduledKeys.has(dependencyKey)) {
+          warnings.push(byKey.has(dependencyKey)
+            ? `「${improvement.title}」の前提の「${titleOf(dependencyKey)}」は承認されていないため、前提から外して計画しました`
+            : `「${improvement.title}」の前提の施策が見つからないため、前提から外して計画しました`);
+          return;
+        }
+        if (visiting.has(dependencyKey)) {
+          warnings.push(`「${improvement.title}」と「${titleOf(dependencyKey)}」の前提が循環しているため、一方を無視しました`);
+          return;
+        }
+        const dependency = resolve(dependencyKey);
+        dependsOn.push(dependencyKey);
+        if (dependency.end > start) start = dependency.end;
+      });
+      visiting.delete(key);
+
+      const durationDays = ImprovementModel.getDurationDays(improvement);
+      const end = addDays(start, durationDays);
+      const annualHours = hoursByKey.get(key) ?? 0;
+      const hourlyRate = rateByStepId.get(improvement.targetStepId) ?? defaultRate;
+      const implementationSteps = (improvement.implementationSteps || []).map(getStepTitle).filter(Boolean);
+      const task = {
+        key,
+        improvement,
+        title: improvement.title || '',
+        stepLabel: improvement.targetStepLabel || '',
+        responsible: improvement.responsible || '',
+        status: improvement.status,
+        dependsOn,
+        start,
+        end,
+        startDate: holidayUtils.toKey(start),
+        endDate: holidayUtils.toKey(end),
+        durationDays,
+        annualHours,
+        hourlyRate,
+        annualSavings: Math.round(annualHours * hourlyRate),
+        cost: ImprovementModel.getCostEstimate(improvement),
+        steps: implementationSteps.map((title, index) => ({
+          title,
+          startDate: holidayUtils.toKey(addDays(start, Math.round(durationDays * index / implementationSteps.length))),
+          endDate: holidayUtils.toKey(addDays(start, Math.round(durationDays * (index + 1) / implementationSteps.length)))
+        }))
+      };
+      tasks.set(key, task);
+      return task;
+    };
+    scheduled.forEach(([key]) => resolve(key));
+
+    const ordered = scheduled
+      .map(([key]) => tasks.get(key))
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+    const lastEnd = ordered.reduce((latest, task) => (task.end > latest ? task.end : latest), projectStart);
+    const firstEnd = ordered.reduce((earliest, task) => (!earliest || task.end < earliest ? task.end : earliest), null);
+
+    // 月ごとの削減効果（完了日から日割りで発現する）と、開始月に計上する費用の累計
+    const timeline = [];
+    const lastMonth = addMonths(startOfMonth(lastEnd), monthsAfterCompletion);
+    let cumulativeHours = 0;
+    let cumulativeSavings = 0;
+    let cumulativeCost = 0;
+    let breakEvenMonth = null;
+    for (let month = startOfMonth(projectStart); month <= lastMonth; month = addMonths(month, 1)) {
+      const monthEnd = addMonths(month, 1);
+      let hours = 0;
+      let savings = 0;
+      for (const task of ordered) {
+        const from = task.end > month ? task.end : month;
+        if (from < monthEnd) {
+          const taskHours = task.annualHours * ((monthEnd - from) / DAY_MS) / 365;
+          hours += taskHours;
+          savings += taskHours * task.hourlyRate;
+        }
+        if (task.start >= month && task.start < monthEnd) {
+          cumulativeCost += task.cost;
+        }
+      }
+      cumulativeHours += hours;
+      cumulativeSavings += savings;
+      const net = cumulativeSavings - cumulativeCost;
+      if (!breakEvenMonth && cumulativeCost > 0 && net >= 0) {
+        breakEvenMonth = toMonthKey(month);
+      }
+      timeline.push({
+        month: toMonthKey(month),
+        hours: round1(hours),
+        cumulativeHours: round1(cumulativeHours),
+        cumulativeSavings: Math.round(cumulativeSavings),
+        cumulativeCost,
+        net: Math.round(net)
+      });
+    }
+
+    const milestones = [
+      ...ordered.map(task => ({ date: task.endDate, key: task.key, label: `「${task.title}」完了（効果の発現）` })),
+      ...(ordered.length > 0 ? [{ date: holidayUtils.toKey(lastEnd), key: null, label: 'すべての施策の完了' }] : [])
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      startDate,
+      endDate: holidayUtils.toKey(lastEnd),
+      tasks: ordered,
+      unscheduled: [...byKey.values()].filter(improvement => !RoadmapService.isScheduled(improvement)),
+      milestones,
+      timeline,
+      savingsStartDate: firstEnd ? holidayUtils.toKey(firstEnd) : null,
+      breakEvenMonth,
+      warnings
+    };
+  },
+
+  /**
+   * ガントチャートの月の列（開始月〜すべての施策の完了月）を求める
+   * @param {Object} schedule - buildSchedule の結果
+   * @returns {Array<Object>} [{ key: 'YYYY-MM', start: Date, end: Date }]
+   */
+  getMonths: (schedule) => {
+    const months = [];
+    const last = startOfMonth(parseDate(schedule.endDate));
+    for (let month = startOfMonth(parseDate(schedule.startDate)); month <= last; month = addMonths(month, 1)) {
+      months.push({ key: toMonthKey(month), start: month, end: addMonths(month, 1) });
+    }
+    return months;
+  },
+
+  /**
+   * ロードマップをExcelのシート（ガントチャートと削減効果の推移）にする
+   * @param {Object} schedule - buildSchedule の結果
+   * @returns {Array<Object>} シートの配列 { name, rows, columnWidths }
+   */
+  toExcelSheets: (schedule) => {
+    const months = RoadmapService.getMonths(schedule);
+    const bar = (startDate, endDate) => months.map(month => (
+      parseDate(startDate) < month.end && parseDate(endDate) > month.start ? '■' : ''
+    ));
+    const titleByKey = Object.fromEntries(schedule.tasks.map(task => [task.key, task.title]));
+
+    return [
+      {
+        name: SHEET_NAME,
+        rows: [
+          ['開始日', schedule.startDate, '効果の発現開始', schedule.savingsStartDate || '', '投資回収', schedule.breakEvenMonth || ''],
+          [],
+          [
+            '施策', '対象ステップ', '担当者', '状態', '前提となる施策', '開始日', '完了日（効果の発現）', '期間(日)',
+            '年間削減時間', '年間削減額(円)', '費用(円)', ...months.map(month => month.key)
+          ],
+          ...schedule.tasks.flatMap(task => [
+            [
+              task.title,
+              task.stepLabel,
+              task.responsible,
+              ImprovementModel.getStatusInfo(task.status).text,
+              task.dependsOn.map(key => titleByKey[key]).join('、'),
+              task.startDate,
+              task.endDate,
+              task.durationDays,
+              task.annualHours,
+              task.annualSavings,
+              task.cost,
+              ...bar(task.startDate, task.endDate)
+            ],
+            ...task.steps.map(step => [
+              `　・${step.title}`, '', '', '', '', step.startDate, step.endDate, '', '', '', '', ...bar(step.startDate, step.endDate)
+            ])
+          ]),
+          [],
+          ['マイルストーン', '日付'],
+          ...schedule.milestones.map(milestone => [milestone.label, milestone.date])
+        ],
+        columnWidths: [28, 16, 12, 10, 24, 12, 18, 10, 12, 14, 12, ...months.map(() => 8)]
+      },
+      {
+        name: TIMELINE_SHEET_NAME,
+        rows: [
+          ['月', '削減時間', '累計削減時間', '累計削減額(円)', '累計費用(円)', '累計の純効果(円)'],
+          ...schedule.timeline.map(row => [
+            row.month, row.hours, row.cumulativeHours, row.cumulativeSavings, row.cumulativeCost, row.net
+          ])
+        ],
+        columnWidths: [10, 12, 14, 16, 14, 16]
+      }
+    ];
+  }
+};
+
+export default RoadmapService;
@@ -0,0 +1,107 @@
+// src/services/roadmap.test.js
+import { RoadmapService } from './roadmap';
+import ImprovementModel from '../models/ImprovementModel';
+import CostModel from '../models/CostModel';
+
+const improvement = (id, stepId, data) => ImprovementModel.create({
+  id, title: `施策${id}`, targetStepId: stepId, implementationPeriod: 'immediate', estimatedCost: 'low', status: 'approved', ...data
+});
+
+// a → b の前提、未承認の c を前提とする d、存在しない前提、x と y の循環
+const createImprovements = () => [
+  improvement('a', 's1', { responsible: '田中', implementationSteps: ['設計', '展開'] }),
+  improvement('b', 's2', { implementationPeriod: '1-3months', estimatedCost: 'medium', dependsOn: ['a:s1'] }),
+  improvement('c', 's3', { status: 'proposed' }),
+  improvement('d', 's4', { status: 'in-progress', dependsOn: ['c:s3', 'e:s9'] }),
+  improvement('x', 's5', { dependsOn: ['y:s6'] }),
+  improvement('y', 's6', { dependsOn: ['x:s5'] })
+];
+
+// a は年間365時間、b は年間730時間の削減
+const attribution = [
+  { improvementId: 'a', stepId: 's1', hours: 365 },
+  { improvementId: 'b', stepId: 's2', hours: 730 }
+];
+
+const buildSchedule = () => RoadmapService.buildSchedule(createImprovements(), { startDate: '2025-01-01' }, { attribution });
+
+describe('RoadmapService', () => {
+  describe('buildSchedule', () => {
+    test('前提となる施策の完了後に開始し、未承認の施策は載せない', () => {
+      const schedule = buildSchedule();
+
+      expect(schedule.tasks.map(task => [task.key, task.startDate, task.endDate])).toEqual([
+        ['a:s1', '2025-01-01', '2025-01-15'],
+        ['d:s4', '2025-01-01', '2025-01-15'],
+        ['y:s6', '2025-01-01', '2025-01-15'],
+        ['x:s5', '2025-01-15', '2025-01-29'],
+        ['b:s2', '2025-01-15', '2025-04-15']
+      ]);
+      expect(schedule.unscheduled.map(item => item.id)).toEqual(['c']);
+    });
+
+    test('施策の担当者・効果・費用と、実施手順ごとの日程を返す', () => {
+      const schedule = buildSchedule();
+
+      expect(schedule.tasks[0]).toMatchObject({ responsible: '田中', annualSavings: 1095000, cost: 250000 });
+      expect(schedule.tasks[0].steps).toEqual([
+        { title: '設計', startDate: '2025-01-01', endDate: '2025-01-08' },
+        { title: '展開', startDate: '2025-01-08', endDate: '2025-01-15' }
+      ]);
+    });
+
+    test('削減時間は対象ステップの担当者の時間単価で金額にする', () => {
+      // s1 は時間単価5,000円の鈴木、s2 は担当者なし（既定の3,000円）
+      const workload = {
+        stepDetails: [
+          { id: 's1', label: '入力', type: 'process', valueType: 'va', responsible: '鈴木', annualMinutes: 600, annualHours: 10 },
+          { id: 's2', label: '確認', type: 'inspection', valueType: 'nva', responsible: '', annualMinutes: 600, annualHours: 10 }
+        ]
+      };
+      const costSettings = CostModel.create({ roles: [{ responsible: '鈴木', hourlyRate: 5000 }] });
+      const schedule = RoadmapService.buildSchedule(createImprovements(), { startDate: '2025-01-01' }, { attribution, workload, costSettings });
+      const taskOf = (key) => schedule.tasks.find(task => task.key === key);
+
+      expect(taskOf('a:s1')).toMatchObject({ hourlyRate: 5000, annualSavings: 1825000 });
+      expect(taskOf('b:s2')).toMatchObject({ hourlyRate: 3000, annualSavings: 2190000 });
+      // 1月は a の17時間分だけが発現する
+      expect(schedule.timeline[0].cumulativeSavings).toBe(85000);
+    });
+
+    test('未承認・存在しない・循環する前提は外して計画し、警告を返す', () => {
+      expect(buildSchedule().warnings).toEqual([
+        '「施策d」の前提の「施策c」は承認されていないため、前提から外して計画しました',
+        '「施策d」の前提の施策が見つからないため、前提から外して計画しました',
+        '「施策y」と「施策x」の前提が循環しているため、一方を無視しました'
+      ]);
+    });
+
+    test('完了日から日割りで効果が発現し、費用は開始月に計上して投資回収の時期を求める', () => {
+      const schedule = buildSchedule();
+
+      expect(schedule.savingsStartDate).toBe('2025-01-15');
+      expect(schedule.endDate).toBe('2025-04-15');
+      expect(schedule.timeline).toHaveLength(16);
+      expect(schedule.timeline[0]).toEqual({
+        month: '2025-01', hours: 17, cumulativeHours: 17, cumulativeSavings: 51000, cumulativeCost: 2750000, net: -2699000
+      });
+      expect(schedule.timeline[3]).toMatchObject({ month: '2025-04', hours: 62, cumulativeHours: 138 });
+      expect(schedule.breakEvenMonth).toBe('2026-01');
+      expect(schedule.milestones[schedule.milestones.length - 1]).toEqual({ date: '2025-04-15', key: null, label: 'すべての施策の完了' });
+    });
+  });
+
+  describe('toExcelSheets', () => {
+    test('ガントチャートは施策・実施手順の行と月の列、削減効果の推移は月ごとの行で出力する', () => {
+      const [gantt, timeline] = RoadmapService.toExcelSheets(buildSchedule());
+
+      expect(gantt.rows[2].slice(11)).toEqual(['2025-01', '2025-02', '2025-03', '2025-04']);
+      expect(gantt.rows[3].slice(0, 4)).toEqual(['施策a', '', '田中', '承認済']);
+      expect(gantt.rows[4]).toEqual(['　・設計', '', '', '', '', '2025-01-01', '2025-01-08', '', '', '', '', '■', '', '', '']);
+      expect(gantt.rows[9].slice(4)).toEqual([
+        '施策a', '2025-01-15', '2025-04-15', 90, 730, 2190000, 1750000, '■', '■', '■', '■'
+      ]);
+      expect(timeline.rows).toHaveLength(17);
+    });
+  });
+});
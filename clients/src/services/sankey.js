@@ -0,0 +1,250 @@
+// src/services/sankey.js
+import { WorkloadEngine } from './workloadEngine';
+import { FlowAnalysisService } from './flowAnalysis';
+import StepModel from '../models/StepModel';
+
+// 工程タイプの色（ステップと、ステップから出る帯にも使う）
+const TYPE_COLORS = {
+  process: '#ff6384',
+  inspection: '#36a2eb',
+  transport: '#ffce56',
+  delay: '#4bc0c0',
+  storage: '#9966ff'
+};
+
+// 価値区分の色
+const VALUE_TYPE_COLORS = {
+  'value-added': '#4bc0c0',
+  'non-value-added': '#ffce56',
+  waste: '#ff6384'
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * サンキー図のノード
+ * @typedef {Object} SankeyNode
+ * @property {string} id - ノードID（ステップはステップID、工程タイプは「type:」、価値区分は「value:」で始まる）
+ * @property {string} label - 表示名
+ * @property {string} kind - 'step' / 'type' / 'value'
+ * @property {number} column - 列（左から0始まり）
+ * @property {number} hours - 年間工数（時間）
+ * @property {string} color - 色
+ */
+
+/**
+ * サンキー図の帯
+ * @typedef {Object} SankeyLink
+ * @property {string} id - 帯ID（ステップ間はエッジID）
+ * @property {string} source - 流出元のノードID
+ * @property {string} target - 流入先のノードID
+ * @property {number} hours - 帯の幅となる年間工数（時間）
+ */
+
+/**
+ * 年間工数の流れをサンキー図にするサービス
+ * ステップ間の流れ（エッジ）と、工程タイプから価値区分への内訳を帯の幅で表す
+ */
+export const SankeyService = {
+  TYPE_COLORS,
+  VALUE_TYPE_COLORS,
+
+  /**
+   * サンキー図のノードと帯を作成する
+   * ステップ間の帯は、接続先ステップの年間工数をそのエッジから流れ込む件数の割合で按分した値とする
+   * （差戻しエッジは図が循環しないよう描かないが、差戻しによる工数は接続先のステップに含まれる）
+   * @param {Object} workload - WorkloadEngine の計算結果
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Object} { nodes: Array<SankeyNode>, links: Array<SankeyLink>, stepColumns: ステップの列数 }
+   */
+  build: (workload, steps = [], edges = []) => {
+    const details = (workload?.stepDetails || []).filter(detail => detail.annualMinutes > 0);
+    const detailById = Object.fromEntries(details.map(detail => [detail.id, detail]));
+    const { visits, probabilities } = FlowAnalysisService.calculateVisits(steps, edges);
+    const forwardEdges = FlowAnalysisService.getForwardEdges(steps, edges);
+
+    // ステップ間の帯
+    const links = forwardEdges
+      .map(edge => {
+        const target = detailById[edge.target];
+        const targetVisits = visits[edge.target] || 0;
+        if (!target || !detailById[edge.source] || targetVisits <= 0) return null;
+        const inflow = (visits[edge.source] || 0) * (probabilities[edge.id] || 0);
+        return {
+          id: edge.id,
+          source: edge.source,
+          target: edge.target,
+          hours: round1((target.annualMinutes / 60) * Math.min(1, inflow / targetVisits))
+        };
+      })
+      .filter(link => link && link.hours > 0);
+
+    // 開始ステップからの最長経路で列を決める
+    const columnById = Object.fromEntries(details.map(detail => [detail.id, 0]));
+    for (let i = 0; i < details.length; i++) {
+      let changed = false;
+      links.forEach(link => {
+        if (columnById[link.target] < columnById[link.source] + 1) {
+          columnById[link.target] = columnById[link.source] + 1;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+    }
+    const stepColumns = details.length > 0 ? Math.max(...Object.values(columnById)) + 1 : 0;
+
+    const nodes = details.map(detail => ({
+      id: detail.id,
+      label: detail.label,
+      kind: 'step',
+      column: columnById[detail.id],
+      hours: detail.annualHours,
+      color: TYPE_COLORS[detail.type] || '#999'
+    }));
+
+    // 工程タイプ → 価値区分の帯
+    const typeValueMinutes = {};
+    details.forEach(detail => {
+      const key = `${detail.type}\u0000${detail.valueType}`;
+      typeValueMinutes[key] = (typeValueMinutes[key] || 0) + detail.annualMinutes;
+    });
+
+    WorkloadEngine.STEP_TYPES.forEach(type => {
+      const minutes = details.filter(detail => detail.type === type).reduce((sum, detail) => sum + detail.annualMinutes, 0);
+      if (minutes <= 0) return;
+      nodes.push({
+        id: `type:${type}`,
+        label: StepModel.getTypeName(type),
+        kind: 'type',
+        column: stepColumns,
+        hours: round1(minutes / 60),
+        color: TYPE_COLORS[type]
+      });
+    });
+
+    WorkloadEngine.VALUE_TYPES.forEach(valueType => {
+      const minutes = details.filter(detail => detail.valueType === valueType).reduce((sum, detail) => sum + detail.annualMinutes, 0);
+      if (minutes <= 0) return;
+      nodes.push({
+        id: `value:${valueType}`,
+        label: StepModel.getValueTypeName(valueType),
+        kind: 'value',
+        column: stepColumns + 1,
+        hours: round1(minutes / 60),
+        color: VALUE_TYPE_COLORS[valueType]
+      });
+    });
+
+    Object.entries(typeValueMinutes).forEach(([key, minutes]) => {
+      const [type, valueType] = key.split('\u0000');
+      links.push({
+        id: `${type}-${valueType}`,
+        source: `type:${type}`,
+        target: `value:${valueType}`,
+        hours: round1(minutes / 60)
+      });
+    });
+
+    return { nodes, links, stepColumns };
+  },
+
+  /**
+   * ノードと帯の座標を求める
+   * ノードの高さは年間工数・流入・流出のうち大きい値に比例させ、帯は接続先・接続元の上下順に積み上げる
+   * @param {Object} graph - build の結果
+   * @param {Object} options - { width, height, nodeWidth, nodePadding, margin }
+   * @returns {Object} { width, height, nodeWidth, nodes: [{ ...SankeyNode, x, y, height }], links: [{ ...SankeyLink, width, path, color, sourceLabel, targetLabel }] }
+   */
+  layout: (graph, options = {}) => {
+    const {
+      width = 960,
+      height = 420,
+      nodeWidth = 14,
+      nodePadding = 14,
+      margin = { top: 30, right: 10, bottom: 10, left: 10 }
+    } = options;
+
+    const columnCount = Math.max(0, ...graph.nodes.map(node => node.column + 1));
+    const inHours = {};
+    const outHours = {};
+    graph.links.forEach(link => {
+      outHours[link.source] = (outHours[link.source] || 0) + link.hours;
+      inHours[link.target] = (inHours[link.target] || 0) + link.hours;
+    });
+
+    const columns = Array.from({ length: columnCount }, () => []);
+    const nodes = graph.nodes.map(node => ({
+      ...node,
+      value: Math.max(node.hours, inHours[node.id] || 0, outHours[node.id] || 0)
+    }));
+    nodes.forEach(node => columns[node.column].push(node));
+
+    // すべての列が高さに収まる縮尺
+    const innerHeight = height - margin.top - margin.bottom;
+    const scale = Math.min(...columns
+      .filter(column => column.length > 0)
+      .map(column => {
+        const total = column.reduce((sum, node) => sum + node.value, 0);
+        return total > 0 ? (innerHeight - nodePadding * (column.length - 1)) / total : Infinity;
+      }));
+    const ky = isFinite(scale) && scale > 0 ? scale : 0;
+
+    const columnGap = columnCount > 1
+      ? (width - margin.left - margin.right - nodeWidth) / (columnCount - 1)
+      : 0;
+    const nodeById = {};
+    columns.forEach(column => {
+      let y = margin.top;
+      column.forEach(node => {
+        node.x = round1(margin.left + node.column * columnGap);
+        node.y = round1(y);
+        node.height = round1(Math.max(1, node.value * ky));
+        y += Math.max(1, node.value * ky) + nodePadding;
+        nodeById[node.id] = node;
+      });
+    });
+
+    // 帯の積み上げ位置（相手のノードが上にあるものから）
+    const sourceOffset = {};
+    const targetOffset = {};
+    const links = graph.links
+      .filter(link => nodeById[link.source] && nodeById[link.target])
+      .map(link => ({ ...link, width: link.hours * ky }));
+
+    [...links]
+      .sort((a, b) => nodeById[a.target].y - nodeById[b.target].y)
+      .forEach(link => {
+        link.sy = nodeById[link.source].y + (sourceOffset[link.source] || 0) + link.width / 2;
+        sourceOffset[link.source] = (sourceOffset[link.source] || 0) + link.width;
+      });
+    [...links]
+      .sort((a, b) => nodeById[a.source].y - nodeById[b.source].y)
+      .forEach(link => {
+        link.ty = nodeById[link.target].y + (targetOffset[link.target] || 0) + link.width / 2;
+        targetOffset[link.target] = (targetOffset[link.target] || 0) + link.width;
+      });
+
+    return {
+      width,
+      height,
+      nodeWidth,
+      nodes,
+      links: links.map(({ sy, ty, ...link }) => {
+        const x0 = nodeById[link.source].x + nodeWidth;
+        const x1 = nodeById[link.target].x;
+        const xm = (x0 + x1) / 2;
+        return {
+          ...link,
+          width: round1(link.width),
+          sourceLabel: nodeById[link.source].label,
+          targetLabel: nodeById[link.target].label,
+          color: nodeById[link.source].color,
+          path: `M${round1(x0)},${round1(sy)}C${round1(xm)},${round1(sy)} ${round1(xm)},${round1(ty)} ${round1(x1)},${round1(ty)}`
+        };
+      })
+    };
+  }
+};
+
+export default SankeyService;
@@ -0,0 +1,68 @@
+// src/services/sankey.test.js
+import { SankeyService } from './sankey';
+import { WorkloadEngine } from './workloadEngine';
+import svgUtils from '../utils/svgUtils';
+import { createStep, createFlowSteps, createFlowEdges } from './__fixtures__/process';
+
+// 入力 → 確認 → 送付 → 承認待ち（確認から入力へ20%差戻し）と、どこにもつながらない集計
+const createSteps = () => [...createFlowSteps(), createStep('s5', 'summary')];
+
+const buildGraph = () => {
+  const steps = createSteps();
+  const edges = createFlowEdges();
+  return SankeyService.build(WorkloadEngine.calculate({ steps, edges }), steps, edges);
+};
+
+describe('SankeyService', () => {
+  test('ステップ間の帯の幅は接続先の工数とし、差戻しの帯は描かない', () => {
+    const graph = buildGraph();
+
+    // 差戻し分は入力・確認の工数に含まれる
+    expect(graph.links.filter(link => !link.source.startsWith('type:')).map(link => [link.source, link.target, link.hours])).toEqual([
+      ['s1', 's2', 65],
+      ['s2', 's3', 48],
+      ['s3', 's4', 20]
+    ]);
+  });
+
+  test('工程タイプから価値区分への流れを年間工数で描く', () => {
+    const graph = buildGraph();
+
+    expect(graph.links.filter(link => link.source.startsWith('type:')).map(link => [link.source, link.target, link.hours])).toEqual([
+      ['type:process', 'value:value-added', 330.5],
+      ['type:inspection', 'value:non-value-added', 65],
+      ['type:transport', 'value:non-value-added', 48],
+      ['type:delay', 'value:waste', 20]
+    ]);
+    expect(graph.nodes.filter(node => node.kind === 'value').map(node => [node.column, node.hours])).toEqual([[5, 330.5], [5, 113], [5, 20]]);
+  });
+
+  test('ステップは流れの順に列に並べ、つながりのないステップは先頭の列に置く', () => {
+    const graph = buildGraph();
+
+    expect(graph.nodes.filter(node => node.kind === 'step').map(node => [node.id, node.column, node.hours])).toEqual([
+      ['s1', 0, 312.5],
+      ['s2', 1, 65],
+      ['s3', 2, 48],
+      ['s4', 3, 20],
+      ['s5', 0, 18]
+    ]);
+  });
+
+  test('帯は接続先のノードに積み上げ、すべてのノードを描画範囲に収める', () => {
+    const layout = SankeyService.layout(buildGraph());
+    const nonValueAdded = layout.nodes.find(node => node.id === 'value:non-value-added');
+    const inbound = layout.links.filter(link => link.target === nonValueAdded.id);
+
+    expect(inbound.reduce((sum, link) => sum + link.width, 0)).toBeCloseTo(nonValueAdded.height, 0);
+    expect(layout.nodes.every(node => node.y + node.height <= layout.height)).toBe(true);
+  });
+
+  test('SVGとして出力し、ラベルはエスケープする', () => {
+    const svg = svgUtils.generateSankeySvg(SankeyService.layout(buildGraph()), { title: 'A&B' });
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="960" height="420"')).toBe(true);
+    expect(svg).toContain('<title>入力 → 確認: 65時間</title>');
+    expect(svg).toContain('>A&amp;B</text>');
+  });
+});
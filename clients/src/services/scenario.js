@@ -0,0 +1,157 @@
+// src/services/scenario.js
+import { WorkloadEngine } from './workloadEngine';
+import { CostService } from './cost';
+import { ValueStreamService } from './valueStream';
+import { EcrsService } from './ecrs';
+import ScenarioModel from '../models/ScenarioModel';
+import ImprovementModel from '../models/ImprovementModel';
+
+// 比較表で現状（As-Is）を表すID
+const AS_IS_ID = 'as-is';
+
+// 比較する指標（lowerIsBetter: 小さいほど良い指標）
+const METRICS = [
+  { key: 'stepCount', label: 'ステップ数', unit: '件', lowerIsBetter: true },
+  { key: 'annualHours', label: '年間工数', unit: '時間', lowerIsBetter: true },
+  { key: 'annualCost', label: '年間コスト', unit: '円', lowerIsBetter: true },
+  { key: 'leadTimeMinutes', label: 'リードタイム（1件あたり）', unit: '分', lowerIsBetter: true },
+  { key: 'valueAddedRatio', label: '付加価値比率', unit: '%', lowerIsBetter: false },
+  { key: 'processCycleEfficiency', label: '工程効率（PCE）', unit: '%', lowerIsBetter: false }
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 現状（As-Is）と改善後（To-Be）のシナリオを作成・比較するサービス
+ */
+export const ScenarioService = {
+  AS_IS_ID,
+  METRICS,
+
+  /**
+   * 改善施策を現状のプロセスに反映したシナリオを作成する
+   * @param {string} name - シナリオ名
+   * @param {Array} steps - 現状のプロセスステップの配列
+   * @param {Array} edges - 現状のエッジの配列
+   * @param {Array} improvements - 改善施策の配列
+   * @param {Object} profile - 計算プロファイル（calendar, volumeDrivers）
+   * @param {Object} options - { interactionRule: 同じステップへの施策の合成方法 }
+   * @returns {Object} シナリオ（description に反映した変更の一覧を持つ）
+   */
+  createFromImprovements: (name, steps = [], edges = [], improvements = [], profile = {}, options = {}) => {
+    const toBe = EcrsService.buildToBeProcess(steps, edges, improvements, profile, options);
+    return ScenarioModel.create({
+      name,
+      description: toBe.changes.filter(change => change.applied).map(change => change.message).join('\n'),
+      steps: toBe.steps,
+      edges: toBe.edges,
+      improvements: improvements.map(({ targetStep, ...improvement }) => improvement)
+    });
+  },
+
+  /**
+   * 同じ改善施策の組み合わせ（施策と対象ステップの組が一致するもの）を反映したシナリオを探す
+   * @param {Array} scenarios - シナリオの配列
+   * @param {Array} improvements - 改善施策の配列
+   * @returns {Object|null} シナリオ（見つからなければ null）
+   */
+  findByImprovements: (scenarios = [], improvements = []) => {
+    if (improvements.length === 0) return null;
+    const toKeys = (items) => [...new Set(items.map(item => ImprovementModel.getKey(item)))].sort().join('\n');
+    const keys = toKeys(improvements);
+    return scenarios.find(scenario => toKeys(scenario.improvements) === keys) || null;
+  },
+
+  /**
+   * プロセスの比較用の指標を求める
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} profile - 計算プロファイル（calendar, volumeDrivers）
+   * @param {Object} settings - { costSettings, customerDemand }
+   * @returns {Object} { stepCount, annualHours, annualCost, leadTimeMinutes, valueAddedRatio, processCycleEfficiency }（比率は%）
+   */
+  calculateMetrics: (steps = [], edges = [], profile = {}, settings = {}) => {
+    const { costSettings = null, customerDemand = null } = settings;
+    const workload = WorkloadEngine.calculate({ steps, edges }, profile);
+    const valueStream = ValueStreamService.calculate({ steps, edges }, profile, customerDemand);
+    const toPercent = (ratio) => (ratio === null ? null : round1(ratio * 100));
+
+    return {
+      stepCount: steps.length,
+      annualHours: workload.totalHours,
+      annualCost: CostService.calculate(workload, costSettings).totalCost,
+      leadTimeMinutes: round1(valueStream.leadTimeMinutes),
+      valueAddedRatio: toPercent(valueStream.valueAddedRatio),
+      processCycleEfficiency: toPercent(valueStream.processCycleEfficiency)
+    };
+  },
+
+  /**
+   * 現状と各シナリオの指標を並べて比較する
+   * @param {Object} asIs - 現状のプロセス { steps, edges }
+   * @param {Array} scenarios - シナリオの配列
+   * @param {Object} profile - 計算プロファイル
+   * @param {Object} settings - { costSettings, customerDemand }
+   * @returns {Array} [{ id, name, isAsIs, metrics, savings: { hours, percent, cost } }]（先頭が現状）
+   */
+  compare: (asIs, scenarios = [], profile = {}, settings = {}) => {
+    const base = ScenarioService.calculateMetrics(asIs.steps, asIs.edges, profile, settings);
+    const toColumn = (id, name, metrics) => ({
+      id,
+      name,
+      isAsIs: id === AS_IS_ID,
+      metrics,
+      savings: {
+        hours: round1(base.annualHours - metrics.annualHours),
+        percent: base.annualHours > 0 ? round1((base.annualHours - metrics.annualHours) / base.annualHours * 100) : 0,
+        cost: base.annualCost - metrics.annualCost
+      }
+    });
+
+    return [
+      toColumn(AS_IS_ID, '現状（As-Is）', base),
+      ...scenarios.map(scenario => toColumn(
+        scenario.id,
+        scenario.name,
+        ScenarioService.calculateMetrics(scenario.steps, scenario.edges, profile, settings)
+      ))
+    ];
+  },
+
+  /**
+   * シナリオを新しい現状にする
+   * 昇格したシナリオはシナリオの一覧から外し、それまでの現状は別のシナリオとして残す
+   * @param {string} scenarioId - 昇格するシナリオID
+   * @param {Object} asIs - 現状のプロセス { steps, edges }
+   * @param {Array} scenarios - シナリオの配列
+   * @returns {Object|null} { steps, edges, scenarios, previous: 残した現状のシナリオ }（シナリオがなければnull）
+   */
+  promote: (scenarioId, asIs, scenarios = []) => {
+    const scenario = scenarios.find(item => item.id === scenarioId);
+    if (!scenario) return null;
+
+    const rest = scenarios.filter(item => item.id !== scenarioId);
+    const date = new Date().toISOString().slice(0, 10);
+    const baseName = `旧As-Is（${date}）`;
+    const names = new Set(rest.map(item => item.name));
+    let name = baseName;
+    for (let index = 2; names.has(name); index++) {
+      name = `${baseName} ${index}`;
+    }
+    const previous = ScenarioModel.create({
+      name,
+      description: `「${scenario.name}」を現状にする前のプロセス`,
+      steps: asIs.steps,
+      edges: asIs.edges
+    });
+
+    return {
+      steps: scenario.steps,
+      edges: scenario.edges,
+      scenarios: [...rest, previous],
+      previous
+    };
+  }
+};
+
+export default ScenarioService;
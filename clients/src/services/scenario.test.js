@@ -0,0 +1,68 @@
+// src/services/scenario.test.js
+import { ScenarioService } from './scenario';
+
+// 入力 → 確認 → 送付 → 承認待ち（確認から入力へ20%差戻し、年間445.5時間）
+import { createFlowSteps, createFlowEdges } from './__fixtures__/process';
+
+const createToBe = (steps, edges) => ScenarioService.createFromImprovements(
+  'To-Be A',
+  steps,
+  edges,
+  [{ id: 'i1', targetStepId: 's2', ecrs: 'eliminate', targetStep: steps[1] }]
+);
+
+describe('ScenarioService', () => {
+  test('改善施策を反映したプロセスをシナリオにする', () => {
+    const steps = createFlowSteps();
+    const scenario = createToBe(steps, createFlowEdges());
+
+    expect(scenario.name).toBe('To-Be A');
+    expect(scenario.steps.map(step => step.id)).toEqual(['s1', 's3', 's4']);
+    expect(scenario.description).toContain('確認');
+    // 表示用に付けた対象ステップは保存しない
+    expect(scenario.improvements[0]).not.toHaveProperty('targetStep');
+  });
+
+  test('同じ改善施策の組み合わせを反映したシナリオを探す', () => {
+    const steps = createFlowSteps();
+    const scenario = createToBe(steps, createFlowEdges());
+
+    expect(ScenarioService.findByImprovements([scenario], [{ id: 'i1', targetStepId: 's2' }])).toBe(scenario);
+    expect(ScenarioService.findByImprovements([scenario], [{ id: 'i1', targetStepId: 's3' }])).toBeNull();
+    expect(ScenarioService.findByImprovements([scenario], [{ id: 'i1', targetStepId: 's2' }, { id: 'i2', targetStepId: 's1' }])).toBeNull();
+    expect(ScenarioService.findByImprovements([scenario], [])).toBeNull();
+  });
+
+  test('現状と各シナリオの指標を並べ、現状からの削減を求める', () => {
+    const steps = createFlowSteps();
+    const edges = createFlowEdges();
+    const scenario = createToBe(steps, edges);
+    const comparison = ScenarioService.compare({ steps, edges }, [scenario], {});
+
+    expect(comparison.map(column => [column.id, column.metrics.stepCount, column.metrics.annualHours])).toEqual([
+      [ScenarioService.AS_IS_ID, 4, 445.5],
+      [scenario.id, 3, 318]
+    ]);
+    expect(comparison[1].savings.hours).toBe(127.5);
+    expect(comparison[1].savings.cost).toBe(comparison[0].metrics.annualCost - comparison[1].metrics.annualCost);
+  });
+
+  test('昇格したシナリオが現状になり、以前の現状はシナリオとして残る', () => {
+    const steps = createFlowSteps();
+    const edges = createFlowEdges();
+    const scenario = createToBe(steps, edges);
+    const promoted = ScenarioService.promote(scenario.id, { steps, edges }, [scenario]);
+
+    expect(promoted.steps).toBe(scenario.steps);
+    expect(promoted.scenarios).toEqual([promoted.previous]);
+    expect(promoted.previous.steps).toBe(steps);
+    expect(promoted.previous.name).toMatch(/^旧As-Is/);
+  });
+
+  test('存在しないシナリオは昇格できない', () => {
+    const steps = createFlowSteps();
+    const edges = createFlowEdges();
+
+    expect(ScenarioService.promote('missing', { steps, edges }, [createToBe(steps, edges)])).toBeNull();
+  });
+});
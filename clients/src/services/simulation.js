@@ -0,0 +1,305 @@
+// src/services/simulation.js
+import StepModel from '../models/StepModel';
+import CalendarModel from '../models/CalendarModel';
+import { WorkloadEngine } from './workloadEngine';
+import { LeadTimeService } from './leadTime';
+import { FlowAnalysisService } from './flowAnalysis';
+
+// 結果に表示するパーセンタイル
+const PERCENTILES = [50, 80, 95];
+
+// 画面から指定できる試行回数の上限
+// 試行は画面と同じスレッドで計算するため、60ステップのプロセスで約1秒（10,000回で約2秒を計測）に収まる回数にとどめる
+const MAX_ITERATIONS = 5000;
+
+/**
+ * シード付きの疑似乱数生成器（mulberry32）を作成する
+ * 同じシードなら同じ乱数列になるため、シミュレーション結果を再現できる
+ * @param {number} seed - シード値
+ * @returns {Function} 0以上1未満の乱数を返す関数
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 標準正規分布に従う乱数（ボックス＝ミュラー法）
+ * @param {Function} random - 乱数生成器
+ * @returns {number} 乱数
+ */
+const sampleNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * ガンマ分布（形状 shape ≥ 1、尺度 1）に従う乱数（マルサリア＝ツァン法）
+ * @param {Function} random - 乱数生成器
+ * @param {number} shape - 形状パラメータ
+ * @returns {number} 乱数
+ */
+const sampleGamma = (random, shape) => {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    const x = sampleNormal(random);
+    const v = Math.pow(1 + c * x, 3);
+    if (v > 0 && Math.log(1 - random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+};
+
+/**
+ * 所要時間のばらつきを考慮したモンテカルロシミュレーションを行うサービス
+ * 3点見積もり（最短・最頻・最長）を持つステップの所要時間を乱数で決め、
+ * 年間工数とリードタイムの分布を求める
+ * 年間工数は、各試行で決めた所要時間をその年の1回あたりの平均とみなして計算する（見積もりの不確かさ）
+ */
+export const SimulationService = {
+  PERCENTILES,
+  MAX_ITERATIONS,
+  createRandom,
+
+  /**
+   * 三角分布に従う乱数
+   * @param {Function} random - 乱数生成器
+   * @param {number} min - 最小値
+   * @param {number} mode - 最頻値
+   * @param {number} max - 最大値
+   * @returns {number} 乱数
+   */
+  sampleTriangular: (random, min, mode, max) => {
+    const u = random();
+    const split = (mode - min) / (max - min);
+
+    if (u < split) {
+      return min + Math.sqrt(u * (max - min) * (mode - min));
+    }
+    return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  },
+
+  /**
+   * PERT分布（ベータ分布を最小値〜最大値に伸ばしたもの）に従う乱数
+   * @param {Function} random - 乱数生成器
+   * @param {number} min - 最小値
+   * @param {number} mode - 最頻値
+   * @param {number} max - 最大値
+   * @returns {number} 乱数
+   */
+  samplePert: (random, min, mode, max) => {
+    const alpha = 1 + 4 * (mode - min) / (max - min);
+    const beta = 1 + 4 * (max - mode) / (max - min);
+    const x = sampleGamma(random, alpha);
+    const y = sampleGamma(random, beta);
+
+    return min + (x / (x + y)) * (max - min);
+  },
+
+  /**
+   * ステップの所要時間を1回分サンプリングする（見積もりがなければ所要時間そのもの）
+   * @param {Object} step - プロセスステップ
+   * @param {Function} random - 乱数生成器
+   * @returns {number} 所要時間（ステップの時間単位）
+   */
+  sampleStepTime: (step, random) => {
+    const estimate = StepModel.getTimeEstimate(step);
+    if (!estimate) {
+      return step.data?.time;
+    }
+
+    const { distribution, min, mode, max } = estimate;
+    return distribution === 'pert'
+      ? SimulationService.samplePert(random, min, mode, max)
+      : SimulationService.sampleTriangular(random, min, mode, max);
+  },
+
+  /**
+   * すべてのステップ（子プロセスを含む）の所要時間をサンプリングした複製を作成する
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Function} random - 乱数生成器
+   * @returns {Array} 所要時間を置き換えたステップの配列
+   */
+  sampleSteps: (steps, random) => {
+    return steps.map(step => {
+      const data = { ...step.data, time: SimulationService.sampleStepTime(step, random) };
+
+      if (StepModel.hasSubProcess(step)) {
+        data.subProcess = {
+          ...step.data.subProcess,
+          steps: SimulationService.sampleSteps(step.data.subProcess.steps, random)
+        };
+      }
+
+      return { ...step, data };
+    });
+  },
+
+  /**
+   * ばらつきの見積もりを持つステップがあるか（子プロセスを含む）
+   * @param {Array} steps - プロセスステップの配列
+   * @returns {boolean} 見積もりを持つステップがあるかどうか
+   */
+  hasEstimates: (steps = []) => {
+    return steps.some(step =>
+      StepModel.getTimeEstimate(step) !== null ||
+      (StepModel.hasSubProcess(step) && SimulationService.hasEstimates(step.data.subProcess.steps))
+    );
+  },
+
+  /**
+   * 値の配列からパーセンタイル値を求める（線形補間）
+   * @param {Array} sortedValues - 昇順に並べた値の配列
+   * @param {number} percentile - パーセンタイル（0〜100）
+   * @returns {number} パーセンタイル値
+   */
+  percentile: (sortedValues, percentile) => {
+    if (sortedValues.length === 0) return 0;
+
+    const position = (sortedValues.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+  },
+
+  /**
+   * 値の分布を要約する
+   * @param {Array} values - 値の配列
+   * @returns {Object} { mean, min, max, percentiles: { 50, 80, 95 } }
+   */
+  summarize: (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentiles = {};
+    PERCENTILES.forEach(p => {
+      percentiles[p] = SimulationService.percentile(sorted, p);
+    });
+
+    return {
+      mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0,
+      min: sorted[0] ?? 0,
+      max: sorted[sorted.length - 1] ?? 0,
+      percentiles
+    };
+  },
+
+  /**
+   * ヒストグラム（等幅の階級ごとの度数）を作成する
+   * @param {Array} values - 値の配列
+   * @param {number} binCount - 階級の数
+   * @returns {Array} [{ from, to, count }] の配列
+   */
+  buildHistogram: (values, binCount = 20) => {
+    if (values.length === 0) return [];
+
+    const min = values.reduce((result, value) => Math.min(result, value), Infinity);
+    const max = values.reduce((result, value) => Math.max(result, value), -Infinity);
+    const width = (max - min) / binCount || 1;
+    const bins = Array.from({ length: binCount }, (_, index) => ({
+      from: min + width * index,
+      to: min + width * (index + 1),
+      count: 0
+    }));
+
+    values.forEach(value => {
+      const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+      bins[index].count += 1;
+    });
+
+    return bins;
+  },
+
+  /**
+   * モンテカルロシミュレーションを実行する
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション（iterations, seed, binCount, 年間工数の計算オプション）
+   * @returns {Object} { iterations, seed, annualHours: { summary, histogram }, leadTimeMinutes: { summary, histogram } }
+   */
+  run: (steps = [], edges = [], options = {}) => {
+    const {
+      iterations = 1000,
+      seed = 1,
+      binCount = 20,
+      ...calculationOptions
+    } = options;
+
+    // 実行回数・遷移確率などフローの構造は試行によらないため一度だけ求め、試行ごとには所要時間だけを決め直す
+    const { visits } = FlowAnalysisService.calculateVisits(steps, edges);
+    const occurrencesById = {};
+    steps.forEach(step => {
+      const data = step.data || {};
+      const hasFrequency = parseFloat(data.frequency) > 0 || StepModel.hasFrequencyFormula(step);
+      occurrencesById[step.id] = hasFrequency
+        ? WorkloadEngine.getAnnualOccurrences(step, calculationOptions) * (visits[step.id] ?? 1)
+        : 0;
+    });
+    const estimateLeadTime = LeadTimeService.createEstimator(steps, edges);
+
+    // 所要時間は「時間 × 単位あたりの分数」なので、見積もりと分数も一度だけ求める（子プロセスは試行ごとに集計し直す）
+    const fixedMinutes = {};
+    const samplers = [];
+    steps.forEach(step => {
+      fixedMinutes[step.id] = WorkloadEngine.getMinutesPerOccurrence(step, calculationOptions);
+      if (StepModel.hasSubProcess(step)) {
+        if (SimulationService.hasEstimates([step])) {
+          samplers.push({ id: step.id, subProcessStep: step });
+        }
+        return;
+      }
+      const estimate = StepModel.getTimeEstimate(step);
+      if (estimate) {
+        const { hoursPerDay } = CalendarModel.resolveOptions(calculationOptions, step.data?.responsible);
+        samplers.push({ id: step.id, estimate, minutesPerUnit: WorkloadEngine.toMinutes(1, step.data.timeUnit, hoursPerDay) });
+      }
+    });
+
+    const random = createRandom(seed);
+    const annualHours = [];
+    const leadTimeMinutes = [];
+
+    for (let i = 0; i < iterations; i++) {
+      const minutesById = { ...fixedMinutes };
+      samplers.forEach(({ id, estimate, minutesPerUnit, subProcessStep }) => {
+        if (subProcessStep) {
+          const [sampled] = SimulationService.sampleSteps([subProcessStep], random);
+          minutesById[id] = WorkloadEngine.getMinutesPerOccurrence(sampled, calculationOptions);
+          return;
+        }
+        const { distribution, min, mode, max } = estimate;
+        const time = distribution === 'pert'
+          ? SimulationService.samplePert(random, min, mode, max)
+          : SimulationService.sampleTriangular(random, min, mode, max);
+        minutesById[id] = time > 0 ? time * minutesPerUnit : 0;
+      });
+
+      const totalMinutes = steps.reduce((sum, step) => sum + minutesById[step.id] * occurrencesById[step.id], 0);
+      annualHours.push(totalMinutes / 60);
+      leadTimeMinutes.push(estimateLeadTime(minutesById));
+    }
+
+    return {
+      iterations,
+      seed,
+      annualHours: {
+        summary: SimulationService.summarize(annualHours),
+        histogram: SimulationService.buildHistogram(annualHours, binCount)
+      },
+      leadTimeMinutes: {
+        summary: SimulationService.summarize(leadTimeMinutes),
+        histogram: SimulationService.buildHistogram(leadTimeMinutes, binCount)
+      }
+    };
+  }
+};
+
+export default SimulationService;
@@ -0,0 +1,136 @@
+// src/services/simulation.test.js
+import { SimulationService } from './simulation';
+import { WorkloadEngine } from './workloadEngine';
+import { LeadTimeService } from './leadTime';
+import { createStep, createFlowEdges } from './__fixtures__/process';
+
+// 入力（20〜60分の三角分布）→ 確認（0.5〜3時間のPERT分布）→ 送付（見積もりなし）、確認から入力へ20%差戻し
+const createSteps = () => [
+  createStep('s1', 'input', { timeEstimate: { min: 20, max: 60 } }),
+  createStep('s2', 'check', { timeEstimate: { min: 0.5, max: 3, distribution: 'pert' } }),
+  createStep('s3', 'send')
+];
+
+const createEdges = () => createFlowEdges().filter(edge => edge.target !== 's4');
+
+const sampleMany = (sample, count = 5000) => {
+  const random = SimulationService.createRandom(7);
+  return Array.from({ length: count }, () => sample(random));
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+describe('SimulationService', () => {
+  test('同じシードなら同じ乱数列になり、値は0以上1未満になる', () => {
+    const first = SimulationService.createRandom(42);
+    const second = SimulationService.createRandom(42);
+    const other = SimulationService.createRandom(43);
+    const values = Array.from({ length: 100 }, () => first());
+
+    expect(Array.from({ length: 100 }, () => second())).toEqual(values);
+    expect(other()).not.toBe(values[0]);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  test('三角分布の乱数は最小値〜最大値に収まり、平均は3点の平均になる', () => {
+    const values = sampleMany(random => SimulationService.sampleTriangular(random, 20, 30, 60));
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(20);
+    expect(Math.max(...values)).toBeLessThanOrEqual(60);
+    expect(mean(values)).toBeCloseTo(110 / 3, 0);
+  });
+
+  test('PERT分布の乱数は最小値〜最大値に収まり、平均は最頻値に4倍の重みを付けた平均になる', () => {
+    const values = sampleMany(random => SimulationService.samplePert(random, 0.5, 1, 3));
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0.5);
+    expect(Math.max(...values)).toBeLessThanOrEqual(3);
+    expect(mean(values)).toBeCloseTo(7.5 / 6, 1);
+  });
+
+  test('見積もりのないステップは所要時間をそのまま使う', () => {
+    const [, , transport] = createSteps();
+
+    expect(SimulationService.sampleStepTime(transport, SimulationService.createRandom(1))).toBe(0.5);
+    expect(SimulationService.hasEstimates([transport])).toBe(false);
+    expect(SimulationService.hasEstimates(createSteps())).toBe(true);
+  });
+
+  test('パーセンタイルは線形補間で求め、分布を要約する', () => {
+    const summary = SimulationService.summarize([4, 1, 3, 2]);
+
+    expect(SimulationService.percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(summary).toMatchObject({ mean: 2.5, min: 1, max: 4 });
+    expect(summary.percentiles[80]).toBeCloseTo(3.4);
+    expect(summary.percentiles[95]).toBeCloseTo(3.85);
+    expect(SimulationService.buildHistogram([1, 2, 3, 4], 2).map(bin => bin.count)).toEqual([2, 2]);
+  });
+
+  describe('run', () => {
+    test('同じシードなら同じ結果を返す', () => {
+      const options = { iterations: 200, seed: 5 };
+
+      expect(SimulationService.run(createSteps(), createEdges(), options))
+        .toEqual(SimulationService.run(createSteps(), createEdges(), options));
+    });
+
+    test('見積もりがなければ、すべての試行がダッシュボードの年間工数とリードタイムに一致する', () => {
+      const steps = createSteps().map(({ data: { timeEstimate, ...data }, ...step }) => ({ ...step, data }));
+      const edges = createEdges();
+      const result = SimulationService.run(steps, edges, { iterations: 10 });
+
+      expect(result.annualHours.summary.min).toBeCloseTo(WorkloadEngine.calculate({ steps, edges }).totalMinutes / 60);
+      expect(result.annualHours.summary.max).toBeCloseTo(result.annualHours.summary.min);
+      expect(result.leadTimeMinutes.summary.mean).toBeCloseTo(LeadTimeService.calculateLeadTime(steps, edges).leadTimeMinutes);
+    });
+
+    // サンプリングした所要時間でプロセス全体を計算し直した結果
+    const recalculate = (steps, edges, iterations, seed) => {
+      const random = SimulationService.createRandom(seed);
+      const annualHours = [];
+      const leadTimeMinutes = [];
+      for (let i = 0; i < iterations; i++) {
+        const sampled = SimulationService.sampleSteps(steps, random);
+        annualHours.push(WorkloadEngine.calculate({ steps: sampled, edges }).totalMinutes / 60);
+        leadTimeMinutes.push(LeadTimeService.calculateLeadTime(sampled, edges).leadTimeMinutes);
+      }
+      return { annualHours, leadTimeMinutes };
+    };
+
+    test('各試行はサンプリングした所要時間でプロセス全体を計算し直した結果と一致する', () => {
+      const steps = createSteps();
+      const edges = createEdges();
+      const result = SimulationService.run(steps, edges, { iterations: 20, seed: 3 });
+      const expected = recalculate(steps, edges, 20, 3);
+
+      expect(result.annualHours.summary.mean).toBeCloseTo(mean(expected.annualHours), 6);
+      expect(result.leadTimeMinutes.summary.mean).toBeCloseTo(mean(expected.leadTimeMinutes), 6);
+      expect(result.leadTimeMinutes.summary.percentiles[95]).toBeCloseTo(
+        SimulationService.summarize(expected.leadTimeMinutes).percentiles[95], 6
+      );
+    });
+
+    test('並行分岐を含む場合も、試行ごとに長い方の分岐をリードタイムに含める', () => {
+      // 確認の後に送付と記帳（10〜40分）を並行して行い、保管で合流する
+      const steps = [
+        ...createSteps(),
+        { id: 's4', type: 'process', data: { label: '記帳', time: 20, timeUnit: '分', frequency: 1, frequencyUnit: '日', timeEstimate: { min: 10, max: 40 } } },
+        { id: 's5', type: 'storage', data: { label: '保管', time: 0, timeUnit: '分', frequency: 1, frequencyUnit: '日' } }
+      ];
+      steps[1] = { ...steps[1], data: { ...steps[1].data, parallelSplit: true } };
+      const edges = [
+        { id: 'e1', source: 's1', target: 's2', data: {} },
+        { id: 'e2', source: 's2', target: 's3', data: {} },
+        { id: 'e3', source: 's2', target: 's4', data: {} },
+        { id: 'e4', source: 's3', target: 's5', data: {} },
+        { id: 'e5', source: 's4', target: 's5', data: {} }
+      ];
+      const result = SimulationService.run(steps, edges, { iterations: 20, seed: 9 });
+      const expected = recalculate(steps, edges, 20, 9);
+
+      expect(result.annualHours.summary.mean).toBeCloseTo(mean(expected.annualHours), 6);
+      expect(result.leadTimeMinutes.summary.min).toBeCloseTo(Math.min(...expected.leadTimeMinutes), 6);
+      expect(result.leadTimeMinutes.summary.max).toBeCloseTo(Math.max(...expected.leadTimeMinutes), 6);
+    });
+  });
+});
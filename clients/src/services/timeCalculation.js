@@ -1,134 +1,36 @@
 // src/services/timeCalculation.js
+import { WorkloadEngine } from './workloadEngine';
+import CalendarModel from '../models/CalendarModel';
+import ImprovementModel from '../models/ImprovementModel';
+
+const round1 = (value) => Math.round(value * 10) / 10;
 
 /**
- * 業務ステップの所要時間を年間工数に換算するサービス
+ * 時間・工数の換算と表示を扱うサービス
+ * 年間工数の計算は WorkloadEngine に集約している
  */
 export const TimeCalculationService = {
   /**
-   * 各業務ステップの所要時間を年間工数に換算
-   * @param {Array} steps - 業務ステップの配列
+   * 子プロセスの所要時間を親ステップ1回あたりの分数に集計する（WorkloadEngine に委譲）
+   * @param {Object} subProcess - 子プロセス { steps, edges }
    * @param {Object} options - 計算オプション
-   * @returns {Object} 年間工数の合計と内訳
+   * @returns {number} 親ステップ1回あたりの所要時間（分）
    */
-  calculateAnnualWorkload: (steps, options = {}) => {
-    // デフォルト値の設定
-    const {
-      businessDaysPerYear = 250,    // 年間営業日数
-      businessWeeksPerYear = 52,    // 年間週数
-      businessMonthsPerYear = 12,   // 年間月数
-      hoursPerDay = 8               // 1日の労働時間
-    } = options;
-    
-    // 作業カテゴリ（JMA方式の工程タイプ）
-    const CATEGORIES = {
-      PROCESS: 'process',      // 加工
-      INSPECTION: 'inspection', // 検査
-      TRANSPORT: 'transport',   // 搬送
-      DELAY: 'delay',           // 停滞
-      STORAGE: 'storage'        // 保管
-    };
-    
-    // 結果保存用
-    let result = {
-      totalMinutes: 0,
-      totalHours: 0,
-      totalDays: 0,
-      categorySummary: {
-        [CATEGORIES.PROCESS]: 0,
-        [CATEGORIES.INSPECTION]: 0,
-        [CATEGORIES.TRANSPORT]: 0,
-        [CATEGORIES.DELAY]: 0,
-        [CATEGORIES.STORAGE]: 0
-      },
-      stepDetails: []
-    };
-    
-    // ステップがない場合は空の結果を返す
-    if (!steps || steps.length === 0) {
-      return result;
-    }
-    
-    // 各ステップの年間工数を計算
-    steps.forEach(step => {
-      // ステップデータの取得
-      const { id, type, data } = step;
-      const { label, time, timeUnit, frequency, frequencyUnit } = data;
-      
-      // 値が不正な場合はスキップ
-      if (!time || time <= 0 || !frequency || frequency <= 0) {
-        return;
-      }
-      
-      // 分単位に統一
-      let minutesPerOccurrence = time;
-      if (timeUnit === '時間') {
-        minutesPerOccurrence *= 60;
-      } else if (timeUnit === '日') {
-        minutesPerOccurrence *= hoursPerDay * 60; // 1日=8時間
-      }
-      
-      // 年間発生回数を計算
-      let occurrencesPerYear = 0;
-      switch (frequencyUnit) {
-        case '日':
-          occurrencesPerYear = frequency * businessDaysPerYear;
-          break;
-        case '週':
-          occurrencesPerYear = frequency * businessWeeksPerYear;
-          break;
-        case '月':
-          occurrencesPerYear = frequency * businessMonthsPerYear;
-          break;
-        case '年':
-          occurrencesPerYear = frequency;
-          break;
-        default:
-          occurrencesPerYear = 0;
-      }
-      
-      // 年間総時間を計算（分単位）
-      const annualMinutes = minutesPerOccurrence * occurrencesPerYear;
-      const annualHours = annualMinutes / 60;
-      
-      // 結果を更新
-      result.totalMinutes += annualMinutes;
-      
-      // カテゴリが有効なら集計に追加
-      if (type && CATEGORIES[type.toUpperCase()]) {
-        result.categorySummary[type] += annualMinutes;
-      }
-      
-      // ステップ詳細を追加
-      result.stepDetails.push({
-        id,
-        label,
-        type,
-        minutesPerOccurrence,
-        occurrencesPerYear,
-        annualMinutes,
-        annualHours: Math.round(annualHours * 10) / 10
-      });
-    });
-    
-    // 合計時間を時間と日数に換算
-    result.totalHours = Math.round(result.totalMinutes / 60 * 10) / 10;
-    result.totalDays = Math.round(result.totalHours / hoursPerDay * 10) / 10;
-    
-    // カテゴリごとの時間を時間単位に変換
-    Object.keys(result.categorySummary).forEach(category => {
-      result.categorySummary[category] = Math.round(result.categorySummary[category] / 60 * 10) / 10;
-    });
-    
-    return result;
+  calculateSubProcessMinutes: (subProcess, options = {}) => {
+    return WorkloadEngine.calculateSubProcessMinutes(subProcess, options);
   },
   
   /**
    * 業務改善効果の計算
+   * 同じステップへの複数の施策は interactionRule に従って合成し、削減した時間を施策ごとに配分する
    * @param {Object} currentWorkload - 現状の年間工数
    * @param {Array} improvements - 改善施策の配列
-   * @returns {Object} 改善後の年間工数と削減効果
+   * @param {Object} options - 計算オプション（calendar, interactionRule）
+   * @returns {Object} 改善後の年間工数と削減効果（attribution: 施策ごとの削減時間、conflicts: 同時に実施できない施策）
    */
-  calculateImprovementEffect: (currentWorkload, improvements) => {
+  calculateImprovementEffect: (currentWorkload, improvements, options = {}) => {
+    const { interactionRule = 'multiplicative', ...profile } = options;
+    
     // 現在の工数がない場合は計算不能
     if (!currentWorkload) {
       return {
@@ -138,7 +40,9 @@ export const TimeCalculationService = {
           hours: 0,
           days: 0,
           percent: 0
-        }
+        },
+        attribution: [],
+        conflicts: []
       };
     }
     
@@ -151,128 +55,71 @@ export const TimeCalculationService = {
           hours: 0,
           days: 0,
           percent: 0
-        }
+        },
+        attribution: [],
+        conflicts: []
       };
     }
     
-    // 深いコピーを作成して変更可能な状態にする
-    const improvedWorkload = JSON.parse(JSON.stringify(currentWorkload));
+    const improvedWorkload = WorkloadEngine.applyImprovements(currentWorkload, improvements, profile, interactionRule);
     
-    // 各改善施策を適用
-    improvements.forEach(improvement => {
-      const { targetStepId, timeReductionPercent } = improvement;
-      
-      // 対象ステップを検索
-      const targetStepIndex = improvedWorkload.stepDetails.findIndex(step => step.id === targetStepId);
-      
-      if (targetStepIndex >= 0) {
-        const targetStep = improvedWorkload.stepDetails[targetStepIndex];
-        const originalMinutes = targetStep.annualMinutes;
-        
-        // 削減時間を計算
-        const reductionRate = timeReductionPercent / 100;
-        const reducedMinutes = originalMinutes * reductionRate;
-        
-        // 値を更新
-        targetStep.annualMinutes -= reducedMinutes;
-        targetStep.annualHours = Math.round(targetStep.annualMinutes / 60 * 10) / 10;
-        
-        // 合計時間の更新
-        improvedWorkload.totalMinutes -= reducedMinutes;
-        
-        // カテゴリ別集計の更新（対応するステップタイプがある場合）
-        if (targetStep.type && improvedWorkload.categorySummary[targetStep.type] !== undefined) {
-          improvedWorkload.categorySummary[targetStep.type] -= Math.round(reducedMinutes / 60 * 10) / 10;
-        }
-      }
+    // 施策ごとの削減時間（ステップの年間工数 × 配分された削減率）
+    const savedMinutes = new Map();
+    currentWorkload.stepDetails.forEach(detail => {
+      const targeted = improvements.filter(improvement => improvement.targetStepId === detail.id);
+      ImprovementModel.combineReductions(targeted, interactionRule).shares.forEach(({ improvement, share }) => {
+        savedMinutes.set(improvement, detail.annualMinutes * share);
+      });
     });
     
-    // 合計時間を再計算
-    improvedWorkload.totalHours = Math.round(improvedWorkload.totalMinutes / 60 * 10) / 10;
-    improvedWorkload.totalDays = Math.round(improvedWorkload.totalHours / 8 * 10) / 10;
-    
-    // 削減効果の計算
-    const savingsHours = currentWorkload.totalHours - improvedWorkload.totalHours;
-    const savingsPercent = (savingsHours / currentWorkload.totalHours) * 100;
-    
     return {
-      before: currentWorkload,
-      after: improvedWorkload,
-      savings: {
-        hours: Math.round(savingsHours * 10) / 10,
-        days: Math.round(savingsHours / 8 * 10) / 10,
-        percent: Math.round(savingsPercent * 10) / 10
-      }
+      ...TimeCalculationService.compareWorkloads(currentWorkload, improvedWorkload, profile),
+      attribution: TimeCalculationService.buildAttribution(
+        improvements.map(improvement => ({ improvement, annualMinutes: savedMinutes.get(improvement) || 0 }))
+      ),
+      conflicts: ImprovementModel.findConflicts(improvements)
     };
   },
   
   /**
-   * 特定ステップの所要時間を年間工数に換算
-   * @param {Object} step - 業務ステップ
-   * @param {Object} options - 計算オプション
-   * @returns {Object} 年間工数
+   * 施策ごとの削減時間を削減効果の内訳にする
+   * @param {Array} entries - [{ improvement, annualMinutes }]
+   * @returns {Array} [{ improvementId, title, stepId, annualMinutes, hours, percent }]（percent は削減時間の合計に占める割合）
    */
-  calculateStepWorkload: (step, options = {}) => {
-    // デフォルト値の設定
-    const {
-      businessDaysPerYear = 250,    // 年間営業日数
-      businessWeeksPerYear = 52,    // 年間週数
-      businessMonthsPerYear = 12,   // 年間月数
-      hoursPerDay = 8               // 1日の労働時間
-    } = options;
-    
-    const { data } = step;
-    const { time, timeUnit, frequency, frequencyUnit } = data;
-    
-    // 値が不正な場合は0を返す
-    if (!time || time <= 0 || !frequency || frequency <= 0) {
-      return {
-        minutesPerOccurrence: 0,
-        occurrencesPerYear: 0,
-        annualMinutes: 0,
-        annualHours: 0,
-        annualDays: 0
-      };
-    }
-    
-    // 分単位に統一
-    let minutesPerOccurrence = time;
-    if (timeUnit === '時間') {
-      minutesPerOccurrence *= 60;
-    } else if (timeUnit === '日') {
-      minutesPerOccurrence *= hoursPerDay * 60; // 1日=8時間
-    }
-    
-    // 年間発生回数を計算
-    let occurrencesPerYear = 0;
-    switch (frequencyUnit) {
-      case '日':
-        occurrencesPerYear = frequency * businessDaysPerYear;
-        break;
-      case '週':
-        occurrencesPerYear = frequency * businessWeeksPerYear;
-        break;
-      case '月':
-        occurrencesPerYear = frequency * businessMonthsPerYear;
-        break;
-      case '年':
-        occurrencesPerYear = frequency;
-        break;
-      default:
-        occurrencesPerYear = 0;
-    }
+  buildAttribution: (entries = []) => {
+    const totalMinutes = entries.reduce((sum, entry) => sum + entry.annualMinutes, 0);
+    return entries.map(({ improvement, annualMinutes }) => ({
+      improvementId: improvement.id,
+      title: improvement.title || '',
+      stepId: improvement.targetStepId,
+      annualMinutes,
+      hours: round1(annualMinutes / 60),
+      percent: totalMinutes !== 0 ? round1(annualMinutes / totalMinutes * 100) : 0
+    }));
+  },
+  
+  /**
+   * 改善前後の年間工数から削減効果を求める
+   * @param {Object} before - 改善前の年間工数
+   * @param {Object} after - 改善後の年間工数
+   * @param {Object} options - 計算オプション（calendar）
+   * @returns {Object} { before, after, savings: { hours, days, percent } }
+   */
+  compareWorkloads: (before, after, options = {}) => {
+    const { hoursPerDay } = CalendarModel.resolveOptions(options);
     
-    // 年間総時間を計算
-    const annualMinutes = minutesPerOccurrence * occurrencesPerYear;
-    const annualHours = annualMinutes / 60;
-    const annualDays = annualHours / hoursPerDay;
+    // 削減効果の計算（丸める前の分数から求める）
+    const savingsMinutes = before.totalMinutes - after.totalMinutes;
+    const savingsPercent = before.totalMinutes > 0 ? (savingsMinutes / before.totalMinutes) * 100 : 0;
     
     return {
-      minutesPerOccurrence,
-      occurrencesPerYear,
-      annualMinutes,
-      annualHours: Math.round(annualHours * 10) / 10,
-      annualDays: Math.round(annualDays * 10) / 10
+      before,
+      after,
+      savings: {
+        hours: Math.round(savingsMinutes / 60 * 10) / 10,
+        days: Math.round(savingsMinutes / 60 / hoursPerDay * 10) / 10,
+        percent: Math.round(savingsPercent * 10) / 10
+      }
     };
   },
   
@@ -284,48 +131,18 @@ export const TimeCalculationService = {
    * @returns {number} 分単位の値
    */
   convertToMinutes: (value, unit, hoursPerDay = 8) => {
-    if (!value || value <= 0) return 0;
-    
-    switch (unit) {
-      case '分':
-        return value;
-      case '時間':
-        return value * 60;
-      case '日':
-        return value * hoursPerDay * 60;
-      default:
-        return value;
-    }
+    return WorkloadEngine.toMinutes(value, unit, hoursPerDay);
   },
   
   /**
    * 頻度を年間回数に変換
    * @param {number} value - 頻度値
    * @param {string} unit - 単位（日、週、月、年）
-   * @param {Object} options - 変換オプション
+   * @param {Object} options - 変換オプション（calendar, responsible など）
    * @returns {number} 年間回数
    */
   convertToAnnualFrequency: (value, unit, options = {}) => {
-    const {
-      businessDaysPerYear = 250,
-      businessWeeksPerYear = 52,
-      businessMonthsPerYear = 12
-    } = options;
-    
-    if (!value || value <= 0) return 0;
-    
-    switch (unit) {
-      case '日':
-        return value * businessDaysPerYear;
-      case '週':
-        return value * businessWeeksPerYear;
-      case '月':
-        return value * businessMonthsPerYear;
-      case '年':
-        return value;
-      default:
-        return value;
-    }
+    return WorkloadEngine.toAnnualOccurrences(value, unit, CalendarModel.resolveOptions(options, options.responsible));
   },
   
   /**
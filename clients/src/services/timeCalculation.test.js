@@ -0,0 +1,97 @@
+// src/services/timeCalculation.test.js
+import { TimeCalculationService } from './timeCalculation';
+import { WorkloadEngine } from './workloadEngine';
+import { createStep } from './__fixtures__/process';
+
+// 入力（年500回・30分で年間250時間）と送付（年12回・半日で年間48時間）
+const createSteps = () => [createStep('s1', 'input', { responsible: '田中' }), createStep('s2', 'send')];
+
+describe('TimeCalculationService', () => {
+  describe('calculateImprovementEffect', () => {
+    const improvements = [
+      { targetStepId: 's1', timeReductionPercent: 50 },
+      { targetStepId: 's1', timeReductionPercent: 20 },
+      { targetStepId: 's2', timeReductionPercent: 10 }
+    ];
+
+    test('同じステップへの削減率は掛け合わせて適用する', () => {
+      const workload = WorkloadEngine.calculate({ steps: createSteps() });
+      const effect = TimeCalculationService.calculateImprovementEffect(workload, improvements);
+
+      expect(effect.before).toBe(workload);
+      expect(effect.after.stepDetails.map(detail => detail.annualHours)).toEqual([100, 43.2]);
+      expect(effect.after.totalHours).toBe(143.2);
+      expect(effect.savings).toEqual({ hours: 154.8, days: 19.4, percent: 51.9 });
+    });
+
+    test('改善後の工程タイプ別・担当者別の内訳も集計し直す', () => {
+      const workload = WorkloadEngine.calculate({ steps: createSteps() });
+      const effect = TimeCalculationService.calculateImprovementEffect(workload, improvements);
+
+      expect(effect.after.categorySummary).toEqual({ process: 100, inspection: 0, transport: 43.2, delay: 0, storage: 0 });
+      expect(effect.after.personSummary['田中'].annualHours).toBe(100);
+    });
+  });
+
+  describe('同じステップへの施策の合成', () => {
+    // 入力（年間250時間）への2つの60%短縮
+    const improvements = [
+      { id: 'i1', title: '自動化', targetStepId: 's1', timeReductionPercent: 60 },
+      { id: 'i2', title: '標準化', targetStepId: 's1', timeReductionPercent: 60 }
+    ];
+    const calculate = (interactionRule, items = improvements) => TimeCalculationService.calculateImprovementEffect(
+      WorkloadEngine.calculate({ steps: createSteps() }),
+      items,
+      { interactionRule }
+    );
+
+    test('合成方法に従って0分を下限に合成する', () => {
+      expect(calculate('multiplicative').after.stepDetails[0].annualHours).toBe(40);
+      expect(calculate('additive').after.stepDetails[0].annualHours).toBe(0);
+      expect(calculate('max').after.stepDetails[0].annualHours).toBe(100);
+    });
+
+    test('削減時間を施策ごとに配分し、内訳も合成後の工数から集計する', () => {
+      const effect = calculate('multiplicative');
+
+      expect(effect.attribution.map(item => [item.improvementId, item.hours, item.percent])).toEqual([
+        ['i1', 105, 50],
+        ['i2', 105, 50]
+      ]);
+      expect(effect.savings.hours).toBe(210);
+      expect(effect.after.categorySummary.process).toBe(40);
+      expect(effect.conflicts).toEqual([]);
+    });
+
+    test('最大を選ぶと削減時間はすべて効果の大きい施策に配分する', () => {
+      expect(calculate('max').attribution.map(item => item.hours)).toEqual([150, 0]);
+    });
+
+    test('排除を含む場合は削減時間をすべて排除の施策に配分し、競合も返す', () => {
+      const eliminated = calculate('multiplicative', [
+        { id: 'i4', title: '自動化', targetStepId: 's2', timeReductionPercent: 70 },
+        { id: 'i3', title: '送付の廃止', targetStepId: 's2', ecrs: 'eliminate' }
+      ]);
+
+      expect(eliminated.attribution.map(item => [item.improvementId, item.hours])).toEqual([['i4', 0], ['i3', 48]]);
+      expect(eliminated.conflicts).toHaveLength(1);
+    });
+  });
+
+  test('換算関数はエンジンと同じ結果を返す', () => {
+    const subProcess = {
+      steps: [
+        { id: 'c1', type: 'process', data: { label: '抽出', time: 10, timeUnit: '分' } },
+        { id: 'c2', type: 'inspection', data: { label: '照合', time: 20, timeUnit: '分' } }
+      ],
+      edges: [{ id: 'c1-c2', source: 'c1', target: 'c2', data: {} }]
+    };
+
+    expect(TimeCalculationService.convertToMinutes(1.5, '日')).toBe(720);
+    expect(TimeCalculationService.convertToAnnualFrequency(2, '週')).toBe(104);
+    expect(TimeCalculationService.convertToAnnualFrequency(2, '不明')).toBe(0);
+    expect(TimeCalculationService.calculateSubProcessMinutes(subProcess)).toBe(30);
+    expect(WorkloadEngine.calculate({ steps: [{ id: 'p', type: 'process', data: { frequency: 1, frequencyUnit: '日', subProcess } }] })
+      .stepDetails[0].minutesPerOccurrence).toBe(30);
+  });
+});
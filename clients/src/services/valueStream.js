@@ -0,0 +1,176 @@
+// src/services/valueStream.js
+import { WorkloadEngine } from './workloadEngine';
+import { FlowAnalysisService } from './flowAnalysis';
+import { LeadTimeService } from './leadTime';
+import StepModel from '../models/StepModel';
+import CalendarModel from '../models/CalendarModel';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+
+const SHEET_NAME = 'バリューストリーム指標';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * ステップごとのサイクルタイム
+ * @typedef {Object} StepCycle
+ * @property {string} id - ステップID
+ * @property {string} label - ステップ名
+ * @property {string} type - 工程タイプ（複合記号は主となるタイプ）
+ * @property {string} valueType - 価値区分（StepModel.getValueType）
+ * @property {number} minutesPerOccurrence - 1回あたりの所要時間（分）
+ * @property {number} visitsPerInstance - 需要1件あたりの実行回数（分岐・差戻しを考慮）
+ * @property {number} servers - 同時処理数（未設定は1）
+ * @property {number} cycleTimeMinutes - 需要1件あたりのサイクルタイム（所要時間 × 実行回数 ÷ 同時処理数）
+ * @property {boolean} isWait - 停滞・保管（タクトタイムとの比較対象外）
+ * @property {boolean} exceedsTakt - サイクルタイムがタクトタイムを超えているか
+ */
+
+/**
+ * リーン（バリューストリームマッピング）の標準指標を求めるサービス
+ * 顧客需要からのタクトタイム、ステップごとのサイクルタイム、付加価値・非付加価値・ムダの時間と工程効率（PCE）
+ */
+export const ValueStreamService = {
+  /**
+   * 顧客需要の年間件数を求める
+   * @param {Object} demand - 顧客需要（value, unit, volumeDriverId）
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers）
+   * @returns {number} 年間件数（未設定は0）
+   */
+  getAnnualDemand: (demand, profile = {}) => {
+    if (!demand) return 0;
+    if (demand.volumeDriverId) {
+      const driver = VolumeDriverModel.find(profile.volumeDrivers, demand.volumeDriverId);
+      return driver ? WorkloadEngine.getDriverAnnualVolume(driver, profile) : 0;
+    }
+    return WorkloadEngine.toAnnualOccurrences(parseFloat(demand.value) || 0, demand.unit, CalendarModel.resolveOptions(profile));
+  },
+
+  /**
+   * バリューストリームの指標を求める
+   * @param {Object} project - プロジェクト（steps、edges）
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers）
+   * @param {Object} demand - 顧客需要
+   * @returns {Object} { annualDemand, availableMinutesPerYear, taktTimeMinutes, steps: Array<StepCycle>, bottleneck,
+   *   valueAddedMinutes, nonValueAddedMinutes, wasteMinutes, totalMinutes, leadTimeMinutes, criticalPathMinutes, valueAddedRatio, processCycleEfficiency }
+   *   （リードタイムは分岐確率で重み付けした期待値、criticalPathMinutes は最悪ケースの経路の所要時間）
+   */
+  calculate: (project = {}, profile = {}, demand = null) => {
+    const steps = project.steps || project.processSteps || [];
+    const edges = project.edges || [];
+    const resolved = CalendarModel.resolveOptions(profile);
+
+    const annualDemand = ValueStreamService.getAnnualDemand(demand, profile);
+    const availableMinutesPerYear = resolved.businessDaysPerYear * resolved.hoursPerDay * 60;
+    const taktTimeMinutes = annualDemand > 0 ? availableMinutesPerYear / annualDemand : null;
+
+    const { visits } = FlowAnalysisService.calculateVisits(steps, edges);
+    const minutesByValueType = Object.fromEntries(WorkloadEngine.VALUE_TYPES.map(type => [type, 0]));
+
+    const cycles = steps.map(step => {
+      const { type } = StepModel.parseCompositeType(step.type);
+      const valueType = StepModel.getValueType(step);
+      const minutesPerOccurrence = WorkloadEngine.getMinutesPerOccurrence(step, profile);
+      const visitsPerInstance = visits[step.id] ?? 1;
+      const servers = parseInt(step.data?.servers, 10) || 1;
+      const cycleTimeMinutes = (minutesPerOccurrence * visitsPerInstance) / servers;
+      const isWait = LeadTimeService.WAIT_TYPES.includes(type);
+
+      minutesByValueType[valueType] = (minutesByValueType[valueType] || 0) + minutesPerOccurrence * visitsPerInstance;
+
+      return {
+        id: step.id,
+        label: step.data?.label || '',
+        type,
+        valueType,
+        minutesPerOccurrence,
+        visitsPerInstance,
+        servers,
+        cycleTimeMinutes,
+        isWait,
+        exceedsTakt: !isWait && taktTimeMinutes !== null && cycleTimeMinutes > taktTimeMinutes
+      };
+    });
+
+    const bottleneck = cycles
+      .filter(cycle => !cycle.isWait)
+      .reduce((worst, cycle) => (!worst || cycle.cycleTimeMinutes > worst.cycleTimeMinutes ? cycle : worst), null);
+
+    const valueAddedMinutes = minutesByValueType['value-added'] || 0;
+    const nonValueAddedMinutes = minutesByValueType['non-value-added'] || 0;
+    const wasteMinutes = minutesByValueType.waste || 0;
+    const totalMinutes = valueAddedMinutes + nonValueAddedMinutes + wasteMinutes;
+    const { leadTimeMinutes, criticalPath } = LeadTimeService.calculateLeadTime(steps, edges, profile);
+
+    return {
+      annualDemand,
+      availableMinutesPerYear,
+      taktTimeMinutes,
+      steps: cycles,
+      bottleneck,
+      valueAddedMinutes,
+      nonValueAddedMinutes,
+      wasteMinutes,
+      totalMinutes,
+      leadTimeMinutes,
+      criticalPathMinutes: criticalPath.minutes,
+      valueAddedRatio: totalMinutes > 0 ? valueAddedMinutes / totalMinutes : null,
+      processCycleEfficiency: leadTimeMinutes > 0 ? valueAddedMinutes / leadTimeMinutes : null
+    };
+  },
+
+  /**
+   * 指標の一覧（プロジェクト間で比較できるよう、項目と単位を固定した行）を作成する
+   * レポート・エクスポートはすべてこの一覧を出力する
+   * @param {Object} metrics - calculate の結果
+   * @returns {Array} [項目, 値, 単位] の配列（値が求められない場合は空文字）
+   */
+  toSummaryRows: (metrics) => {
+    const minutes = (value) => (value === null || value === undefined ? '' : round1(value));
+    const percent = (ratio) => (ratio === null || ratio === undefined ? '' : round1(ratio * 100));
+
+    return [
+      ['顧客需要（年間）', metrics.annualDemand > 0 ? round1(metrics.annualDemand) : '', '件'],
+      ['稼働時間（年間）', minutes(metrics.availableMinutesPerYear), '分'],
+      ['タクトタイム', minutes(metrics.taktTimeMinutes), '分/件'],
+      ['最大サイクルタイム', minutes(metrics.bottleneck?.cycleTimeMinutes), '分/件'],
+      ['ボトルネック', metrics.bottleneck?.label || '', ''],
+      ['付加価値時間', minutes(metrics.valueAddedMinutes), '分/件'],
+      ['非付加価値時間', minutes(metrics.nonValueAddedMinutes), '分/件'],
+      ['ムダ時間', minutes(metrics.wasteMinutes), '分/件'],
+      ['合計時間', minutes(metrics.totalMinutes), '分/件'],
+      ['リードタイム', minutes(metrics.leadTimeMinutes), '分/件'],
+      ['クリティカルパス（最悪ケース）', minutes(metrics.criticalPathMinutes), '分/件'],
+      ['付加価値比率', percent(metrics.valueAddedRatio), '%'],
+      ['工程効率（PCE）', percent(metrics.processCycleEfficiency), '%']
+    ];
+  },
+
+  /**
+   * 指標をExcelのシートにする
+   * @param {Object} metrics - calculate の結果
+   * @returns {Object} { name, rows, columnWidths }
+   */
+  toExcelSheet: (metrics) => {
+    return {
+      name: SHEET_NAME,
+      rows: [
+        ['指標', '値', '単位'],
+        ...ValueStreamService.toSummaryRows(metrics),
+        [],
+        ['ステップ名', '価値区分', '1回あたり(分)', '実行回数/件', '同時処理数', 'サイクルタイム(分/件)', 'タクトタイム超過'],
+        ...metrics.steps.map(step => [
+          step.label,
+          StepModel.getValueTypeName(step.valueType),
+          round1(step.minutesPerOccurrence),
+          Math.round(step.visitsPerInstance * 100) / 100,
+          step.servers,
+          round1(step.cycleTimeMinutes),
+          step.exceedsTakt ? '超過' : ''
+        ])
+      ],
+      columnWidths: [24, 14, 12, 12, 10, 18, 14]
+    };
+  }
+};
+
+export default ValueStreamService;
@@ -0,0 +1,67 @@
+// src/services/valueStream.test.js
+import { ValueStreamService } from './valueStream';
+import { LeadTimeService } from './leadTime';
+import { ProcessSheetService } from './processSheet';
+import StepModel from '../models/StepModel';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+import DemandModel from '../models/DemandModel';
+
+// 入力 → 確認 → 送付 → 承認待ち（確認から入力へ20%差戻し、需要1件あたり入力・確認は1.25回）
+import { createFlowSteps, createFlowEdges } from './__fixtures__/process';
+
+describe('ValueStreamService', () => {
+  test('顧客需要からタクトタイムを求め、タクトタイムを超えるステップとボトルネックを判定する', () => {
+    const metrics = ValueStreamService.calculate({ steps: createFlowSteps(), edges: createFlowEdges() }, {}, DemandModel.create({ value: 10, unit: '日' }));
+
+    // 250日 × 8時間 = 120000分 ÷ 2500件
+    expect(metrics.annualDemand).toBe(2500);
+    expect(metrics.taktTimeMinutes).toBe(48);
+    expect(metrics.steps.map(step => [step.id, step.cycleTimeMinutes, step.exceedsTakt])).toEqual([
+      ['s1', 37.5, false],
+      ['s2', 75, true],
+      ['s3', 240, true],
+      ['s4', 120, false] // 停滞はタクトタイムと比較しない
+    ]);
+    expect(metrics.bottleneck.id).toBe('s3');
+  });
+
+  test('需要1件あたりの付加価値・非付加価値・ムダの時間から付加価値比率と工程効率を求める', () => {
+    const steps = createFlowSteps();
+    const edges = createFlowEdges();
+    const metrics = ValueStreamService.calculate({ steps, edges }, {}, null);
+    const { leadTimeMinutes } = LeadTimeService.calculateLeadTime(steps, edges);
+
+    expect([metrics.valueAddedMinutes, metrics.nonValueAddedMinutes, metrics.wasteMinutes]).toEqual([37.5, 315, 120]);
+    expect(metrics.valueAddedRatio).toBeCloseTo(37.5 / 472.5);
+    expect(metrics.processCycleEfficiency).toBeCloseTo(37.5 / leadTimeMinutes);
+    // クリティカルパスは差戻しを含めず各ステップを1回通る（30 + 60 + 240 + 120）
+    expect(metrics.criticalPathMinutes).toBe(450);
+    expect(metrics.taktTimeMinutes).toBeNull();
+  });
+
+  test('サイクルタイムは同時処理数で割って求める', () => {
+    const steps = createFlowSteps();
+    steps[1] = StepModel.update(steps[1], { data: { servers: 2 } });
+    const metrics = ValueStreamService.calculate({ steps, edges: createFlowEdges() }, {}, DemandModel.create({ value: 10, unit: '日' }));
+
+    expect(metrics.steps[1]).toMatchObject({ cycleTimeMinutes: 37.5, exceedsTakt: false });
+  });
+
+  test('顧客需要はボリュームドライバーでも指定できる', () => {
+    const volumeDrivers = [VolumeDriverModel.create({ id: 'orders', name: '受注', value: 1000, unit: '月' })];
+    const metrics = ValueStreamService.calculate({ steps: createFlowSteps() }, { volumeDrivers }, DemandModel.create({ volumeDriverId: 'orders' }));
+
+    expect(metrics.annualDemand).toBe(12000);
+    expect(metrics.taktTimeMinutes).toBe(10);
+  });
+
+  test('Excel・PDFのどちらにも同じ指標の一覧を載せる', () => {
+    const metrics = ValueStreamService.calculate({ steps: createFlowSteps() }, {}, DemandModel.create({ value: 10, unit: '日' }));
+    const summary = ValueStreamService.toSummaryRows(metrics);
+
+    expect(summary[2]).toEqual(['タクトタイム', 48, '分/件']);
+    expect(ValueStreamService.toExcelSheet(metrics).rows.slice(1, summary.length + 1)).toEqual(summary);
+    expect(ProcessSheetService.generateHtml([], ProcessSheetService.calculateTotals([]), { metrics: summary }))
+      .toContain('<td>工程効率（PCE）</td>');
+  });
+});
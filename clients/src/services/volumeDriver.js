@@ -0,0 +1,177 @@
+// src/services/volumeDriver.js
+import { WorkloadEngine } from './workloadEngine';
+import StepModel from '../models/StepModel';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+import CalendarModel from '../models/CalendarModel';
+import formulaUtils from '../utils/formulaUtils';
+
+// Excelのシート名
+const DRIVER_SHEET_NAME = 'ボリュームドライバー';
+const WORKLOAD_SHEET_NAME = '年間工数（ドライバー連動）';
+
+// ドライバーシートの列（A: 名前, B: 件数, C: 単位, D: 年間換算, E〜P: 1月〜12月, Q: 年間件数）
+const MONTH_COLUMNS = ['E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 他のシートのセルを参照する数式の文字列を作る
+ * @param {string} sheetName - シート名
+ * @param {string} cell - セル番地
+ * @returns {string} 参照
+ */
+const sheetRef = (sheetName, cell) => `'${sheetName}'!${cell}`;
+
+/**
+ * ボリュームドライバーを使ったWhat-if分析とExcel出力を行うサービス
+ */
+export const VolumeDriverService = {
+  /**
+   * ドライバーの件数を増減させた場合の年間工数を現状と比較する
+   * @param {Object} project - プロジェクト（steps、edges）
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers）
+   * @param {Object} growthRates - ドライバーIDと増減率（%）の対応
+   * @returns {Object} { base, scenario, volumeDrivers, persons: [{ responsible, baseHours, scenarioHours, diffHours }], diffHours, diffPercent }
+   */
+  compare: (project, profile = {}, growthRates = {}) => {
+    const volumeDrivers = VolumeDriverModel.scale(profile.volumeDrivers, growthRates);
+    const base = WorkloadEngine.calculate(project, profile);
+    const scenario = WorkloadEngine.calculate(project, { ...profile, volumeDrivers });
+
+    const names = [...new Set([...Object.keys(base.personSummary), ...Object.keys(scenario.personSummary)])];
+    const persons = names.map(responsible => {
+      const baseMinutes = base.personSummary[responsible]?.annualMinutes || 0;
+      const scenarioMinutes = scenario.personSummary[responsible]?.annualMinutes || 0;
+      return {
+        responsible,
+        baseHours: round1(baseMinutes / 60),
+        scenarioHours: round1(scenarioMinutes / 60),
+        diffHours: round1((scenarioMinutes - baseMinutes) / 60)
+      };
+    }).sort((a, b) => b.diffHours - a.diffHours);
+
+    const diffMinutes = scenario.totalMinutes - base.totalMinutes;
+    return {
+      base,
+      scenario,
+      volumeDrivers,
+      persons,
+      diffHours: round1(diffMinutes / 60),
+      diffPercent: base.totalMinutes > 0 ? round1((diffMinutes / base.totalMinutes) * 100) : 0
+    };
+  },
+
+  /**
+   * ボリュームドライバーと連動する年間工数をExcelのシートにする
+   * ドライバーの件数・月別係数を入力セルとし、ドライバーに連動するステップの年間回数・年間工数は数式で求める
+   * @param {Array} steps - プロセスステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers）
+   * @returns {Array} シートの配列（ドライバーがない場合は空）
+   */
+  toExcelSheets: (steps = [], edges = [], profile = {}) => {
+    const drivers = profile.volumeDrivers || [];
+    if (drivers.length === 0) return [];
+
+    const resolved = CalendarModel.resolveOptions(profile);
+    const firstRow = 2;
+    const dayWeightRow = firstRow + drivers.length + 1;
+    const uniformWeightRow = dayWeightRow + 1;
+    const driverRows = {};
+
+    const driverBody = drivers.map((driver, index) => {
+      const row = firstRow + index;
+      const weightRow = WorkloadEngine.isDayBasedUnit(driver.unit) ? dayWeightRow : uniformWeightRow;
+      driverRows[driver.id] = row;
+
+      return [
+        driver.name,
+        driver.value,
+        driver.unit,
+        WorkloadEngine.toAnnualOccurrences(1, driver.unit, resolved),
+        ...MONTH_COLUMNS.map((column, month) => driver.monthlyMultipliers?.[month] ?? 1),
+        {
+          t: 'n',
+          v: WorkloadEngine.getDriverAnnualVolume(driver, profile),
+          f: `B${row}*D${row}*SUMPRODUCT(E${row}:P${row},E${weightRow}:P${weightRow})/SUM(E${weightRow}:P${weightRow})`
+        }
+      ];
+    });
+
+    const driverSheet = {
+      name: DRIVER_SHEET_NAME,
+      rows: [
+        ['名前', '件数', '単位', '年間換算', ...MONTH_COLUMNS.map((column, month) => `${month + 1}月`), '年間件数'],
+        ...driverBody,
+        [],
+        ['重み（営業日数）', '', '', '', ...WorkloadEngine.getMonthlyWeights('日', resolved)],
+        ['重み（均等）', '', '', '', ...Array(12).fill(1)],
+        [],
+        ['件数（B列）と月別係数（E〜P列）を変更すると、年間件数と「' + WORKLOAD_SHEET_NAME + '」が再計算されます']
+      ],
+      columnWidths: [20, 10, 6, 10, ...MONTH_COLUMNS.map(() => 6), 12]
+    };
+
+    // ステップごとの年間回数（ドライバーに連動するステップは数式、それ以外は値）
+    const stepsById = Object.fromEntries(steps.map(step => [step.id, step]));
+    const workload = WorkloadEngine.calculate({ steps, edges }, profile);
+    const annualVolumeRef = (driver) => sheetRef(DRIVER_SHEET_NAME, `Q${driverRows[driver.id]}`);
+
+    const workloadBody = workload.stepDetails.map((detail, index) => {
+      const row = firstRow + index;
+      const step = stepsById[detail.id];
+      const data = step?.data || {};
+      let frequencyText = data.frequency;
+      let occurrencesFormula = null;
+
+      if (data.frequencyUnit === '件') {
+        const driver = VolumeDriverModel.find(drivers, data.volumeDriverId);
+        const volume = driver ? WorkloadEngine.getDriverAnnualVolume(driver, profile) : 0;
+        frequencyText = `${data.frequency}（${driver?.name || '未設定'}1件あたり）`;
+        if (volume > 0) {
+          occurrencesFormula = `${annualVolumeRef(driver)}*${detail.occurrencesPerYear / volume}`;
+        }
+      } else if (StepModel.hasFrequencyFormula(step)) {
+        const frequency = WorkloadEngine.getFrequencyValue(step, profile);
+        const unitOccurrences = WorkloadEngine.toAnnualOccurrences(
+          1, data.frequencyUnit, CalendarModel.resolveOptions(profile, data.responsible)
+        );
+        frequencyText = data.frequencyFormula;
+        if (frequency > 0 && unitOccurrences > 0) {
+          const expression = formulaUtils.replaceNames(data.frequencyFormula, name => {
+            const driver = VolumeDriverModel.findByName(drivers, name);
+            return driver ? `${annualVolumeRef(driver)}/${unitOccurrences}` : '0';
+          });
+          occurrencesFormula = `(${expression})*${detail.occurrencesPerYear / frequency}`;
+        }
+      }
+
+      return [
+        detail.label,
+        detail.responsible,
+        detail.minutesPerOccurrence,
+        frequencyText,
+        data.frequencyUnit || '',
+        occurrencesFormula
+          ? { t: 'n', v: detail.occurrencesPerYear, f: occurrencesFormula }
+          : detail.occurrencesPerYear,
+        { t: 'n', v: detail.annualMinutes / 60, f: `C${row}*F${row}/60` }
+      ];
+    });
+
+    const lastRow = firstRow + workloadBody.length - 1;
+    const workloadSheet = {
+      name: WORKLOAD_SHEET_NAME,
+      rows: [
+        ['ステップ名', '担当者', '1回あたり(分)', '頻度', '頻度単位', '年間回数', '年間工数(時間)'],
+        ...workloadBody,
+        ['合計', '', '', '', '', '', { t: 'n', v: workload.totalMinutes / 60, f: `SUM(G${firstRow}:G${lastRow})` }]
+      ],
+      columnWidths: [24, 14, 12, 24, 8, 12, 14]
+    };
+
+    return [driverSheet, workloadSheet];
+  }
+};
+
+export default VolumeDriverService;
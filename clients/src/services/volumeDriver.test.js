@@ -0,0 +1,59 @@
+// src/services/volumeDriver.test.js
+import { VolumeDriverService } from './volumeDriver';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+
+describe('VolumeDriverService', () => {
+  describe('compare', () => {
+    const volumeDrivers = [
+      VolumeDriverModel.create({ id: 'orders', name: '受注', value: 100, unit: '月' }),
+      VolumeDriverModel.create({ id: 'invoices', name: '請求 件数', value: 4, unit: '日' })
+    ];
+    const steps = [
+      { id: 'f1', type: 'process', data: { time: 6, timeUnit: '分', frequency: 1, frequencyUnit: '月', frequencyFormula: '受注 * 1.2', responsible: '田中' } },
+      { id: 'f2', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '日', frequencyFormula: '[請求 件数] / 2 + 受注 / 50' } }
+    ];
+
+    test('ドライバーの件数を増減した場合の年間工数を担当者ごとに比較する', () => {
+      const comparison = VolumeDriverService.compare({ steps }, { volumeDrivers }, { orders: 30 });
+
+      expect(comparison.scenario.stepDetails[0].occurrencesPerYear).toBeCloseTo(1872);
+      expect(comparison.persons[0]).toEqual({ responsible: '田中', baseHours: 144, scenarioHours: 187.2, diffHours: 43.2 });
+      expect(comparison.diffHours).toBe(50.4);
+    });
+
+    test('比較のために元のドライバーを変更しない', () => {
+      VolumeDriverService.compare({ steps }, { volumeDrivers }, { orders: 30 });
+
+      expect(volumeDrivers[0].value).toBe(100);
+    });
+  });
+
+  describe('toExcelSheets', () => {
+    const volumeDrivers = [VolumeDriverModel.create({ id: 'orders', name: '受注', value: 100, unit: '月' })];
+    const steps = [
+      { id: 'a', type: 'process', data: { label: '受付', time: 6, timeUnit: '分', frequency: 2, frequencyUnit: '件', volumeDriverId: 'orders' } },
+      { id: 'b', type: 'process', data: { label: '集計', time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '月', frequencyFormula: '受注 / 100' } },
+      { id: 'c', type: 'process', data: { label: '報告', time: 30, timeUnit: '分', frequency: 1, frequencyUnit: '週' } }
+    ];
+
+    test('ドライバーの年間件数を入力セルから求める数式にする', () => {
+      const [driverSheet] = VolumeDriverService.toExcelSheets(steps, [], { volumeDrivers });
+
+      expect(driverSheet.rows[1].slice(0, 4)).toEqual(['受注', 100, '月', 12]);
+      expect(driverSheet.rows[1][16]).toEqual({ t: 'n', v: 1200, f: 'B2*D2*SUMPRODUCT(E2:P2,E5:P5)/SUM(E5:P5)' });
+    });
+
+    test('ドライバーと連動する年間回数は数式、連動しない回数は値として出力する', () => {
+      const [, workloadSheet] = VolumeDriverService.toExcelSheets(steps, [], { volumeDrivers });
+
+      expect(workloadSheet.rows[1][5]).toEqual({ t: 'n', v: 2400, f: "'ボリュームドライバー'!Q2*2" });
+      expect(workloadSheet.rows[2][5]).toEqual({ t: 'n', v: 12, f: "(('ボリュームドライバー'!Q2/12)/100)*12" });
+      expect(workloadSheet.rows[3][5]).toBe(52);
+      expect(workloadSheet.rows[4][6].f).toBe('SUM(G2:G4)');
+    });
+
+    test('ドライバーがなければシートを出力しない', () => {
+      expect(VolumeDriverService.toExcelSheets(steps, [], {})).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,506 @@
+// src/services/workloadEngine.js
+import { FlowAnalysisService } from './flowAnalysis';
+import StepModel from '../models/StepModel';
+import CalendarModel from '../models/CalendarModel';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+import ImprovementModel from '../models/ImprovementModel';
+import formulaUtils from '../utils/formulaUtils';
+
+/**
+ * ステップ1件の年間工数
+ * @typedef {Object} StepWorkload
+ * @property {string} id - ステップID
+ * @property {string} label - ステップ名
+ * @property {string} type - 工程タイプ（複合記号は主となるタイプ）
+ * @property {string|null} secondaryType - 複合記号の副タイプ
+ * @property {string|null} compositeName - 複合記号の記号名（複合記号でない場合はnull）
+ * @property {string} valueType - 価値区分（value-added / non-value-added / waste）
+ * @property {string} responsible - 担当者（未設定は空文字）
+ * @property {Array<{responsible: string, share: number}>} assignees - 工数を負担する担当者と負担割合（合計1）
+ * @property {boolean} isRollup - 子プロセスの集計値かどうか
+ * @property {number} minutesPerOccurrence - 1回あたりの所要時間（分）
+ * @property {number} baseOccurrencesPerYear - 頻度から求めた年間回数（季節変動・ボリュームドライバーを含む）
+ * @property {number} visitsPerInstance - フロー1件あたりの実行回数（分岐・差戻しを考慮）
+ * @property {number} occurrencesPerYear - 年間の実行回数
+ * @property {number} annualMinutes - 年間工数（分）
+ * @property {number} annualHours - 年間工数（時間、小数1桁）
+ * @property {number} annualDays - 年間工数（人日、小数1桁）
+ */
+
+/**
+ * 担当者ごとの年間工数（複数の担当者で分担するステップは負担割合で按分する）
+ * @typedef {Object} PersonWorkload
+ * @property {string} responsible - 担当者（未設定は空文字）
+ * @property {number} stepCount - 担当ステップ数（分担するステップを含む）
+ * @property {number} annualMinutes - 年間工数（分）
+ * @property {number} annualHours - 年間工数（時間、小数1桁）
+ */
+
+/**
+ * プロセス全体の年間工数
+ * @typedef {Object} WorkloadResult
+ * @property {number} totalMinutes - 年間工数の合計（分）
+ * @property {number} totalHours - 年間工数の合計（時間、小数1桁）
+ * @property {number} totalDays - 年間工数の合計（人日、小数1桁）
+ * @property {Object<string, number>} categorySummary - 工程タイプ別の年間工数（時間）
+ * @property {Object<string, number>} compositeSummary - 複合記号別の年間工数（時間）
+ * @property {Object<string, number>} valueCategorySummary - 価値区分別の年間工数（時間）
+ * @property {Object<string, PersonWorkload>} personSummary - 担当者別の年間工数
+ * @property {Array<StepWorkload>} stepDetails - ステップごとの年間工数
+ * @property {Array<string>} flowWarnings - フロー解析の警告
+ */
+
+// 集計する工程タイプと価値区分
+const STEP_TYPES = ['process', 'inspection', 'transport', 'delay', 'storage'];
+const VALUE_TYPES = ['value-added', 'non-value-added', 'waste'];
+
+// 計算プロファイルで個別に指定できる値
+const PROFILE_OVERRIDES = ['businessDaysPerYear', 'businessWeeksPerYear', 'businessMonthsPerYear', 'hoursPerDay'];
+
+// 季節変動を営業日数で重み付けする頻度単位（それ以外は各月を同じ重みとする）
+const DAY_BASED_UNITS = ['時間', '日', '週'];
+
+// エッジ・カレンダー・ボリュームドライバーを指定しない場合のキャッシュキー
+const NO_EDGES = {};
+const NO_CALENDAR = {};
+const NO_DRIVERS = {};
+
+// 計算結果のキャッシュ（ステップ配列 → エッジ配列 → カレンダー → ボリュームドライバー → 個別指定値）
+const resultCache = new WeakMap();
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * キャッシュの階層をたどり、なければ作成する
+ * @param {WeakMap|Map} map - キャッシュ
+ * @param {Object|string} key - キー
+ * @param {Function} create - 作成関数
+ * @returns {WeakMap|Map} 次の階層
+ */
+const getOrCreate = (map, key, create) => {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+};
+
+/**
+ * 年間工数を計算する唯一のエンジン
+ * 時間単位・頻度単位の換算、分岐・差戻しの実行回数、子プロセスの集計、丸めをここに集約する
+ * 合計・内訳は丸める前の分数から求め、時間・人日への換算時にだけ小数1桁に丸める
+ */
+export const WorkloadEngine = {
+  STEP_TYPES,
+  VALUE_TYPES,
+
+  /**
+   * 時間を分に換算する
+   * @param {number} value - 時間値
+   * @param {string} unit - 単位（分、時間、日）
+   * @param {number} hoursPerDay - 1日あたりの時間数
+   * @returns {number} 分数
+   */
+  toMinutes: (value, unit, hoursPerDay = 8) => {
+    const number = parseFloat(value);
+    if (!number || number <= 0) return 0;
+
+    switch (unit) {
+      case '時間':
+        return number * 60;
+      case '日':
+        return number * hoursPerDay * 60;
+      default:
+        return number;
+    }
+  },
+
+  /**
+   * 頻度を年間回数に換算する
+   * 「件」（ボリュームドライバー1件あたり）はドライバーが必要なため、getAnnualOccurrences で求める
+   * @param {number} value - 頻度
+   * @param {string} unit - 単位（時間、日、週、月、四半期、半期、年）
+   * @param {Object} resolved - 確定済みの計算オプション（CalendarModel.resolveOptions の結果）
+   * @returns {number} 年間回数（換算できない単位は0）
+   */
+  toAnnualOccurrences: (value, unit, resolved) => {
+    const number = parseFloat(value);
+    if (!number || number <= 0) return 0;
+
+    switch (unit) {
+      case '時間':
+        return number * resolved.hoursPerDay * resolved.businessDaysPerYear;
+      case '日':
+        return number * resolved.businessDaysPerYear;
+      case '週':
+        return number * resolved.businessWeeksPerYear;
+      case '月':
+        return number * resolved.businessMonthsPerYear;
+      case '四半期':
+        return number * 4;
+      case '半期':
+        return number * 2;
+      case '年':
+        return number;
+      default:
+        return 0;
+    }
+  },
+
+  /**
+   * 季節変動を営業日数で重み付けする頻度単位（時間・日・週）かどうか
+   * @param {string} unit - 頻度単位
+   * @returns {boolean} 営業日数で重み付けするかどうか
+   */
+  isDayBasedUnit: (unit) => DAY_BASED_UNITS.includes(unit),
+
+  /**
+   * 季節変動の重み（各月に発生する回数の比）を求める
+   * 時間・日・週単位は月ごとの営業日数（カレンダーがない場合は均等）、それ以外は各月を同じ重みとする
+   * @param {string} unit - 頻度単位
+   * @param {Object} resolved - 確定済みの計算オプション
+   * @param {number} activeBusinessDays - 毎月の月初から数えて発生する営業日数（未指定は全営業日）
+   * @returns {Array<number>} 1月〜12月の重み
+   */
+  getMonthlyWeights: (unit, resolved, activeBusinessDays = null) => {
+    if (!WorkloadEngine.isDayBasedUnit(unit)) return Array(12).fill(1);
+
+    const days = resolved.monthlyBusinessDays || Array(12).fill(resolved.businessDaysPerYear / 12);
+    const limit = parseInt(activeBusinessDays, 10);
+    return limit > 0 ? days.map(count => Math.min(count, limit)) : days;
+  },
+
+  /**
+   * 月別係数を重みで平均した季節変動の係数を求める（係数がなければ1）
+   * @param {Array<Array<number>|null>} multiplierSets - 月別係数の配列（ステップ・ドライバーの係数を掛け合わせる）
+   * @param {Array<number>} weights - 1月〜12月の重み
+   * @returns {number} 年間回数に掛ける係数
+   */
+  getSeasonalFactor: (multiplierSets, weights) => {
+    const sets = multiplierSets.filter(Array.isArray);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (sets.length === 0 || totalWeight <= 0) return 1;
+
+    const weighted = weights.reduce((sum, weight, month) => {
+      return sum + weight * sets.reduce((product, set) => product * (set[month] ?? 1), 1);
+    }, 0);
+    return weighted / totalWeight;
+  },
+
+  /**
+   * ボリュームドライバーの年間件数を求める（ドライバーの季節変動を含む）
+   * @param {Object} driver - ボリュームドライバー
+   * @param {Object} profile - 計算プロファイル
+   * @returns {number} 年間件数
+   */
+  getDriverAnnualVolume: (driver, profile = {}) => {
+    const resolved = CalendarModel.resolveOptions(profile);
+    const base = WorkloadEngine.toAnnualOccurrences(driver.value, driver.unit, resolved);
+    return base * WorkloadEngine.getSeasonalFactor(
+      [driver.monthlyMultipliers],
+      WorkloadEngine.getMonthlyWeights(driver.unit, resolved)
+    );
+  },
+
+  /**
+   * 頻度の式で使うボリュームドライバーの値を求める
+   * 各ドライバーの年間件数を、ステップの頻度単位あたりの件数に換算する（例: 月単位のステップなら1か月あたり）
+   * @param {string} unit - ステップの頻度単位
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers）
+   * @param {string} responsible - 担当者（頻度単位の換算に使う）
+   * @returns {Object} ドライバー名と値の対応
+   */
+  getDriverScope: (unit, profile = {}, responsible = '') => {
+    const unitOccurrences = WorkloadEngine.toAnnualOccurrences(1, unit, CalendarModel.resolveOptions(profile, responsible));
+    return Object.fromEntries((profile.volumeDrivers || [])
+      .filter(driver => driver.name.trim())
+      .map(driver => [
+        driver.name.trim(),
+        unitOccurrences > 0 ? WorkloadEngine.getDriverAnnualVolume(driver, profile) / unitOccurrences : 0
+      ]));
+  },
+
+  /**
+   * ステップの頻度（頻度単位あたりの回数）を求める。頻度の式があれば式から求める
+   * @param {Object} step - プロセスステップ
+   * @param {Object} profile - 計算プロファイル
+   * @returns {number} 頻度（式が正しくない場合は0）
+   */
+  getFrequencyValue: (step, profile = {}) => {
+    const data = step.data || {};
+    if (!StepModel.hasFrequencyFormula(step)) return parseFloat(data.frequency) || 0;
+
+    try {
+      const scope = WorkloadEngine.getDriverScope(data.frequencyUnit, profile, data.responsible);
+      return Math.max(0, formulaUtils.evaluate(data.frequencyFormula, scope));
+    } catch (error) {
+      return 0;
+    }
+  },
+
+  /**
+   * ステップの頻度から年間回数を求める
+   * 頻度単位の換算に加え、ボリュームドライバー（件）、月初の一部の営業日だけの発生、
+   * 時間単位のピーク時間帯、月別の季節変動、頻度の式を考慮する
+   * @param {Object} step - プロセスステップ
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers など）
+   * @returns {number} 年間回数
+   */
+  getAnnualOccurrences: (step, profile = {}) => {
+    const data = step.data || {};
+    const frequency = WorkloadEngine.getFrequencyValue(step, profile);
+    if (!frequency || frequency <= 0) return 0;
+
+    const unit = data.frequencyUnit;
+    const resolved = CalendarModel.resolveOptions(profile, data.responsible);
+
+    if (unit === '件') {
+      const driver = VolumeDriverModel.find(profile.volumeDrivers, data.volumeDriverId);
+      if (!driver) return 0;
+
+      const driverResolved = CalendarModel.resolveOptions(profile);
+      const volume = WorkloadEngine.toAnnualOccurrences(driver.value, driver.unit, driverResolved);
+      const weights = WorkloadEngine.getMonthlyWeights(driver.unit, driverResolved);
+      return frequency * volume *
+        WorkloadEngine.getSeasonalFactor([driver.monthlyMultipliers, data.monthlyMultipliers], weights);
+    }
+
+    const weights = WorkloadEngine.getMonthlyWeights(unit, resolved, data.activeBusinessDays);
+    let base;
+    if (unit === '日' || unit === '時間') {
+      const activeDays = parseInt(data.activeBusinessDays, 10) > 0
+        ? weights.reduce((sum, days) => sum + days, 0)
+        : resolved.businessDaysPerYear;
+      const activeHours = parseFloat(data.activeHoursPerDay) > 0
+        ? Math.min(parseFloat(data.activeHoursPerDay), resolved.hoursPerDay)
+        : resolved.hoursPerDay;
+      base = frequency * activeDays * (unit === '時間' ? activeHours : 1);
+    } else {
+      base = WorkloadEngine.toAnnualOccurrences(frequency, unit, resolved);
+    }
+
+    return base * WorkloadEngine.getSeasonalFactor([data.monthlyMultipliers], weights);
+  },
+
+  /**
+   * 子プロセスの所要時間を親ステップ1回あたりの分数に集計する
+   * 子プロセスの各ステップは親ステップ1回につき1回（分岐・差戻しを考慮した回数）実行されるものとし、
+   * 子ステップの頻度は使用しない。孫プロセスも再帰的に集計する
+   * @param {Object} subProcess - 子プロセス { steps, edges }
+   * @param {Object} profile - 計算プロファイル
+   * @returns {number} 親ステップ1回あたりの所要時間（分）
+   */
+  calculateSubProcessMinutes: (subProcess, profile = {}) => {
+    const steps = subProcess?.steps || [];
+    if (steps.length === 0) return 0;
+
+    const { visits } = FlowAnalysisService.calculateVisits(steps, subProcess.edges || []);
+    return steps.reduce((total, step) => {
+      return total + WorkloadEngine.getMinutesPerOccurrence(step, profile) * (visits[step.id] ?? 1);
+    }, 0);
+  },
+
+  /**
+   * ステップ1回あたりの所要時間（分）を求める。子プロセスを持つ場合は集計値
+   * @param {Object} step - プロセスステップ
+   * @param {Object} profile - 計算プロファイル
+   * @returns {number} 所要時間（分）
+   */
+  getMinutesPerOccurrence: (step, profile = {}) => {
+    if (StepModel.hasSubProcess(step)) {
+      return WorkloadEngine.calculateSubProcessMinutes(step.data.subProcess, profile);
+    }
+    const { hoursPerDay } = CalendarModel.resolveOptions(profile, step.data?.responsible);
+    return WorkloadEngine.toMinutes(step.data?.time, step.data?.timeUnit, hoursPerDay);
+  },
+
+  /**
+   * 年間工数の集計対象になるステップか（所要時間・頻度が正しく入力されている）
+   * @param {Object} step - プロセスステップ
+   * @returns {boolean} 集計対象かどうか
+   */
+  isCountable: (step) => {
+    const data = step.data || {};
+    const hasTime = StepModel.hasSubProcess(step) || parseFloat(data.time) > 0;
+    return hasTime && (parseFloat(data.frequency) > 0 || StepModel.hasFrequencyFormula(step));
+  },
+
+  /**
+   * ステップ1件の年間工数を求める
+   * @param {Object} step - プロセスステップ
+   * @param {Object} profile - 計算プロファイル
+   * @param {number} visitsPerInstance - フロー1件あたりの実行回数
+   * @returns {StepWorkload} ステップの年間工数（集計対象外のステップは年間回数を0とする）
+   */
+  calculateStep: (step, profile = {}, visitsPerInstance = 1) => {
+    const data = step.data || {};
+    const { type } = StepModel.parseCompositeType(step.type);
+    const resolved = CalendarModel.resolveOptions(profile, data.responsible);
+    const secondaryType = StepModel.getSecondaryType(step);
+    const countable = WorkloadEngine.isCountable(step);
+
+    const minutesPerOccurrence = WorkloadEngine.getMinutesPerOccurrence(step, profile);
+    const baseOccurrencesPerYear = countable ? WorkloadEngine.getAnnualOccurrences(step, profile) : 0;
+    const occurrencesPerYear = baseOccurrencesPerYear * visitsPerInstance;
+    const annualMinutes = minutesPerOccurrence * occurrencesPerYear;
+
+    return {
+      id: step.id,
+      label: data.label || '',
+      type,
+      secondaryType,
+      compositeName: secondaryType ? StepModel.getCompositeName(step) : null,
+      valueType: StepModel.getValueType(step),
+      responsible: (data.responsible || '').trim(),
+      assignees: StepModel.getAssignees(step),
+      isRollup: StepModel.hasSubProcess(step),
+      minutesPerOccurrence,
+      baseOccurrencesPerYear,
+      visitsPerInstance,
+      occurrencesPerYear,
+      annualMinutes,
+      annualHours: round1(annualMinutes / 60),
+      annualDays: round1(annualMinutes / 60 / resolved.hoursPerDay)
+    };
+  },
+
+  /**
+   * ステップの年間工数を担当者ごとに按分する
+   * @param {StepWorkload} detail - ステップの年間工数
+   * @returns {Array<{responsible: string, annualMinutes: number}>} 担当者ごとの年間工数（分）
+   */
+  getAssignedMinutes: (detail) => {
+    const assignees = detail.assignees || [{ responsible: detail.responsible, share: 1 }];
+    return assignees.map(({ responsible, share }) => ({ responsible, annualMinutes: detail.annualMinutes * share }));
+  },
+
+  /**
+   * ステップごとの年間工数から合計と内訳を集計する
+   * @param {Array<StepWorkload>} stepDetails - ステップごとの年間工数
+   * @param {Object} profile - 計算プロファイル
+   * @param {Array<string>} flowWarnings - フロー解析の警告
+   * @returns {WorkloadResult} 集計結果
+   */
+  aggregate: (stepDetails, profile = {}, flowWarnings = []) => {
+    const categoryMinutes = Object.fromEntries(STEP_TYPES.map(type => [type, 0]));
+    const valueMinutes = Object.fromEntries(VALUE_TYPES.map(type => [type, 0]));
+    const compositeMinutes = {};
+    const personSummary = {};
+    let totalMinutes = 0;
+
+    stepDetails.forEach(detail => {
+      totalMinutes += detail.annualMinutes;
+
+      if (categoryMinutes[detail.type] !== undefined) {
+        categoryMinutes[detail.type] += detail.annualMinutes;
+      }
+      valueMinutes[detail.valueType] = (valueMinutes[detail.valueType] || 0) + detail.annualMinutes;
+
+      if (detail.compositeName) {
+        compositeMinutes[detail.compositeName] = (compositeMinutes[detail.compositeName] || 0) + detail.annualMinutes;
+      }
+
+      WorkloadEngine.getAssignedMinutes(detail).forEach(({ responsible, annualMinutes }) => {
+        if (!personSummary[responsible]) {
+          personSummary[responsible] = {
+            responsible,
+            stepCount: 0,
+            annualMinutes: 0,
+            annualHours: 0
+          };
+        }
+        const person = personSummary[responsible];
+        person.stepCount += 1;
+        person.annualMinutes += annualMinutes;
+        person.annualHours = round1(person.annualMinutes / 60);
+      });
+    });
+
+    const toHours = (summary) => Object.fromEntries(
+      Object.entries(summary).map(([key, minutes]) => [key, round1(minutes / 60)])
+    );
+
+    return {
+      totalMinutes,
+      totalHours: round1(totalMinutes / 60),
+      totalDays: round1(totalMinutes / 60 / CalendarModel.resolveOptions(profile).hoursPerDay),
+      categorySummary: toHours(categoryMinutes),
+      compositeSummary: toHours(compositeMinutes),
+      valueCategorySummary: toHours(valueMinutes),
+      personSummary,
+      stepDetails,
+      flowWarnings
+    };
+  },
+
+  /**
+   * プロジェクトの年間工数を計算する
+   * 同じステップ配列・エッジ配列・カレンダー・ボリュームドライバー・個別指定値に対しては前回の結果（同じオブジェクト）を返す
+   * 結果は共有されるため、変更する場合は複製してから行うこと
+   * @param {Object} project - プロジェクト（steps または processSteps、edges、calendar、volumeDrivers）
+   *   edges を指定しない場合は各ステップを1回として計算する
+   * @param {Object} profile - 計算プロファイル（calendar、volumeDrivers、businessDaysPerYear などの個別指定値）
+   *   calendar・volumeDrivers を指定しない場合はプロジェクトの値、カレンダーがそれもなければ既定値を使う
+   * @returns {WorkloadResult} 年間工数
+   */
+  calculate: (project = {}, profile = {}) => {
+    const steps = project.steps || project.processSteps || [];
+    const edges = Array.isArray(project.edges) ? project.edges : null;
+    const calendar = profile.calendar !== undefined ? profile.calendar : (project.calendar || null);
+    const volumeDrivers = profile.volumeDrivers !== undefined ? profile.volumeDrivers : (project.volumeDrivers || null);
+    const resolvedProfile = { ...profile, calendar, volumeDrivers };
+    const overrideKey = PROFILE_OVERRIDES.map(key => profile[key] ?? '').join('|');
+
+    const byEdges = getOrCreate(resultCache, steps, () => new WeakMap());
+    const byCalendar = getOrCreate(byEdges, edges || NO_EDGES, () => new WeakMap());
+    const byDrivers = getOrCreate(byCalendar, calendar || NO_CALENDAR, () => new WeakMap());
+    const byOverrides = getOrCreate(byDrivers, volumeDrivers || NO_DRIVERS, () => new Map());
+
+    return getOrCreate(byOverrides, overrideKey, () => {
+      let visits = null;
+      let flowWarnings = [];
+      if (edges) {
+        const flow = FlowAnalysisService.calculateVisits(steps, edges);
+        visits = flow.visits;
+        flowWarnings = flow.warnings;
+      }
+
+      const stepDetails = steps
+        .filter(step => WorkloadEngine.isCountable(step))
+        .map(step => WorkloadEngine.calculateStep(step, resolvedProfile, visits ? (visits[step.id] ?? 1) : 1));
+
+      return WorkloadEngine.aggregate(stepDetails, resolvedProfile, flowWarnings);
+    });
+  },
+
+  /**
+   * 改善施策を適用した年間工数を求める（同じステップへの複数の施策は合成方法に従って合成し、0分で打ち切る）
+   * プロセスの構造は変えず、排除の施策は対象ステップの時間をすべて削減したものとみなす
+   * （構造を変える場合は EcrsService.calculateEffect を使う）
+   * @param {WorkloadResult} workload - 改善前の年間工数
+   * @param {Array} improvements - 改善施策の配列（targetStepId, timeReductionPercent, ecrs）
+   * @param {Object} profile - 計算プロファイル
+   * @param {string} interactionRule - 同じステップへの施策の合成方法（ImprovementModel.getInteractionRules）
+   * @returns {WorkloadResult} 改善後の年間工数
+   */
+  applyImprovements: (workload, improvements = [], profile = {}, interactionRule = 'multiplicative') => {
+    const stepDetails = workload.stepDetails.map(detail => {
+      const targeted = improvements.filter(improvement => improvement.targetStepId === detail.id);
+      const rate = ImprovementModel.combineReductions(targeted, interactionRule).remainingRate;
+      if (rate === 1) return detail;
+
+      const hoursPerDay = CalendarModel.resolveOptions(profile, detail.responsible).hoursPerDay;
+      const annualMinutes = detail.annualMinutes * rate;
+      return {
+        ...detail,
+        minutesPerOccurrence: detail.minutesPerOccurrence * rate,
+        annualMinutes,
+        annualHours: round1(annualMinutes / 60),
+        annualDays: round1(annualMinutes / 60 / hoursPerDay)
+      };
+    });
+
+    return WorkloadEngine.aggregate(stepDetails, profile, workload.flowWarnings || []);
+  }
+};
+
+export default WorkloadEngine;
@@ -0,0 +1,205 @@
+// src/services/workloadEngine.test.js
+import { WorkloadEngine } from './workloadEngine';
+import CalendarModel from '../models/CalendarModel';
+import VolumeDriverModel from '../models/VolumeDriverModel';
+import { createStep, createFlowEdges } from './__fixtures__/process';
+
+// 回帰テスト用のプロセス（加工 → 複合記号の検査 → 搬送、検査から加工へ20%差戻し）
+const createSteps = () => [
+  createStep('s1', 'input', { responsible: '田中' }),
+  { ...createStep('s2', 'check', { responsible: '鈴木' }), type: 'inspection+process' },
+  createStep('s3', 'send'),
+  createStep('s4', 'approvalWait', { responsible: '田中' }),
+  createStep('s5', 'storage'),
+  {
+    id: 's6',
+    type: 'process',
+    data: {
+      label: '集計',
+      frequency: 3,
+      frequencyUnit: '月',
+      responsible: '鈴木',
+      subProcess: {
+        steps: [
+          { id: 'c1', type: 'process', data: { label: '抽出', time: 10, timeUnit: '分' } },
+          { id: 'c2', type: 'inspection', data: { label: '照合', time: 20, timeUnit: '分' } }
+        ],
+        edges: [{ id: 'c1-c2', source: 'c1', target: 'c2', data: {} }]
+      }
+    }
+  }
+];
+
+const pick = (result) => result.stepDetails.map(detail => [
+  detail.id,
+  detail.minutesPerOccurrence,
+  detail.occurrencesPerYear,
+  detail.annualMinutes,
+  detail.annualHours,
+  detail.annualDays
+]);
+
+describe('WorkloadEngine', () => {
+  test('既定値（250日・52週・12か月・8時間）で年間工数を計算する', () => {
+    const result = WorkloadEngine.calculate({ steps: createSteps() });
+
+    // 所要時間のない保管（s5）は集計しない
+    expect(pick(result)).toEqual([
+      ['s1', 30, 500, 15000, 250, 31.3],
+      ['s2', 60, 52, 3120, 52, 6.5],
+      ['s3', 240, 12, 2880, 48, 6],
+      ['s4', 120, 10, 1200, 20, 2.5],
+      ['s6', 30, 36, 1080, 18, 2.3]
+    ]);
+    expect(result.totalMinutes).toBe(23280);
+    expect(result.totalHours).toBe(388);
+    expect(result.totalDays).toBe(48.5);
+    expect(result.categorySummary).toEqual({ process: 268, inspection: 52, transport: 48, delay: 20, storage: 0 });
+    expect(result.compositeSummary).toEqual({ '検査を主とした加工': 52 });
+    expect(result.valueCategorySummary).toEqual({ 'value-added': 268, 'non-value-added': 100, waste: 20 });
+    expect(result.personSummary).toEqual({
+      '田中': { responsible: '田中', stepCount: 2, annualMinutes: 16200, annualHours: 270 },
+      '鈴木': { responsible: '鈴木', stepCount: 2, annualMinutes: 4200, annualHours: 70 },
+      '': { responsible: '', stepCount: 1, annualMinutes: 2880, annualHours: 48 }
+    });
+  });
+
+  test('エッジを指定すると分岐・差戻しによる実行回数を掛け合わせる', () => {
+    const result = WorkloadEngine.calculate({ steps: createSteps(), edges: createFlowEdges() });
+
+    expect(pick(result)).toEqual([
+      ['s1', 30, 625, 18750, 312.5, 39.1],
+      ['s2', 60, 65, 3900, 65, 8.1],
+      ['s3', 240, 12, 2880, 48, 6],
+      ['s4', 120, 10, 1200, 20, 2.5],
+      ['s6', 30, 36, 1080, 18, 2.3]
+    ]);
+    expect(result.totalHours).toBe(463.5);
+    expect(result.totalDays).toBe(57.9);
+    expect(result.categorySummary).toEqual({ process: 330.5, inspection: 65, transport: 48, delay: 20, storage: 0 });
+    expect(result.flowWarnings).toEqual([]);
+  });
+
+  test('営業カレンダー（2026年度・土日祝休み）から頻度を換算する', () => {
+    const calendar = CalendarModel.create({ fiscalYear: 2026 });
+    const result = WorkloadEngine.calculate({ steps: createSteps(), edges: createFlowEdges() }, { calendar });
+
+    expect(pick(result)).toEqual([
+      ['s1', 30, 610, 18300, 305, 38.1],
+      ['s2', 60, 66.25, 3975, 66.3, 8.3],
+      ['s3', 240, 12, 2880, 48, 6],
+      ['s4', 120, 10, 1200, 20, 2.5],
+      ['s6', 30, 36, 1080, 18, 2.3]
+    ]);
+    expect(result.totalHours).toBe(457.3);
+    expect(result.totalDays).toBe(57.2);
+  });
+
+  test('同じ入力には同じ結果オブジェクトを返す', () => {
+    const steps = createSteps();
+    const edges = createFlowEdges();
+    const calendar = CalendarModel.create({ fiscalYear: 2026 });
+    const first = WorkloadEngine.calculate({ steps, edges }, { calendar });
+
+    expect(WorkloadEngine.calculate({ steps, edges }, { calendar })).toBe(first);
+    expect(WorkloadEngine.calculate({ processSteps: steps, edges, calendar })).toBe(first);
+    expect(WorkloadEngine.calculate({ steps, edges })).not.toBe(first);
+    expect(WorkloadEngine.calculate({ steps, edges }, { calendar, hoursPerDay: 7.5 })).not.toBe(first);
+  });
+
+  describe('頻度の換算', () => {
+    const busyDecember = [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2];
+    const occurrences = (result) => result.stepDetails.map(detail => [detail.id, detail.occurrencesPerYear]);
+
+    test('四半期・半期・時間単位・月初の営業日・月単位の季節変動から年間回数を求める', () => {
+      const steps = [
+        { id: 'q', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '四半期' } },
+        { id: 'h', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '半期' } },
+        { id: 'p', type: 'process', data: { time: 5, timeUnit: '分', frequency: 2, frequencyUnit: '時間', activeHoursPerDay: 3 } },
+        { id: 'm', type: 'process', data: { time: 30, timeUnit: '分', frequency: 1, frequencyUnit: '日', activeBusinessDays: 3 } },
+        { id: 's', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '月', monthlyMultipliers: busyDecember } }
+      ];
+
+      expect(occurrences(WorkloadEngine.calculate({ steps }))).toEqual([
+        ['q', 4],
+        ['h', 2],
+        ['p', 1500],
+        ['m', 36],
+        ['s', 13]
+      ]);
+    });
+
+    test('ボリュームドライバーの件数（季節変動を含む）から年間回数を求める', () => {
+      const volumeDrivers = [
+        VolumeDriverModel.create({ id: 'orders', name: '受注', value: 100, unit: '月', monthlyMultipliers: busyDecember })
+      ];
+      const steps = [
+        { id: 'o', type: 'process', data: { time: 6, timeUnit: '分', frequency: 0.5, frequencyUnit: '件', volumeDriverId: 'orders' } },
+        { id: 'x', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '件', volumeDriverId: 'unknown' } }
+      ];
+
+      // 100件/月 × 12か月 × 季節係数（12月が2倍）= 1300件
+      expect(WorkloadEngine.getDriverAnnualVolume(volumeDrivers[0])).toBe(1300);
+      expect(occurrences(WorkloadEngine.calculate({ steps }, { volumeDrivers }))).toEqual([['o', 650], ['x', 0]]);
+      // プロジェクトのドライバーも使え、ドライバーを指定しなければ「件」は0回
+      expect(WorkloadEngine.calculate({ steps, volumeDrivers }).stepDetails[0].occurrencesPerYear).toBe(650);
+      expect(WorkloadEngine.calculate({ steps }).stepDetails[0].occurrencesPerYear).toBe(0);
+    });
+
+    test('カレンダーがある場合、日単位の季節変動は月ごとの営業日数で重み付けする', () => {
+      const calendar = CalendarModel.create({ fiscalYear: 2026 });
+      const { monthlyBusinessDays, businessDaysPerYear } = CalendarModel.getCalculationOptions(calendar);
+      const steps = [
+        { id: 'd', type: 'process', data: { time: 10, timeUnit: '分', frequency: 1, frequencyUnit: '日', monthlyMultipliers: busyDecember } }
+      ];
+
+      expect(monthlyBusinessDays.reduce((sum, days) => sum + days, 0)).toBe(businessDaysPerYear);
+      expect(WorkloadEngine.calculate({ steps }, { calendar }).stepDetails[0].occurrencesPerYear)
+        .toBe(businessDaysPerYear + monthlyBusinessDays[11]);
+    });
+  });
+
+  test('頻度の式はドライバーの件数を頻度単位あたりに換算して計算する', () => {
+    const volumeDrivers = [
+      VolumeDriverModel.create({ id: 'orders', name: '受注', value: 100, unit: '月' }),
+      VolumeDriverModel.create({ id: 'invoices', name: '請求 件数', value: 4, unit: '日' })
+    ];
+    const steps = [
+      { id: 'f1', type: 'process', data: { time: 6, timeUnit: '分', frequency: 1, frequencyUnit: '月', frequencyFormula: '受注 * 1.2' } },
+      { id: 'f2', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '日', frequencyFormula: '[請求 件数] / 2 + 受注 / 50' } },
+      { id: 'f3', type: 'process', data: { time: 60, timeUnit: '分', frequency: 1, frequencyUnit: '年', frequencyFormula: '未登録 * 2' } }
+    ];
+
+    // f2: 1日あたり 4 / 2 + (1200 / 250) / 50 = 2.096回、未登録の名前を含む式は0回
+    expect(WorkloadEngine.calculate({ steps }, { volumeDrivers }).stepDetails.map(detail => [detail.id, detail.occurrencesPerYear])).toEqual([
+      ['f1', 1440],
+      ['f2', 524],
+      ['f3', 0]
+    ]);
+  });
+
+  test('複数の担当者で分担するステップは割合で担当者ごとの工数に配分する', () => {
+    const steps = [
+      {
+        id: 's1',
+        type: 'process',
+        data: {
+          label: '入力',
+          time: 30,
+          timeUnit: '分',
+          frequency: 2,
+          frequencyUnit: '日',
+          assignees: [{ responsible: '田中', percent: 60 }, { responsible: '佐藤', percent: 40 }]
+        }
+      },
+      { id: 's2', type: 'delay', data: { label: '承認待ち', time: 2, timeUnit: '時間', frequency: 10, frequencyUnit: '年', responsible: '田中' } }
+    ];
+    const result = WorkloadEngine.calculate({ steps });
+
+    expect(result.totalHours).toBe(270);
+    expect(result.personSummary).toEqual({
+      '田中': { responsible: '田中', stepCount: 2, annualMinutes: 10200, annualHours: 170 },
+      '佐藤': { responsible: '佐藤', stepCount: 1, annualMinutes: 6000, annualHours: 100 }
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// src/utils/formulaUtils.js
+
+// 字句の種類
+const NUMBER = 'number';
+const NAME = 'name';
+const OPERATOR = 'operator';
+
+// 名前として使える文字（日本語を含む）。空白や記号を含む名前は [受注 件数] のように角括弧で囲む
+const NAME_PATTERN = /^[\p{L}_][\p{L}\p{N}_]*/u;
+const NUMBER_PATTERN = /^\d+(\.\d+)?|^\.\d+/;
+
+/**
+ * 式を字句に分割する
+ * @param {string} formula - 式
+ * @returns {Array} 字句の配列 [{ type, value }]
+ */
+const tokenize = (formula) => {
+  const tokens = [];
+  let rest = String(formula || '').replace(/×/g, '*').replace(/÷/g, '/');
+
+  while (rest.length > 0) {
+    const space = rest.match(/^\s+/);
+    if (space) {
+      rest = rest.slice(space[0].length);
+      continue;
+    }
+
+    const number = rest.match(NUMBER_PATTERN);
+    if (number) {
+      tokens.push({ type: NUMBER, value: parseFloat(number[0]) });
+      rest = rest.slice(number[0].length);
+      continue;
+    }
+
+    if (rest[0] === '[') {
+      const end = rest.indexOf(']');
+      if (end < 0) throw new Error('角括弧が閉じられていません');
+      tokens.push({ type: NAME, value: rest.slice(1, end).trim() });
+      rest = rest.slice(end + 1);
+      continue;
+    }
+
+    const name = rest.match(NAME_PATTERN);
+    if (name) {
+      tokens.push({ type: NAME, value: name[0] });
+      rest = rest.slice(name[0].length);
+      continue;
+    }
+
+    if ('+-*/()'.includes(rest[0])) {
+      tokens.push({ type: OPERATOR, value: rest[0] });
+      rest = rest.slice(1);
+      continue;
+    }
+
+    throw new Error(`使用できない文字があります: ${rest[0]}`);
+  }
+
+  return tokens;
+};
+
+/**
+ * 字句を構文木にする（四則演算と括弧、単項のマイナス）
+ * @param {Array} tokens - 字句の配列
+ * @returns {Object} 構文木
+ */
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === OPERATOR && peek().value === value;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('式が途中で終わっています');
+    position += 1;
+
+    if (token.type === NUMBER) return { type: NUMBER, value: token.value };
+    if (token.type === NAME) return { type: NAME, name: token.value };
+    if (token.value === '(') {
+      const node = parseExpression();
+      if (!isOperator(')')) throw new Error('括弧が閉じられていません');
+      position += 1;
+      return node;
+    }
+    if (token.value === '-') return { type: 'negate', operand: parsePrimary() };
+    throw new Error(`「${token.value}」の位置が正しくありません`);
+  };
+
+  const parseTerm = () => {
+    let node = parsePrimary();
+    while (isOperator('*') || isOperator('/')) {
+      const operator = peek().value;
+      position += 1;
+      node = { type: OPERATOR, operator, left: node, right: parsePrimary() };
+    }
+    return node;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = peek().value;
+      position += 1;
+      node = { type: OPERATOR, operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) throw new Error('式が入力されていません');
+  const tree = parseExpression();
+  if (position < tokens.length) throw new Error(`「${peek().value}」の位置が正しくありません`);
+  return tree;
+};
+
+/**
+ * 構文木を計算する
+ * @param {Object} node - 構文木
+ * @param {Object} scope - 名前と値の対応
+ * @returns {number} 計算結果
+ */
+const evaluateNode = (node, scope) => {
+  switch (node.type) {
+    case NUMBER:
+      return node.value;
+    case NAME:
+      if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+        throw new Error(`「${node.name}」は登録されていません`);
+      }
+      return scope[node.name];
+    case 'negate':
+      return -evaluateNode(node.operand, scope);
+    default: {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return right === 0 ? 0 : left / right;
+      }
+    }
+  }
+};
+
+/**
+ * 頻度などを表す簡単な式（四則演算と名前）を扱うユーティリティ
+ * 例: 「受注 * 1.2」「[請求書 件数] / 5 + 2」
+ * eval は使わず、式は字句解析・構文解析してから計算する
+ */
+const formulaUtils = {
+  /**
+   * 式を計算する
+   * @param {string} formula - 式
+   * @param {Object} scope - 名前と値の対応
+   * @returns {number} 計算結果（式が正しくない場合は例外）
+   */
+  evaluate: (formula, scope = {}) => {
+    return evaluateNode(parse(tokenize(formula)), scope);
+  },
+
+  /**
+   * 式を検証する
+   * @param {string} formula - 式
+   * @param {Array<string>} names - 使用できる名前
+   * @returns {string|null} エラーメッセージ（正しい場合はnull）
+   */
+  validate: (formula, names = []) => {
+    try {
+      const scope = Object.fromEntries(names.map(name => [name, 1]));
+      evaluateNode(parse(tokenize(formula)), scope);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  /**
+   * 式で使われている名前を列挙する
+   * @param {string} formula - 式
+   * @returns {Array<string>} 名前の配列（重複なし。式が正しくない場合は空）
+   */
+  getNames: (formula) => {
+    try {
+      return [...new Set(tokenize(formula).filter(token => token.type === NAME).map(token => token.value))];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  /**
+   * 式の名前を置き換えた文字列を作る（Excelの数式への変換など）
+   * @param {string} formula - 式
+   * @param {Function} replaceName - 名前を受け取り置き換える文字列を返す関数
+   * @returns {string} 置き換えた式
+   */
+  replaceNames: (formula, replaceName) => {
+    return tokenize(formula)
+      .map(token => (token.type === NAME ? `(${replaceName(token.value)})` : String(token.value)))
+      .join('');
+  }
+};
+
+export default formulaUtils;
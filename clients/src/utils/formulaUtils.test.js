@@ -0,0 +1,13 @@
+// src/utils/formulaUtils.test.js
+import formulaUtils from './formulaUtils';
+
+describe('formulaUtils', () => {
+  test('式の誤りを検出する', () => {
+    expect(formulaUtils.validate('受注 * (1.2', ['受注'])).toBe('括弧が閉じられていません');
+    expect(formulaUtils.validate('受注 ** 2', ['受注'])).not.toBeNull();
+  });
+
+  test('単項マイナスと全角の演算子を含む式を評価する', () => {
+    expect(formulaUtils.evaluate('-受注 + 10 × 2', { '受注': 3 })).toBe(17);
+  });
+});
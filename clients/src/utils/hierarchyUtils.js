@@ -0,0 +1,175 @@
+// src/utils/hierarchyUtils.js
+import StepModel from '../models/StepModel';
+
+/**
+ * 階層化されたプロセス（子プロセスを持つステップ）を扱うユーティリティ関数
+ */
+const hierarchyUtils = {
+  /**
+   * 階層をたどって各階層のチャートを一覧にする（深さ優先）
+   * @param {Array} steps - ステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Array} path - この階層までの親ステップ [{ id, label }]
+   * @returns {Array} - [{ path, steps, edges }] の配列
+   */
+  collectLevels: (steps = [], edges = [], path = []) => {
+    const levels = [{ path, steps, edges }];
+
+    steps.forEach(step => {
+      if (StepModel.hasSubProcess(step)) {
+        const { subProcess } = step.data;
+        levels.push(...hierarchyUtils.collectLevels(
+          subProcess.steps,
+          subProcess.edges || [],
+          [...path, { id: step.id, label: step.data.label }]
+        ));
+      }
+    });
+
+    return levels;
+  },
+
+  /**
+   * 階層のパスを表示用の文字列にする
+   * @param {Array} path - 親ステップ [{ id, label }]
+   * @param {string} rootLabel - 最上位の表示名
+   * @returns {string} - 「メイン > 受注処理」のような文字列
+   */
+  formatPath: (path = [], rootLabel = 'メイン') => {
+    return [rootLabel, ...path.map(item => item.label)].join(' > ');
+  },
+
+  /**
+   * 子プロセスを持つかどうかを判定する
+   * @param {Array} steps - ステップの配列
+   * @returns {boolean} - いずれかのステップが子プロセスを持つかどうか
+   */
+  hasHierarchy: (steps = []) => {
+    return steps.some(step => StepModel.hasSubProcess(step));
+  },
+
+  /**
+   * 子プロセスを展開して1階層のチャートにする
+   * 親ステップの位置に子チャートを配置し、それより右側のステップは子チャートの幅だけ右へずらす。
+   * 親ステップへの入力は子チャートの開始ステップへ、親ステップからの出力は子チャートの終了ステップから接続する
+   * @param {Array} steps - ステップの配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション
+   * @returns {Object} - { steps, edges }
+   */
+  flattenProcess: (steps = [], edges = [], options = {}) => {
+    const { spacing = 50 } = options;
+
+    // 子プロセスを再帰的に展開する
+    const expansions = {};
+    steps.forEach(step => {
+      if (!StepModel.hasSubProcess(step)) return;
+
+      const child = hierarchyUtils.flattenProcess(
+        step.data.subProcess.steps,
+        step.data.subProcess.edges || [],
+        options
+      );
+      const minX = Math.min(...child.steps.map(s => s.position.x));
+      const minY = Math.min(...child.steps.map(s => s.position.y));
+      const maxX = Math.max(...child.steps.map(s => s.position.x));
+      const childIds = new Set(child.steps.map(s => s.id));
+      const entries = child.steps
+        .filter(s => !child.edges.some(e => e.target === s.id && childIds.has(e.source)))
+        .map(s => s.id);
+      const exits = child.steps
+        .filter(s => !child.edges.some(e => e.source === s.id && childIds.has(e.target)))
+        .map(s => s.id);
+
+      expansions[step.id] = {
+        parent: step,
+        child,
+        minX,
+        minY,
+        extraWidth: Math.max(0, maxX - minX + spacing),
+        // ループのみで開始・終了が決まらない場合は並び順の先頭・末尾を使用
+        entries: entries.length > 0 ? entries : [child.steps[0].id],
+        exits: exits.length > 0 ? exits : [child.steps[child.steps.length - 1].id]
+      };
+    });
+
+    if (Object.keys(expansions).length === 0) {
+      return { steps, edges };
+    }
+
+    // 指定したx座標より左にある展開分だけ右へずらす
+    const shiftFor = (x) => Object.values(expansions).reduce(
+      (shift, expansion) => (expansion.parent.position.x < x ? shift + expansion.extraWidth : shift),
+      0
+    );
+    const prefixed = (parentId, id) => `${parentId}/${id}`;
+
+    const flatSteps = [];
+    steps.forEach(step => {
+      const expansion = expansions[step.id];
+
+      if (!expansion) {
+        flatSteps.push({
+          ...step,
+          position: { x: step.position.x + shiftFor(step.position.x), y: step.position.y }
+        });
+        return;
+      }
+
+      const baseX = step.position.x + shiftFor(step.position.x);
+      expansion.child.steps.forEach(childStep => {
+        flatSteps.push({
+          ...childStep,
+          id: prefixed(step.id, childStep.id),
+          position: {
+            x: baseX + childStep.position.x - expansion.minX,
+            y: step.position.y + childStep.position.y - expansion.minY
+          },
+          data: { ...childStep.data, parentLabel: step.data.label }
+        });
+      });
+    });
+
+    const flatEdges = [];
+
+    // 子チャート内のエッジ
+    Object.values(expansions).forEach(({ parent, child }) => {
+      child.edges.forEach(edge => {
+        flatEdges.push({
+          ...edge,
+          id: prefixed(parent.id, edge.id),
+          source: prefixed(parent.id, edge.source),
+          target: prefixed(parent.id, edge.target)
+        });
+      });
+    });
+
+    // 親階層のエッジ（展開したステップは開始・終了ステップへ付け替える）
+    edges.forEach(edge => {
+      const sourceExpansion = expansions[edge.source];
+      const targetExpansion = expansions[edge.target];
+      const sources = sourceExpansion
+        ? sourceExpansion.exits.map(id => prefixed(edge.source, id))
+        : [edge.source];
+      const targets = targetExpansion
+        ? targetExpansion.entries.map(id => prefixed(edge.target, id))
+        : [edge.target];
+
+      sources.forEach(source => {
+        targets.forEach(target => {
+          const redirected = sources.length > 1 || targets.length > 1;
+          flatEdges.push({
+            ...edge,
+            id: redirected ? `${edge.id}/${source}/${target}` : edge.id,
+            source,
+            target
+          });
+        });
+      });
+    });
+
+    return { steps: flatSteps, edges: flatEdges };
+  }
+};
+
+export default hierarchyUtils;
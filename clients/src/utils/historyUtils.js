@@ -0,0 +1,77 @@
+// src/utils/historyUtils.js
+
+/**
+ * 元に戻す（Undo）・やり直す（Redo）ための編集履歴を扱うユーティリティ関数
+ * 履歴は初期状態と各編集後の状態を順に並べたもので、index が現在表示している状態を指す
+ */
+const historyUtils = {
+  /**
+   * 初期状態だけを持つ履歴を作成する
+   * @param {Object} state - 初期状態
+   * @returns {Object} - { entries, index }
+   */
+  create: (state) => ({ entries: [state], index: 0 }),
+
+  /**
+   * 編集後の状態を履歴に追加する（やり直せる状態は破棄する）
+   * @param {Object} history - 履歴
+   * @param {Object} state - 編集後の状態
+   * @returns {Object} - 追加後の履歴
+   */
+  push: (history, state) => ({
+    entries: [...history.entries.slice(0, history.index + 1), state],
+    index: history.index + 1
+  }),
+
+  /**
+   * 元に戻せるかどうか
+   * @param {Object} history - 履歴
+   * @returns {boolean}
+   */
+  canUndo: (history) => history.index > 0,
+
+  /**
+   * やり直せるかどうか
+   * @param {Object} history - 履歴
+   * @returns {boolean}
+   */
+  canRedo: (history) => history.index < history.entries.length - 1,
+
+  /**
+   * ひとつ前の状態に戻す
+   * @param {Object} history - 履歴
+   * @returns {Object} - 戻した後の履歴（戻せない場合はそのまま）
+   */
+  undo: (history) => (
+    historyUtils.canUndo(history) ? { ...history, index: history.index - 1 } : history
+  ),
+
+  /**
+   * 元に戻した状態をやり直す
+   * @param {Object} history - 履歴
+   * @returns {Object} - やり直した後の履歴（やり直せない場合はそのまま）
+   */
+  redo: (history) => (
+    historyUtils.canRedo(history) ? { ...history, index: history.index + 1 } : history
+  ),
+
+  /**
+   * React Flow のノード・エッジの変更に、履歴に残す編集が含まれるかどうか
+   * 選択やサイズの計測だけの変更と、ドラッグ中の移動は編集として扱わない（ドラッグは終了時に1回だけ残す）
+   * @param {Array} changes - 変更の配列
+   * @returns {boolean}
+   */
+  hasEdits: (changes = []) => changes.some(change => (
+    !['select', 'dimensions'].includes(change.type) &&
+    !(change.type === 'position' && change.dragging)
+  )),
+
+  /**
+   * 現在の状態を取得する
+   * @param {Object} history - 履歴
+   * @returns {Object} - 現在の状態
+   */
+  current: (history) => history.entries[history.index]
+};
+
+export default historyUtils;
@@ -0,0 +1,79 @@
+// src/utils/historyUtils.test.js
+import historyUtils from './historyUtils';
+import layoutUtils from './layoutUtils';
+
+// 入力 → 確認 → 送付 を斜めに並べたチャート
+const createChart = () => ({
+  nodes: [
+    { id: 's1', type: 'process', position: { x: 0, y: 0 }, data: { label: '入力' } },
+    { id: 's2', type: 'inspection', position: { x: 300, y: 250 }, data: { label: '確認' } },
+    { id: 's3', type: 'transport', position: { x: 40, y: 500 }, data: { label: '送付' } }
+  ],
+  edges: [
+    { id: 'e1', source: 's1', target: 's2' },
+    { id: 'e2', source: 's2', target: 's3' }
+  ]
+});
+
+const rename = ({ nodes, edges }, id, label) => ({
+  nodes: nodes.map(node => (node.id === id ? { ...node, data: { ...node.data, label } } : node)),
+  edges
+});
+
+describe('historyUtils', () => {
+  test('編集のたびに編集後の状態を追加し、Undoで1つずつ戻り、Redoで進む', () => {
+    const initial = createChart();
+    const first = rename(initial, 's1', '受付');
+    const second = rename(first, 's2', '検品');
+
+    let history = historyUtils.create(initial);
+    history = historyUtils.push(history, first);
+    history = historyUtils.push(history, second);
+
+    history = historyUtils.undo(history);
+    expect(historyUtils.current(history)).toBe(first);
+    history = historyUtils.undo(history);
+    expect(historyUtils.current(history)).toBe(initial);
+    expect(historyUtils.canUndo(history)).toBe(false);
+    expect(historyUtils.undo(history)).toBe(history);
+
+    history = historyUtils.redo(history);
+    expect(historyUtils.current(history)).toBe(first);
+    expect(historyUtils.canRedo(history)).toBe(true);
+  });
+
+  test('編集してから自動整列した後のUndoは、整列前（編集後）の状態に戻る', () => {
+    const edited = rename(createChart(), 's2', '検品');
+    const arranged = { nodes: layoutUtils.autoLayout(edited.nodes, edited.edges), edges: edited.edges };
+    expect(arranged.nodes).not.toEqual(edited.nodes);
+
+    let history = historyUtils.create(createChart());
+    history = historyUtils.push(history, edited);
+    history = historyUtils.push(history, arranged);
+
+    history = historyUtils.undo(history);
+    expect(historyUtils.current(history)).toBe(edited);
+    history = historyUtils.redo(history);
+    expect(historyUtils.current(history)).toBe(arranged);
+  });
+
+  test('元に戻した後に編集すると、やり直せる状態は破棄する', () => {
+    const initial = createChart();
+    const first = rename(initial, 's1', '受付');
+    const other = rename(initial, 's3', '発送');
+
+    let history = historyUtils.push(historyUtils.create(initial), first);
+    history = historyUtils.push(historyUtils.undo(history), other);
+
+    expect(history.entries).toEqual([initial, other]);
+    expect(historyUtils.canRedo(history)).toBe(false);
+  });
+
+  test('選択・サイズの計測・ドラッグ中の移動は履歴に残す編集として扱わない', () => {
+    expect(historyUtils.hasEdits([{ type: 'select', id: 's1', selected: true }])).toBe(false);
+    expect(historyUtils.hasEdits([{ type: 'dimensions', id: 's1', dimensions: { width: 150, height: 100 } }])).toBe(false);
+    expect(historyUtils.hasEdits([{ type: 'position', id: 's1', dragging: true }])).toBe(false);
+    expect(historyUtils.hasEdits([{ type: 'position', id: 's1', dragging: false }])).toBe(true);
+    expect(historyUtils.hasEdits([{ type: 'select', id: 's1' }, { type: 'remove', id: 's2' }])).toBe(true);
+  });
+});
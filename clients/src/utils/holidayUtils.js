@@ -0,0 +1,130 @@
+// src/utils/holidayUtils.js
+
+/**
+ * 日付を 'YYYY-MM-DD' 形式の文字列にする（UTCで扱う）
+ * @param {Date} date - 日付
+ * @returns {string} 日付文字列
+ */
+const toKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * 第n月曜日の日付を求める（ハッピーマンデー）
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @param {number} nth - 第何週か
+ * @returns {number} 日
+ */
+const nthMonday = (year, month, nth) => {
+  const firstDay = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const firstMonday = 1 + ((8 - firstDay) % 7);
+  return firstMonday + (nth - 1) * 7;
+};
+
+/**
+ * 春分日・秋分日を求める（1980〜2099年の近似式）
+ * @param {number} year - 年
+ * @param {number} base - 春分は 20.8431、秋分は 23.2488
+ * @returns {number} 日
+ */
+const equinoxDay = (year, base) => {
+  return Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+};
+
+// 年ごとの祝日のキャッシュ
+const holidayCache = {};
+
+// 東京オリンピック・パラリンピックに伴う祝日の移動
+const SPECIAL_HOLIDAYS = {
+  2020: { marine: [7, 23], sports: [7, 24], mountain: [8, 10] },
+  2021: { marine: [7, 22], sports: [7, 23], mountain: [8, 8] }
+};
+
+/**
+ * 日本の国民の祝日を扱うユーティリティ
+ * 祝日法の規定（振替休日・国民の休日を含む）に従って年ごとの祝日を計算する
+ */
+const holidayUtils = {
+  toKey,
+
+  /**
+   * 指定した年の祝日を求める
+   * @param {number} year - 年
+   * @returns {Object} { 'YYYY-MM-DD': 祝日名 }
+   */
+  getJapaneseHolidays: (year) => {
+    const special = SPECIAL_HOLIDAYS[year] || {};
+    const holidays = {};
+    const add = (month, day, name) => {
+      holidays[toKey(new Date(Date.UTC(year, month - 1, day)))] = name;
+    };
+
+    add(1, 1, '元日');
+    add(1, nthMonday(year, 1, 2), '成人の日');
+    add(2, 11, '建国記念の日');
+    if (year >= 2020) {
+      add(2, 23, '天皇誕生日');
+    } else if (year >= 1989 && year <= 2018) {
+      add(12, 23, '天皇誕生日');
+    }
+    add(3, equinoxDay(year, 20.8431), '春分の日');
+    add(4, 29, '昭和の日');
+    add(5, 3, '憲法記念日');
+    add(5, 4, 'みどりの日');
+    add(5, 5, 'こどもの日');
+    add(...(special.marine || [7, nthMonday(year, 7, 3)]), '海の日');
+    if (year >= 2016) {
+      add(...(special.mountain || [8, 11]), '山の日');
+    }
+    add(9, nthMonday(year, 9, 3), '敬老の日');
+    add(9, equinoxDay(year, 23.2488), '秋分の日');
+    add(...(special.sports || [10, nthMonday(year, 10, 2)]), year >= 2020 ? 'スポーツの日' : '体育の日');
+    add(11, 3, '文化の日');
+    add(11, 23, '勤労感謝の日');
+
+    // 国民の休日（前後を祝日に挟まれた平日）
+    Object.keys(holidays).forEach(key => {
+      const date = new Date(`${key}T00:00:00Z`);
+      const nextDay = new Date(date.getTime() + 86400000);
+      const dayAfter = new Date(date.getTime() + 2 * 86400000);
+      if (
+        !holidays[toKey(nextDay)] &&
+        holidays[toKey(dayAfter)] &&
+        nextDay.getUTCDay() !== 0 &&
+        nextDay.getUTCFullYear() === year
+      ) {
+        holidays[toKey(nextDay)] = '国民の休日';
+      }
+    });
+
+    // 振替休日（日曜日の祝日の後で最も近い祝日でない日）
+    Object.keys(holidays)
+      .filter(key => new Date(`${key}T00:00:00Z`).getUTCDay() === 0)
+      .forEach(key => {
+        let date = new Date(`${key}T00:00:00Z`);
+        do {
+          date = new Date(date.getTime() + 86400000);
+        } while (holidays[toKey(date)]);
+        if (date.getUTCFullYear() === year) {
+          holidays[toKey(date)] = '振替休日';
+        }
+      });
+
+    return holidays;
+  },
+
+  /**
+   * 指定した日付が祝日かどうかを判定する
+   * @param {Date|string} date - 日付（Date または 'YYYY-MM-DD'）
+   * @returns {string|null} 祝日名（祝日でない場合はnull）
+   */
+  getHolidayName: (date) => {
+    const key = typeof date === 'string' ? date : toKey(date);
+    const year = parseInt(key.slice(0, 4), 10);
+    if (!holidayCache[year]) {
+      holidayCache[year] = holidayUtils.getJapaneseHolidays(year);
+    }
+    return holidayCache[year][key] || null;
+  }
+};
+
+export default holidayUtils;
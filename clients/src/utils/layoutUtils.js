@@ -0,0 +1,505 @@
+// src/utils/layoutUtils.js
+import SwimlaneModel from '../models/SwimlaneModel';
+
+// ノードサイズが未計測の場合の既定値
+const DEFAULT_NODE_SIZE = { width: 150, height: 100 };
+
+// 交差削減の並べ替えを繰り返す回数
+const ORDERING_ITERATIONS = 12;
+
+/**
+ * プロセスチャートの自動レイアウト（階層型レイアウト）を行うユーティリティ関数
+ * 閉路の除去 → 階層の割り当て → ダミーノードの挿入 → 交差の削減 → 座標の決定 の順に処理する
+ */
+const layoutUtils = {
+  /**
+   * ステップを自動配置する
+   * スイムレーンが有効な場合はレーンの向きに合わせて流れの方向を決め、各ステップを担当者のレーン内に配置する
+   * @param {Array} steps - ステップ（ノード）の配列
+   * @param {Array} edges - エッジの配列
+   * @param {Object} options - オプション
+   * @param {string} options.direction - 流れの方向（'LR': 左から右、'TB': 上から下）
+   * @param {Object} options.swimlanes - スイムレーン設定
+   * @param {number} options.nodeSpacing - 同じ階層内のノード間隔
+   * @param {number} options.rankSpacing - 階層間の間隔
+   * @returns {Array} - 位置を更新したステップの配列
+   */
+  autoLayout: (steps = [], edges = [], options = {}) => {
+    if (steps.length === 0) return steps;
+
+    const {
+      swimlanes = null,
+      nodeSpacing = 40,
+      rankSpacing = 80
+    } = options;
+    const laneConfig = swimlanes?.enabled ? SwimlaneModel.syncLanes(swimlanes, steps) : null;
+
+    // 横レーンは左から右、縦レーンは上から下へ流す
+    const direction = laneConfig
+      ? (laneConfig.orientation === 'vertical' ? 'TB' : 'LR')
+      : (options.direction === 'TB' ? 'TB' : 'LR');
+    const horizontal = direction === 'LR';
+
+    // 流れ方向（main）と直交方向（cross）のサイズ・座標
+    const mainSize = (step) => (horizontal
+      ? step.width || DEFAULT_NODE_SIZE.width
+      : step.height || DEFAULT_NODE_SIZE.height);
+    const crossSize = (step) => (horizontal
+      ? step.height || DEFAULT_NODE_SIZE.height
+      : step.width || DEFAULT_NODE_SIZE.width);
+    // ダミーノードは各階層の末尾から並べ替えを始める
+    const crossPosition = (node) => {
+      if (!node.step) return Number.MAX_SAFE_INTEGER;
+      return horizontal ? node.step.position.y : node.step.position.x;
+    };
+
+    const graph = layoutUtils.buildAcyclicGraph(steps, edges);
+    const layerOf = layoutUtils.assignLayers(steps, graph);
+    const { nodes, links } = layoutUtils.insertDummyNodes(steps, graph, layerOf, laneConfig);
+
+    // 現在の配置順を初期の並びとして使い、交差を削減する
+    const layers = [];
+    nodes.forEach(node => {
+      if (!layers[node.layer]) layers[node.layer] = [];
+      layers[node.layer].push(node);
+    });
+    layers.forEach(layer => {
+      layer.sort((a, b) => (
+        (a.lane - b.lane) ||
+        (crossPosition(a) - crossPosition(b))
+      ));
+    });
+    const ordered = layoutUtils.orderLayers(layers, links, Boolean(laneConfig));
+
+    // 座標を決める
+    const positions = laneConfig
+      ? layoutUtils.placeInLanes(ordered, laneConfig, { mainSize, nodeSpacing, rankSpacing })
+      : layoutUtils.placeFree(ordered, links, { mainSize, crossSize, nodeSpacing, rankSpacing });
+
+    // 左上の余白を揃える
+    const margin = 50;
+    const placedSteps = nodes.filter(node => node.step);
+    const minMain = Math.min(...placedSteps.map(node => positions[node.id].main));
+    const minCross = Math.min(...placedSteps.map(node => positions[node.id].cross));
+
+    return steps.map(step => {
+      const { main, cross } = positions[step.id];
+      const mainValue = Math.round(main - minMain + margin);
+      // レーン配置では直交方向はレーンで決まるため平行移動しない
+      const crossValue = Math.round(laneConfig ? cross : cross - minCross + margin);
+      const position = horizontal
+        ? { x: mainValue, y: crossValue }
+        : { x: crossValue, y: mainValue };
+
+      if (position.x === step.position.x && position.y === step.position.y) {
+        return step;
+      }
+
+      return { ...step, position };
+    });
+  },
+
+  /**
+   * 閉路を含まない有向グラフを作る
+   * 差戻しエッジと、深さ優先探索で見つかった逆向きのエッジは向きを反転して扱う
+   * @param {Array} steps - ステップの配列
+   * @param {Array} edges - エッジの配列
+   * @returns {Array} - [{ source, target }] の配列
+   */
+  buildAcyclicGraph: (steps, edges) => {
+    const stepIds = new Set(steps.map(step => step.id));
+    const forward = [];
+    const reversed = [];
+
+    edges.forEach(edge => {
+      if (edge.source === edge.target) return;
+      if (!stepIds.has(edge.source) || !stepIds.has(edge.target)) return;
+
+      if (edge.data?.loopBack) {
+        reversed.push({ source: edge.target, target: edge.source });
+      } else {
+        forward.push({ source: edge.source, target: edge.target });
+      }
+    });
+
+    // 差戻し以外で残った閉路を深さ優先探索で検出する
+    const outgoing = {};
+    steps.forEach(step => {
+      outgoing[step.id] = [];
+    });
+    forward.forEach((link, index) => {
+      outgoing[link.source].push(index);
+    });
+
+    const state = {};
+    const backLinks = new Set();
+    steps.forEach(step => {
+      if (state[step.id]) return;
+
+      const stack = [{ id: step.id, next: 0 }];
+      state[step.id] = 'active';
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const linkIndex = outgoing[frame.id][frame.next];
+
+        if (linkIndex === undefined) {
+          state[frame.id] = 'done';
+          stack.pop();
+          continue;
+        }
+
+        frame.next += 1;
+        const target = forward[linkIndex].target;
+        if (state[target] === 'active') {
+          backLinks.add(linkIndex);
+        } else if (!state[target]) {
+          state[target] = 'active';
+          stack.push({ id: target, next: 0 });
+        }
+      }
+    });
+
+    return [
+      ...forward.map((link, index) => (
+        backLinks.has(index) ? { source: link.target, target: link.source } : link
+      )),
+      ...reversed
+    ];
+  },
+
+  /**
+   * 最長経路法で各ステップの階層を決める
+   * @param {Array} steps - ステップの配列
+   * @param {Array} graph - 閉路を含まないエッジの配列
+   * @returns {Object} - { ステップID: 階層番号 }
+   */
+  assignLayers: (steps, graph) => {
+    const layerOf = {};
+    const indegree = {};
+    steps.forEach(step => {
+      layerOf[step.id] = 0;
+      indegree[step.id] = 0;
+    });
+    graph.forEach(link => {
+      indegree[link.target] += 1;
+    });
+
+    const queue = steps.filter(step => indegree[step.id] === 0).map(step => step.id);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      graph
+        .filter(link => link.source === current)
+        .forEach(link => {
+          layerOf[link.target] = Math.max(layerOf[link.target], layerOf[current] + 1);
+          indegree[link.target] -= 1;
+          if (indegree[link.target] === 0) {
+            queue.push(link.target);
+          }
+        });
+    }
+
+    return layerOf;
+  },
+
+  /**
+   * 2階層以上をまたぐエッジにダミーノードを挿入し、隣接する階層間のリンクだけにする
+   * @param {Array} steps - ステップの配列
+   * @param {Array} graph - 閉路を含まないエッジの配列
+   * @param {Object} layerOf - 各ステップの階層
+   * @param {Object|null} laneConfig - スイムレーン設定
+   * @returns {Object} - { nodes: [{ id, layer, lane, step }], links: [{ source, target }] }
+   */
+  insertDummyNodes: (steps, graph, layerOf, laneConfig) => {
+    const laneOf = (step) => (laneConfig ? SwimlaneModel.getLaneIndexForStep(laneConfig, step) : 0);
+    const stepById = {};
+    const nodes = steps.map(step => {
+      stepById[step.id] = step;
+      return { id: step.id, layer: layerOf[step.id], lane: laneOf(step), step };
+    });
+    const links = [];
+
+    graph.forEach((link, linkIndex) => {
+      const span = layerOf[link.target] - layerOf[link.source];
+      let previous = link.source;
+
+      for (let offset = 1; offset < span; offset++) {
+        const id = `__dummy-${linkIndex}-${offset}`;
+        nodes.push({
+          id,
+          layer: layerOf[link.source] + offset,
+          lane: laneOf(stepById[link.source]),
+          step: null
+        });
+        links.push({ source: previous, target: id });
+        previous = id;
+      }
+
+      links.push({ source: previous, target: link.target });
+    });
+
+    return { nodes, links };
+  },
+
+  /**
+   * 重心法で各階層内の並び順を入れ替え、エッジの交差が最も少ない並びを返す
+   * @param {Array} layers - 階層ごとのノード配列
+   * @param {Array} links - 隣接階層間のリンク
+   * @param {boolean} keepLanes - レーンの並びを崩さないかどうか
+   * @returns {Array} - 並べ替えた階層ごとのノード配列
+   */
+  orderLayers: (layers, links, keepLanes) => {
+    const predecessors = {};
+    const successors = {};
+    layers.forEach(layer => layer.forEach(node => {
+      predecessors[node.id] = [];
+      successors[node.id] = [];
+    }));
+    links.forEach(link => {
+      predecessors[link.target].push(link.source);
+      successors[link.source].push(link.target);
+    });
+
+    const indexOf = (current) => {
+      const index = {};
+      current.forEach(layer => layer.forEach((node, position) => {
+        index[node.id] = position;
+      }));
+      return index;
+    };
+
+    const reorder = (layer, neighbors, index) => {
+      const keyed = layer.map((node, position) => {
+        const related = neighbors[node.id];
+        const barycenter = related.length > 0
+          ? related.reduce((sum, id) => sum + index[id], 0) / related.length
+          : position;
+        return { node, barycenter, position };
+      });
+
+      keyed.sort((a, b) => (
+        (keepLanes ? a.node.lane - b.node.lane : 0) ||
+        (a.barycenter - b.barycenter) ||
+        (a.position - b.position)
+      ));
+
+      return keyed.map(item => item.node);
+    };
+
+    let current = layers.map(layer => [...(layer || [])]);
+    let best = current;
+    let bestCrossings = layoutUtils.countCrossings(current, links);
+
+    for (let iteration = 0; iteration < ORDERING_ITERATIONS && bestCrossings > 0; iteration++) {
+      const next = [...current];
+      const downward = iteration % 2 === 0;
+
+      if (downward) {
+        for (let l = 1; l < next.length; l++) {
+          next[l] = reorder(next[l], predecessors, indexOf(next));
+        }
+      } else {
+        for (let l = next.length - 2; l >= 0; l--) {
+          next[l] = reorder(next[l], successors, indexOf(next));
+        }
+      }
+
+      current = next;
+      const crossings = layoutUtils.countCrossings(current, links);
+      if (crossings < bestCrossings) {
+        best = current;
+        bestCrossings = crossings;
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * 隣接階層間のエッジの交差数を数える
+   * @param {Array} layers - 階層ごとのノード配列
+   * @param {Array} links - 隣接階層間のリンク
+   * @returns {number} - 交差数
+   */
+  countCrossings: (layers, links) => {
+    const layerOf = {};
+    const index = {};
+    layers.forEach((layer, l) => layer.forEach((node, position) => {
+      layerOf[node.id] = l;
+      index[node.id] = position;
+    }));
+
+    const byLayer = [];
+    links.forEach(link => {
+      const l = layerOf[link.source];
+      if (!byLayer[l]) byLayer[l] = [];
+      byLayer[l].push([index[link.source], index[link.target]]);
+    });
+
+    let crossings = 0;
+    byLayer.forEach(pairs => {
+      if (!pairs) return;
+      for (let i = 0; i < pairs.length; i++) {
+        for (let j = i + 1; j < pairs.length; j++) {
+          const [s1, t1] = pairs[i];
+          const [s2, t2] = pairs[j];
+          if ((s1 - s2) * (t1 - t2) < 0) {
+            crossings += 1;
+          }
+        }
+      }
+    });
+
+    return crossings;
+  },
+
+  /**
+   * 各階層の流れ方向の開始位置を計算する
+   * @param {Array} sizes - 階層ごとの流れ方向の大きさ
+   * @param {number} rankSpacing - 階層間の間隔
+   * @returns {Array} - 階層ごとの開始位置
+   */
+  getLayerStarts: (sizes, rankSpacing) => {
+    const starts = [];
+    let offset = 0;
+    sizes.forEach((size, l) => {
+      starts[l] = offset;
+      offset += size + rankSpacing;
+    });
+    return starts;
+  },
+
+  /**
+   * スイムレーンなしの座標を決める
+   * 直交方向は前後の階層の接続先の平均位置に寄せつつ、ノード同士が重ならないように配置する
+   * @param {Array} layers - 並べ替え済みの階層ごとのノード配列
+   * @param {Array} links - 隣接階層間のリンク
+   * @param {Object} metrics - サイズ取得関数と間隔
+   * @returns {Object} - { ノードID: { main, cross } }（ステップの左上座標）
+   */
+  placeFree: (layers, links, metrics) => {
+    const { mainSize, crossSize, nodeSpacing, rankSpacing } = metrics;
+    const dummySize = 20;
+    const sizeOf = (node) => (node.step ? crossSize(node.step) : dummySize);
+
+    const layerSizes = layers.map(layer => Math.max(
+      0, ...layer.filter(node => node.step).map(node => mainSize(node.step))
+    ));
+    const layerStarts = layoutUtils.getLayerStarts(layerSizes, rankSpacing);
+
+    // 直交方向の中心位置。初期値は並び順に詰めて配置
+    const center = {};
+    layers.forEach(layer => {
+      let offset = 0;
+      layer.forEach(node => {
+        center[node.id] = offset + sizeOf(node) / 2;
+        offset += sizeOf(node) + nodeSpacing;
+      });
+    });
+
+    const neighbors = { up: {}, down: {} };
+    layers.forEach(layer => layer.forEach(node => {
+      neighbors.up[node.id] = [];
+      neighbors.down[node.id] = [];
+    }));
+    links.forEach(link => {
+      neighbors.up[link.target].push(link.source);
+      neighbors.down[link.source].push(link.target);
+    });
+
+    // 希望位置に寄せたうえで、並び順を保ったまま重なりを解消する
+    const settle = (layer, related) => {
+      if (layer.length === 0) return;
+
+      const desired = layer.map(node => {
+        const ids = related[node.id];
+        return ids.length > 0
+          ? ids.reduce((sum, id) => sum + center[id], 0) / ids.length
+          : center[node.id];
+      });
+      const gap = (i) => (sizeOf(layer[i - 1]) + sizeOf(layer[i])) / 2 + nodeSpacing;
+
+      const pushed = [...desired];
+      for (let i = 1; i < layer.length; i++) {
+        pushed[i] = Math.max(pushed[i], pushed[i - 1] + gap(i));
+      }
+      const pulled = [...desired];
+      for (let i = layer.length - 2; i >= 0; i--) {
+        pulled[i] = Math.min(pulled[i], pulled[i + 1] - gap(i + 1));
+      }
+
+      layer.forEach((node, i) => {
+        center[node.id] = (pushed[i] + pulled[i]) / 2;
+      });
+    };
+
+    for (let sweep = 0; sweep < 4; sweep++) {
+      for (let l = 1; l < layers.length; l++) settle(layers[l], neighbors.up);
+      for (let l = layers.length - 2; l >= 0; l--) settle(layers[l], neighbors.down);
+    }
+
+    const positions = {};
+    layers.forEach((layer, l) => layer.forEach(node => {
+      if (!node.step) return;
+      positions[node.id] = {
+        main: layerStarts[l] + (layerSizes[l] - mainSize(node.step)) / 2,
+        cross: center[node.id] - sizeOf(node) / 2
+      };
+    }));
+
+    return positions;
+  },
+
+  /**
+   * スイムレーンありの座標を決める
+   * 直交方向は担当者のレーン内とし、同じ階層・同じレーンに複数のステップがある場合は流れ方向に並べる
+   * @param {Array} layers - 並べ替え済みの階層ごとのノード配列
+   * @param {Object} laneConfig - スイムレーン設定
+   * @param {Object} metrics - サイズ取得関数と間隔
+   * @returns {Object} - { ノードID: { main, cross } }（ステップの左上座標）
+   */
+  placeInLanes: (layers, laneConfig, metrics) => {
+    const { mainSize, nodeSpacing, rankSpacing } = metrics;
+
+    // 階層ごとに、レーン内で流れ方向に並べるステップの列を作る
+    const slotsByLayer = layers.map(layer => {
+      const slots = {};
+      layer.filter(node => node.step).forEach(node => {
+        if (!slots[node.lane]) slots[node.lane] = [];
+        slots[node.lane].push(node);
+      });
+      return slots;
+    });
+
+    const layerSizes = slotsByLayer.map(slots => Math.max(
+      0,
+      ...Object.values(slots).map(row => row.reduce(
+        (sum, node, i) => sum + mainSize(node.step) + (i > 0 ? nodeSpacing : 0), 0
+      ))
+    ));
+    const layerStarts = layoutUtils.getLayerStarts(layerSizes, rankSpacing);
+
+    const positions = {};
+    slotsByLayer.forEach((slots, l) => {
+      Object.values(slots).forEach(row => {
+        let offset = layerStarts[l];
+        row.forEach(node => {
+          const laneIndex = Math.max(0, node.lane);
+          const snapped = SwimlaneModel.snapToLane(
+            laneConfig,
+            { ...node.step, position: { x: 0, y: 0 } },
+            laneIndex
+          );
+          positions[node.id] = {
+            main: offset,
+            cross: laneConfig.orientation === 'vertical' ? snapped.position.x : snapped.position.y
+          };
+          offset += mainSize(node.step) + nodeSpacing;
+        });
+      });
+    });
+
+    return positions;
+  }
+};
+
+export default layoutUtils;
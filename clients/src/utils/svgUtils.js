@@ -1,4 +1,23 @@
 // src/utils/svgUtils.js
+import { FlowAnalysisService } from '../services/flowAnalysis';
+import { HeatmapService } from '../services/heatmap';
+import SwimlaneModel from '../models/SwimlaneModel';
+import hierarchyUtils from './hierarchyUtils';
+import StepModel from '../models/StepModel';
+import appConfig from '../config/appConfig';
+
+/**
+ * SVGのテキスト・属性値に埋め込む文字列をエスケープする
+ * @param {*} text - 埋め込む値
+ * @returns {string} - エスケープした文字列
+ */
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * SVG操作に関するユーティリティ関数
  */
@@ -106,6 +125,13 @@ const svgUtils = {
       }
     },
     
+    /**
+     * SVG文字列を画像のデータURLに変換する（<img> で表示すると、SVG内のスクリプトやイベント属性は実行されない）
+     * @param {string} svgString - SVG文字列
+     * @returns {string} - データURL
+     */
+    toDataUrl: (svgString) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`,
+    
     /**
      * SVGをPNG画像に変換する
      * @param {string} svgString - SVG文字列
@@ -169,10 +195,10 @@ const svgUtils = {
      * プロセスチャートのSVGを生成する
      * @param {Array} steps - プロセスステップの配列
      * @param {Array} edges - エッジの配列
-     * @param {Object} options - オプション
+     * @param {Object} options - オプション（overlay: HeatmapService.buildOverlay の結果を渡すとヒートマップで色分けする）
      * @returns {string} - SVG文字列
      */
-    generateProcessChartSvg: (steps, edges, options = {}) => {
+    generateProcessChartSvg: (steps, edges = [], options = {}) => {
       const {
         padding = 20,
         nodeWidth = 120,
@@ -180,9 +206,16 @@ const svgUtils = {
         fontSize = 12,
         lineColor = '#555',
         backgroundColor = 'white',
-        includeLegend = true
+        includeLegend = true,
+        swimlanes = null,
+        overlay = null
       } = options;
       
+      // スイムレーンの描画範囲
+      const laneRects = swimlanes && swimlanes.enabled
+        ? SwimlaneModel.getLaneRects(SwimlaneModel.create(swimlanes), steps)
+        : [];
+      
       // キャンバスサイズの計算
       let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
       
@@ -194,12 +227,25 @@ const svgUtils = {
         maxY = Math.max(maxY, position.y + nodeHeight);
       });
       
+      laneRects.forEach(rect => {
+        minX = Math.min(minX, rect.x);
+        minY = Math.min(minY, rect.y);
+        maxX = Math.max(maxX, rect.x + rect.width);
+        maxY = Math.max(maxY, rect.y + rect.height);
+      });
+      
       // パディングを追加
       minX -= padding;
       minY -= padding;
       maxX += padding;
       maxY += padding;
       
+      // ヒートマップの凡例のスペースを追加
+      const overlayLegendY = maxY + 10;
+      if (overlay) {
+        maxY += 50;
+      }
+      
       // 凡例のスペースを追加
       if (includeLegend) {
         maxY += 100;
@@ -217,9 +263,35 @@ const svgUtils = {
           <marker id="arrowhead" markerWidth="10" markerHeight="7" refX="10" refY="3.5" orient="auto">
             <polygon points="0 0, 10 3.5, 0 7" fill="${lineColor}" />
           </marker>
+          ${overlay ? `<linearGradient id="heatmap-gradient">${HeatmapService.getLegendColors()
+            .map((color, index, colors) => `<stop offset="${(index / (colors.length - 1)) * 100}%" stop-color="${color}" />`)
+            .join('')}</linearGradient>` : ''}
         </defs>
       `;
       
+      // スイムレーンの描画
+      if (laneRects.length > 0) {
+        const vertical = swimlanes.orientation === 'vertical';
+        const headerSize = SwimlaneModel.create(swimlanes).headerSize;
+        
+        laneRects.forEach((rect, index) => {
+          const fill = escapeXml(rect.lane.color || (index % 2 === 0 ? '#f7f9fc' : '#eef3f9'));
+          const headerWidth = vertical ? rect.width : headerSize;
+          const headerHeight = vertical ? headerSize : rect.height;
+          
+          svg += `
+            <rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" 
+              fill="${fill}" stroke="#b0bec5" stroke-width="1" />
+            <rect x="${rect.x}" y="${rect.y}" width="${headerWidth}" height="${headerHeight}" 
+              fill="#e3edf8" stroke="#b0bec5" stroke-width="1" />
+            <text x="${rect.x + headerWidth / 2}" y="${rect.y + headerHeight / 2}" 
+              font-family="Arial" font-size="${fontSize + 2}" font-weight="bold" text-anchor="middle" dominant-baseline="middle">
+              ${escapeXml(rect.lane.name)}
+            </text>
+          `;
+        });
+      }
+      
       // エッジの描画
       edges.forEach(edge => {
         const source = steps.find(step => step.id === edge.source);
@@ -231,33 +303,55 @@ const svgUtils = {
           const targetX = target.position.x + nodeWidth / 2;
           const targetY = target.position.y + nodeHeight / 2;
           
-          svg += `<line x1="${sourceX}" y1="${sourceY}" x2="${targetX}" y2="${targetY}" stroke="${lineColor}" stroke-width="2" marker-end="url(#arrowhead)" />`;
+          const isLoopBack = FlowAnalysisService.isLoopBack(edge);
+          const dash = isLoopBack ? ' stroke-dasharray="6 4"' : '';
+          svg += `<line x1="${sourceX}" y1="${sourceY}" x2="${targetX}" y2="${targetY}" stroke="${lineColor}" stroke-width="2"${dash} marker-end="url(#arrowhead)" />`;
+          
+          // 分岐確率・差戻し率のラベル
+          const label = FlowAnalysisService.getEdgeLabel(edge);
+          if (label) {
+            svg += `<text x="${(sourceX + targetX) / 2}" y="${(sourceY + targetY) / 2 - 6}" 
+              font-family="Arial" font-size="${fontSize - 2}" text-anchor="middle" fill="${lineColor}">${escapeXml(label)}</text>`;
+          }
         }
       });
       
       // ノードの描画
       steps.forEach(step => {
-        const { id, type, position, data } = step;
+        const { id, position, data } = step;
+        const { type } = StepModel.parseCompositeType(step.type);
         const x = position.x;
         const y = position.y;
         
-        // ノードの背景色
-        let bgColor = 'white';
+        // ノードの背景色（ヒートマップ表示時は指標の色）
+        let bgColor = overlay?.colors[id] || 'white';
         let strokeColor = '#333';
         
+        // 複合記号の場合は内側に副記号を描く
+        const secondaryType = StepModel.getSecondaryType(step);
+        const secondarySymbol = secondaryType
+          ? svgUtils.generateSymbolShape(
+            appConfig.jmaSymbols[secondaryType].shape,
+            x + nodeWidth / 2,
+            y + nodeHeight / 2,
+            { size: nodeHeight * 0.6, stroke: '#90a4ae', fill: 'none' }
+          )
+          : '';
+        
         // タイプに応じたノード形状
         switch (type) {
           case 'process': // 加工（円形）
             svg += `
               <circle cx="${x + nodeWidth/2}" cy="${y + nodeHeight/2}" r="${nodeHeight/2}" 
                 fill="${bgColor}" stroke="${strokeColor}" stroke-width="2" />
+              ${secondarySymbol}
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2}" 
                 font-family="Arial" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">
-                ${data.label}
+                ${escapeXml(data.label)}
               </text>
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + fontSize + 2}" 
                 font-family="Arial" font-size="${fontSize - 2}" text-anchor="middle" dominant-baseline="middle">
-                ${data.time}${data.timeUnit}
+                ${escapeXml(data.time)}${escapeXml(data.timeUnit)}
               </text>
             `;
             break;
@@ -266,13 +360,14 @@ const svgUtils = {
             svg += `
               <rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" 
                 fill="${bgColor}" stroke="${strokeColor}" stroke-width="2" />
+              ${secondarySymbol}
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2}" 
                 font-family="Arial" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">
-                ${data.label}
+                ${escapeXml(data.label)}
               </text>
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + fontSize + 2}" 
                 font-family="Arial" font-size="${fontSize - 2}" text-anchor="middle" dominant-baseline="middle">
-                ${data.time}${data.timeUnit}
+                ${escapeXml(data.time)}${escapeXml(data.timeUnit)}
               </text>
             `;
             break;
@@ -281,13 +376,14 @@ const svgUtils = {
             svg += `
               <polygon points="${x + nodeWidth/2},${y} ${x + nodeWidth},${y + nodeHeight/2} ${x + nodeWidth/2},${y + nodeHeight} ${x},${y + nodeHeight/2}" 
                 fill="${bgColor}" stroke="${strokeColor}" stroke-width="2" />
+              ${secondarySymbol}
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2}" 
                 font-family="Arial" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">
-                ${data.label}
+                ${escapeXml(data.label)}
               </text>
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + fontSize + 2}" 
                 font-family="Arial" font-size="${fontSize - 2}" text-anchor="middle" dominant-baseline="middle">
-                ${data.time}${data.timeUnit}
+                ${escapeXml(data.time)}${escapeXml(data.timeUnit)}
               </text>
             `;
             break;
@@ -296,13 +392,14 @@ const svgUtils = {
             svg += `
               <polygon points="${x + nodeWidth/2},${y} ${x + nodeWidth},${y + nodeHeight} ${x},${y + nodeHeight}" 
                 fill="${bgColor}" stroke="${strokeColor}" stroke-width="2" />
+              ${secondarySymbol}
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + fontSize}" 
                 font-family="Arial" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">
-                ${data.label}
+                ${escapeXml(data.label)}
               </text>
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + 2*fontSize}" 
                 font-family="Arial" font-size="${fontSize - 2}" text-anchor="middle" dominant-baseline="middle">
-                ${data.time}${data.timeUnit}
+                ${escapeXml(data.time)}${escapeXml(data.timeUnit)}
               </text>
             `;
             break;
@@ -313,13 +410,14 @@ const svgUtils = {
                 fill="${bgColor}" stroke="${strokeColor}" stroke-width="2" />
               <rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight * 0.3}" 
                 fill="#f5f5f5" stroke="${strokeColor}" stroke-width="2" />
+              ${secondarySymbol}
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + fontSize}" 
                 font-family="Arial" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">
-                ${data.label}
+                ${escapeXml(data.label)}
               </text>
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2 + 2*fontSize}" 
                 font-family="Arial" font-size="${fontSize - 2}" text-anchor="middle" dominant-baseline="middle">
-                ${data.time}${data.timeUnit}
+                ${escapeXml(data.time)}${escapeXml(data.timeUnit)}
               </text>
             `;
             break;
@@ -330,12 +428,25 @@ const svgUtils = {
                 fill="${bgColor}" stroke="${strokeColor}" stroke-width="2" />
               <text x="${x + nodeWidth/2}" y="${y + nodeHeight/2}" 
                 font-family="Arial" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">
-                ${data.label}
+                ${escapeXml(data.label)}
               </text>
             `;
         }
       });
       
+      // ヒートマップの凡例の描画
+      if (overlay) {
+        const legendX = minX + 20;
+        svg += `
+          <g transform="translate(${legendX}, ${overlayLegendY})">
+            <text font-family="Arial" font-size="${fontSize}" font-weight="bold" dominant-baseline="hanging">ヒートマップ: ${escapeXml(overlay.metric.label)}</text>
+            <rect x="0" y="${fontSize + 6}" width="200" height="10" fill="url(#heatmap-gradient)" stroke="#999" stroke-width="0.5" />
+            <text x="0" y="${fontSize + 30}" font-family="Arial" font-size="${fontSize - 2}">${HeatmapService.formatValue(overlay.min, overlay.metric)}</text>
+            <text x="200" y="${fontSize + 30}" font-family="Arial" font-size="${fontSize - 2}" text-anchor="end">${HeatmapService.formatValue(overlay.max, overlay.metric)}</text>
+          </g>
+        `;
+      }
+      
       // 凡例の描画
       if (includeLegend) {
         const legendY = maxY - 80;
@@ -392,6 +503,138 @@ const svgUtils = {
       svg += '</svg>';
       
       return svg;
+    },
+    
+    /**
+     * 子プロセスを展開して1枚のプロセスチャートSVGを生成する
+     * @param {Array} steps - プロセスステップの配列
+     * @param {Array} edges - エッジの配列
+     * @param {Object} options - オプション（generateProcessChartSvgと同じ）
+     * @returns {string} - SVG文字列
+     */
+    generateFlattenedChartSvg: (steps, edges = [], options = {}) => {
+      const flat = hierarchyUtils.flattenProcess(steps, edges);
+      return svgUtils.generateProcessChartSvg(flat.steps, flat.edges, options);
+    },
+    
+    /**
+     * 階層ごとにページを分けたプロセスチャートSVGを生成する
+     * @param {Array} steps - プロセスステップの配列
+     * @param {Array} edges - エッジの配列
+     * @param {Object} options - オプション（generateProcessChartSvgと同じ）
+     * @returns {Array} - [{ title, svg, width, height }] の配列
+     */
+    generateProcessChartPages: (steps, edges = [], options = {}) => {
+      return hierarchyUtils.collectLevels(steps, edges).map(level => {
+        const svg = svgUtils.generateProcessChartSvg(level.steps, level.edges, options);
+        const size = svg.match(/width="([\d.]+)" height="([\d.]+)"/);
+        
+        return {
+          title: hierarchyUtils.formatPath(level.path),
+          svg,
+          width: size ? parseFloat(size[1]) : 800,
+          height: size ? parseFloat(size[2]) : 600
+        };
+      });
+    },
+    
+    /**
+     * ページごとのSVGを縦に並べて1つのSVG文書にまとめる
+     * @param {Array} pages - generateProcessChartPagesの戻り値
+     * @param {Object} options - オプション
+     * @returns {string} - SVG文字列
+     */
+    composePages: (pages, options = {}) => {
+      const { titleHeight = 40, pageGap = 40, fontSize = 16, backgroundColor = 'white' } = options;
+      
+      const width = Math.max(...pages.map(page => page.width), 0);
+      let offsetY = 0;
+      let body = '';
+      
+      pages.forEach((page, index) => {
+        body += `
+          <g transform="translate(0, ${offsetY})">
+            <text x="10" y="${titleHeight / 2}" font-family="Arial" font-size="${fontSize}" font-weight="bold" dominant-baseline="middle">
+              ${index + 1}. ${escapeXml(page.title)}
+            </text>
+            <g transform="translate(0, ${titleHeight})">${page.svg}</g>
+          </g>
+        `;
+        offsetY += titleHeight + page.height + pageGap;
+      });
+      
+      const height = Math.max(offsetY - pageGap, 0);
+      
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="background-color: ${backgroundColor};">${body}</svg>`;
+    },
+    
+    /**
+     * 年間工数のサンキー図のSVGを生成する
+     * @param {Object} layout - SankeyService.layout の戻り値
+     * @param {Object} options - { fontSize, backgroundColor, title }
+     * @returns {string} - SVG文字列
+     */
+    generateSankeySvg: (layout, options = {}) => {
+      const { fontSize = 11, backgroundColor = 'white', title = '' } = options;
+      const { width, height, nodeWidth } = layout;
+      const lastColumn = Math.max(0, ...layout.nodes.map(node => node.column));
+      const hours = (value) => `${(Math.round(value * 10) / 10).toLocaleString()}時間`;
+      
+      let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="background-color: ${backgroundColor};">`;
+      
+      if (title) {
+        svg += `<text x="10" y="16" font-family="Arial" font-size="${fontSize + 3}" font-weight="bold">${escapeXml(title)}</text>`;
+      }
+      
+      // 帯
+      layout.links.forEach(link => {
+        svg += `<path d="${link.path}" fill="none" stroke="${link.color}" stroke-opacity="0.35" stroke-width="${Math.max(1, link.width)}">` +
+          `<title>${escapeXml(`${link.sourceLabel || link.source} → ${link.targetLabel || link.target}: ${hours(link.hours)}`)}</title></path>`;
+      });
+      
+      // ノードとラベル（最後の列はノードの左側に書く）
+      layout.nodes.forEach(node => {
+        const labelX = node.column === lastColumn ? node.x - 4 : node.x + nodeWidth + 4;
+        const anchor = node.column === lastColumn ? 'end' : 'start';
+        svg += `<rect x="${node.x}" y="${node.y}" width="${nodeWidth}" height="${node.height}" fill="${node.color}" stroke="#333" stroke-width="0.5">` +
+          `<title>${escapeXml(`${node.label}: ${hours(node.hours)}`)}</title></rect>`;
+        svg += `<text x="${labelX}" y="${node.y + node.height / 2}" font-family="Arial" font-size="${fontSize}" text-anchor="${anchor}" dominant-baseline="middle">` +
+          `${escapeXml(node.label)}（${hours(node.hours)}）</text>`;
+      });
+      
+      svg += '</svg>';
+      
+      return svg;
+    },
+    
+    /**
+     * JMA工程記号の図形を生成する
+     * @param {string} shape - appConfig.jmaSymbols の shape
+     * @param {number} cx - 中心のx座標
+     * @param {number} cy - 中心のy座標
+     * @param {Object} options - { size, stroke, strokeWidth, fill }
+     * @returns {string} - SVG要素の文字列
+     */
+    generateSymbolShape: (shape, cx, cy, options = {}) => {
+      const { size = 18, stroke = '#333', strokeWidth = 2, fill = '#fff' } = options;
+      const r = size / 2;
+      const attrs = `fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"`;
+      
+      switch (shape) {
+        case 'circle':
+          return `<circle cx="${cx}" cy="${cy}" r="${r}" ${attrs} />`;
+        case 'square':
+          return `<rect x="${cx - r}" y="${cy - r}" width="${size}" height="${size}" ${attrs} />`;
+        case 'diamond':
+          return `<polygon points="${cx},${cy - r} ${cx + r},${cy} ${cx},${cy + r} ${cx - r},${cy}" ${attrs} />`;
+        case 'triangle':
+          return `<polygon points="${cx - r},${cy - r} ${cx + r},${cy - r} ${cx},${cy + r}" ${attrs} />`;
+        case 'special-rectangle':
+          return `<rect x="${cx - r}" y="${cy - r}" width="${size}" height="${size}" ${attrs} />` +
+            `<line x1="${cx - r}" y1="${cy - r / 2}" x2="${cx + r}" y2="${cy - r / 2}" stroke="${stroke}" stroke-width="${strokeWidth}" />`;
+        default:
+          return `<circle cx="${cx}" cy="${cy}" r="${r / 2}" fill="${stroke}" />`;
+      }
     }
   };
   
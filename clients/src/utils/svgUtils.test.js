@@ -0,0 +1,53 @@
+// src/utils/svgUtils.test.js
+import svgUtils from './svgUtils';
+
+// 田中の入力と担当者未定の確認（入力から確認へ80%）
+const createSteps = () => [
+  { id: 's1', type: 'process', position: { x: 0, y: 50 }, data: { label: '入力', time: 30, timeUnit: '分', responsible: '田中' } },
+  { id: 's2', type: 'inspection', position: { x: 300, y: 250 }, data: { label: '確認', time: 1, timeUnit: '時間' } }
+];
+
+const createEdges = () => [{ id: 'e1', source: 's1', target: 's2', data: { probability: 80 } }];
+
+describe('svgUtils', () => {
+  describe('generateProcessChartSvg', () => {
+    test('スイムレーンを有効にするとレーンの背景と見出しを描く', () => {
+      const svg = svgUtils.generateProcessChartSvg(createSteps(), createEdges(), {
+        includeLegend: false,
+        swimlanes: { enabled: true, lanes: [{ name: '田中' }, { name: '' }] }
+      });
+
+      expect(svg.match(/<text[^>]*font-weight="bold"[^>]*>\s*([^<]*?)\s*<\/text>/g).map(text => text.replace(/<[^>]+>|\s/g, '')))
+        .toEqual(['田中', '未割当']);
+      // レーンはステップの配置範囲から余白（200）と見出し（120）の分だけ手前から描く
+      expect(svg).toContain('viewBox="-340 -20 1560 440"');
+    });
+
+    test('ステップ名・分岐のラベル・レーン名はエスケープして埋め込む', () => {
+      const steps = createSteps();
+      steps[0].data.label = '<img src=x onerror=alert(1)>';
+      steps[1].data.label = 'A&B';
+      const svg = svgUtils.generateProcessChartSvg(steps, createEdges(), {
+        includeLegend: false,
+        swimlanes: { enabled: true, lanes: [{ name: '営業<1課>', color: '"red' }] }
+      });
+
+      expect(svg).not.toContain('<img');
+      expect(svg).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(svg).toContain('A&amp;B');
+      expect(svg).toContain('営業&lt;1課&gt;');
+      expect(svg).toContain('fill="&quot;red"');
+      expect(new DOMParser().parseFromString(svg, 'image/svg+xml').querySelector('parsererror')).toBeNull();
+    });
+  });
+
+  describe('toDataUrl', () => {
+    test('データURLに変換したSVGは元の文字列に戻せる', () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"><text>A&amp;B #1</text></svg>';
+      const url = svgUtils.toDataUrl(svg);
+
+      expect(url.startsWith('data:image/svg+xml;charset=utf-8,')).toBe(true);
+      expect(decodeURIComponent(url.slice(url.indexOf(',') + 1))).toBe(svg);
+    });
+  });
+});
@@ -245,6 +245,31 @@ class AppInitializer {
       name: '新規プロジェクト',
       description: 'デフォルトテンプレート',
       processSteps: [],
+      edges: [],
+      swimlanes: {
+        enabled: false,
+        orientation: 'horizontal',
+        lanes: []
+      },
+      volumeDrivers: [],
+      costSettings: {
+        hourlyRate: 3000,
+        overheadFactor: 1,
+        roles: []
+      },
+      customerDemand: {
+        value: 0,
+        unit: '日',
+        volumeDriverId: null
+      },
+      abcShares: {
+        a: 80,
+        b: 15
+      },
+      roadmap: {
+        startDate: null
+      },
+      scenarios: [],
       created: new Date().toISOString(),
       modified: new Date().toISOString(),
       metadata: {
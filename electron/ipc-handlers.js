@@ -1,5 +1,5 @@
 // electron/ipc-handlers.js
-const { ipcMain, dialog } = require('electron');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const dbManager = require('./database');
@@ -284,15 +284,56 @@ function setupExportImportHandlers() {
     }
   });
   
+  // PDFエクスポート（HTML文書を非表示のウィンドウで印刷）
+  ipcMain.handle('export-pdf', async (event, { html, defaultFilename, landscape = true }) => {
+    let pdfWindow = null;
+    try {
+      const { filePath, canceled } = await dialog.showSaveDialog({
+        title: 'PDFエクスポート',
+        defaultPath: path.join(
+          appSettings.get('defaultProjectLocation'),
+          defaultFilename || 'export.pdf'
+        ),
+        filters: [{ name: 'PDFファイル', extensions: ['pdf'] }]
+      });
+      
+      if (canceled || !filePath) {
+        return { success: false, message: 'キャンセルされました' };
+      }
+      
+      pdfWindow = new BrowserWindow({
+        show: false,
+        webPreferences: { javascript: false }
+      });
+      await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+      
+      const pdfData = await pdfWindow.webContents.printToPDF({
+        landscape,
+        pageSize: 'A4',
+        printBackground: true
+      });
+      await fs.promises.writeFile(filePath, pdfData);
+      
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('PDFエクスポートエラー:', error);
+      return { success: false, message: error.message };
+    } finally {
+      if (pdfWindow && !pdfWindow.isDestroyed()) {
+        pdfWindow.destroy();
+      }
+    }
+  });
+  
   // SVG/PNG エクスポート
-  ipcMain.handle('export-image', async (event, { svgData, type }) => {
+  ipcMain.handle('export-image', async (event, { svgData, type, filename = 'process_chart' }) => {
     try {
       const extension = type === 'svg' ? 'svg' : 'png';
       const { filePath, canceled } = await dialog.showSaveDialog({
         title: `${extension.toUpperCase()}エクスポート`,
         defaultPath: path.join(
           appSettings.get('defaultProjectLocation'),
-          `process_chart.${extension}`
+          `${filename}.${extension}`
         ),
         filters: [{ name: `${extension.toUpperCase()}ファイル`, extensions: [extension] }]
       });
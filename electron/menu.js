@@ -84,9 +84,13 @@ function createApplicationMenu(mainWindow) {
               click: () => mainWindow.webContents.send('menu-export-csv')
             },
             {
-              label: 'Excelエクスポート',
+              label: '工程分析表をExcelエクスポート',
               click: () => mainWindow.webContents.send('menu-export-excel')
             },
+            {
+              label: '工程分析表をPDFエクスポート',
+              click: () => mainWindow.webContents.send('menu-export-pdf')
+            },
             {
               label: 'プロセスチャートをSVGエクスポート',
               click: () => mainWindow.webContents.send('menu-export-svg')
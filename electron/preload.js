@@ -11,6 +11,8 @@ contextBridge.exposeInMainWorld('electron', {
   exportCsv: (data) => ipcRenderer.invoke('export-csv', data),
   importCsv: () => ipcRenderer.invoke('import-csv'),
   exportImage: (data) => ipcRenderer.invoke('export-image', data),
+  exportExcel: (data) => ipcRenderer.invoke('export-excel', data),
+  exportPdf: (data) => ipcRenderer.invoke('export-pdf', data),
   
   // データベース操作
   findImprovements: (query) => ipcRenderer.invoke('db-find-improvements', query),
@@ -31,6 +33,7 @@ contextBridge.exposeInMainWorld('electron', {
       'menu-save-project-as',
       'menu-export-csv',
       'menu-export-excel',
+      'menu-export-pdf',
       'menu-export-svg',
       'menu-export-png',
       'menu-import-csv',
@@ -41,6 +41,7 @@ const exportUtils = {
    * @param {string} filePath - 保存先ファイルパス
    * @param {Object} data - エクスポートするデータ
    * @param {Array<Array>} data.sheets - シート名とデータの配列
+   *   （data: オブジェクトの配列、または rows: 行の配列。columnWidths で列幅を文字数で指定）
    * @returns {Promise<void>}
    */
   saveExcelFile: async (filePath, data) => {
@@ -50,10 +51,16 @@ const exportUtils = {
       
       // 各シートを追加
       data.sheets.forEach(sheet => {
-        const { name, data: sheetData } = sheet;
+        const { name, data: sheetData, rows, columnWidths } = sheet;
         
-        // データをワークシートに変換
-        const worksheet = XLSX.utils.json_to_sheet(sheetData);
+        // データをワークシートに変換（行の配列が指定された場合はそのまま配置）
+        const worksheet = rows
+          ? XLSX.utils.aoa_to_sheet(rows)
+          : XLSX.utils.json_to_sheet(sheetData);
+        
+        if (columnWidths) {
+          worksheet['!cols'] = columnWidths.map(wch => ({ wch }));
+        }
         
         // ワークブックにワークシートを追加
         XLSX.utils.book_append_sheet(workbook, worksheet, name);
@@ -16,6 +16,14 @@ const ProjectSchema = new mongoose.Schema({
     type: Array,
     default: []
   },
+  edges: {
+    type: Array,
+    default: []
+  },
+  swimlanes: {
+    type: Object,
+    default: null
+  },
   workloadData: {
     type: Object,
     default: null